@@ -1,50 +1,81 @@
-import { useState, useEffect, createContext, useContext } from 'react'
-import { BrowserRouter, Routes, Route, Link, Navigate, useNavigate } from 'react-router-dom'
-import axios from 'axios'
+import { useState, useEffect, useRef, createContext, useContext } from 'react'
+import { BrowserRouter, Routes, Route, Link, Navigate, useNavigate, useParams, useSearchParams } from 'react-router-dom'
+import api, { setAccessToken, onAccessTokenChange, refreshAccessToken, endSession } from './api'
 import './App.css'
 
-const API_URL = '/api'
-
 const AuthContext = createContext(null)
 
+// Prefer the first field error from the API's validation error shape
+const apiError = (err, fallback) =>
+  err.response?.data?.errors?.[0]?.message || err.response?.data?.message || fallback
+
+// The variant whose attributes match every chosen option value
+const findVariant = (product, choice = {}) =>
+  product.variants?.find(variant =>
+    product.options.every(option => variant.attributes[option.name] === choice[option.name]))
+
+// e.g. "size: M · color: Red"
+const variantLabel = (attributes = {}) =>
+  Object.entries(attributes).map(([name, value]) => `${name}: ${value}`).join(' · ')
+
+// Shared by the product list and the product page
+const addToCart = async (user, productId, variantId) => {
+  if (!user) {
+    alert('Please login to add items to cart')
+    return
+  }
+  try {
+    await api.post(`/cart/items`, { productId, variantId, quantity: 1 })
+    alert('Added to cart!')
+  } catch (err) {
+    alert(apiError(err, 'Failed to add to cart'))
+  }
+}
+
 function AuthProvider({ children }) {
   const [user, setUser] = useState(null)
-  const [token, setToken] = useState(localStorage.getItem('token'))
+  const [token, setToken] = useState(null)
   const [loading, setLoading] = useState(true)
 
+  // Follow token changes from refreshes, logouts and other tabs
+  useEffect(() => onAccessTokenChange((next) => {
+    setToken(next)
+    if (!next) setUser(null)
+  }), [])
+
+  // Restore the session from the refresh cookie on page load
   useEffect(() => {
-    if (token) {
-      axios.defaults.headers.common['Authorization'] = `Bearer ${token}`
-      axios.get(`${API_URL}/users/me`)
-        .then(res => setUser(res.data.data.user))
-        .catch(() => {
-          localStorage.removeItem('token')
-          localStorage.removeItem('refreshToken')
-          setToken(null)
-        })
-        .finally(() => setLoading(false))
-    } else {
-      setLoading(false)
-    }
-  }, [token])
+    // Tokens stored by older versions of the app are no longer used
+    localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
 
-  const login = (token, refreshToken, user) => {
-    localStorage.setItem('token', token)
-    localStorage.setItem('refreshToken', refreshToken)
-    setToken(token)
+    refreshAccessToken()
+      .then(() => api.get('/users/me'))
+      .then(res => setUser(res.data.data.user))
+      .catch(() => {})
+      .finally(() => setLoading(false))
+  }, [])
+
+  // Another tab logged in
+  useEffect(() => {
+    if (loading || !token || user) return
+    api.get('/users/me')
+      .then(res => setUser(res.data.data.user))
+      .catch(() => {})
+  }, [loading, token, user])
+
+  const login = (token, user) => {
     setUser(user)
+    setAccessToken(token)
   }
 
   const logout = () => {
-    localStorage.removeItem('token')
-    localStorage.removeItem('refreshToken')
-    setToken(null)
     setUser(null)
-    delete axios.defaults.headers.common['Authorization']
+    endSession()
   }
 
   return (
-    <AuthContext.Provider value={{ user, token, login, logout, loading }}>
+    <AuthContext.Provider value={{ user, token, login, logout, loading, updateUser: setUser }}>
       {children}
     </AuthContext.Provider>
   )
@@ -60,55 +91,90 @@ function Login() {
   const [password, setPassword] = useState('')
   const [phone, setPhone] = useState('')
   const [otp, setOtp] = useState('')
+  const [otpMessage, setOtpMessage] = useState('')
   const [otpSent, setOtpSent] = useState(false)
   const [loginMethod, setLoginMethod] = useState('email') // 'email' or 'phone'
+  const [mfaToken, setMfaToken] = useState('')
+  const [mfaCode, setMfaCode] = useState('')
   const [error, setError] = useState('')
   const { login } = useAuth()
   const navigate = useNavigate()
 
+  // Finish a login, or move on to the two-factor step when the account needs it
+  const completeLogin = (data) => {
+    if (data.mfaRequired) {
+      setMfaToken(data.mfaToken)
+      setError('')
+      return
+    }
+    login(data.accessToken, data.user)
+    // New phone-only accounts are sent to complete their profile first
+    navigate(data.user.name ? '/' : '/profile')
+  }
+
+  // The OTP field accepts either a phone number or an email address
+  const otpDestination = () => phone.includes('@') ? { email: phone } : { phone }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
       let res;
       if (loginMethod === 'phone') {
-        // Use dedicated OTP endpoint for phone login
-        res = await axios.post(`${API_URL}/auth/send-otp`, { phone })
+        // Use dedicated OTP endpoint; the code goes to a phone or an email
+        res = await api.post(`/auth/send-otp`, otpDestination())
+        setOtpMessage(res.data.message)
         setOtpSent(true)
         setError('')
       } else {
-        res = await axios.post(`${API_URL}/users/login`, { email, password })
-        login(res.data.data.accessToken, res.data.data.refreshToken, res.data.data.user)
-        navigate('/')
+        res = await api.post(`/users/login`, { email, password })
+        completeLogin(res.data.data)
       }
     } catch (err) {
-      setError(err.response?.data?.message || 'Login failed')
+      setError(apiError(err, 'Login failed'))
     }
   }
 
   const handleOtpSubmit = async (e) => {
     e.preventDefault()
     try {
-      const verifyData = { phone, otp }
-      const res = await axios.post(`${API_URL}/auth/verify-otp`, verifyData)
-      login(res.data.accessToken, res.data.refreshToken, res.data.user)
-      navigate('/')
+      const verifyData = { ...otpDestination(), otp }
+      const res = await api.post(`/auth/verify-otp`, verifyData)
+      completeLogin(res.data.data)
+    } catch (err) {
+      setError(apiError(err, 'OTP verification failed'))
+    }
+  }
+
+  const handleMfaSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const res = await api.post(`/auth/mfa/verify`, { mfaToken, code: mfaCode.trim() })
+      completeLogin(res.data.data)
     } catch (err) {
-      setError(err.response?.data?.message || 'OTP verification failed')
+      // An expired challenge has to start over from the first step
+      if (err.response?.data?.code === 'MFA_TOKEN_INVALID') {
+        setMfaToken('')
+        setOtpSent(false)
+      }
+      setMfaCode('')
+      setError(apiError(err, 'Two-factor verification failed'))
     }
   }
 
   const handleResendOtp = async () => {
     try {
-      await axios.post(`${API_URL}/auth/send-otp`, { phone })
+      await api.post(`/auth/send-otp`, otpDestination())
       setError('')
     } catch (err) {
-      setError(err.response?.data?.message || 'Failed to resend OTP')
+      setError(apiError(err, 'Failed to resend OTP'))
     }
   }
 
   const handleBackToLogin = () => {
     setOtpSent(false)
     setOtp('')
+    setMfaToken('')
+    setMfaCode('')
     setError('')
   }
 
@@ -117,6 +183,31 @@ function Login() {
     setError('')
   }
 
+  if (mfaToken) {
+    return (
+      <div className="auth-container">
+        <h2>Two-Factor Authentication</h2>
+        {error && <div className="error">{error}</div>}
+        <form onSubmit={handleMfaSubmit}>
+          <div className="otp-info">
+            <p>Enter the 6-digit code from your authenticator app, or one of your recovery codes</p>
+          </div>
+          <input
+            type="text"
+            placeholder="Authentication code"
+            value={mfaCode}
+            onChange={e => setMfaCode(e.target.value)}
+            maxLength={9}
+            autoComplete="one-time-code"
+            required
+          />
+          <button type="submit">Verify</button>
+          <button type="button" className="back-btn" onClick={handleBackToLogin}>Back to Login</button>
+        </form>
+      </div>
+    )
+  }
+
   return (
     <div className="auth-container">
       <h2>{otpSent ? 'Verify OTP' : 'Login'}</h2>
@@ -126,7 +217,7 @@ function Login() {
         <form onSubmit={handleSubmit}>
           <div className="login-method-toggle">
             <button type="button" onClick={toggleLoginMethod} className="toggle-btn">
-              Login with {loginMethod === 'email' ? 'Phone' : 'Email'}
+              Login with {loginMethod === 'email' ? 'OTP' : 'Email & Password'}
             </button>
           </div>
           
@@ -137,11 +228,10 @@ function Login() {
             </>
           ) : (
             <input 
-              type="tel" 
-              placeholder="Phone Number" 
+              type="text" 
+              placeholder="Phone Number or Email" 
               value={phone} 
               onChange={e => setPhone(e.target.value)} 
-              maxLength={10}
               required 
             />
           )}
@@ -150,7 +240,7 @@ function Login() {
       ) : (
         <form onSubmit={handleOtpSubmit}>
           <div className="otp-info">
-            <p>Enter the 6-digit OTP sent to your {loginMethod === 'email' ? 'email' : 'phone number'}</p>
+            <p>{otpMessage || 'Enter the 6-digit OTP we sent you'}</p>
           </div>
           <input 
             type="text" 
@@ -166,6 +256,7 @@ function Login() {
         </form>
       )}
       
+      {!otpSent && <p><Link to="/forgot-password">Forgot password?</Link></p>}
       {!otpSent && <p>Don't have an account? <Link to="/register">Register</Link></p>}
     </div>
   )
@@ -183,11 +274,11 @@ function Register() {
   const handleSubmit = async (e) => {
     e.preventDefault()
     try {
-      const res = await axios.post(`${API_URL}/users/register`, { name, email, phone, password })
-      login(res.data.data.accessToken, res.data.data.refreshToken, res.data.data.user)
+      const res = await api.post(`/users/register`, { name, email, phone, password })
+      login(res.data.data.accessToken, res.data.data.user)
       navigate('/')
     } catch (err) {
-      setError(err.response?.data?.message || 'Registration failed')
+      setError(apiError(err, 'Registration failed'))
     }
   }
 
@@ -207,83 +298,1110 @@ function Register() {
   )
 }
 
-function Products() {
-  const [products, setProducts] = useState([])
-  const [search, setSearch] = useState('')
-  const [page, setPage] = useState(1)
-  const [totalPages, setTotalPages] = useState(1)
-  const [loading, setLoading] = useState(true)
+function ForgotPassword() {
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const res = await api.post(`/users/forgot-password`, { email })
+      setMessage(res.data.message)
+      setError('')
+    } catch (err) {
+      setError(apiError(err, 'Failed to send reset link'))
+    }
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>Forgot Password</h2>
+      {error && <div className="error">{error}</div>}
+      {message ? <div className="success">{message}</div> : (
+        <form onSubmit={handleSubmit}>
+          <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} required />
+          <button type="submit">Send Reset Link</button>
+        </form>
+      )}
+      <p><Link to="/login">Back to Login</Link></p>
+    </div>
+  )
+}
+
+function ResetPassword() {
+  const [searchParams] = useSearchParams()
+  const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password !== confirm) {
+      setError('Passwords do not match')
+      return
+    }
+    try {
+      const res = await api.post(`/users/reset-password`, {
+        token: searchParams.get('token'),
+        password
+      })
+      setMessage(res.data.message)
+      setError('')
+    } catch (err) {
+      setError(apiError(err, 'Failed to reset password'))
+    }
+  }
+
+  return (
+    <div className="auth-container">
+      <h2>Reset Password</h2>
+      {error && <div className="error">{error}</div>}
+      {message ? (
+        <>
+          <div className="success">{message}</div>
+          <p><Link to="/login">Go to Login</Link></p>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <input type="password" placeholder="New Password" value={password} onChange={e => setPassword(e.target.value)} required />
+          <input type="password" placeholder="Confirm New Password" value={confirm} onChange={e => setConfirm(e.target.value)} required />
+          <button type="submit">Reset Password</button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function VerifyEmail() {
+  const [searchParams] = useSearchParams()
+  const [status, setStatus] = useState('verifying')
+  const [message, setMessage] = useState('Verifying your email...')
+  const { user, updateUser } = useAuth()
+  const requested = useRef(false)
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once (StrictMode runs effects twice)
+    if (requested.current) return
+    requested.current = true
+
+    api.post(`/users/verify-email`, { token: searchParams.get('token') })
+      .then(res => {
+        setStatus('success')
+        setMessage(res.data.message)
+      })
+      .catch(err => {
+        setStatus('error')
+        setMessage(apiError(err, 'Verification failed'))
+      })
+  }, [searchParams])
+
+  useEffect(() => {
+    if (status === 'success' && user && !user.emailVerified) {
+      updateUser({ ...user, emailVerified: true })
+    }
+  }, [status, user, updateUser])
+
+  return (
+    <div className="auth-container">
+      <h2>Email Verification</h2>
+      <div className={status === 'error' ? 'error' : 'success'}>{message}</div>
+      <p><Link to="/">Continue shopping</Link></p>
+    </div>
+  )
+}
+
+function EmailVerificationBanner() {
   const { user } = useAuth()
+  const [sent, setSent] = useState(false)
+
+  if (!user || !user.email || user.emailVerified) return null
+
+  const resend = async () => {
+    try {
+      await api.post(`/users/verify-email/request`)
+      setSent(true)
+    } catch (err) {
+      alert(apiError(err, 'Failed to send verification email'))
+    }
+  }
+
+  return (
+    <div className="notice-banner">
+      {sent ? 'Verification email sent. Check your inbox.' : (
+        <>
+          Please verify your email address.
+          <button onClick={resend}>Resend link</button>
+        </>
+      )}
+    </div>
+  )
+}
+
+function DeletionBanner() {
+  const { user, updateUser } = useAuth()
+
+  if (!user || !user.deletion?.scheduledFor) return null
+
+  const cancel = async () => {
+    try {
+      const res = await api.post(`/users/me/deletion/cancel`)
+      updateUser(res.data.data.user)
+    } catch (err) {
+      alert(apiError(err, 'Failed to cancel deletion'))
+    }
+  }
+
+  return (
+    <div className="notice-banner danger">
+      Your account will be deleted on {new Date(user.deletion.scheduledFor).toLocaleDateString()}.
+      <button onClick={cancel}>Cancel deletion</button>
+    </div>
+  )
+}
+
+function TwoFactorBanner() {
+  const { user } = useAuth()
+
+  // Staff and admin privileges need a second factor
+  if (!user || user.role === 'customer' || user.mfaEnabled) return null
+
+  return (
+    <div className="notice-banner">
+      Staff accounts need two-factor authentication. <Link to="/security">Set it up now</Link>
+    </div>
+  )
+}
+
+function Security() {
+  const { user, login, updateUser } = useAuth()
+  const [status, setStatus] = useState(null)
+  const [setup, setSetup] = useState(null)
+  const [code, setCode] = useState('')
+  const [recoveryCodes, setRecoveryCodes] = useState([])
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [reload, setReload] = useState(0)
 
   useEffect(() => {
-    fetchProducts()
-  }, [page])
+    api.get(`/users/me/mfa`)
+      .then(res => setStatus(res.data.data))
+      .catch(err => setError(apiError(err, 'Failed to load two-factor status')))
+  }, [reload])
+
+  const showResult = (text, isError) => {
+    setMessage(isError ? '' : text)
+    setError(isError ? text : '')
+  }
 
-  const fetchProducts = async () => {
-    setLoading(true)
+  const startSetup = async () => {
     try {
-      const res = await axios.get(`${API_URL}/products`, { params: { search, page, limit: 8 } })
-      setProducts(res.data.data.products)
-      setTotalPages(res.data.data.pagination.totalPages)
+      const res = await api.post(`/users/me/mfa/setup`)
+      setSetup(res.data.data)
+      setCode('')
+      showResult(res.data.message)
     } catch (err) {
-      console.error(err)
+      showResult(apiError(err, 'Failed to start setup'), true)
     }
-    setLoading(false)
   }
 
-  const handleSearch = (e) => {
+  const enable = async (e) => {
     e.preventDefault()
-    setPage(1)
-    fetchProducts()
+    try {
+      const res = await api.post(`/users/me/mfa/enable`, { code })
+      const { accessToken, recoveryCodes, user: updated } = res.data.data
+      // The new access token carries the second factor for this session
+      login(accessToken, updated)
+      setRecoveryCodes(recoveryCodes)
+      setSetup(null)
+      setCode('')
+      showResult(res.data.message)
+      setReload(r => r + 1)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to enable two-factor authentication'), true)
+    }
   }
 
-  const addToCart = async (productId) => {
-    if (!user) {
-      alert('Please login to add items to cart')
-      return
+  const confirmAction = async (e, action) => {
+    e.preventDefault()
+    try {
+      const res = await api.post(`/users/me/mfa/${action}`, { code: code.trim() })
+      if (action === 'recovery-codes') {
+        setRecoveryCodes(res.data.data.recoveryCodes)
+      } else {
+        updateUser(res.data.data.user)
+        setRecoveryCodes([])
+      }
+      setCode('')
+      showResult(res.data.message)
+      setReload(r => r + 1)
+    } catch (err) {
+      showResult(apiError(err, 'Request failed'), true)
+    }
+  }
+
+  if (!status) return <div className="profile-page">{error || 'Loading...'}</div>
+
+  return (
+    <div className="profile-page">
+      <h2>Two-Factor Authentication</h2>
+      {error && <div className="error">{error}</div>}
+      {message && <div className="success">{message}</div>}
+
+      {recoveryCodes.length > 0 && (
+        <div className="profile-section">
+          <h3>Recovery Codes</h3>
+          <p>Each code can be used once if you lose your authenticator. They will not be shown again.</p>
+          <ul className="recovery-codes">
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}>{recoveryCode}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <div className="profile-section">
+          <p>
+            {status.required
+              ? `Your ${user.role} account needs two-factor authentication to manage the store.`
+              : 'Protect your account with a code from an authenticator app.'}
+          </p>
+          <button onClick={startSetup}>Set Up Authenticator</button>
+        </div>
+      )}
+
+      {setup && (
+        <form className="profile-section" onSubmit={enable}>
+          <h3>Add to your authenticator app</h3>
+          <p>Enter this key in your app, or open the link on a device that has one:</p>
+          <code className="mfa-secret">{setup.secret}</code>
+          <a href={setup.otpauthUri}>Open in authenticator app</a>
+          <input type="text" placeholder="6-digit code" value={code} onChange={e => setCode(e.target.value)} maxLength={6} required />
+          <button type="submit">Enable</button>
+        </form>
+      )}
+
+      {status.enabled && (
+        <form className="profile-section" onSubmit={e => confirmAction(e, 'recovery-codes')}>
+          <h3>Enabled</h3>
+          <p>{status.recoveryCodesRemaining} recovery codes left. Enter a current code to generate new recovery codes or turn two-factor off.</p>
+          <input type="text" placeholder="Authentication code" value={code} onChange={e => setCode(e.target.value)} maxLength={9} required />
+          <button type="submit">New Recovery Codes</button>
+          <button type="button" className="remove-btn" onClick={e => confirmAction(e, 'disable')}>Turn Off</button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+function ProfilePromptBanner() {
+  const { user } = useAuth()
+
+  if (!user || (user.name && user.email)) return null
+
+  return (
+    <div className="notice-banner">
+      Your profile is incomplete. <Link to="/profile">Add your name and email</Link>
+    </div>
+  )
+}
+
+const LOGIN_METHODS = [
+  { type: 'password', label: 'Email and password' },
+  { type: 'phone', label: 'OTP to phone' },
+  { type: 'email', label: 'OTP to email' }
+]
+
+function Profile() {
+  const { user, updateUser, logout } = useAuth()
+  const navigate = useNavigate()
+  const [name, setName] = useState(user.name)
+  const [email, setEmail] = useState(user.email)
+  const [phone, setPhone] = useState(user.phone)
+  const [otps, setOtps] = useState({ email: '', phone: '' })
+  const [currentPassword, setCurrentPassword] = useState('')
+  const [newPassword, setNewPassword] = useState('')
+  const [deletePassword, setDeletePassword] = useState('')
+  const [linking, setLinking] = useState(null)
+  const [linkOtp, setLinkOtp] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const showResult = (text, isError) => {
+    setMessage(isError ? '' : text)
+    setError(isError ? text : '')
+  }
+
+  const handleProfileSubmit = async (e) => {
+    e.preventDefault()
+    // Only send fields that changed; email/phone changes need an OTP
+    const changes = {}
+    if (name !== user.name) changes.name = name
+    if (email !== user.email) changes.email = email
+    if (phone !== user.phone) changes.phone = phone
+    if (Object.keys(changes).length === 0) return
+
+    try {
+      const res = await api.patch(`/users/me`, changes)
+      updateUser(res.data.data.user)
+      showResult(res.data.message)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to update profile'), true)
+    }
+  }
+
+  const confirmChange = async (field) => {
+    try {
+      const res = await api.post(`/users/me/verify-contact`, { field, otp: otps[field] })
+      updateUser(res.data.data.user)
+      setOtps({ ...otps, [field]: '' })
+      showResult(res.data.message)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to confirm change'), true)
     }
+  }
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault()
     try {
-      await axios.post(`${API_URL}/cart/items`, { productId, quantity: 1 })
-      alert('Added to cart!')
+      const res = await api.post(`/users/me/password`, { currentPassword, newPassword })
+      updateUser(res.data.data.user)
+      setCurrentPassword('')
+      setNewPassword('')
+      showResult(res.data.message)
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to add to cart')
+      showResult(apiError(err, 'Failed to change password'), true)
     }
   }
 
+  const startLink = async (type) => {
+    try {
+      const res = await api.post(`/users/me/identities`, { type })
+      setLinking(type)
+      setLinkOtp('')
+      showResult(res.data.message)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to enable login method'), true)
+    }
+  }
+
+  const confirmLink = async () => {
+    try {
+      const res = await api.post(`/users/me/identities/verify`, { type: linking, otp: linkOtp })
+      updateUser(res.data.data.user)
+      setLinking(null)
+      showResult(res.data.message)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to enable login method'), true)
+    }
+  }
+
+  const removeLink = async (type) => {
+    try {
+      const res = await api.delete(`/users/me/identities/${type}`)
+      updateUser(res.data.data.user)
+      showResult(res.data.message)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to remove login method'), true)
+    }
+  }
+
+  const downloadData = async () => {
+    try {
+      const res = await api.get(`/users/me/export`)
+      const blob = new Blob([JSON.stringify(res.data.data, null, 2)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = 'eshop-data.json'
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      showResult(apiError(err, 'Failed to export data'), true)
+    }
+  }
+
+  const deleteAccount = async (e) => {
+    e.preventDefault()
+    if (!window.confirm('Delete your account? You can cancel by logging in again before the deletion date.')) return
+
+    try {
+      const res = await api.delete(`/users/me`, { data: { password: deletePassword } })
+      alert(res.data.message)
+      logout()
+      navigate('/login')
+    } catch (err) {
+      showResult(apiError(err, 'Failed to delete account'), true)
+    }
+  }
+
+  const linked = (type) => user.identities.some(identity => identity.type === type)
+
+  const pending = [
+    { field: 'email', value: user.pendingEmail },
+    { field: 'phone', value: user.pendingPhone }
+  ].filter(change => change.value)
+
+  return (
+    <div className="profile-page">
+      <h2>My Profile</h2>
+      {(!user.name || !user.email) && (
+        <p className="profile-intro">Welcome! Add your name and email so we can send order updates and help you recover your account.</p>
+      )}
+      {error && <div className="error">{error}</div>}
+      {message && <div className="success">{message}</div>}
+
+      <form className="profile-section" onSubmit={handleProfileSubmit}>
+        <h3>Details</h3>
+        <input type="text" placeholder="Name" value={name} onChange={e => setName(e.target.value)} />
+        <input type="email" placeholder="Email" value={email} onChange={e => setEmail(e.target.value)} />
+        <input type="tel" placeholder="Phone Number" value={phone} onChange={e => setPhone(e.target.value)} />
+        <button type="submit">Save Changes</button>
+      </form>
+
+      {pending.map(change => (
+        <div key={change.field} className="profile-section">
+          <h3>Confirm new {change.field}</h3>
+          <p>Enter the OTP sent to {change.value}</p>
+          <input
+            type="text"
+            placeholder="Enter OTP"
+            value={otps[change.field]}
+            onChange={e => setOtps({ ...otps, [change.field]: e.target.value })}
+            maxLength={6}
+          />
+          <button onClick={() => confirmChange(change.field)}>Confirm</button>
+        </div>
+      ))}
+
+      <div className="profile-section">
+        <h3>Login Methods</h3>
+        {LOGIN_METHODS.map(method => (
+          <div key={method.type} className="login-method">
+            <span>{method.label}</span>
+            {linked(method.type) ? (
+              <button
+                className="remove-btn"
+                onClick={() => removeLink(method.type)}
+                disabled={user.identities.length === 1}
+              >
+                Remove
+              </button>
+            ) : method.type === 'password' ? (
+              <span className="login-method-hint">Set a password below</span>
+            ) : (
+              <button onClick={() => startLink(method.type)}>Enable</button>
+            )}
+          </div>
+        ))}
+        {linking && (
+          <>
+            <input type="text" placeholder="Enter OTP" value={linkOtp} onChange={e => setLinkOtp(e.target.value)} maxLength={6} />
+            <button onClick={confirmLink}>Confirm</button>
+          </>
+        )}
+      </div>
+
+      <form className="profile-section" onSubmit={handlePasswordSubmit}>
+        <h3>{user.hasPassword ? 'Change Password' : 'Set a Password'}</h3>
+        {user.hasPassword && (
+          <input type="password" placeholder="Current Password" value={currentPassword} onChange={e => setCurrentPassword(e.target.value)} required />
+        )}
+        <input type="password" placeholder="New Password" value={newPassword} onChange={e => setNewPassword(e.target.value)} required />
+        <button type="submit">{user.hasPassword ? 'Change Password' : 'Set Password'}</button>
+      </form>
+
+      <div className="profile-section">
+        <h3>Your Data</h3>
+        <p>Download a copy of your profile, sessions, cart, orders and payments.</p>
+        <button onClick={downloadData}>Download My Data</button>
+      </div>
+
+      {!user.deletion?.scheduledFor && (
+        <form className="profile-section" onSubmit={deleteAccount}>
+          <h3>Delete Account</h3>
+          <p>Your account is deleted after a grace period. Your orders are kept without your personal details.</p>
+          {user.hasPassword && (
+            <input type="password" placeholder="Password" value={deletePassword} onChange={e => setDeletePassword(e.target.value)} required />
+          )}
+          <button type="submit" className="remove-btn">Delete My Account</button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+// Nested category links; the selected category is highlighted
+function CategoryNav({ nodes, active, onSelect }) {
+  return (
+    <ul>
+      {nodes.map(node => (
+        <li key={node._id}>
+          <button type="button" className={node.slug === active ? 'active' : ''} onClick={() => onSelect(node.slug)}>
+            {node.name}
+          </button>
+          {node.children.length > 0 && <CategoryNav nodes={node.children} active={active} onSelect={onSelect} />}
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+// Search input with a suggestion dropdown. Suggestions are fetched once
+// typing pauses and can be picked with the arrow keys and Enter.
+function SearchBox({ value, onChange, onSearch, onSelectCategory }) {
+  const [suggestions, setSuggestions] = useState(null)
+  const [active, setActive] = useState(-1)
+  const [open, setOpen] = useState(false)
+  const query = value.trim()
+
+  useEffect(() => {
+    if (!open || !query) return
+    let current = true
+    const timer = setTimeout(() => {
+      api.get('/products/suggest', { params: { q: query } })
+        .then(res => {
+          if (!current) return
+          setSuggestions(res.data.data)
+          setActive(-1)
+        })
+        .catch(err => console.error(err))
+    }, 200)
+    return () => {
+      current = false
+      clearTimeout(timer)
+    }
+  }, [open, query])
+
+  const items = suggestions ? [
+    ...suggestions.queries.map(item => ({ kind: 'Search', label: item.query, value: item.query })),
+    ...suggestions.products.map(item => ({ kind: 'Product', label: item.name, value: item.name })),
+    ...suggestions.categories.map(item => ({ kind: 'Category', label: item.name, value: item.slug }))
+  ] : []
+  const visible = open && query !== '' && items.length > 0
+
+  const choose = (item) => {
+    setOpen(false)
+    if (item.kind === 'Category') {
+      onSelectCategory(item.value)
+    } else {
+      onChange(item.value)
+      onSearch(item.value)
+    }
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && visible && active >= 0) {
+      e.preventDefault()
+      choose(items[active])
+    } else if (e.key === 'Enter' || e.key === 'Escape') {
+      setOpen(false)
+    } else if (visible && e.key === 'ArrowDown') {
+      e.preventDefault()
+      setActive(i => (i + 1) % items.length)
+    } else if (visible && e.key === 'ArrowUp') {
+      e.preventDefault()
+      setActive(i => (i <= 0 ? items.length : i) - 1)
+    }
+  }
+
+  return (
+    <div className="search-box">
+      <input
+        type="text"
+        placeholder="Search products..."
+        value={value}
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={visible}
+        aria-controls="search-suggestions"
+        aria-activedescendant={visible && active >= 0 ? `suggestion-${active}` : undefined}
+        onChange={e => {
+          onChange(e.target.value)
+          setOpen(true)
+        }}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+      />
+      {visible && (
+        <ul id="search-suggestions" className="suggestions" role="listbox">
+          {items.map((item, index) => (
+            <li
+              key={`${item.kind}-${index}`}
+              id={`suggestion-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : ''}
+              // Keep focus in the input so the list is not closed before the click
+              onMouseDown={e => e.preventDefault()}
+              onClick={() => choose(item)}
+              onMouseEnter={() => setActive(index)}
+            >
+              {item.label}
+              <span className="kind">{item.kind}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Search result text with the matching words marked
+function Highlighted({ segments }) {
+  return segments.map((segment, index) => (
+    segment.match ? <mark key={index}>{segment.text}</mark> : <span key={index}>{segment.text}</span>
+  ))
+}
+
+// Filters for the current product query with result counts per facet
+// An uploaded image in one of its stored sizes (thumb, medium, large), as WebP when the browser supports it
+function ProductImage({ image, size = 'medium', alt, className }) {
+  const file = image.sizes.find(entry => entry.name === size) || image.sizes[0]
+  return (
+    <picture className={className}>
+      <source srcSet={file.webp} type="image/webp" />
+      <img src={file.url} alt={alt} width={file.width} height={file.height} loading="lazy" />
+    </picture>
+  )
+}
+
+// Product images in their stored order, with thumbnails to switch between them
+function Gallery({ images, alt, size = 'medium' }) {
+  const [index, setIndex] = useState(0)
+  if (!images?.length) return null
+  const current = Math.min(index, images.length - 1)
+
+  return (
+    <div className={`gallery gallery-${size}`}>
+      <ProductImage image={images[current]} size={size} alt={alt} className="gallery-main" />
+      {images.length > 1 && (
+        <div className="gallery-thumbs">
+          {images.map((image, i) => (
+            <button
+              key={image._id}
+              type="button"
+              className={i === current ? 'active' : ''}
+              aria-label={`Image ${i + 1} of ${images.length}`}
+              aria-current={i === current}
+              onClick={() => setIndex(i)}
+            >
+              <ProductImage image={image} size="thumb" alt="" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function FilterPanel({ facets, params, attributeValues, onChange, onToggleAttribute, onSelectCategory }) {
+  const minPrice = params.get('minPrice') || ''
+  const maxPrice = params.get('maxPrice') || ''
+
+  const applyPrice = (e) => {
+    e.preventDefault()
+    const form = new FormData(e.target)
+    onChange({ minPrice: form.get('minPrice'), maxPrice: form.get('maxPrice') })
+  }
+
+  return (
+    <div className="filter-panel">
+      <section>
+        <h4>Price</h4>
+        {facets?.prices.map(bucket => {
+          const active = minPrice === String(bucket.min) && maxPrice === String(bucket.max ?? '')
+          return (
+            <button
+              key={bucket.min}
+              type="button"
+              className={active ? 'active' : ''}
+              onClick={() => onChange(active ? { minPrice: '', maxPrice: '' } : { minPrice: bucket.min, maxPrice: bucket.max })}
+            >
+              {bucket.max == null ? `₹ ${bucket.min}+` : `₹ ${bucket.min} – ${bucket.max}`} ({bucket.count})
+            </button>
+          )
+        })}
+        {/* Keyed by the URL values so the inputs reset when the range changes elsewhere */}
+        <form key={`${minPrice}-${maxPrice}`} className="price-range" onSubmit={applyPrice}>
+          <input type="number" name="minPrice" min="0" placeholder="Min" defaultValue={minPrice} />
+          <input type="number" name="maxPrice" min="0" placeholder="Max" defaultValue={maxPrice} />
+          <button type="submit">Go</button>
+        </form>
+      </section>
+
+      <section>
+        <label className="checkbox">
+          <input
+            type="checkbox"
+            checked={params.get('inStock') === 'true'}
+            onChange={e => onChange({ inStock: e.target.checked ? 'true' : '' })}
+          />
+          In stock only
+        </label>
+      </section>
+
+      {facets?.categories.length > 1 && (
+        <section>
+          <h4>Category</h4>
+          {facets.categories.map(facet => (
+            <button key={facet._id} type="button" onClick={() => onSelectCategory(facet.slug)}>
+              {facet.name} ({facet.count})
+            </button>
+          ))}
+        </section>
+      )}
+
+      {facets?.attributes.map(attribute => (
+        <section key={attribute.name}>
+          <h4>{attribute.name}</h4>
+          {attribute.values.map(({ value, count }) => (
+            <label key={value} className="checkbox">
+              <input
+                type="checkbox"
+                checked={attributeValues(attribute.name).includes(value)}
+                onChange={() => onToggleAttribute(attribute.name, value)}
+              />
+              {value} ({count})
+            </label>
+          ))}
+        </section>
+      ))}
+    </div>
+  )
+}
+
+function Products() {
+  // Filters live in the URL so a filtered view can be bookmarked and shared
+  const [searchParams, setSearchParams] = useSearchParams()
+  const query = searchParams.toString()
+  const category = searchParams.get('category') || ''
+  const page = Number(searchParams.get('page')) || 1
+  const [search, setSearch] = useState(searchParams.get('search') || '')
+  const [results, setResults] = useState({ products: [], pagination: { totalPages: 1 }, facets: null })
+  const [loadedQuery, setLoadedQuery] = useState(null)
+  // Infinite scroll loads following pages with cursors instead of page numbers
+  const [infinite, setInfinite] = useState(() => localStorage.getItem('productsView') === 'scroll')
+  const [loadingMore, setLoadingMore] = useState(false)
+  const sentinel = useRef(null)
+  const [tree, setTree] = useState([])
+  const [crumbs, setCrumbs] = useState({ slug: '', trail: [] })
+  // Chosen option values per product, e.g. { [productId]: { size: 'M' } }
+  const [choices, setChoices] = useState({})
+  const { user } = useAuth()
+  const { products, pagination: { total, totalPages, nextCursor }, facets } = results
+  const loading = loadedQuery !== `${infinite}:${query}`
+
+  useEffect(() => {
+    let current = true
+    const params = Object.fromEntries(new URLSearchParams(query))
+    if (infinite) delete params.page
+    api.get('/products', { params: { ...params, limit: 8 } })
+      .then(res => current && setResults({ ...res.data.data, query }))
+      .catch(err => console.error(err))
+      .finally(() => current && setLoadedQuery(`${infinite}:${query}`))
+    return () => { current = false }
+  }, [query, infinite])
+
+  // Append the page after the last loaded product; facets stay those of the first page
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return
+    setLoadingMore(true)
+    const params = Object.fromEntries(new URLSearchParams(query))
+    delete params.page
+    api.get('/products', { params: { ...params, cursor: nextCursor, limit: 8 } })
+      .then(res => setResults(prev => prev.query !== query ? prev : {
+        ...prev,
+        products: [...prev.products, ...res.data.data.products],
+        pagination: { ...prev.pagination, nextCursor: res.data.data.pagination.nextCursor }
+      }))
+      .catch(err => console.error(err))
+      .finally(() => setLoadingMore(false))
+  }
+
+  // Load more when the end of the list scrolls into view
+  useEffect(() => {
+    if (!infinite || !sentinel.current) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) loadMore()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel.current)
+    return () => observer.disconnect()
+  })
+
+  useEffect(() => {
+    api.get('/categories/tree')
+      .then(res => setTree(res.data.data.tree))
+      .catch(err => console.error(err))
+  }, [])
+
+  useEffect(() => {
+    if (!category) return
+    api.get(`/categories/${category}`)
+      .then(res => setCrumbs({ slug: category, trail: res.data.data.breadcrumbs }))
+      .catch(err => console.error(err))
+  }, [category])
+
+  // Set or clear (empty value) query params; any filter change goes back to page 1
+  const updateParams = (changes) => {
+    setSearchParams(prev => {
+      const next = new URLSearchParams(prev)
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value === '' || value == null) next.delete(key)
+        else next.set(key, value)
+      })
+      if (!('page' in changes)) next.delete('page')
+      return next
+    })
+  }
+
+  const selectCategory = (slug) => updateParams({ category: slug })
+
+  const setPage = (value) => updateParams({ page: value > 1 ? value : '' })
+
+  const toggleView = () => {
+    localStorage.setItem('productsView', infinite ? 'pages' : 'scroll')
+    setInfinite(!infinite)
+    if (!infinite) setPage(1)
+  }
+
+  const runSearch = (text) => updateParams({ search: text.trim() })
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    runSearch(search)
+  }
+
+  // A category picked from the suggestions replaces the search
+  const searchCategory = (slug) => {
+    setSearch('')
+    updateParams({ category: slug, search: '' })
+  }
+
+  // Sort choices are "field:order"; empty means best match when searching, newest otherwise
+  const sortBy = searchParams.get('sortBy')
+  const sort = sortBy ? `${sortBy}:${searchParams.get('sortOrder') || 'desc'}` : ''
+  const changeSort = (value) => {
+    const [field, order] = value.split(':')
+    updateParams({ sortBy: field, sortOrder: order })
+  }
+
+  // Attribute filters are comma-separated values, e.g. attr.size=M,L
+  const attributeValues = (name) => (searchParams.get(`attr.${name}`) || '').split(',').filter(Boolean)
+
+  const toggleAttribute = (name, value) => {
+    const values = attributeValues(name)
+    const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value]
+    updateParams({ [`attr.${name}`]: next.join(',') })
+  }
+
+  const filtered = [...searchParams.keys()].some(key => key !== 'page')
+
+  const choose = (productId, option, value) =>
+    setChoices(c => ({ ...c, [productId]: { ...c[productId], [option]: value } }))
+
   return (
     <div className="products-page">
       <h2>Products</h2>
       <form className="search-form" onSubmit={handleSearch}>
-        <input type="text" placeholder="Search products..." value={search} onChange={e => setSearch(e.target.value)} />
+        <SearchBox value={search} onChange={setSearch} onSearch={runSearch} onSelectCategory={searchCategory} />
         <button type="submit">Search</button>
+        <select value={sort} onChange={e => changeSort(e.target.value)} aria-label="Sort by">
+          <option value="">{searchParams.get('search') ? 'Best match' : 'Newest'}</option>
+          {searchParams.get('search') && <option value="createdAt:desc">Newest</option>}
+          <option value="price:asc">Price: low to high</option>
+          <option value="price:desc">Price: high to low</option>
+          <option value="name:asc">Name</option>
+        </select>
       </form>
-      
-      {loading ? <p>Loading...</p> : (
-        <>
-          <div className="products-grid">
-            {products.map(product => (
-              <div key={product._id} className="product-card">
-                <h3>{product.name}</h3>
-                <p className="description">{product.description}</p>
-                <p className="price">₹ {product.price}</p>
-                <p className="category">{product.category}</p>
-                <p className="stock">Stock: {product.stock}</p>
-                <button onClick={() => addToCart(product._id)}>Add to Cart</button>
+
+      {category && crumbs.slug === category && (
+        <nav className="breadcrumbs">
+          <button type="button" onClick={() => selectCategory('')}>All</button>
+          {crumbs.trail.map(crumb => (
+            <span key={crumb._id}>
+              {' › '}
+              <button type="button" onClick={() => selectCategory(crumb.slug)}>{crumb.name}</button>
+            </span>
+          ))}
+        </nav>
+      )}
+
+      <div className="catalog">
+        <aside className="catalog-sidebar">
+          {tree.length > 0 && (
+            <div className="category-nav">
+              <button type="button" className={category ? '' : 'active'} onClick={() => selectCategory('')}>All products</button>
+              <CategoryNav nodes={tree} active={category} onSelect={selectCategory} />
+            </div>
+          )}
+          <FilterPanel
+            facets={facets}
+            params={searchParams}
+            attributeValues={attributeValues}
+            onChange={updateParams}
+            onToggleAttribute={toggleAttribute}
+            onSelectCategory={selectCategory}
+          />
+          {filtered && (
+            <button type="button" className="clear-filters" onClick={() => { setSearch(''); setSearchParams({}) }}>Clear all filters</button>
+          )}
+        </aside>
+
+        <div className="catalog-results">
+          {loading ? <p>Loading...</p> : (
+            <>
+              <div className="results-bar">
+                <span>{total} {total === 1 ? 'product' : 'products'}</span>
+                <button type="button" onClick={toggleView}>{infinite ? 'Show pages' : 'Infinite scroll'}</button>
+              </div>
+              <div className="products-grid">
+                {products.map(product => {
+                  const hasVariants = product.variants?.length > 0
+                  const variant = hasVariants ? findVariant(product, choices[product._id]) : null
+                  const stock = variant ? variant.stock : product.stock
+                  return (
+                    <div key={product._id} className="product-card">
+                      {variant?.images?.[0] ? (
+                        <img className="variant-image" src={variant.images[0]} alt={variantLabel(variant.attributes)} />
+                      ) : product.images?.length > 0 ? (
+                        <Gallery images={product.images} alt={product.name} />
+                      ) : product.image && (
+                        <img className="variant-image" src={product.image} alt={product.name} />
+                      )}
+                      <h3>
+                        <Link to={`/products/${product._id}`}>
+                          {product.highlight ? <Highlighted segments={product.highlight.name} /> : product.name}
+                        </Link>
+                      </h3>
+                      <p className="description">
+                        {product.highlight ? <Highlighted segments={product.highlight.description} /> : product.description}
+                      </p>
+                      <p className="price">₹ {variant?.price ?? product.price}</p>
+                      <p className="category">{product.category?.name}</p>
+                      {hasVariants && (
+                        <div className="variant-picker">
+                          {product.options.map(option => (
+                            <label key={option.name}>
+                              {option.name}
+                              <select value={choices[product._id]?.[option.name] || ''} onChange={e => choose(product._id, option.name, e.target.value)}>
+                                <option value="">Choose...</option>
+                                {option.values.map(value => <option key={value} value={value}>{value}</option>)}
+                              </select>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      <p className="stock">
+                        {hasVariants && !variant ? 'Choose options to see availability' : `Stock: ${stock}`}
+                      </p>
+                      <button disabled={(hasVariants && !variant) || stock === 0} onClick={() => addToCart(user, product._id, variant?._id)}>
+                        {stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+                      </button>
+                    </div>
+                  )
+                })}
               </div>
-            ))}
-          </div>
           
-          {products.length === 0 && <p>No products found</p>}
+              {products.length === 0 && <p>No products found</p>}
           
-          {totalPages > 1 && (
-            <div className="pagination">
-              <button disabled={page === 1} onClick={() => setPage(p => p - 1)}>Previous</button>
-              <span>Page {page} of {totalPages}</span>
-              <button disabled={page === totalPages} onClick={() => setPage(p => p + 1)}>Next</button>
+              {infinite && nextCursor && (
+                <div className="load-more" ref={sentinel}>
+                  {loadingMore ? <p>Loading more...</p> : <button type="button" onClick={loadMore}>Load more</button>}
+                </div>
+              )}
+
+              {!infinite && totalPages > 1 && (
+                <div className="pagination">
+                  <button disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+                  <span>Page {page} of {totalPages}</span>
+                  <button disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ProductDetail() {
+  const { id } = useParams()
+  const [result, setResult] = useState({ id: null, product: null, breadcrumbs: [], error: '' })
+  // Chosen option values per product, e.g. { [productId]: { size: 'M' } }
+  const [choices, setChoices] = useState({})
+  const { user } = useAuth()
+  const { product, breadcrumbs, error } = result
+  const choice = choices[id] || {}
+  const loading = result.id !== id
+
+  useEffect(() => {
+    let current = true
+    api.get(`/products/${id}`)
+      .then(res => current && setResult({ id, ...res.data.data, error: '' }))
+      .catch(err => current && setResult({ id, product: null, breadcrumbs: [], error: apiError(err, 'Failed to load product') }))
+    return () => { current = false }
+  }, [id])
+
+  if (loading) return <p>Loading...</p>
+  if (error) return <div className="product-detail"><div className="error">{error}</div><Link to="/">Back to products</Link></div>
+
+  const hasVariants = product.variants?.length > 0
+  const variant = hasVariants ? findVariant(product, choice) : null
+  const stock = variant ? variant.stock : product.stock
+
+  return (
+    <div className="product-detail">
+      <nav className="breadcrumbs">
+        <Link to="/">All</Link>
+        {breadcrumbs.map(crumb => (
+          <span key={crumb._id}>
+            {' › '}
+            <Link to={`/?category=${crumb.slug}`}>{crumb.name}</Link>
+          </span>
+        ))}
+      </nav>
+
+      <div className="product-detail-body">
+        <div className="product-detail-media">
+          {product.images?.length > 0 ? (
+            <Gallery key={product._id} images={product.images} alt={product.name} size="large" />
+          ) : product.image && (
+            <img className="product-detail-image" src={product.image} alt={product.name} />
+          )}
+          {variant?.images?.length > 0 && (
+            <div className="variant-images">
+              {variant.images.map(url => <img key={url} src={url} alt={variantLabel(variant.attributes)} />)}
             </div>
           )}
-        </>
-      )}
+        </div>
+
+        <div className="product-detail-info">
+          <h2>{product.name}</h2>
+          <p className="price">₹ {variant?.price ?? product.price}</p>
+          <p className="description">{product.description}</p>
+          {hasVariants && (
+            <div className="variant-picker">
+              {product.options.map(option => (
+                <label key={option.name}>
+                  {option.name}
+                  <select value={choice[option.name] || ''} onChange={e => setChoices(c => ({ ...c, [id]: { ...choice, [option.name]: e.target.value } }))}>
+                    <option value="">Choose...</option>
+                    {option.values.map(value => <option key={value} value={value}>{value}</option>)}
+                  </select>
+                </label>
+              ))}
+            </div>
+          )}
+          <p className="stock">
+            {hasVariants && !variant ? 'Choose options to see availability' : `Stock: ${stock}`}
+          </p>
+          <button disabled={(hasVariants && !variant) || stock === 0} onClick={() => addToCart(user, product._id, variant?._id)}>
+            {stock === 0 ? 'Out of Stock' : 'Add to Cart'}
+          </button>
+        </div>
+      </div>
     </div>
   )
 }
@@ -291,6 +1409,7 @@ function Products() {
 function Cart() {
   const [cart, setCart] = useState(null)
   const [loading, setLoading] = useState(true)
+  const navigate = useNavigate()
 
   useEffect(() => {
     fetchCart()
@@ -298,7 +1417,7 @@ function Cart() {
 
   const fetchCart = async () => {
     try {
-      const res = await axios.get(`${API_URL}/cart`)
+      const res = await api.get(`/cart`)
       setCart(res.data.data.cart)
     } catch (err) {
       console.error(err)
@@ -306,30 +1425,43 @@ function Cart() {
     setLoading(false)
   }
 
-  const updateQuantity = async (productId, quantity) => {
+  // Cart lines are addressed by product, plus variant for products with variants
+  const itemPath = (item) => `/cart/items/${item.product._id}${item.variant ? `/${item.variant}` : ''}`
+
+  const updateQuantity = async (item, quantity) => {
     try {
-      await axios.put(`${API_URL}/cart/items/${productId}`, { quantity })
+      await api.put(itemPath(item), { quantity })
       fetchCart()
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to update quantity')
+      alert(apiError(err, 'Failed to update quantity'))
     }
   }
 
-  const removeItem = async (productId) => {
+  const removeItem = async (item) => {
     try {
-      await axios.delete(`${API_URL}/cart/items/${productId}`)
+      await api.delete(itemPath(item))
       fetchCart()
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to remove item')
+      alert(apiError(err, 'Failed to remove item'))
     }
   }
 
   const clearCart = async () => {
     try {
-      await axios.delete(`${API_URL}/cart`)
+      await api.delete(`/cart`)
       fetchCart()
     } catch (err) {
-      alert(err.response?.data?.message || 'Failed to clear cart')
+      alert(apiError(err, 'Failed to clear cart'))
+    }
+  }
+
+  const checkout = async () => {
+    try {
+      const res = await api.post(`/orders/checkout`)
+      alert(`Order ${res.data.data.orderNumber} placed!`)
+      navigate('/orders')
+    } catch (err) {
+      alert(apiError(err, 'Checkout failed'))
     }
   }
 
@@ -348,13 +1480,18 @@ function Cart() {
               <div key={item._id} className="cart-item">
                 <div className="item-info">
                   <h3>{item.product?.name || 'Product'}</h3>
+                  {item.variant && (
+                    <p className="variant">
+                      {variantLabel(item.product?.variants?.find(v => v._id === item.variant)?.attributes) || 'Option no longer available'}
+                    </p>
+                  )}
                   <p className="price">₹{item.price}</p>
                 </div>
                 <div className="item-actions">
-                  <button onClick={() => updateQuantity(item.product._id, item.quantity - 1)}>-</button>
+                  <button onClick={() => updateQuantity(item, item.quantity - 1)}>-</button>
                   <span>{item.quantity}</span>
-                  <button onClick={() => updateQuantity(item.product._id, item.quantity + 1)}>+</button>
-                  <button className="remove-btn" onClick={() => removeItem(item.product._id)}>Remove</button>
+                  <button onClick={() => updateQuantity(item, item.quantity + 1)}>+</button>
+                  <button className="remove-btn" onClick={() => removeItem(item)}>Remove</button>
                 </div>
               </div>
             ))}
@@ -363,6 +1500,7 @@ function Cart() {
           <div className="cart-summary">
             <p>Total Items: {cart.totalQuantity}</p>
             <p>Total Price: ₹{cart.totalPrice}</p>
+            <button className="checkout-btn" onClick={checkout}>Checkout</button>
             <button className="clear-btn" onClick={clearCart}>Clear Cart</button>
           </div>
         </>
@@ -371,6 +1509,138 @@ function Cart() {
   )
 }
 
+function Orders() {
+  const [orders, setOrders] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reload, setReload] = useState(0)
+
+  useEffect(() => {
+    api.get(`/orders`)
+      .then(res => setOrders(res.data.data.orders))
+      .catch(err => console.error(err))
+      .finally(() => setLoading(false))
+  }, [reload])
+
+  const cancelOrder = async (orderId) => {
+    try {
+      await api.post(`/orders/${orderId}/cancel`)
+      setReload(r => r + 1)
+    } catch (err) {
+      alert(apiError(err, 'Failed to cancel order'))
+    }
+  }
+
+  const payOrder = async (orderId) => {
+    try {
+      const res = await api.post(`/orders/${orderId}/pay`)
+      const confirm = await api.post(`/payments/${res.data.data.payment._id}/confirm`, {
+        paymentMethod: 'mock_card_success'
+      })
+      alert(confirm.data.message)
+      setReload(r => r + 1)
+    } catch (err) {
+      alert(apiError(err, 'Payment failed'))
+    }
+  }
+
+  if (loading) return <div className="orders-page">Loading...</div>
+
+  return (
+    <div className="orders-page">
+      <h2>My Orders</h2>
+
+      {orders.length === 0 ? (
+        <p>You have no orders yet</p>
+      ) : (
+        <div className="orders-list">
+          {orders.map(order => (
+            <div key={order._id} className="order-card">
+              <div className="order-header">
+                <h3>{order.orderNumber}</h3>
+                <span className={`order-status status-${order.status}`}>{order.status}</span>
+              </div>
+              <p className="order-date">{new Date(order.createdAt).toLocaleString()}</p>
+              <ul className="order-items">
+                {order.items.map(item => (
+                  <li key={item._id}>{item.name}{item.attributes && ` (${variantLabel(item.attributes)})`} × {item.quantity} — ₹{item.subtotal}</li>
+                ))}
+              </ul>
+              <p className="order-total">Total: ₹{order.totalPrice}</p>
+              {order.status === 'pending' && (
+                <div className="order-actions">
+                  <button className="pay-btn" onClick={() => payOrder(order._id)}>Pay Now</button>
+                  <button className="cancel-btn" onClick={() => cancelOrder(order._id)}>Cancel Order</button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+function Sessions() {
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [reload, setReload] = useState(0)
+
+  useEffect(() => {
+    api.get(`/users/sessions`)
+      .then(res => setSessions(res.data.data.sessions))
+      .catch(err => console.error(err))
+      .finally(() => setLoading(false))
+  }, [reload])
+
+  const revokeSession = async (sessionId) => {
+    try {
+      await api.delete(`/users/sessions/${sessionId}`)
+      setReload(r => r + 1)
+    } catch (err) {
+      alert(apiError(err, 'Failed to revoke session'))
+    }
+  }
+
+  const revokeOthers = async () => {
+    try {
+      await api.post(`/users/sessions/revoke-others`)
+      setReload(r => r + 1)
+    } catch (err) {
+      alert(apiError(err, 'Failed to revoke sessions'))
+    }
+  }
+
+  if (loading) return <div className="sessions-page">Loading...</div>
+
+  return (
+    <div className="sessions-page">
+      <h2>Active Sessions</h2>
+
+      <div className="session-list">
+        {sessions.map(session => (
+          <div key={session.id} className="session-card">
+            <div className="session-info">
+              <h3>{session.userAgent || 'Unknown device'}</h3>
+              <p>IP: {session.ip || 'unknown'}</p>
+              <p>Signed in: {new Date(session.createdAt).toLocaleString()}</p>
+              <p>Last active: {new Date(session.lastUsedAt).toLocaleString()}</p>
+            </div>
+            {session.current ? (
+              <span className="current-badge">This device</span>
+            ) : (
+              <button className="remove-btn" onClick={() => revokeSession(session.id)}>Log out</button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {sessions.length > 1 && (
+        <button className="revoke-others-btn" onClick={revokeOthers}>Log out everywhere else</button>
+      )}
+    </div>
+  )
+}
+
 function Header() {
   const { user, logout } = useAuth()
   const navigate = useNavigate()
@@ -386,9 +1656,12 @@ function Header() {
       <nav>
         <Link to="/">Products</Link>
         {user && <Link to="/cart">Cart</Link>}
+        {user && <Link to="/orders">Orders</Link>}
+        {user && <Link to="/sessions">Sessions</Link>}
+        {user && <Link to="/security">Security</Link>}
         {user ? (
           <>
-            <span className="user-name">Hello, {user.name}</span>
+            <Link to="/profile" className="user-name">Hello, {user.name || user.phone}</Link>
             <button onClick={handleLogout}>Logout</button>
           </>
         ) : (
@@ -413,16 +1686,44 @@ function App() {
       <BrowserRouter future={{ v7_startTransition: true }}>
         <div className="app">
           <Header />
+          <DeletionBanner />
+          <EmailVerificationBanner />
+          <ProfilePromptBanner />
+          <TwoFactorBanner />
           <main className="main-content">
             <Routes>
               <Route path="/login" element={<Login />} />
               <Route path="/register" element={<Register />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/" element={<Products />} />
+              <Route path="/products/:id" element={<ProductDetail />} />
               <Route path="/cart" element={
                 <ProtectedRoute>
                   <Cart />
                 </ProtectedRoute>
               } />
+              <Route path="/orders" element={
+                <ProtectedRoute>
+                  <Orders />
+                </ProtectedRoute>
+              } />
+              <Route path="/sessions" element={
+                <ProtectedRoute>
+                  <Sessions />
+                </ProtectedRoute>
+              } />
+              <Route path="/profile" element={
+                <ProtectedRoute>
+                  <Profile />
+                </ProtectedRoute>
+              } />
+              <Route path="/security" element={
+                <ProtectedRoute>
+                  <Security />
+                </ProtectedRoute>
+              } />
             </Routes>
           </main>
         </div>
@@ -0,0 +1,120 @@
+import axios from 'axios'
+
+// Shared API client. The refresh token is an HttpOnly cookie (cookie mode) and
+// the access token lives only in memory here. Axios echoes the XSRF-TOKEN
+// cookie as the X-XSRF-TOKEN header on its own.
+const api = axios.create({
+  baseURL: '/api',
+  headers: { 'X-Auth-Mode': 'cookie' }
+})
+
+let accessToken = null
+let refreshing = null
+const listeners = new Set()
+
+// Tabs share the refresh cookie, so they also share new tokens and logouts
+const channel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('auth')
+
+const applyAccessToken = (token) => {
+  if (token === accessToken) return false
+  accessToken = token
+  listeners.forEach(listener => listener(token))
+  return true
+}
+
+channel?.addEventListener('message', (event) => applyAccessToken(event.data.accessToken))
+
+export const getAccessToken = () => accessToken
+
+// Set the token after a login, an upgrade or a logout (null) and tell the other tabs
+export const setAccessToken = (token) => {
+  if (applyAccessToken(token)) {
+    channel?.postMessage({ accessToken: token })
+  }
+}
+
+// Subscribe to token changes from this tab or others; returns an unsubscribe function
+export const onAccessTokenChange = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Exchange the refresh cookie for a new access token. The lock makes tabs take
+// turns: rotating the same cookie twice looks like token theft to the server,
+// which then ends the session.
+const requestAccessToken = (staleToken) => {
+  const refresh = async () => {
+    // Another tab may have refreshed while this one waited for the lock
+    if (accessToken && accessToken !== staleToken) return accessToken
+    const res = await api.post('/users/refresh-token', null, { skipAuthRefresh: true })
+    return res.data.data.accessToken
+  }
+  return navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh()
+}
+
+// Refresh once for all callers. The session only ends when the server rejects
+// the refresh, not when the network is down.
+export const refreshAccessToken = () => {
+  if (!refreshing) {
+    refreshing = requestAccessToken(accessToken)
+      .then(token => {
+        setAccessToken(token)
+        return token
+      })
+      .catch(error => {
+        if (error.response) setAccessToken(null)
+        throw error
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+// Log out this device. The local session ends right away; if the access token
+// has expired it is renewed for the logout call, otherwise the cookie would
+// still be valid.
+export const endSession = async () => {
+  const token = accessToken
+  setAccessToken(null)
+  if (!token) return
+
+  const logout = (bearer) => api.post('/users/logout', {}, {
+    headers: { Authorization: `Bearer ${bearer}` },
+    skipAuthRefresh: true
+  })
+  try {
+    await logout(token)
+  } catch (error) {
+    if (error.response?.status !== 401) return
+    await logout(await requestAccessToken(null)).catch(() => {})
+  }
+}
+
+api.interceptors.request.use(config => {
+  if (accessToken && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${accessToken}`
+  }
+  return config
+})
+
+// Refresh on 401 and retry. Requests that fail while a refresh is running
+// wait for it, so only one refresh happens at a time.
+api.interceptors.response.use(null, async (error) => {
+  const { config, response } = error
+  const sentToken = config?.headers?.Authorization?.replace(/^Bearer /, '')
+  if (response?.status !== 401 || !sentToken || config.skipAuthRefresh || config.retried) {
+    throw error
+  }
+
+  config.retried = true
+  // The token may already have been refreshed by an earlier request
+  const token = accessToken && accessToken !== sentToken
+    ? accessToken
+    : await refreshAccessToken().catch(() => { throw error })
+  config.headers.Authorization = `Bearer ${token}`
+  return api(config)
+})
+
+export default api
@@ -0,0 +1,167 @@
+import { test, describe, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import { AxiosError } from 'axios'
+
+// Stand-ins for the browser APIs the client uses. The channel keeps what this
+// tab posts and lets a test deliver messages from "other tabs".
+const channels = []
+globalThis.BroadcastChannel = class extends EventTarget {
+  constructor(name) {
+    super()
+    this.name = name
+    this.posted = []
+    channels.push(this)
+  }
+
+  postMessage(data) {
+    this.posted.push(data)
+  }
+}
+globalThis.navigator = {}
+
+const { default: api, getAccessToken, setAccessToken, onAccessTokenChange, refreshAccessToken, endSession } = await import('../src/api.js')
+const [channel] = channels
+
+// Every request goes to `server(config)`, which returns [status, data]
+let server
+let requests
+api.defaults.adapter = async (config) => {
+  requests.push({ url: config.url, authorization: config.headers.Authorization })
+  const [status, data] = await server(config)
+  const response = { status, statusText: String(status), data, headers: {}, config, request: {} }
+  if (status >= 400) {
+    throw new AxiosError(`Request failed with status code ${status}`, AxiosError.ERR_BAD_REQUEST, config, {}, response)
+  }
+  return response
+}
+
+const tokenResponse = (accessToken) => [200, { success: true, data: { accessToken } }]
+
+beforeEach(() => {
+  setAccessToken(null)
+  channel.posted = []
+  requests = []
+})
+
+describe('API client', () => {
+  test('sends the access token and the cookie auth mode', async () => {
+    setAccessToken('token-1')
+    server = (config) => [200, { mode: config.headers['X-Auth-Mode'] }]
+
+    const res = await api.get('/users/me')
+
+    assert.equal(res.data.mode, 'cookie')
+    assert.deepEqual(requests, [{ url: '/users/me', authorization: 'Bearer token-1' }])
+  })
+
+  test('refreshes once for parallel requests that get a 401 and retries them', async () => {
+    setAccessToken('expired')
+    server = (config) => {
+      if (config.url === '/users/refresh-token') return tokenResponse('fresh')
+      return config.headers.Authorization === 'Bearer fresh' ? [200, { url: config.url }] : [401, {}]
+    }
+
+    const results = await Promise.all([api.get('/users/me'), api.get('/cart'), api.get('/orders')])
+
+    assert.deepEqual(results.map(res => res.data.url), ['/users/me', '/cart', '/orders'])
+    assert.equal(requests.filter(req => req.url === '/users/refresh-token').length, 1)
+    assert.equal(getAccessToken(), 'fresh')
+  })
+
+  test('ends the session when the server rejects the refresh', async () => {
+    setAccessToken('expired')
+    server = (config) => config.url === '/users/refresh-token' ? [401, { message: 'revoked' }] : [401, { message: 'expired' }]
+
+    await assert.rejects(api.get('/users/me'), (error) => error.response.data.message === 'expired')
+    assert.equal(getAccessToken(), null)
+  })
+
+  test('keeps the session when the refresh cannot reach the server', async () => {
+    setAccessToken('expired')
+    server = (config) => {
+      if (config.url === '/users/refresh-token') throw new AxiosError('Network Error', AxiosError.ERR_NETWORK, config)
+      return [401, {}]
+    }
+
+    await assert.rejects(api.get('/users/me'))
+    assert.equal(getAccessToken(), 'expired')
+  })
+
+  test('does not refresh for requests sent without a token or for other errors', async () => {
+    server = () => [401, {}]
+    await assert.rejects(api.post('/users/login', {}))
+
+    setAccessToken('token-1')
+    server = () => [403, {}]
+    await assert.rejects(api.get('/users/me'))
+
+    assert.ok(!requests.some(req => req.url === '/users/refresh-token'))
+  })
+
+  test('uses a token another request already refreshed instead of refreshing again', async () => {
+    setAccessToken('expired')
+    server = (config) => {
+      if (config.headers.Authorization === 'Bearer fresh') return [200, {}]
+      // The token changes while this request is on its way
+      setAccessToken('fresh')
+      return [401, {}]
+    }
+
+    await api.get('/users/me')
+
+    assert.deepEqual(requests.map(req => req.authorization), ['Bearer expired', 'Bearer fresh'])
+  })
+})
+
+describe('tabs', () => {
+  test('tell the other tabs about new tokens and logouts', async () => {
+    server = () => tokenResponse('fresh')
+
+    await refreshAccessToken()
+    setAccessToken(null)
+
+    assert.deepEqual(channel.posted, [{ accessToken: 'fresh' }, { accessToken: null }])
+  })
+
+  test('take tokens from other tabs and notify listeners', () => {
+    const seen = []
+    const unsubscribe = onAccessTokenChange(token => seen.push(token))
+
+    channel.dispatchEvent(new MessageEvent('message', { data: { accessToken: 'from-other-tab' } }))
+    unsubscribe()
+    channel.dispatchEvent(new MessageEvent('message', { data: { accessToken: null } }))
+
+    assert.deepEqual(seen, ['from-other-tab'])
+    assert.equal(getAccessToken(), null)
+    assert.deepEqual(channel.posted, [])
+  })
+})
+
+describe('endSession', () => {
+  test('logs out with the current token', async () => {
+    setAccessToken('token-1')
+    server = () => [200, {}]
+
+    await endSession()
+
+    assert.deepEqual(requests, [{ url: '/users/logout', authorization: 'Bearer token-1' }])
+    assert.equal(getAccessToken(), null)
+  })
+
+  test('renews an expired token so the logout still reaches the server', async () => {
+    setAccessToken('expired')
+    server = (config) => {
+      if (config.url === '/users/refresh-token') return tokenResponse('fresh')
+      return config.headers.Authorization === 'Bearer fresh' ? [200, {}] : [401, {}]
+    }
+
+    await endSession()
+
+    assert.deepEqual(requests.map(req => [req.url, req.authorization]), [
+      ['/users/logout', 'Bearer expired'],
+      ['/users/refresh-token', undefined],
+      ['/users/logout', 'Bearer fresh']
+    ])
+    assert.equal(getAccessToken(), null)
+  })
+})
@@ -0,0 +1,20 @@
+const js = require('@eslint/js');
+const globals = require('globals');
+const { defineConfig, globalIgnores } = require('eslint/config');
+
+module.exports = defineConfig([
+  globalIgnores(['uploads', 'outbox', 'keys']),
+  {
+    files: ['**/*.js'],
+    extends: [js.configs.recommended],
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      // Express error handlers are recognised by having four arguments
+      'no-unused-vars': ['error', { argsIgnorePattern: '^next$', caughtErrors: 'none' }]
+    }
+  }
+]);
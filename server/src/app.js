@@ -6,57 +6,202 @@ const mongoose = require('mongoose');
 // Import controllers
 const authController = require('./controllers/authController');
 const productController = require('./controllers/productController');
+const categoryController = require('./controllers/categoryController');
 const cartController = require('./controllers/cartController');
+const adminController = require('./controllers/adminController');
+const orderController = require('./controllers/orderController');
+const paymentController = require('./controllers/paymentController');
+const accountController = require('./controllers/accountController');
+const profileController = require('./controllers/profileController');
+const mfaController = require('./controllers/mfaController');
+const privacyController = require('./controllers/privacyController');
+const { startPurgeJob } = require('./utils/accountDeletion');
 
 // Import JWT config
-const { authMiddleware } = require('./config/jwt');
+const { authMiddleware, requireRole, getJwks } = require('./config/jwt');
+const { rateLimit, byIp, byAccount, byUser } = require('./middleware/rateLimit');
+const { validate, sendValidationError } = require('./middleware/validate');
+const { csrfProtection } = require('./middleware/csrf');
+const { fileUpload } = require('./middleware/upload');
+const { getStorage } = require('./utils/storage');
+const productImages = require('./utils/productImages');
+
+// Import request validators
+const authValidators = require('./validators/authValidators');
+const productValidators = require('./validators/productValidators');
+const categoryValidators = require('./validators/categoryValidators');
+const cartValidators = require('./validators/cartValidators');
+const orderValidators = require('./validators/orderValidators');
+const adminValidators = require('./validators/adminValidators');
+const mfaValidators = require('./validators/mfaValidators');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Honour X-Forwarded-For when running behind a proxy (needed for per-IP limits)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({
+  // Product imports read the request as a stream, so files of any size fit
+  type: (req) => req.path !== '/api/admin/products/import' && Boolean(req.is('application/json')),
+  // Keep the raw body so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Product image uploads (multipart field "images")
+const uploadImages = fileUpload('images', { ...productImages.config, mimeTypes: productImages.MIME_TYPES });
+
+// Uploaded files, when they are stored on this server
+const storage = getStorage();
+if (storage.handler) {
+  app.use(storage.mountPath, storage.handler);
+}
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'Server is running' });
 });
 
+// Public keys for verifying access tokens (RS256/ES256 only)
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+// Rate limiters for credential endpoints
+const FIFTEEN_MINUTES = 15 * 60 * 1000;
+const loginLimiters = [
+  rateLimit({ name: 'login-ip', windowMs: FIFTEEN_MINUTES, max: 50, keyGenerator: byIp }),
+  rateLimit({ name: 'login-account', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: byAccount })
+];
+const sendOtpLimiters = [
+  rateLimit({ name: 'send-otp-ip', windowMs: FIFTEEN_MINUTES, max: 20, keyGenerator: byIp }),
+  rateLimit({ name: 'send-otp-account', windowMs: FIFTEEN_MINUTES, max: 5, keyGenerator: byAccount })
+];
+const recoveryLimiters = [
+  rateLimit({ name: 'recovery-ip', windowMs: FIFTEEN_MINUTES, max: 20, keyGenerator: byIp }),
+  rateLimit({ name: 'recovery-account', windowMs: FIFTEEN_MINUTES, max: 5, keyGenerator: byAccount })
+];
+const verifyOtpLimiters = [
+  rateLimit({ name: 'verify-otp-ip', windowMs: FIFTEEN_MINUTES, max: 50, keyGenerator: byIp }),
+  rateLimit({ name: 'verify-otp-account', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: byAccount })
+];
+const mfaLimiter = rateLimit({ name: 'mfa-verify-ip', windowMs: FIFTEEN_MINUTES, max: 30, keyGenerator: byIp });
+// Profile changes that check a password or an OTP, keyed by the signed-in user
+const profileLimiter = rateLimit({ name: 'profile-user', windowMs: FIFTEEN_MINUTES, max: 10, keyGenerator: byUser });
+
 // Auth Routes (public)
-app.post('/api/users/register', authController.register);
-app.post('/api/users/login', authController.login);
-app.post('/api/users/refresh-token', authController.refreshToken);
+app.post('/api/users/register', validate(authValidators.register), authController.register);
+app.post('/api/users/login', loginLimiters, validate(authValidators.login), authController.login);
+app.post('/api/users/refresh-token', validate(authValidators.refreshToken), csrfProtection, authController.refreshToken);
 
 // OTP Routes
-app.post('/api/auth/send-otp', authController.sendOtp);
-app.post('/api/auth/verify-otp', authController.verifyOtp);
+app.post('/api/auth/send-otp', sendOtpLimiters, validate(authValidators.sendOtp), authController.sendOtp);
+app.post('/api/auth/verify-otp', verifyOtpLimiters, validate(authValidators.verifyOtp), authController.verifyOtp);
+app.post('/api/auth/unlock', verifyOtpLimiters, validate(authValidators.verifyOtp), authController.unlockAccount);
+app.post('/api/auth/mfa/verify', mfaLimiter, validate(mfaValidators.verifyMfa), authController.verifyMfa);
+
+// Password reset and email verification
+app.post('/api/users/forgot-password', recoveryLimiters, validate(authValidators.forgotPassword), accountController.forgotPassword);
+app.post('/api/users/reset-password', recoveryLimiters, validate(authValidators.resetPassword), accountController.resetPassword);
+app.post('/api/users/verify-email', validate(authValidators.verifyEmail), accountController.verifyEmail);
+app.post('/api/users/verify-email/request', authMiddleware, accountController.requestEmailVerification);
 
 // Protected auth routes
-app.post('/api/users/logout', authMiddleware, authController.logout);
+app.post('/api/users/logout', authMiddleware, validate(authValidators.logout), authController.logout);
 app.get('/api/users/me', authMiddleware, authController.getProfile);
+app.patch('/api/users/me', authMiddleware, profileLimiter, validate(authValidators.updateProfile), profileController.updateProfile);
+app.post('/api/users/me/verify-contact', authMiddleware, profileLimiter, validate(authValidators.confirmContactChange), profileController.confirmContactChange);
+app.post('/api/users/me/password', authMiddleware, profileLimiter, validate(authValidators.changePassword), profileController.changePassword);
+app.get('/api/users/me/identities', authMiddleware, profileController.getIdentities);
+app.post('/api/users/me/identities', authMiddleware, profileLimiter, validate(authValidators.linkIdentity), profileController.startIdentityLink);
+app.post('/api/users/me/identities/verify', authMiddleware, profileLimiter, validate(authValidators.confirmIdentityLink), profileController.confirmIdentityLink);
+app.delete('/api/users/me/identities/:type', authMiddleware, validate(authValidators.removeIdentity), profileController.removeIdentity);
+
+// Personal data export and account deletion
+app.get('/api/users/me/export', authMiddleware, profileLimiter, privacyController.exportData);
+app.delete('/api/users/me', authMiddleware, profileLimiter, validate(authValidators.requestDeletion), privacyController.requestDeletion);
+app.post('/api/users/me/deletion/cancel', authMiddleware, privacyController.cancelDeletion);
+
+// Two-factor authentication
+app.get('/api/users/me/mfa', authMiddleware, mfaController.getMfaStatus);
+app.post('/api/users/me/mfa/setup', authMiddleware, mfaController.setupMfa);
+app.post('/api/users/me/mfa/enable', authMiddleware, profileLimiter, validate(mfaValidators.enableMfa), mfaController.enableMfa);
+app.post('/api/users/me/mfa/recovery-codes', authMiddleware, profileLimiter, validate(mfaValidators.confirmWithCode), mfaController.regenerateRecoveryCodes);
+app.post('/api/users/me/mfa/disable', authMiddleware, profileLimiter, validate(mfaValidators.confirmWithCode), mfaController.disableMfa);
+app.get('/api/users/sessions', authMiddleware, authController.getSessions);
+app.post('/api/users/sessions/revoke-others', authMiddleware, authController.revokeOtherSessions);
+app.delete('/api/users/sessions/:id', authMiddleware, validate(authValidators.sessionId), authController.revokeSession);
+
+// Admin Routes
+app.post('/api/admin/bootstrap', authMiddleware, validate(adminValidators.bootstrapAdmin), adminController.bootstrapAdmin);
+app.get('/api/admin/users', authMiddleware, requireRole('admin'), validate(adminValidators.listUsers), adminController.listUsers);
+app.patch('/api/admin/users/:id/role', authMiddleware, requireRole('admin'), validate(adminValidators.updateUserRole), adminController.updateUserRole);
+app.post('/api/admin/products/import', authMiddleware, requireRole('admin'), validate(productValidators.importProducts), productController.importProducts);
+app.get('/api/admin/products/export', authMiddleware, requireRole('admin'), validate(productValidators.exportProducts), productController.exportProducts);
 
 // Product Routes (public)
-app.get('/api/products', productController.getProducts);
-app.get('/api/products/categories/list', productController.getCategories);
-app.get('/api/products/:id', productController.getProductById);
+app.get('/api/products', validate(productValidators.listProducts), productController.getProducts);
+app.get('/api/products/suggest', validate(productValidators.suggest), productController.getSuggestions);
+// Kept for older clients; same as GET /api/categories
+app.get('/api/products/categories/list', categoryController.getCategories);
+app.get('/api/products/:id', validate(productValidators.productId), productController.getProductById);
+
+// Protected product routes (staff and admin)
+// /clear must be registered before /:id so it is not captured as an ID
+app.delete('/api/products/clear', authMiddleware, requireRole('admin'), productController.clearProducts);
+app.post('/api/products', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.createProduct), productController.createProduct);
+app.put('/api/products/:id', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.updateProduct), productController.updateProduct);
+app.delete('/api/products/:id', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.productId), productController.deleteProduct);
+app.post('/api/products/:id/images', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.productId), uploadImages, productController.uploadProductImages);
+app.put('/api/products/:id/images/order', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.reorderImages), productController.reorderProductImages);
+app.delete('/api/products/:id/images/:imageId', authMiddleware, requireRole('staff', 'admin'), validate(productValidators.productImage), productController.deleteProductImage);
 
-// Protected product routes (admin only - middleware can be added later)
-app.post('/api/products', productController.createProduct);
-app.put('/api/products/:id', productController.updateProduct);
-app.delete('/api/products/:id', productController.deleteProduct);
-app.delete('/api/products/clear', productController.clearProducts);
+// Category Routes (public)
+// /tree must be registered before /:idOrSlug so it is not captured as a slug
+app.get('/api/categories', categoryController.getCategories);
+app.get('/api/categories/tree', categoryController.getCategoryTree);
+app.get('/api/categories/:idOrSlug', validate(categoryValidators.categoryRef), categoryController.getCategory);
+
+// Protected category routes (staff and admin)
+app.post('/api/categories', authMiddleware, requireRole('staff', 'admin'), validate(categoryValidators.createCategory), categoryController.createCategory);
+app.put('/api/categories/:id', authMiddleware, requireRole('staff', 'admin'), validate(categoryValidators.updateCategory), categoryController.updateCategory);
+app.delete('/api/categories/:id', authMiddleware, requireRole('staff', 'admin'), validate(categoryValidators.categoryId), categoryController.deleteCategory);
 
 // Cart Routes (protected)
 app.get('/api/cart', authMiddleware, cartController.getCart);
-app.post('/api/cart/items', authMiddleware, cartController.addItem);
-app.put('/api/cart/items/:productId', authMiddleware, cartController.updateItemQuantity);
-app.delete('/api/cart/items/:productId', authMiddleware, cartController.removeItem);
+app.post('/api/cart/items', authMiddleware, validate(cartValidators.addItem), cartController.addItem);
+app.put('/api/cart/items/:productId{/:variantId}', authMiddleware, validate(cartValidators.updateItem), cartController.updateItemQuantity);
+app.delete('/api/cart/items/:productId{/:variantId}', authMiddleware, validate(cartValidators.removeItem), cartController.removeItem);
 app.delete('/api/cart', authMiddleware, cartController.clearCart);
 
+// Order Routes (protected)
+app.post('/api/orders/checkout', authMiddleware, orderController.checkout);
+app.get('/api/orders', authMiddleware, validate(orderValidators.listOrders), orderController.getOrders);
+app.get('/api/orders/:id', authMiddleware, validate(orderValidators.orderId), orderController.getOrderById);
+app.post('/api/orders/:id/cancel', authMiddleware, validate(orderValidators.orderId), orderController.cancelOrder);
+app.patch('/api/orders/:id/status', authMiddleware, requireRole('staff', 'admin'), validate(orderValidators.updateStatus), orderController.updateOrderStatus);
+
+// Payment Routes
+app.post('/api/orders/:id/pay', authMiddleware, validate(orderValidators.orderId), paymentController.createPayment);
+app.post('/api/orders/:id/refund', authMiddleware, requireRole('staff', 'admin'), validate(orderValidators.orderId), paymentController.refundPayment);
+app.post('/api/payments/:id/confirm', authMiddleware, validate(orderValidators.confirmPayment), paymentController.confirmPayment);
+app.post('/api/payments/webhook/:provider', paymentController.handleWebhook);
+
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Malformed JSON bodies are client errors, reported in the validation error shape
+  if (err.type === 'entity.parse.failed') {
+    return sendValidationError(res, [{ field: 'body', location: 'body', message: 'Malformed JSON' }], 'Invalid request body');
+  }
+
   console.error(err.stack);
   res.status(500).json({
     success: false,
@@ -72,37 +217,61 @@ app.use((req, res) => {
   });
 });
 
-// Connect to MongoDB and start server
-const mongoUri = process.env.DB_URI || process.env.MONGO_URI;
+/**
+ * Connect to MongoDB and start the server
+ * Tests require the app without starting it
+ */
+const start = () => {
+  const mongoUri = process.env.DB_URI || process.env.MONGO_URI;
 
-// Validate MongoDB URI
-if (!mongoUri) {
-  console.error('ERROR: MongoDB URI not configured. Please set DB_URI in .env file');
-  console.log('Starting server without database...');
-  app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT} (without MongoDB)`);
-  });
-} else {
-  mongoose.connect(mongoUri)
-    .then(async () => {
-      console.log('MongoDB connected successfully');
-      
-      // Clear all products on startup (remove seeded products)
-      const Product = require('./models/Product');
-      await Product.deleteMany({});
-      console.log('Cleared all products from database');
-      
-      app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT}`);
-      });
-    })
-    .catch(err => {
-      console.error('MongoDB connection error:', err.message);
-      console.log('Starting server without database...');
-      app.listen(PORT, () => {
-        console.log(`Server running on port ${PORT} (without MongoDB)`);
-      });
+  // Validate MongoDB URI
+  if (!mongoUri) {
+    console.error('ERROR: MongoDB URI not configured. Please set DB_URI in .env file');
+    console.log('Starting server without database...');
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT} (without MongoDB)`);
     });
+  } else {
+    mongoose.connect(mongoUri)
+      .then(async () => {
+        console.log('MongoDB connected successfully');
+
+        // Clear all products on startup (remove seeded products)
+        const Product = require('./models/Product');
+        await Product.deleteAllWithImages();
+        console.log('Cleared all products from database');
+
+        // Load product and category names for search suggestions
+        const suggestIndex = require('./utils/suggestIndex');
+        const indexed = await suggestIndex.rebuild();
+        console.log(`Indexed ${indexed.products} products and ${indexed.categories} categories for suggestions`);
+
+        // Give accounts created before login identities existed their methods
+        const User = require('./models/User');
+        const backfill = await User.backfillIdentities();
+        if (backfill.modifiedCount > 0) {
+          console.log(`Linked login identities for ${backfill.modifiedCount} existing users`);
+        }
+
+        // Anonymize accounts whose deletion grace period has ended
+        startPurgeJob();
+
+        app.listen(PORT, () => {
+          console.log(`Server running on port ${PORT}`);
+        });
+      })
+      .catch(err => {
+        console.error('MongoDB connection error:', err.message);
+        console.log('Starting server without database...');
+        app.listen(PORT, () => {
+          console.log(`Server running on port ${PORT} (without MongoDB)`);
+        });
+      });
+  }
+};
+
+if (require.main === module) {
+  start();
 }
 
 module.exports = app;
@@ -5,26 +5,89 @@
 
 require('dotenv').config();
 
-const jwt = require('jsonwebtoken');
+const {
+  createSymmetricKeyset,
+  createAsymmetricKeyset,
+  signWithKeyset,
+  verifyWithKeyset,
+  toJwks
+} = require('./keyset');
+const { readSecret } = require('./secrets');
+
+const DEV_SECRETS = {
+  JWT_ACCESS_SECRET: 'fallback_access_secret_key_very_secure',
+  JWT_REFRESH_SECRET: 'fallback_refresh_secret_key_very_secure'
+};
 
 const config = {
-  accessSecret: process.env.JWT_ACCESS_SECRET || 'fallback_access_secret_key_very_secure',
-  refreshSecret: process.env.JWT_REFRESH_SECRET || 'fallback_refresh_secret_key_very_secure',
+  // Access tokens: HS256 (shared secret), or RS256/ES256 (keys in JWT_KEYS_DIR)
+  algorithm: (process.env.JWT_ALGORITHM || 'HS256').toUpperCase(),
   accessExpiry: process.env.JWT_ACCESS_EXPIRY || '15m',
-  refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d'
+  refreshExpiry: process.env.JWT_REFRESH_EXPIRY || '7d',
+  // Lifetime of the token that bridges the password and TOTP login steps
+  mfaExpiry: process.env.JWT_MFA_EXPIRY || '5m',
+  // Roles that must complete two-factor authentication to use their privileges
+  mfaRequiredRoles: (process.env.MFA_REQUIRED_ROLES ?? 'staff,admin').split(',').map(role => role.trim()).filter(Boolean)
+};
+
+/**
+ * Read a comma-separated list of retired secrets
+ * @param {string} name - Environment variable name
+ * @returns {string[]} Secrets
+ */
+const readPreviousSecrets = (name) => {
+  return (process.env[name] || '').split(',').map(secret => secret.trim()).filter(Boolean);
+};
+
+/**
+ * Build the access and refresh token keysets from the environment
+ * Refresh and "mfa pending" tokens are only read by this server, so they
+ * always use a shared secret
+ * @returns {object} { access, refresh }
+ */
+const loadKeysets = () => {
+  const refresh = createSymmetricKeyset(readSecret('JWT_REFRESH_SECRET', DEV_SECRETS.JWT_REFRESH_SECRET), readPreviousSecrets('JWT_REFRESH_PREVIOUS_SECRETS'));
+
+  const access = config.algorithm === 'HS256'
+    ? createSymmetricKeyset(readSecret('JWT_ACCESS_SECRET', DEV_SECRETS.JWT_ACCESS_SECRET), readPreviousSecrets('JWT_ACCESS_PREVIOUS_SECRETS'))
+    : createAsymmetricKeyset(config.algorithm, process.env.JWT_KEYS_DIR, process.env.JWT_ACTIVE_KID);
+
+  return { access, refresh };
+};
+
+const keysets = loadKeysets();
+
+/**
+ * Available user roles, lowest privilege first
+ */
+const ROLES = ['customer', 'staff', 'admin'];
+
+/**
+ * Sign access token claims with the active access key
+ * @param {object} payload - Token claims
+ * @returns {string} JWT access token
+ */
+const signAccessToken = (payload) => {
+  return signWithKeyset(keysets.access, payload, { expiresIn: config.accessExpiry });
+};
+
+/**
+ * Sign refresh token claims with the active refresh key
+ * @param {object} payload - Token claims
+ * @returns {string} JWT refresh token
+ */
+const signRefreshToken = (payload) => {
+  return signWithKeyset(keysets.refresh, payload, { expiresIn: config.refreshExpiry });
 };
 
 /**
  * Generate access token
  * @param {string} userId - User ID
+ * @param {string} role - User role (default: customer)
  * @returns {string} JWT access token
  */
-const generateAccessToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    config.accessSecret,
-    { expiresIn: config.accessExpiry }
-  );
+const generateAccessToken = (userId, role = 'customer') => {
+  return signAccessToken({ userId, role });
 };
 
 /**
@@ -33,11 +96,7 @@ const generateAccessToken = (userId) => {
  * @returns {string} JWT refresh token
  */
 const generateRefreshToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    config.refreshSecret,
-    { expiresIn: config.refreshExpiry }
-  );
+  return signRefreshToken({ userId });
 };
 
 /**
@@ -46,13 +105,36 @@ const generateRefreshToken = (userId) => {
  * @returns {object|null} Decoded token or null if invalid
  */
 const verifyAccessToken = (token) => {
-  try {
-    return jwt.verify(token, config.accessSecret);
-  } catch (error) {
-    return null;
-  }
+  return verifyWithKeyset(keysets.access, token);
+};
+
+/**
+ * Generate the short-lived token returned when a login still needs a TOTP code
+ * It cannot be used as an access or refresh token
+ * @param {string} userId - User ID
+ * @returns {string} JWT "mfa pending" token
+ */
+const generateMfaToken = (userId) => {
+  return signWithKeyset(keysets.refresh, { userId, typ: 'mfa' }, { expiresIn: config.mfaExpiry });
+};
+
+/**
+ * Verify an "mfa pending" token
+ * @param {string} token - JWT from generateMfaToken
+ * @returns {object|null} Decoded token or null if invalid
+ */
+const verifyMfaToken = (token) => {
+  const decoded = verifyWithKeyset(keysets.refresh, token);
+  return decoded && decoded.typ === 'mfa' ? decoded : null;
 };
 
+/**
+ * Public access token keys as a JSON Web Key Set, so other services can
+ * verify access tokens offline (empty when signing with HS256)
+ * @returns {object} { keys: [...] }
+ */
+const getJwks = () => toJwks(keysets.access);
+
 /**
  * Express middleware to verify access token
  */
@@ -70,7 +152,7 @@ const authMiddleware = (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const decoded = verifyAccessToken(token);
     
-    if (!decoded) {
+    if (!decoded || decoded.typ === 'mfa') {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired token.'
@@ -78,6 +160,9 @@ const authMiddleware = (req, res, next) => {
     }
     
     req.userId = decoded.userId;
+    req.userRole = decoded.role || 'customer';
+    req.sessionId = decoded.sid;
+    req.mfa = Boolean(decoded.mfa);
     next();
   } catch (error) {
     return res.status(401).json({
@@ -87,24 +172,61 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * Express middleware factory to restrict a route to the given roles
+ * Must be mounted after authMiddleware
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {function} Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  if (!roles.includes(req.userRole)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Insufficient permissions.'
+    });
+  }
+
+  // Privileged sessions must have passed a second factor
+  if (config.mfaRequiredRoles.includes(req.userRole) && !req.mfa) {
+    return res.status(403).json({
+      success: false,
+      code: 'MFA_REQUIRED',
+      message: 'Two-factor authentication is required for this action. Enable it from your profile or log in with your authenticator code.'
+    });
+  }
+
+  next();
+};
+
 /**
  * Verify refresh token
  * @param {string} token - JWT refresh token
  * @returns {object|null} Decoded token or null if invalid
  */
 const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, config.refreshSecret);
-  } catch (error) {
-    return null;
-  }
+  const decoded = verifyWithKeyset(keysets.refresh, token);
+  return decoded && decoded.typ !== 'mfa' ? decoded : null;
 };
 
 module.exports = {
   config,
+  ROLES,
+  signAccessToken,
+  signRefreshToken,
   generateAccessToken,
   generateRefreshToken,
   verifyAccessToken,
   verifyRefreshToken,
-  authMiddleware
+  generateMfaToken,
+  verifyMfaToken,
+  getJwks,
+  authMiddleware,
+  requireRole
 };
@@ -0,0 +1,163 @@
+/**
+ * JWT Keysets
+ * A keyset has one active key that signs new tokens and any number of
+ * older keys that are still accepted, each identified by a `kid` header.
+ * Rotating means adding a new active key and keeping the old one until
+ * the tokens it signed have expired, so nobody is logged out.
+ *
+ * Symmetric keysets (HS256) are built from secrets; asymmetric keysets
+ * (RS256/ES256) from PEM files and can be published as a JWKS.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const ASYMMETRIC_ALGORITHMS = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', namedCurve: 'prime256v1' }
+};
+
+/**
+ * Derive a stable key ID from a secret without revealing it
+ * @param {string} secret - HMAC secret
+ * @returns {string} Key ID
+ */
+const secretKid = (secret) => crypto.createHash('sha256').update(secret).digest('base64url').slice(0, 16);
+
+/**
+ * Build an HS256 keyset
+ * @param {string} secret - Active secret
+ * @param {string[]} previousSecrets - Retired secrets still accepted for verification
+ * @returns {object} Keyset
+ */
+const createSymmetricKeyset = (secret, previousSecrets = []) => {
+  const keys = new Map();
+
+  for (const value of [secret, ...previousSecrets]) {
+    keys.set(secretKid(value), { algorithm: 'HS256', signingKey: value, verifyKey: value });
+  }
+
+  return { algorithm: 'HS256', activeKid: secretKid(secret), keys };
+};
+
+/**
+ * Check that a key matches the algorithm it will be used with
+ * @param {object} key - crypto KeyObject
+ * @param {string} algorithm - RS256 or ES256
+ * @param {string} kid - Key ID, for the error message
+ */
+const assertKeyType = (key, algorithm, kid) => {
+  const expected = ASYMMETRIC_ALGORITHMS[algorithm];
+  const curve = key.asymmetricKeyDetails && key.asymmetricKeyDetails.namedCurve;
+
+  if (key.asymmetricKeyType !== expected.type || (expected.namedCurve && curve !== expected.namedCurve)) {
+    throw new Error(`JWT key "${kid}" cannot be used with ${algorithm}`);
+  }
+};
+
+/**
+ * Build an RS256/ES256 keyset from a directory of PEM files
+ * `<kid>.pem` files hold private keys (can sign); `<kid>.pub.pem` files hold
+ * public keys of retired keys (verify only)
+ * @param {string} algorithm - RS256 or ES256
+ * @param {string} dir - Directory containing the keys
+ * @param {string} activeKid - Key that signs new tokens (default: last private key by name)
+ * @returns {object} Keyset
+ */
+const createAsymmetricKeyset = (algorithm, dir, activeKid) => {
+  if (!ASYMMETRIC_ALGORITHMS[algorithm]) {
+    throw new Error(`Unsupported JWT algorithm: ${algorithm}`);
+  }
+  if (!dir || !fs.existsSync(dir)) {
+    throw new Error(`JWT_KEYS_DIR must point to a directory of PEM keys when using ${algorithm}`);
+  }
+
+  const keys = new Map();
+  const files = fs.readdirSync(dir).filter(file => file.endsWith('.pem')).sort();
+
+  for (const file of files) {
+    const pem = fs.readFileSync(path.join(dir, file), 'utf8');
+
+    if (file.endsWith('.pub.pem')) {
+      const kid = file.slice(0, -'.pub.pem'.length);
+      const publicKey = crypto.createPublicKey(pem);
+      assertKeyType(publicKey, algorithm, kid);
+      keys.set(kid, { algorithm, signingKey: null, verifyKey: publicKey });
+    } else {
+      const kid = file.slice(0, -'.pem'.length);
+      const privateKey = crypto.createPrivateKey(pem);
+      assertKeyType(privateKey, algorithm, kid);
+      keys.set(kid, { algorithm, signingKey: privateKey, verifyKey: crypto.createPublicKey(privateKey) });
+    }
+  }
+
+  const signers = [...keys].filter(([, key]) => key.signingKey).map(([kid]) => kid);
+  const active = activeKid || signers[signers.length - 1];
+
+  if (!active || !keys.has(active) || !keys.get(active).signingKey) {
+    throw new Error(`No private JWT key${activeKid ? ` with kid "${activeKid}"` : ''} found in ${dir}`);
+  }
+
+  return { algorithm, activeKid: active, keys };
+};
+
+/**
+ * Sign a payload with the keyset's active key
+ * @param {object} keyset - Keyset
+ * @param {object} payload - Token claims
+ * @param {object} options - jsonwebtoken sign options (e.g. expiresIn)
+ * @returns {string} JWT with a kid header
+ */
+const signWithKeyset = (keyset, payload, options = {}) => {
+  const key = keyset.keys.get(keyset.activeKid);
+  return jwt.sign(payload, key.signingKey, { ...options, algorithm: key.algorithm, keyid: keyset.activeKid });
+};
+
+/**
+ * Verify a token against the key named by its kid header
+ * Tokens issued before kids existed are checked against the active key
+ * @param {object} keyset - Keyset
+ * @param {string} token - JWT
+ * @returns {object|null} Decoded payload, or null if invalid
+ */
+const verifyWithKeyset = (keyset, token) => {
+  try {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) return null;
+
+    const key = keyset.keys.get(decoded.header.kid || keyset.activeKid);
+    if (!key) return null;
+
+    return jwt.verify(token, key.verifyKey, { algorithms: [key.algorithm] });
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Public keys of an asymmetric keyset as a JSON Web Key Set
+ * Symmetric keys are never published
+ * @param {object} keyset - Keyset
+ * @returns {object} { keys: [...] }
+ */
+const toJwks = (keyset) => {
+  const keys = [];
+
+  for (const [kid, key] of keyset.keys) {
+    if (key.algorithm === 'HS256') continue;
+    keys.push({ ...key.verifyKey.export({ format: 'jwk' }), kid, alg: key.algorithm, use: 'sig' });
+  }
+
+  return { keys };
+};
+
+module.exports = {
+  ASYMMETRIC_ALGORITHMS,
+  createSymmetricKeyset,
+  createAsymmetricKeyset,
+  signWithKeyset,
+  verifyWithKeyset,
+  toJwks
+};
@@ -0,0 +1,34 @@
+/**
+ * Secrets
+ * Reads secrets from the environment with the same rules everywhere:
+ * outside production a development secret is used when one is unset; in
+ * production a missing, placeholder or short secret stops the server.
+ */
+
+require('dotenv').config();
+
+const isProduction = process.env.NODE_ENV === 'production';
+
+/**
+ * Read a secret from the environment
+ * @param {string} name - Environment variable name
+ * @param {string} devSecret - Placeholder used outside production (never accepted in production)
+ * @returns {string} Secret
+ */
+const readSecret = (name, devSecret) => {
+  const value = process.env[name];
+
+  if (isProduction && (!value || value === devSecret || value.length < 32)) {
+    throw new Error(`${name} must be set to a random value of at least 32 characters in production`);
+  }
+  if (!value) {
+    console.warn(`WARNING: ${name} is not set; using an insecure development secret`);
+    return devSecret;
+  }
+  return value;
+};
+
+module.exports = {
+  isProduction,
+  readSecret
+};
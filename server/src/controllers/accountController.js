@@ -0,0 +1,174 @@
+/**
+ * Account Controller
+ * Handles password reset and email verification via emailed links
+ */
+
+const User = require('../models/User');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/mailer');
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+const VERIFY_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a verification token and email it to the user
+ * Used after registration and when the user asks for a new link
+ * @param {object} user - User document with an email
+ * @returns {Promise<void>}
+ */
+const startEmailVerification = async (user) => {
+  const token = await user.createActionToken('emailVerification', VERIFY_TOKEN_TTL_MS);
+  await sendVerificationEmail(user, token);
+};
+
+/**
+ * Request a password reset link
+ * Always responds the same way so it cannot be used to discover accounts
+ * POST /api/users/forgot-password
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = await User.findByEmail(email).exec();
+    if (user) {
+      const token = await user.createActionToken('passwordReset', RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+      await sendPasswordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If an account exists for this email, a reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+};
+
+/**
+ * Set a new password using a reset token
+ * Logs the user out of every session
+ * POST /api/users/reset-password
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.consumeActionToken('passwordReset', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = password;
+    user.addIdentity('password');
+    // Receiving the reset email also proves ownership of the address
+    user.emailVerified = true;
+    await user.save();
+
+    await user.clearRefreshTokens();
+    await user.resetLoginAttempts();
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resetting password'
+    });
+  }
+};
+
+/**
+ * Send a new verification link to the current user's email
+ * POST /api/users/verify-email/request
+ */
+const requestEmailVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add an email address to your profile first'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await startEmailVerification(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Request email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email'
+    });
+  }
+};
+
+/**
+ * Confirm an email address using a verification token
+ * POST /api/users/verify-email
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await User.consumeActionToken('emailVerification', token);
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_TOKEN',
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while verifying email'
+    });
+  }
+};
+
+module.exports = {
+  startEmailVerification,
+  forgotPassword,
+  resetPassword,
+  requestEmailVerification,
+  verifyEmail
+};
@@ -0,0 +1,183 @@
+/**
+ * Admin Controller
+ * Handles user role management and first-admin bootstrap
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const AdminBootstrap = require('../models/AdminBootstrap');
+const { ROLES } = require('../config/jwt');
+
+/**
+ * List users, optionally filtered by role
+ * GET /api/admin/users
+ */
+const listUsers = async (req, res) => {
+  try {
+    const { role } = req.query;
+    const query = {};
+
+    if (role) {
+      query.role = role;
+    }
+
+    const users = await User.find(query).sort({ createdAt: -1 }).exec();
+
+    res.status(200).json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    console.error('List users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+};
+
+/**
+ * Promote or demote a user
+ * PATCH /api/admin/users/:id/role
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(', ')}`
+      });
+    }
+
+    // Prevent admins from locking themselves out
+    if (id === String(req.userId) && role !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot demote yourself'
+      });
+    }
+
+    const user = await User.findById(id).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    user.role = role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated successfully',
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    console.error('Update user role error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user role'
+    });
+  }
+};
+
+/**
+ * Promote the current user to admin when no admin exists yet
+ * Requires the ADMIN_BOOTSTRAP_TOKEN configured on the server
+ * POST /api/admin/bootstrap
+ */
+const bootstrapAdmin = async (req, res) => {
+  try {
+    const expected = process.env.ADMIN_BOOTSTRAP_TOKEN;
+    const { bootstrapToken } = req.body;
+
+    if (!expected) {
+      return res.status(404).json({
+        success: false,
+        message: 'Admin bootstrap is disabled'
+      });
+    }
+
+    const provided = Buffer.from(String(bootstrapToken || ''));
+    const required = Buffer.from(expected);
+    if (provided.length !== required.length || !crypto.timingSafeEqual(provided, required)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid bootstrap token'
+      });
+    }
+
+    const existingAdmin = await User.exists({ role: 'admin' });
+    if (existingAdmin) {
+      return res.status(409).json({
+        success: false,
+        message: 'An admin already exists'
+      });
+    }
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Only one request can create the marker, so parallel bootstraps
+    // cannot each promote a different user
+    try {
+      await AdminBootstrap.create({ user: user._id });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: 'An admin already exists'
+      });
+    }
+
+    try {
+      user.role = 'admin';
+      await user.save();
+    } catch (error) {
+      // Let a later attempt try again
+      await AdminBootstrap.deleteOne({ user: user._id }).catch(() => {});
+      throw error;
+    }
+
+    // Issue a fresh access token so the new role takes effect immediately
+    const accessToken = user.generateAccessToken(req.sessionId, req.mfa);
+
+    res.status(200).json({
+      success: true,
+      message: 'User promoted to admin',
+      data: {
+        user: user.toJSON(),
+        accessToken
+      }
+    });
+  } catch (error) {
+    console.error('Bootstrap admin error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during admin bootstrap'
+    });
+  }
+};
+
+module.exports = {
+  listUsers,
+  updateUserRole,
+  bootstrapAdmin
+};
@@ -3,16 +3,58 @@
  * Handles user registration, login, and token refresh
  */
 
-const { validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
-const { 
-  generateAccessToken, 
-  generateRefreshToken, 
-  verifyRefreshToken,
-  config
-} = require('../config/jwt');
+const { verifyRefreshToken, generateMfaToken, verifyMfaToken } = require('../config/jwt');
 const { saveOtp, verifyOtp: checkOtp } = require('../utils/otp.store');
+const { detectChannel, deliverOtp } = require('../utils/otp.delivery');
+const { sendOtpError } = require('../utils/otp.response');
+const { startEmailVerification } = require('./accountController');
+const { issueTokens, readRefreshCookie, clearAuthCookies } = require('../utils/authCookies');
+
+/**
+ * Extract device metadata for session tracking
+ * @param {object} req - Express request
+ * @returns {object} { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ip: req.ip || ''
+});
+
+/**
+ * Respond that the account is temporarily locked
+ * @param {object} res - Express response
+ * @param {object} user - Locked user
+ */
+const sendAccountLocked = (res, user) => {
+  const retryAfter = Math.max(1, Math.ceil((user.lockUntil - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+
+  return res.status(423).json({
+    success: false,
+    code: 'ACCOUNT_LOCKED',
+    message: 'Account temporarily locked after too many failed logins. Try again later or unlock it with an OTP.',
+    retryAfter
+  });
+};
+
+/**
+ * Respond that the login needs a second factor
+ * The client exchanges the mfaToken and a TOTP code at /api/auth/mfa/verify
+ * @param {object} res - Express response
+ * @param {object} user - User with two-factor authentication enabled
+ */
+const sendMfaChallenge = (res, user) => {
+  return res.status(200).json({
+    success: true,
+    message: 'Enter the code from your authenticator app',
+    data: {
+      mfaRequired: true,
+      mfaToken: generateMfaToken(user._id)
+    }
+  });
+};
 
 /**
  * Register a new user
@@ -20,27 +62,16 @@ const { saveOtp, verifyOtp: checkOtp } = require('../utils/otp.store');
  */
 const register = async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
     const { email, password, name, phone } = req.body;
 
-    // Create new user
-    const user = await User.create({ email, password, name, phone });
+    // Create new user; the phone and email become login methods once verified
+    const user = await User.create({ email, password, name, phone, identities: [{ type: 'password' }] });
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    // Start a session for this device
+    const tokens = issueTokens(req, res, await user.createSession(getClientInfo(req)));
 
-    // Store refresh token in user document
-    await user.addRefreshToken(refreshToken);
+    // Send the verification link without failing registration if mail is down
+    startEmailVerification(user).catch(err => console.error('Verification email error:', err));
 
     // Return success response
     res.status(201).json({
@@ -48,8 +79,7 @@ const register = async (req, res) => {
       message: 'User registered successfully',
       data: {
         user: user.toJSON(),
-        accessToken,
-        refreshToken
+        ...tokens
       }
     });
   } catch (error) {
@@ -75,16 +105,6 @@ const register = async (req, res) => {
  */
 const login = async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
     const { email, password } = req.body;
 
     // Email and password are required
@@ -95,8 +115,8 @@ const login = async (req, res) => {
       });
     }
 
-    // Find user by email
-    const user = await User.findByEmail(email).exec();
+    // Find the user that has password login linked for this email
+    const user = await User.findByIdentity('password', email).exec();
     if (!user) {
       return res.status(401).json({
         success: false,
@@ -104,21 +124,34 @@ const login = async (req, res) => {
       });
     }
 
+    // Refuse locked accounts before checking the password
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
+    }
+
     // Validate password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await user.registerFailedLogin();
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate tokens
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    await user.resetLoginAttempts();
 
-    // Store refresh token in user document
-    await user.addRefreshToken(refreshToken);
+    // Password was right, but a second factor is still needed
+    if (user.mfa.enabled) {
+      return sendMfaChallenge(res, user);
+    }
+
+    // Start a session for this device
+    const tokens = issueTokens(req, res, await user.createSession(getClientInfo(req)));
 
     // Return success response
     res.status(200).json({
@@ -126,8 +159,7 @@ const login = async (req, res) => {
       message: 'Login successful',
       data: {
         user: user.toJSON(),
-        accessToken,
-        refreshToken
+        ...tokens
       }
     });
   } catch (error) {
@@ -141,11 +173,13 @@ const login = async (req, res) => {
 
 /**
  * Refresh access token
+ * The refresh token comes from the body, or from the cookie in cookie mode
  * POST /api/users/refresh-token
  */
 const refreshToken = async (req, res) => {
   try {
-    const { refreshToken: token } = req.body;
+    const cookieMode = !req.body?.refreshToken;
+    const token = req.body?.refreshToken || readRefreshCookie(req);
 
     if (!token) {
       return res.status(400).json({
@@ -157,6 +191,7 @@ const refreshToken = async (req, res) => {
     // Verify refresh token
     const decoded = verifyRefreshToken(token);
     if (!decoded) {
+      if (cookieMode) clearAuthCookies(res);
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired refresh token'
@@ -166,31 +201,43 @@ const refreshToken = async (req, res) => {
     // Find user by ID
     const user = await User.findById(decoded.userId).exec();
     if (!user) {
+      if (cookieMode) clearAuthCookies(res);
       return res.status(401).json({
         success: false,
         message: 'User not found'
       });
     }
 
-    // Check if refresh token exists in user's tokens
-    const tokenExists = user.refreshTokens.some(rt => rt.token === token);
-    if (!tokenExists) {
+    // Rotate the refresh token; the presented token can no longer be used
+    const result = await user.rotateRefreshToken(token, getClientInfo(req));
+
+    if (result.status !== 'rotated' && cookieMode) {
+      clearAuthCookies(res);
+    }
+
+    if (result.status === 'reused') {
+      console.warn(`Refresh token reuse detected for user ${user._id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token reuse detected. Please log in again.'
+      });
+    }
+
+    if (result.status !== 'rotated') {
       return res.status(401).json({
         success: false,
         message: 'Refresh token has been revoked'
       });
     }
 
-    // Generate new access token
-    const accessToken = user.generateAccessToken();
+    // Generate new access token for the same session
+    const accessToken = user.generateAccessToken(result.sessionId, result.mfa);
 
-    // Return new access token
+    // Return new token pair
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
-      data: {
-        accessToken
-      }
+      data: issueTokens(req, res, { accessToken, refreshToken: result.refreshToken }, cookieMode)
     });
   } catch (error) {
     console.error('Refresh token error:', error);
@@ -209,26 +256,20 @@ const logout = async (req, res) => {
   try {
     const { refreshToken: token } = req.body;
 
-    if (token) {
-      // Decode token to get user ID
-      const decoded = verifyRefreshToken(token);
-      if (decoded) {
-        // Find user and remove the specific token
-        const user = await User.findById(decoded.userId).exec();
-        if (user) {
-          await user.removeRefreshToken(token);
-        }
-      }
-    }
+    const user = await User.findById(req.userId).exec();
 
-    // If user ID is available from auth middleware, clear all tokens for that user
-    if (req.userId) {
-      const user = await User.findById(req.userId).exec();
-      if (user) {
-        await user.clearRefreshTokens();
+    // Only end the current device's session; other devices stay logged in
+    if (user) {
+      const decoded = token ? verifyRefreshToken(token) : null;
+      if (decoded && String(decoded.userId) === String(user._id)) {
+        await user.removeRefreshToken(token);
+      } else if (req.sessionId) {
+        await user.revokeTokenFamily(req.sessionId);
       }
     }
 
+    clearAuthCookies(res);
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -271,61 +312,339 @@ const getProfile = async (req, res) => {
   }
 };
 
-// Send OTP
+/**
+ * List active sessions for current user
+ * GET /api/users/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = user.getSessions().map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+};
+
+/**
+ * Revoke a single session (log out one device)
+ * DELETE /api/users/sessions/:id
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user || !user.getSessions().some(session => session.id === id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await user.revokeTokenFamily(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
+};
+
+/**
+ * Log out everywhere except the current session
+ * POST /api/users/sessions/revoke-others
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.revokeOtherSessions(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all other sessions'
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+};
+
+/**
+ * Read the OTP destination (phone or email) from the request body
+ * @param {object} body - Request body
+ * @returns {string} Phone number or lowercased email
+ */
+const getOtpDestination = (body) => {
+  if (body.email) return String(body.email).trim().toLowerCase();
+  return body.phone ? String(body.phone).trim() : '';
+};
+
+/**
+ * Send OTP to a phone number or email
+ * POST /api/auth/send-otp
+ */
 const sendOtp = async (req, res) => {
-  const { phone } = req.body;
+  try {
+    const destination = getOtpDestination(req.body);
+    const channel = detectChannel(destination);
 
-  if (!/^[0-9]{10}$/.test(phone))
-    return res.status(400).json({ message: "Invalid phone number" });
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid 10-digit phone number or email is required'
+      });
+    }
 
-  const otp = Math.floor(100000 + Math.random() * 900000).toString();
+    const otp = crypto.randomInt(100000, 1000000).toString();
 
-  saveOtp(phone, otp);
+    // Saved for unknown emails too, so they hit the same resend limits
+    const saved = await saveOtp(destination, otp);
+    if (!saved.ok) {
+      return sendOtpError(res, saved);
+    }
 
-  console.log(`OTP for phone ${phone}: ${otp}`);
+    // Email OTP can only sign in to an account that has email login linked.
+    // Other emails get the same answer, so it does not tell which emails have accounts.
+    if (channel === 'sms' || await User.findByIdentity('email', destination).exec()) {
+      await deliverOtp(destination, otp);
+    }
 
-  res.json({
-    message: "OTP generated (demo mode)"
-  });
+    res.status(200).json({
+      success: true,
+      message: channel === 'sms' ? 'OTP sent to your phone' : 'If an account uses this email for login, an OTP has been sent to it'
+    });
+  } catch (error) {
+    console.error('Send OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP'
+    });
+  }
 };
 
-// Verify OTP
+/**
+ * Verify OTP and log in
+ * POST /api/auth/verify-otp
+ */
 const verifyOtp = async (req, res) => {
-  const { phone, otp } = req.body;
+  try {
+    const destination = getOtpDestination(req.body);
+    const channel = detectChannel(destination);
+    const { otp } = req.body;
 
-  const isValid = checkOtp(phone, otp);
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid 10-digit phone number or email is required'
+      });
+    }
 
-  if (!isValid)
-    return res.status(400).json({ message: "Invalid or expired OTP" });
+    const result = await checkOtp(destination, otp);
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
 
-  let user = await User.findOne({ phone });
+    let user;
+    if (channel === 'email') {
+      user = await User.findByIdentity('email', destination).exec();
+    } else {
+      user = await User.findByPhone(destination).exec();
 
-  if (!user) {
-    user = await User.create({ phone });
+      // First phone login creates the account
+      if (!user) {
+        user = await User.create({ phone: destination, identities: [{ type: 'phone' }] });
+      }
+    }
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired OTP'
+      });
+    }
+
+    // The phone belongs to an account that has not linked phone login
+    if (channel === 'sms' && !user.hasIdentity('phone')) {
+      return res.status(403).json({
+        success: false,
+        code: 'IDENTITY_NOT_LINKED',
+        message: 'Phone login is not enabled for this account. Log in another way and add it from your profile.'
+      });
+    }
+
+    // A verified OTP proves ownership, so it also lifts any password lockout
+    await user.resetLoginAttempts();
+
+    if (user.mfa.enabled) {
+      return sendMfaChallenge(res, user);
+    }
+
+    const tokens = issueTokens(req, res, await user.createSession(getClientInfo(req)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        ...tokens,
+        user: user.toJSON()
+      }
+    });
+  } catch (error) {
+    console.error('Verify OTP error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during OTP verification'
+    });
   }
+};
 
-  const accessToken = jwt.sign(
-    { userId: user._id },
-    config.accessSecret,
-    { expiresIn: config.accessExpiry }
-  );
+/**
+ * Second login step: exchange an "mfa pending" token and a TOTP or
+ * recovery code for a session
+ * POST /api/auth/mfa/verify
+ */
+const verifyMfa = async (req, res) => {
+  try {
+    const { mfaToken, code } = req.body;
 
-  const refreshToken = jwt.sign(
-    { userId: user._id },
-    config.refreshSecret,
-    { expiresIn: config.refreshExpiry }
-  );
+    const decoded = verifyMfaToken(mfaToken);
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        code: 'MFA_TOKEN_INVALID',
+        message: 'Your login has expired. Please log in again.'
+      });
+    }
 
-  await user.addRefreshToken(refreshToken);
+    const user = await User.findById(decoded.userId).exec();
+    if (!user || !user.mfa.enabled) {
+      return res.status(401).json({
+        success: false,
+        code: 'MFA_TOKEN_INVALID',
+        message: 'Your login has expired. Please log in again.'
+      });
+    }
 
-  res.json({ 
-    success: true,
-    data: {
-      accessToken,
-      refreshToken,
-      user: user.toJSON()
+    if (user.isLocked()) {
+      return sendAccountLocked(res, user);
     }
-  });
+
+    // Six digits is an authenticator code; anything else is a recovery code
+    const usedRecoveryCode = !/^[0-9]{6}$/.test(code);
+    const valid = usedRecoveryCode
+      ? await user.consumeRecoveryCode(code)
+      : await user.verifyTotp(code);
+
+    if (!valid) {
+      await user.registerFailedLogin();
+      if (user.isLocked()) {
+        return sendAccountLocked(res, user);
+      }
+
+      return res.status(401).json({
+        success: false,
+        code: 'MFA_CODE_INVALID',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await user.resetLoginAttempts();
+
+    const tokens = issueTokens(req, res, await user.createSession({ ...getClientInfo(req), mfa: true }));
+
+    res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user: user.toJSON(),
+        ...tokens,
+        recoveryCodesRemaining: usedRecoveryCode ? user.recoveryCodesRemaining() : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Verify MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification'
+    });
+  }
+};
+
+/**
+ * Unlock an account locked by failed logins using an OTP
+ * Request an OTP for the account's phone or email via /api/auth/send-otp first
+ * POST /api/auth/unlock
+ */
+const unlockAccount = async (req, res) => {
+  try {
+    const destination = getOtpDestination(req.body);
+    const channel = detectChannel(destination);
+    const { otp } = req.body;
+
+    if (!channel) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid 10-digit phone number or email is required'
+      });
+    }
+
+    const result = await checkOtp(destination, otp);
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    const user = await User.findByIdentity(channel === 'email' ? 'email' : 'phone', destination).exec();
+
+    if (user) {
+      await user.resetLoginAttempts();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Account unlocked. You can log in with your password again.'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlocking account'
+    });
+  }
 };
 
 module.exports = {
@@ -334,6 +653,11 @@ module.exports = {
   refreshToken,
   logout,
   getProfile,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   sendOtp,
-  verifyOtp
+  verifyOtp,
+  verifyMfa,
+  unlockAccount
 };
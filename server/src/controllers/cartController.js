@@ -3,10 +3,32 @@
  * Handles cart operations: add, remove, update, clear, get
  */
 
-const { validationResult } = require('express-validator');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 
+/**
+ * Find the variant a cart request refers to
+ * Products with variants must be bought as one of them; products without
+ * variants must not name one
+ * @param {object} product - Product document
+ * @param {string} variantId - Variant ID from the request
+ * @returns {object} { variant } or { status, message } when invalid
+ */
+const resolveVariant = (product, variantId) => {
+  if (!product.hasVariants()) {
+    return variantId
+      ? { status: 400, message: 'This product has no variants' }
+      : { variant: null };
+  }
+
+  if (!variantId) {
+    return { status: 400, message: 'Please choose a variant of this product' };
+  }
+
+  const variant = product.getVariant(variantId);
+  return variant ? { variant } : { status: 404, message: 'Variant not found' };
+};
+
 /**
  * Get user's cart
  * GET /api/cart
@@ -37,18 +59,8 @@ const getCart = async (req, res) => {
  */
 const addItem = async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors.array()
-      });
-    }
-
     const userId = req.userId;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     // Check if product exists
     const product = await Product.findById(productId);
@@ -59,20 +71,30 @@ const addItem = async (req, res) => {
       });
     }
 
-    // Check stock availability
-    if (product.stock < quantity) {
-      return res.status(400).json({
+    const { variant, status, message } = resolveVariant(product, variantId);
+    if (status) {
+      return res.status(status).json({
         success: false,
-        message: 'Insufficient stock',
-        available: product.stock
+        message
       });
     }
 
     // Find or create cart
     const cart = await Cart.findOrCreate(userId);
 
+    // Check stock for everything of this product/variant that will be in the cart
+    const existingItem = cart.findItem(productId, variantId);
+    const available = product.stockFor(variant);
+    if (available < quantity + (existingItem ? existingItem.quantity : 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient stock',
+        available
+      });
+    }
+
     // Add item to cart
-    await cart.addItem(productId, quantity, product.price);
+    await cart.addItem(productId, quantity, product.priceFor(variant), variant ? variant._id : null);
 
     // Reload cart with populated product data
     const updatedCart = await Cart.findById(cart._id).populate('items.product');
@@ -88,7 +110,7 @@ const addItem = async (req, res) => {
     if (error.kind === 'ObjectId') {
       return res.status(400).json({
         success: false,
-        message: 'Invalid product ID'
+        message: 'Invalid product or variant ID'
       });
     }
 
@@ -101,12 +123,12 @@ const addItem = async (req, res) => {
 
 /**
  * Remove item from cart
- * DELETE /api/cart/items/:productId
+ * DELETE /api/cart/items/:productId/:variantId? (variant for products with variants)
  */
 const removeItem = async (req, res) => {
   try {
     const userId = req.userId;
-    const { productId } = req.params;
+    const { productId, variantId } = req.params;
 
     // Find user's cart
     const cart = await Cart.findOne({ user: userId });
@@ -118,7 +140,7 @@ const removeItem = async (req, res) => {
     }
 
     // Remove item from cart
-    await cart.removeItem(productId);
+    await cart.removeItem(productId, variantId);
 
     // Reload cart with populated product data
     const updatedCart = await Cart.findById(cart._id).populate('items.product');
@@ -147,12 +169,12 @@ const removeItem = async (req, res) => {
 
 /**
  * Update item quantity
- * PUT /api/cart/items/:productId
+ * PUT /api/cart/items/:productId/:variantId? (variant for products with variants)
  */
 const updateItemQuantity = async (req, res) => {
   try {
     const userId = req.userId;
-    const { productId } = req.params;
+    const { productId, variantId } = req.params;
     const { quantity } = req.body;
 
     if (quantity === undefined || quantity < 0) {
@@ -171,26 +193,26 @@ const updateItemQuantity = async (req, res) => {
       });
     }
 
-    // Check stock if increasing quantity
+    // Check stock of the product or variant if increasing quantity
     if (quantity > 0) {
-      const existingItem = cart.items.find(
-        item => item.product.toString() === productId
-      );
+      const existingItem = cart.findItem(productId, variantId);
       
       if (existingItem) {
         const product = await Product.findById(productId);
-        if (product && product.stock < quantity) {
+        const variant = product ? product.getVariant(variantId) : null;
+        // Products or variants no longer on sale are caught at checkout
+        if (product && (variant || !variantId) && product.stockFor(variant) < quantity) {
           return res.status(400).json({
             success: false,
             message: 'Insufficient stock',
-            available: product.stock
+            available: product.stockFor(variant)
           });
         }
       }
     }
 
     // Update item quantity
-    await cart.updateItemQuantity(productId, quantity);
+    await cart.updateItemQuantity(productId, quantity, variantId);
 
     // Reload cart with populated product data
     const updatedCart = await Cart.findById(cart._id).populate('items.product');
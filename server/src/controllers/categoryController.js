@@ -0,0 +1,286 @@
+/**
+ * Category Controller
+ * Handles the category tree: listing, navigation, breadcrumbs and CRUD
+ */
+
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const suggestIndex = require('../utils/suggestIndex');
+
+/**
+ * Load the parent named in a request body
+ * @param {string|null} parentId - Parent category ID, or null for a root category
+ * @returns {Promise<object>} { parent } or { message } when it does not exist
+ */
+const loadParent = async (parentId) => {
+  if (!parentId) {
+    return { parent: null };
+  }
+
+  const parent = await Category.findById(parentId).exec();
+  return parent ? { parent } : { message: 'Parent category not found' };
+};
+
+/**
+ * Respond that a slug is already taken
+ * @param {object} res - Express response
+ */
+const sendDuplicateSlug = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'A category with this slug already exists'
+  });
+};
+
+/**
+ * Get all categories as a flat list
+ * GET /api/categories
+ */
+const getCategories = async (req, res) => {
+  try {
+    const categories = await Category.find()
+      .sort({ sortOrder: 1, name: 1 })
+      .exec();
+
+    res.status(200).json({
+      success: true,
+      data: { categories }
+    });
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+/**
+ * Get the category tree for navigation
+ * GET /api/categories/tree
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const tree = await Category.getTree();
+
+    res.status(200).json({
+      success: true,
+      data: { tree }
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching categories'
+    });
+  }
+};
+
+/**
+ * Get one category by ID or slug with its breadcrumbs and children
+ * GET /api/categories/:idOrSlug
+ */
+const getCategory = async (req, res) => {
+  try {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [breadcrumbs, children] = await Promise.all([
+      category.getBreadcrumbs(),
+      Category.find({ parent: category._id }).sort({ sortOrder: 1, name: 1 }).exec()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { category, breadcrumbs, children }
+    });
+  } catch (error) {
+    console.error('Get category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching category'
+    });
+  }
+};
+
+/**
+ * Create a category
+ * POST /api/categories
+ */
+const createCategory = async (req, res) => {
+  try {
+    const { name, slug, description, sortOrder, parent: parentId } = req.body;
+
+    const { parent, message } = await loadParent(parentId);
+    if (message) {
+      return res.status(400).json({
+        success: false,
+        message
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      slug,
+      description,
+      sortOrder,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : []
+    });
+    suggestIndex.indexCategory(category);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateSlug(res);
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating category'
+    });
+  }
+};
+
+/**
+ * Update a category; changing `parent` moves it with everything below it
+ * PUT /api/categories/:id
+ */
+const updateCategory = async (req, res) => {
+  try {
+    const { name, slug, description, sortOrder, parent: parentId } = req.body;
+
+    const category = await Category.findById(req.params.id).exec();
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (description !== undefined) category.description = description;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+    if (parentId !== undefined && String(parentId || '') !== String(category.parent || '')) {
+      const { parent, message } = await loadParent(parentId);
+      if (message) {
+        return res.status(400).json({
+          success: false,
+          message
+        });
+      }
+
+      // A category cannot be moved into itself or below itself
+      if (parent && (parent._id.equals(category._id) || parent.ancestors.some(id => id.equals(category._id)))) {
+        return res.status(400).json({
+          success: false,
+          message: 'A category cannot be moved under itself or one of its subcategories'
+        });
+      }
+
+      await category.moveTo(parent);
+    } else {
+      await category.save();
+    }
+    suggestIndex.indexCategory(category);
+
+    res.status(200).json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateSlug(res);
+    }
+
+    console.error('Update category error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating category'
+    });
+  }
+};
+
+/**
+ * Delete a category
+ * Only empty categories (no subcategories or products) can be deleted
+ * DELETE /api/categories/:id
+ */
+const deleteCategory = async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).exec();
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: category._id }).exec(),
+      Product.countDocuments({ category: category._id }).exec()
+    ]);
+
+    if (children > 0 || products > 0) {
+      return res.status(409).json({
+        success: false,
+        code: 'CATEGORY_NOT_EMPTY',
+        message: 'Move or delete the subcategories and products in this category first',
+        children,
+        products
+      });
+    }
+
+    await category.deleteOne();
+    suggestIndex.removeCategory(category._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete category error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting category'
+    });
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
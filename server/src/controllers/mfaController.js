@@ -0,0 +1,268 @@
+/**
+ * MFA Controller
+ * Handles TOTP two-factor enrollment, recovery codes and disabling
+ */
+
+const User = require('../models/User');
+const { config } = require('../config/jwt');
+const totp = require('../utils/totp');
+
+/**
+ * Check a TOTP or recovery code for an enrolled user
+ * @param {object} user - User with two-factor authentication enabled
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+const checkSecondFactor = (user, code) => {
+  return /^[0-9]{6}$/.test(code) ? user.verifyTotp(code) : user.consumeRecoveryCode(code);
+};
+
+/**
+ * Get two-factor status for the current user
+ * GET /api/users/me/mfa
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        enabled: user.mfa.enabled,
+        required: config.mfaRequiredRoles.includes(user.role),
+        recoveryCodesRemaining: user.mfa.enabled ? user.recoveryCodesRemaining() : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get MFA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching two-factor status'
+    });
+  }
+};
+
+/**
+ * Start enrollment: generate a secret for the authenticator app
+ * Not active until confirmed with a code at /api/users/me/mfa/enable
+ * POST /api/users/me/mfa/setup
+ */
+const setupMfa = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.mfa.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    user.mfa.pendingSecret = totp.encryptSecret(secret);
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: totp.buildOtpauthUri(secret, user.email || user.phone)
+      }
+    });
+  } catch (error) {
+    console.error('Setup MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting up two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Confirm enrollment with a code from the authenticator app
+ * Returns recovery codes (shown once) and upgrades the current session
+ * POST /api/users/me/mfa/enable
+ */
+const enableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.mfa.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.mfa.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = totp.verifyCode(totp.decryptSecret(user.mfa.pendingSecret), code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        code: 'MFA_CODE_INVALID',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = null;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    user.mfa.lastUsedStep = step;
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    // The user just proved the second factor on this device
+    await user.markSessionMfa(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+      data: {
+        user: user.toJSON(),
+        recoveryCodes,
+        accessToken: user.generateAccessToken(req.sessionId, true)
+      }
+    });
+  } catch (error) {
+    console.error('Enable MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while enabling two-factor authentication'
+    });
+  }
+};
+
+/**
+ * Replace recovery codes, confirmed with a current code
+ * POST /api/users/me/mfa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await checkSecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        code: 'MFA_CODE_INVALID',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = user.regenerateRecoveryCodes();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'New recovery codes generated. Your old codes no longer work.',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating recovery codes'
+    });
+  }
+};
+
+/**
+ * Turn off two-factor authentication, confirmed with a current code
+ * POST /api/users/me/mfa/disable
+ */
+const disableMfa = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.mfa.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await checkSecondFactor(user, code))) {
+      return res.status(400).json({
+        success: false,
+        code: 'MFA_CODE_INVALID',
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.mfa = { enabled: false, secret: null, pendingSecret: null, lastUsedStep: 0, enabledAt: null, recoveryCodes: [] };
+    await user.save();
+
+    // Sessions lose the privileges that required a second factor
+    await user.clearSessionMfa();
+
+    res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    console.error('Disable MFA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while disabling two-factor authentication'
+    });
+  }
+};
+
+module.exports = {
+  getMfaStatus,
+  setupMfa,
+  enableMfa,
+  regenerateRecoveryCodes,
+  disableMfa
+};
@@ -0,0 +1,345 @@
+/**
+ * Order Controller
+ * Handles checkout and order lifecycle: create, list, get, cancel, update status
+ */
+
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+
+/**
+ * Round a currency amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Return reserved stock for a list of order items
+ * @param {array} items - Items with product, variant and quantity
+ * @returns {Promise<void>}
+ */
+const releaseStock = async (items) => {
+  await Promise.all(items.map(item => Product.incrementStock(item.product, item.quantity, item.variant)));
+};
+
+/**
+ * Check that a cart item can still be bought: the product is on sale and,
+ * for products with variants, the chosen variant still exists
+ * @param {object} item - Cart item with populated product
+ * @returns {boolean}
+ */
+const isPurchasable = (item) => {
+  if (!item.product || !item.product.isActive) return false;
+  return item.product.hasVariants() ? Boolean(item.product.getVariant(item.variant)) : !item.variant;
+};
+
+/**
+ * Check whether the current user may view or modify an order
+ * @param {object} req - Express request
+ * @param {object} order - Order document
+ * @returns {boolean} True if the user owns the order or is staff/admin
+ */
+const canAccessOrder = (req, order) => {
+  return order.user.toString() === String(req.userId) || ['staff', 'admin'].includes(req.userRole);
+};
+
+/**
+ * Convert the user's cart into an order
+ * POST /api/orders/checkout
+ */
+const checkout = async (req, res) => {
+  const userId = req.userId;
+  let taken = null;
+
+  // Put the items back into the cart when no order is placed
+  const restoreCart = async () => {
+    const items = taken;
+    taken = null;
+    if (items) {
+      await Cart.restoreItems(userId, items);
+    }
+  };
+
+  try {
+    // Empty the cart first, so a repeated checkout finds nothing to order
+    const cart = await Cart.takeItems(userId);
+    if (!cart) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+    taken = cart.items.map(item => item.toObject());
+    await cart.populate('items.product');
+
+    // Make sure every product and variant is still on sale
+    const unavailable = cart.items.find(item => !isPurchasable(item));
+    if (unavailable) {
+      await restoreCart();
+      return res.status(400).json({
+        success: false,
+        message: 'Some items in your cart are no longer available'
+      });
+    }
+
+    // Reserve stock one item at a time, rolling back on the first failure
+    const reserved = [];
+    for (const item of cart.items) {
+      const updated = await Product.decrementStock(item.product._id, item.quantity, item.variant);
+      if (!updated) {
+        await releaseStock(reserved);
+        await restoreCart();
+        const current = await Product.findById(item.product._id);
+        const variant = current ? current.getVariant(item.variant) : null;
+        return res.status(409).json({
+          success: false,
+          message: `Insufficient stock for ${item.product.name}`,
+          productId: item.product._id,
+          variantId: item.variant || undefined,
+          available: current && (variant || !item.variant) ? current.stockFor(variant) : 0
+        });
+      }
+      reserved.push({ product: item.product._id, variant: item.variant, quantity: item.quantity });
+    }
+
+    // Snapshot items with prices at purchase time
+    const items = cart.items.map(item => {
+      const variant = item.product.getVariant(item.variant);
+      const price = item.product.priceFor(variant);
+
+      return {
+        product: item.product._id,
+        variant: variant ? variant._id : null,
+        name: item.product.name,
+        sku: variant ? variant.sku : undefined,
+        attributes: variant ? variant.attributes : undefined,
+        price,
+        quantity: item.quantity,
+        subtotal: roundPrice(price * item.quantity)
+      };
+    });
+
+    let order;
+    try {
+      order = await Order.create({
+        orderNumber: Order.generateOrderNumber(),
+        user: userId,
+        items,
+        totalQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        totalPrice: roundPrice(items.reduce((sum, item) => sum + item.subtotal, 0))
+      });
+    } catch (error) {
+      await releaseStock(reserved);
+      throw error;
+    }
+
+    // The items now belong to the order
+    taken = null;
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: {
+        orderNumber: order.orderNumber,
+        order
+      }
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    await restoreCart().catch(err => console.error('Restore cart error:', err));
+    res.status(500).json({
+      success: false,
+      message: 'Server error during checkout'
+    });
+  }
+};
+
+/**
+ * Get current user's orders with pagination
+ * GET /api/orders
+ */
+const getOrders = async (req, res) => {
+  try {
+    const pageNum = parseInt(req.query.page) || 1;
+    const limitNum = parseInt(req.query.limit) || 10;
+
+    const { orders, pagination } = await Order.findByUserId(req.userId, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    res.status(200).json({
+      success: true,
+      data: { orders, pagination }
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching orders'
+    });
+  }
+};
+
+/**
+ * Get single order by ID
+ * GET /api/orders/:id
+ */
+const getOrderById = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).exec();
+
+    if (!order || !canAccessOrder(req, order)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching order'
+    });
+  }
+};
+
+/**
+ * Cancel a pending order
+ * POST /api/orders/:id/cancel
+ */
+const cancelOrder = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).exec();
+
+    if (!order || !canAccessOrder(req, order)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot cancel an order that is ${order.status}`
+      });
+    }
+
+    if (!(await order.transitionTo('cancelled'))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status changed meanwhile; reload the order and try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Order cancelled',
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling order'
+    });
+  }
+};
+
+/**
+ * Update order status (staff and admin)
+ * PATCH /api/orders/:id/status
+ */
+const updateOrderStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!Order.ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${Order.ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    const order = await Order.findById(req.params.id).exec();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!order.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot change order status from ${order.status} to ${status}`
+      });
+    }
+
+    // Paid orders must go through the refund flow so the payment is reversed
+    if (order.status === 'paid' && status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Paid orders must be refunded via POST /api/orders/:id/refund'
+      });
+    }
+
+    if (!(await order.transitionTo(status))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Order status changed meanwhile; reload the order and try again'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Order status updated',
+      data: { order }
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating order status'
+    });
+  }
+};
+
+module.exports = {
+  checkout,
+  getOrders,
+  getOrderById,
+  cancelOrder,
+  updateOrderStatus
+};
@@ -0,0 +1,368 @@
+/**
+ * Payment Controller
+ * Handles payment intents, confirmation, refunds and provider webhooks
+ */
+
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { config, getPaymentProvider } = require('../utils/payments');
+
+/**
+ * Give back a payment that succeeded for an order it cannot pay, because
+ * another payment paid it or it was cancelled meanwhile
+ * The refund event is recorded as processed so it does not cancel the order.
+ * When the refund fails the payment is flagged with refundDue.
+ * @param {object} payment - Payment document (caller saves)
+ * @returns {Promise<void>}
+ */
+const refundUnapplied = async (payment) => {
+  console.error(`Payment ${payment._id} succeeded but order ${payment.order} cannot be paid; refunding it`);
+  try {
+    const { event } = await getPaymentProvider(payment.provider).refund(payment.intentId, { amount: payment.amount });
+    payment.status = 'refunded';
+    payment.failureReason = 'Refunded because the order could not be paid';
+    payment.processedEvents.push(event.id);
+  } catch (error) {
+    console.error(`Refund of payment ${payment._id} failed:`, error);
+    payment.refundDue = true;
+  }
+};
+
+/**
+ * Whether a payment is the one that holds (or paid) an order
+ * Orders paid before payments held orders have none recorded
+ * @param {object} order - Order document
+ * @param {object} payment - Payment document
+ * @returns {boolean} True if the payment holds the order
+ */
+const holdsOrder = (order, payment) => !order.payment || order.payment.equals(payment._id);
+
+/**
+ * Apply a provider event to its payment and order
+ * Safe to call more than once for the same event: repeats are ignored
+ * @param {string} providerName - Provider that emitted the event
+ * @param {object} event - Provider event { id, type, intentId, data }
+ * @returns {Promise<object>} { payment, duplicate }
+ */
+const applyPaymentEvent = async (providerName, event) => {
+  const existing = await Payment.findOne({ provider: providerName, intentId: event.intentId }).exec();
+  if (!existing) {
+    return { payment: null, duplicate: false };
+  }
+
+  const payment = await Payment.claimEvent(existing._id, event.id);
+  if (!payment) {
+    return { payment: existing, duplicate: true };
+  }
+
+  const order = await Order.findById(payment.order).exec();
+
+  switch (event.type) {
+    case 'payment.succeeded': {
+      if (payment.status !== 'requires_confirmation' && payment.status !== 'failed') break;
+
+      payment.status = 'succeeded';
+      payment.failureReason = '';
+      // Only a pending order that no other payment holds becomes paid; both
+      // updates are conditional, so a concurrent payment or cancel wins cleanly
+      const claimed = await Order.claimForPayment(payment.order, payment._id);
+      if (!claimed || !(await claimed.transitionTo('paid'))) {
+        await refundUnapplied(payment);
+      }
+      break;
+    }
+
+    case 'payment.failed':
+      if (payment.status === 'requires_confirmation') {
+        payment.status = 'failed';
+        payment.failureReason = (event.data && event.data.failureReason) || 'Payment failed';
+        await Order.releasePayment(payment.order, payment._id);
+      }
+      break;
+
+    case 'payment.refunded':
+      payment.status = 'refunded';
+      // Refunding a payment that never paid the order leaves the order alone
+      if (order && holdsOrder(order, payment) && order.canTransitionTo('cancelled')) {
+        await order.transitionTo('cancelled');
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  await payment.save();
+  return { payment, duplicate: false };
+};
+
+/**
+ * Reason an order cannot be paid now, or null if it can
+ * @param {object} order - Order document
+ * @returns {Promise<string|null>} Message for the client
+ */
+const paymentBlocker = async (order) => {
+  if (order.status !== 'pending') {
+    return `Cannot pay for an order that is ${order.status}`;
+  }
+  if (await Payment.exists({ order: order._id, status: 'succeeded' })) {
+    return 'Order has already been paid';
+  }
+  return null;
+};
+
+/**
+ * Create a payment intent for an order
+ * POST /api/orders/:id/pay
+ */
+const createPayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).exec();
+
+    if (!order || order.user.toString() !== String(req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const blocker = await paymentBlocker(order);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    const provider = getPaymentProvider();
+    if (!provider) {
+      return res.status(500).json({
+        success: false,
+        message: 'Payment provider is not configured'
+      });
+    }
+
+    const intent = await provider.createIntent({
+      amount: order.totalPrice,
+      currency: config.currency,
+      metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber }
+    });
+
+    const payment = await Payment.create({
+      order: order._id,
+      user: req.userId,
+      provider: provider.name,
+      intentId: intent.id,
+      amount: intent.amount,
+      currency: intent.currency
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment created',
+      data: {
+        payment,
+        clientSecret: intent.clientSecret
+      }
+    });
+  } catch (error) {
+    console.error('Create payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating payment'
+    });
+  }
+};
+
+/**
+ * Confirm a payment intent
+ * POST /api/payments/:id/confirm
+ */
+const confirmPayment = async (req, res) => {
+  try {
+    const { paymentMethod } = req.body;
+
+    const payment = await Payment.findById(req.params.id).exec();
+    if (!payment || payment.user.toString() !== String(req.userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.status !== 'requires_confirmation') {
+      return res.status(400).json({
+        success: false,
+        message: `Payment is already ${payment.status}`
+      });
+    }
+
+    // A cancelled or already paid order must not be charged
+    const order = await Order.findById(payment.order).exec();
+    const blocker = order ? await paymentBlocker(order) : 'Order not found';
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+
+    // Reserve the order so a parallel confirmation cannot charge it as well
+    if (!(await Order.claimForPayment(order._id, payment._id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another payment for this order is in progress'
+      });
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    let event;
+    try {
+      ({ event } = await provider.confirmIntent(payment.intentId, { paymentMethod }));
+    } catch (error) {
+      await Order.releasePayment(order._id, payment._id);
+      throw error;
+    }
+
+    // Apply the result now; the matching webhook will be ignored as a duplicate
+    const { payment: updated } = await applyPaymentEvent(provider.name, event);
+
+    res.status(200).json({
+      success: updated.status === 'succeeded',
+      message: updated.status === 'succeeded' ? 'Payment successful' : updated.failureReason,
+      data: {
+        payment: updated,
+        order: await Order.findById(payment.order).exec()
+      }
+    });
+  } catch (error) {
+    console.error('Confirm payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming payment'
+    });
+  }
+};
+
+/**
+ * Refund the successful payment of an order and cancel it (staff and admin)
+ * POST /api/orders/:id/refund
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).exec();
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // The payment that paid the order, not one refunded for arriving second
+    const paidWith = order.payment ? { _id: order.payment } : {};
+    const payment = await Payment.findOne({ order: order._id, status: 'succeeded', ...paidWith }).exec();
+    if (!payment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order has no successful payment to refund'
+      });
+    }
+
+    if (!order.canTransitionTo('cancelled')) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot refund an order that is ${order.status}`
+      });
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+    const { event } = await provider.refund(payment.intentId, { amount: payment.amount });
+    const { payment: updated } = await applyPaymentEvent(provider.name, event);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment refunded',
+      data: {
+        payment: updated,
+        order: await Order.findById(order._id).exec()
+      }
+    });
+  } catch (error) {
+    console.error('Refund payment error:', error);
+
+    if (error.kind === 'ObjectId') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid order ID'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refunding payment'
+    });
+  }
+};
+
+/**
+ * Receive a signed event from a payment provider
+ * POST /api/payments/webhook/:provider
+ */
+const handleWebhook = async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown payment provider'
+    });
+  }
+
+  let event;
+  try {
+    event = await provider.handleWebhook(req.rawBody ? req.rawBody.toString('utf8') : '', req.headers);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  try {
+    const { payment, duplicate } = await applyPaymentEvent(provider.name, event);
+
+    res.status(200).json({
+      success: true,
+      message: duplicate ? 'Event already processed' : 'Event processed',
+      data: { received: true, matched: Boolean(payment) }
+    });
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing webhook'
+    });
+  }
+};
+
+module.exports = {
+  createPayment,
+  confirmPayment,
+  refundPayment,
+  handleWebhook
+};
@@ -0,0 +1,163 @@
+/**
+ * Privacy Controller
+ * Handles personal data export and account deletion requests
+ */
+
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { config: deletionConfig } = require('../utils/accountDeletion');
+const { sendDeletionScheduledEmail } = require('../utils/mailer');
+
+/**
+ * Download everything stored about the current user as JSON
+ * GET /api/users/me/export
+ */
+const exportData = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [cart, orders, payments] = await Promise.all([
+      Cart.findOne({ user: user._id }).lean().exec(),
+      Order.find({ user: user._id }).sort({ createdAt: -1 }).lean().exec(),
+      Payment.find({ user: user._id }).select('-processedEvents').sort({ createdAt: -1 }).lean().exec()
+    ]);
+
+    const archive = {
+      exportedAt: new Date(),
+      profile: user.toJSON(),
+      sessions: user.getSessions(),
+      cart,
+      orders,
+      payments,
+      // Stored data deliberately left out of the archive, and why
+      omitted: [
+        { category: 'addresses', reason: 'The store does not keep addresses' },
+        { category: 'reviews', reason: 'The store does not keep reviews' },
+        { category: 'credentials', reason: 'Password hash, two-factor secret and recovery codes are secrets' },
+        { category: 'security tokens', reason: 'Refresh, password reset and email verification tokens are secrets' },
+        { category: 'login lockout', reason: 'Failed login counters are temporary and reset on a successful login' },
+        { category: 'one-time codes', reason: 'OTP codes are stored hashed and expire within minutes' }
+      ]
+    };
+
+    res.set('Content-Disposition', `attachment; filename="eshop-data-${user._id}.json"`);
+    res.status(200).json({
+      success: true,
+      data: archive
+    });
+  } catch (error) {
+    console.error('Export data error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting data'
+    });
+  }
+};
+
+/**
+ * Schedule the current user's account for deletion
+ * Requires the password when one is set. All sessions are logged out;
+ * logging in again during the grace period allows cancelling.
+ * DELETE /api/users/me
+ */
+const requestDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.deletion.scheduledFor) {
+      return res.status(409).json({
+        success: false,
+        message: 'Account deletion is already scheduled'
+      });
+    }
+
+    if (user.hasPassword() && !(await user.comparePassword(password))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PASSWORD',
+        message: 'Password is incorrect'
+      });
+    }
+
+    user.scheduleDeletion(deletionConfig.graceMs);
+    await user.save();
+    await user.clearRefreshTokens();
+
+    if (user.email) {
+      sendDeletionScheduledEmail(user, user.deletion.scheduledFor)
+        .catch(err => console.error('Deletion email error:', err));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Your account will be deleted on ${user.deletion.scheduledFor.toUTCString()}. Log in before then to cancel.`,
+      data: { scheduledFor: user.deletion.scheduledFor }
+    });
+  } catch (error) {
+    console.error('Request deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account'
+    });
+  }
+};
+
+/**
+ * Cancel a scheduled account deletion
+ * POST /api/users/me/deletion/cancel
+ */
+const cancelDeletion = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.deletion.scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'No account deletion is scheduled'
+      });
+    }
+
+    user.cancelDeletion();
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while cancelling deletion'
+    });
+  }
+};
+
+module.exports = {
+  exportData,
+  requestDeletion,
+  cancelDeletion
+};
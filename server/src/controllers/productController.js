@@ -3,77 +3,172 @@
  * Handles CRUD operations on products with pagination and search
  */
 
-const { validationResult } = require('express-validator');
 const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { sendValidationError } = require('../middleware/validate');
+const { ATTRIBUTE_PREFIX } = require('../validators/productValidators');
+const suggestIndex = require('../utils/suggestIndex');
+const { decodeCursor } = require('../utils/cursor');
+const productTransfer = require('../utils/productTransfer');
+const productImages = require('../utils/productImages');
 
 /**
- * Get all products with pagination and search
+ * Respond to errors from saving a product that are the client's fault:
+ * invalid options/variants (400) or a SKU used by another product (409)
+ * @param {object} res - Express response
+ * @param {object} error - Error thrown by save/create
+ * @returns {object|null} Response, or null if the error is not a client error
+ */
+const sendProductSaveError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => ({
+      field: err.path,
+      location: 'body',
+      message: err.message
+    }));
+    return sendValidationError(res, errors, 'Invalid product');
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A SKU is already used by another product'
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Read attribute filters from the query string
+ * `?attr.size=M,L&attr.color=Red` becomes { size: ['M', 'L'], color: ['Red'] };
+ * repeating a parameter also adds values
+ * @param {object} query - req.query
+ * @returns {object} Attribute filters
+ */
+const parseAttributeFilters = (query) => {
+  const attributes = {};
+
+  for (const [key, value] of Object.entries(query)) {
+    if (!key.startsWith(ATTRIBUTE_PREFIX)) continue;
+
+    const values = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    if (values.length > 0) {
+      attributes[key.slice(ATTRIBUTE_PREFIX.length)] = values;
+    }
+  }
+
+  return attributes;
+};
+
+/**
+ * Read the listing filters shared by the product list and the export
+ * @param {object} query - req.query
+ * @returns {Promise<object>} Filters for Product.facetedSearch
+ */
+const parseListFilters = async (query) => {
+  const { search, category, minPrice, maxPrice, inStock } = query;
+
+  // Filter by category (ID or slug), including its subcategories
+  let categories;
+  if (category) {
+    const match = await Category.findByIdOrSlug(category);
+    categories = match ? await Category.descendantIds(match._id) : [];
+  }
+
+  return {
+    search,
+    categories,
+    minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+    maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+    inStock: inStock === 'true',
+    attributes: parseAttributeFilters(query)
+  };
+};
+
+/**
+ * Get all products with page or cursor pagination, search, filters and facet counts
  * GET /api/products
  */
 const getProducts = async (req, res) => {
   try {
     const {
       search,
-      category,
       page = 1,
       limit = 10,
-      sortBy = 'createdAt',
-      sortOrder = 'desc'
+      sortBy = search ? 'relevance' : 'createdAt',
+      sortOrder = 'desc',
+      cursor,
+      withTotal
     } = req.query;
 
     // Validate pagination params
     const pageNum = parseInt(page) || 1;
     const limitNum = parseInt(limit) || 10;
-    const skip = (pageNum - 1) * limitNum;
 
-    // Build query
-    const query = { isActive: true };
+    // Validate sort field
+    const sortField = Product.SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
 
-    // Search by name or description
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
+    // Cursor pages continue after the last product of the previous page,
+    // in the order the cursor was made for
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (after && (after.sortBy !== sortField || after.sortOrder !== sortOrder)) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_CURSOR',
+        message: 'Cursor does not match the requested sort order'
+      });
     }
 
-    // Filter by category
-    if (category) {
-      query.category = category;
+    const filters = await parseListFilters(req.query);
+    const { products, pagination, facets } = await Product.facetedSearch(filters, {
+      page: pageNum,
+      limit: limitNum,
+      sortBy: sortField,
+      sortOrder,
+      after,
+      withTotal: withTotal === 'true'
+    });
+
+    // Searches that found something become suggestions for others
+    if (search && !after && pageNum === 1 && pagination.total > 0) {
+      suggestIndex.recordQuery(search);
     }
 
-    // Validate sort field
-    const allowedSortFields = ['name', 'price', 'category', 'createdAt', 'updatedAt'];
-    const sortField = allowedSortFields.includes(sortBy) ? sortBy : 'createdAt';
-    const sortDir = sortOrder === 'asc' ? 1 : -1;
-
-    // Execute query with pagination
-    const [products, total] = await Promise.all([
-      Product.find(query)
-        .sort({ [sortField]: sortDir })
-        .skip(skip)
-        .limit(limitNum)
-        .exec(),
-      Product.countDocuments(query).exec()
-    ]);
+    res.status(200).json({
+      success: true,
+      data: { products, pagination, facets }
+    });
+  } catch (error) {
+    console.error('Get products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching products'
+    });
+  }
+};
+
+/**
+ * Suggest product names, categories and popular searches for a partial query
+ * Answered from the in-process suggestion index, without a database query
+ * GET /api/products/suggest?q=
+ */
+const getSuggestions = (req, res) => {
+  try {
+    const { q, limit } = req.query;
 
     res.status(200).json({
       success: true,
       data: {
-        products,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          totalPages: Math.ceil(total / limitNum)
-        }
+        query: q,
+        ...suggestIndex.suggest(q, parseInt(limit) || undefined)
       }
     });
   } catch (error) {
-    console.error('Get products error:', error);
+    console.error('Get suggestions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching products'
+      message: 'Server error while fetching suggestions'
     });
   }
 };
@@ -95,9 +190,12 @@ const getProductById = async (req, res) => {
       });
     }
 
+    await product.populate('category', 'name slug ancestors');
+    const breadcrumbs = product.category ? await product.category.getBreadcrumbs() : [];
+
     res.status(200).json({
       success: true,
-      data: { product }
+      data: { product, breadcrumbs }
     });
   } catch (error) {
     console.error('Get product error:', error);
@@ -123,27 +221,29 @@ const getProductById = async (req, res) => {
  */
 const createProduct = async (req, res) => {
   try {
-    // Validate request
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    const { sku, name, description, price, category, stock, image, attributes, options, variants } = req.body;
+
+    if (!(await Category.exists({ _id: category }))) {
       return res.status(400).json({
         success: false,
-        message: 'Validation error',
-        errors: errors.array()
+        message: 'Category not found'
       });
     }
 
-    const { name, description, price, category, stock, image } = req.body;
-
-    // Create product
+    // Create product; with variants the stock is the sum of variant stock
     const product = await Product.create({
+      sku,
       name,
       description,
       price,
       category,
       stock: stock || 0,
-      image
+      image,
+      attributes,
+      options,
+      variants
     });
+    suggestIndex.indexProduct(product);
 
     res.status(201).json({
       success: true,
@@ -151,6 +251,8 @@ const createProduct = async (req, res) => {
       data: { product }
     });
   } catch (error) {
+    if (sendProductSaveError(res, error)) return;
+
     console.error('Create product error:', error);
     res.status(500).json({
       success: false,
@@ -166,7 +268,7 @@ const createProduct = async (req, res) => {
 const updateProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, price, category, stock, image, isActive } = req.body;
+    const { sku, name, description, price, category, stock, image, isActive, attributes, options, variants } = req.body;
 
     // Check if product exists
     const product = await Product.findById(id);
@@ -177,7 +279,15 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    if (category !== undefined && !(await Category.exists({ _id: category }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
     // Update fields
+    if (sku !== undefined) product.sku = sku;
     if (name !== undefined) product.name = name;
     if (description !== undefined) product.description = description;
     if (price !== undefined) product.price = price;
@@ -185,9 +295,15 @@ const updateProduct = async (req, res) => {
     if (stock !== undefined) product.stock = stock;
     if (image !== undefined) product.image = image;
     if (isActive !== undefined) product.isActive = isActive;
+    if (attributes !== undefined) product.attributes = attributes;
+    // Options and variants are replaced as a whole; send variant _id values to keep
+    // them (carts refer to variants by ID)
+    if (options !== undefined) product.options = options;
+    if (variants !== undefined) product.variants = variants;
 
     // Save updated product
     await product.save();
+    suggestIndex.indexProduct(product);
 
     res.status(200).json({
       success: true,
@@ -195,6 +311,8 @@ const updateProduct = async (req, res) => {
       data: { product }
     });
   } catch (error) {
+    if (sendProductSaveError(res, error)) return;
+
     console.error('Update product error:', error);
 
     if (error.kind === 'ObjectId') {
@@ -230,6 +348,7 @@ const deleteProduct = async (req, res) => {
     // Soft delete - set isActive to false
     product.isActive = false;
     await product.save();
+    suggestIndex.removeProduct(product._id);
 
     res.status(200).json({
       success: true,
@@ -253,22 +372,158 @@ const deleteProduct = async (req, res) => {
 };
 
 /**
- * Get product categories
- * GET /api/products/categories/list
+ * Upload product images (multipart field "images"), added after the existing ones
+ * Each file is stored in several sizes, as WebP and JPEG or PNG
+ * POST /api/products/:id/images
  */
-const getCategories = async (req, res) => {
+const uploadProductImages = async (req, res) => {
+  const files = req.files || [];
+  const added = [];
+  let saved = false;
+
   try {
-    const categories = await Product.distinct('category', { isActive: true });
+    if (files.length === 0) {
+      return sendValidationError(res, [{ field: 'images', location: 'body', message: 'Attach at least one image' }], 'Invalid upload');
+    }
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.images.length + files.length > productImages.config.maxImages) {
+      return sendValidationError(res, [{
+        field: 'images',
+        location: 'body',
+        message: `A product can have at most ${productImages.config.maxImages} images (it has ${product.images.length})`
+      }], 'Invalid upload');
+    }
+
+    // One at a time: resizing is CPU heavy
+    for (const file of files) {
+      try {
+        added.push(await productImages.storeImage(product._id, file.buffer));
+      } catch (error) {
+        if (error.code !== 'INVALID_IMAGE') throw error;
+        return sendValidationError(res, [{ field: 'images', location: 'body', message: `${file.originalname}: ${error.message}` }], 'Invalid image');
+      }
+    }
+
+    // Append only while there is still room, as other uploads may have added
+    // images since the check above
+    const { maxImages } = productImages.config;
+    const updated = await Product.findOneAndUpdate(
+      { _id: product._id, isActive: true, [`images.${maxImages - added.length}`]: { $exists: false } },
+      { $push: { images: { $each: added } } },
+      { new: true }
+    );
+    if (!updated) {
+      return sendValidationError(res, [{
+        field: 'images',
+        location: 'body',
+        message: `A product can have at most ${maxImages} images`
+      }], 'Invalid upload');
+    }
+    saved = true;
+
+    updated.syncCoverImage();
+    await updated.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Images uploaded successfully',
+      data: { product: updated }
+    });
+  } catch (error) {
+    console.error('Upload product images error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading images'
+    });
+  } finally {
+    // Nothing refers to the stored files unless the product was saved
+    if (!saved && added.length > 0) {
+      productImages.removeImages(added).catch(err => console.error('Remove image files error:', err));
+    }
+  }
+};
+
+/**
+ * Set the order of a product's images; the first one is the cover
+ * PUT /api/products/:id/images/order
+ */
+const reorderProductImages = async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const current = product.images.map(image => String(image._id));
+    if (imageIds.length !== current.length || new Set(imageIds).size !== imageIds.length || imageIds.some(id => !current.includes(id))) {
+      return sendValidationError(res, [{ field: 'imageIds', location: 'body', message: 'imageIds must list each of the product\'s images exactly once' }]);
+    }
+
+    product.images = imageIds.map(id => product.images.id(id));
+    product.syncCoverImage();
+    await product.save();
 
     res.status(200).json({
       success: true,
-      data: { categories }
+      message: 'Image order updated',
+      data: { product }
     });
   } catch (error) {
-    console.error('Get categories error:', error);
+    console.error('Reorder product images error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching categories'
+      message: 'Server error while reordering images'
+    });
+  }
+};
+
+/**
+ * Delete a product image and its stored files
+ * DELETE /api/products/:id/images/:imageId
+ */
+const deleteProductImage = async (req, res) => {
+  try {
+    const { id, imageId } = req.params;
+
+    const product = await Product.findById(id);
+    const image = product && product.images.id(imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: product ? 'Image not found' : 'Product not found'
+      });
+    }
+
+    product.images.pull(imageId);
+    product.syncCoverImage([image]);
+    await product.save();
+
+    // The product no longer shows the image, so a failed delete only leaves unused files
+    productImages.removeImages([image]).catch(err => console.error('Remove image files error:', err));
+
+    res.status(200).json({
+      success: true,
+      message: 'Image deleted successfully',
+      data: { product }
+    });
+  } catch (error) {
+    console.error('Delete product image error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting image'
     });
   }
 };
@@ -279,7 +534,8 @@ const getCategories = async (req, res) => {
  */
 const clearProducts = async (req, res) => {
   try {
-    await Product.deleteMany({});
+    await Product.deleteAllWithImages();
+    suggestIndex.clearProducts();
     
     res.status(200).json({
       success: true,
@@ -294,12 +550,147 @@ const clearProducts = async (req, res) => {
   }
 };
 
+/**
+ * Import products from a CSV or JSON file sent as the request body
+ * Rows are matched to products by SKU: new SKUs are created, known ones
+ * updated. With ?dryRun=true every row is checked and nothing is saved.
+ * POST /api/admin/products/import
+ */
+const importProducts = async (req, res) => {
+  const dryRun = req.query.dryRun === 'true';
+  let format = req.query.format;
+  if (!format) {
+    if (req.is('text/csv')) format = 'csv';
+    else if (req.is(['application/json', 'application/x-ndjson'])) format = 'json';
+  }
+
+  if (!format) {
+    return res.status(415).json({
+      success: false,
+      message: 'Send the file as text/csv, application/json or application/x-ndjson, or set ?format=csv|json'
+    });
+  }
+
+  try {
+    const report = await productTransfer.importProducts(req, { format, dryRun });
+
+    res.status(200).json({
+      success: true,
+      message: dryRun ? 'Dry run finished' : 'Import finished',
+      data: report
+    });
+  } catch (error) {
+    // Rows before the malformed part of the file were already handled
+    if (error.code === 'INVALID_FILE') {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_FILE',
+        message: error.message,
+        data: error.report
+      });
+    }
+
+    console.error('Import products error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing products',
+      data: error.report
+    });
+  }
+};
+
+/**
+ * Wait until the response can take more data
+ * @param {object} res - Express response
+ * @returns {Promise<void>} Resolves on drain, or when the client goes away
+ */
+const drained = (res) => new Promise(resolve => {
+  // A client that left before this call will never drain or close again
+  if (res.destroyed || res.writableEnded) {
+    resolve();
+    return;
+  }
+
+  const done = () => {
+    res.off('drain', done);
+    res.off('close', done);
+    resolve();
+  };
+  res.on('drain', done);
+  res.on('close', done);
+});
+
+/**
+ * Export products as a CSV or JSON file, streamed as they are read
+ * Takes the listing filters and sort, plus includeInactive
+ * GET /api/admin/products/export
+ */
+const exportProducts = async (req, res) => {
+  const { format = 'csv', sortBy = req.query.search ? 'relevance' : 'createdAt', sortOrder = 'desc', includeInactive } = req.query;
+  let cursor;
+
+  try {
+    const filters = await parseListFilters(req.query);
+    filters.includeInactive = includeInactive === 'true';
+    const sortField = Product.SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt';
+    cursor = await Product.exportCursor(filters, { sortBy: sortField, sortOrder });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200);
+    res.set({
+      'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+      'Content-Disposition': `attachment; filename="products-${date}.${format}"`
+    });
+
+    const write = async (chunk) => {
+      if (!res.write(chunk)) await drained(res);
+    };
+
+    await write(format === 'csv' ? productTransfer.csvHeader() : '[');
+    let first = true;
+    for await (const product of cursor) {
+      // Stop reading when the client has gone away
+      if (res.destroyed) break;
+      if (format === 'csv') {
+        await write(productTransfer.toCsvLine(product));
+      } else {
+        await write(`${first ? '\n' : ',\n'}${JSON.stringify(productTransfer.toRecord(product))}`);
+        first = false;
+      }
+    }
+
+    if (!res.destroyed) {
+      res.end(format === 'csv' ? '' : '\n]\n');
+    }
+  } catch (error) {
+    console.error('Export products error:', error);
+
+    // Part of the file was sent already; cutting the connection marks it incomplete
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting products'
+    });
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+};
+
 module.exports = {
   getProducts,
+  getSuggestions,
   getProductById,
   createProduct,
   updateProduct,
   deleteProduct,
-  getCategories,
-  clearProducts
+  uploadProductImages,
+  reorderProductImages,
+  deleteProductImage,
+  clearProducts,
+  importProducts,
+  exportProducts
 };
@@ -0,0 +1,425 @@
+/**
+ * Profile Controller
+ * Handles profile updates, email/phone changes confirmed by OTP, password
+ * changes and linking or unlinking login methods (identities)
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { saveOtp, verifyOtp: checkOtp } = require('../utils/otp.store');
+const { deliverOtp } = require('../utils/otp.delivery');
+const { sendOtpError } = require('../utils/otp.response');
+
+// Contact fields that need an OTP sent to the new value before they change
+const CONTACT_FIELDS = {
+  email: 'pendingEmail',
+  phone: 'pendingPhone'
+};
+
+/**
+ * OTP store key for a pending contact change
+ * Bound to the user and the new value so codes cannot be reused elsewhere
+ * @param {object} user - User document
+ * @param {string} destination - New email or phone
+ * @returns {string} OTP store key
+ */
+const contactOtpKey = (user, destination) => `contact:${user._id}:${destination}`;
+
+/**
+ * OTP store key for linking phone or email login
+ * @param {object} user - User document
+ * @param {string} destination - Account phone or email
+ * @returns {string} OTP store key
+ */
+const identityOtpKey = (user, destination) => `identity:${user._id}:${destination}`;
+
+/**
+ * Describe the user's linked login methods
+ * @param {object} user - User document
+ * @returns {array} [{ type, identifier, verifiedAt }]
+ */
+const describeIdentities = (user) => user.identities.map(identity => ({
+  type: identity.type,
+  identifier: identity.type === 'phone' ? user.phone : user.email,
+  verifiedAt: identity.verifiedAt
+}));
+
+/**
+ * Update the current user's profile
+ * Name changes apply immediately; email and phone changes are held as
+ * pending until confirmed with the OTP sent to the new address
+ * PATCH /api/users/me
+ */
+const updateProfile = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (req.body.name !== undefined) {
+      user.name = req.body.name;
+    }
+
+    const changes = [];
+    for (const field of Object.keys(CONTACT_FIELDS)) {
+      const value = req.body[field];
+      if (value === undefined || value === user[field]) continue;
+
+      const taken = await User.exists({ [field]: value, _id: { $ne: user._id } });
+      if (taken) {
+        return res.status(409).json({
+          success: false,
+          message: `This ${field} is already in use`
+        });
+      }
+
+      changes.push({ field, value });
+    }
+
+    // Send the codes before saving so a refused send leaves nothing pending
+    for (const { field, value } of changes) {
+      const otp = crypto.randomInt(100000, 1000000).toString();
+      const saved = await saveOtp(contactOtpKey(user, value), otp);
+      if (!saved.ok) {
+        return sendOtpError(res, saved);
+      }
+
+      await deliverOtp(value, otp);
+      user[CONTACT_FIELDS[field]] = value;
+    }
+
+    await user.save();
+
+    const pendingVerification = changes.map(change => change.field);
+
+    res.status(200).json({
+      success: true,
+      message: pendingVerification.length > 0
+        ? `Profile updated. Enter the OTP sent to your new ${pendingVerification.join(' and ')} to confirm the change.`
+        : 'Profile updated successfully',
+      data: {
+        user: user.toJSON(),
+        pendingVerification
+      }
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating profile'
+    });
+  }
+};
+
+/**
+ * Confirm a pending email or phone change with the OTP sent to it
+ * POST /api/users/me/verify-contact
+ */
+const confirmContactChange = async (req, res) => {
+  try {
+    const { field, otp } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const pendingField = CONTACT_FIELDS[field];
+    const value = user[pendingField];
+    if (!value) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${field} change is pending`
+      });
+    }
+
+    const result = await checkOtp(contactOtpKey(user, value), otp);
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    user[field] = value;
+    user[pendingField] = null;
+    if (field === 'email') {
+      // The OTP was delivered to the new address, which proves ownership
+      user.emailVerified = true;
+      user.emailVerification = undefined;
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Your ${field} has been updated`,
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    // Another account claimed the value while the change was pending
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${req.body.field} is already in use`
+      });
+    }
+
+    console.error('Confirm contact change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while confirming change'
+    });
+  }
+};
+
+/**
+ * Change the current user's password
+ * Requires the current password, unless the account has none yet (OTP sign-up).
+ * Other sessions are logged out.
+ * POST /api/users/me/password
+ */
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.hasPassword() && !(await user.comparePassword(currentPassword))) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_PASSWORD',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const firstPassword = !user.hasPassword();
+
+    // Password login uses the email, so an account needs one first
+    if (firstPassword && !user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Add an email address to your profile before setting a password'
+      });
+    }
+
+    user.password = newPassword;
+    user.addIdentity('password');
+    await user.save();
+
+    await user.revokeOtherSessions(req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: firstPassword ? 'Password set successfully' : 'Password changed successfully',
+      data: { user: user.toJSON() }
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing password'
+    });
+  }
+};
+
+/**
+ * List the current user's login methods
+ * GET /api/users/me/identities
+ */
+const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { identities: describeIdentities(user) }
+    });
+  } catch (error) {
+    console.error('Get identities error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching login methods'
+    });
+  }
+};
+
+/**
+ * Start linking phone or email login by sending an OTP to it
+ * Passwords are linked through POST /api/users/me/password
+ * POST /api/users/me/identities
+ */
+const startIdentityLink = async (req, res) => {
+  try {
+    const { type } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.hasIdentity(type)) {
+      return res.status(409).json({
+        success: false,
+        message: `${type === 'phone' ? 'Phone' : 'Email'} login is already enabled`
+      });
+    }
+
+    const destination = user[type];
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: `Add ${type === 'phone' ? 'a phone number' : 'an email address'} to your profile first`
+      });
+    }
+
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const saved = await saveOtp(identityOtpKey(user, destination), otp);
+    if (!saved.ok) {
+      return sendOtpError(res, saved);
+    }
+
+    await deliverOtp(destination, otp);
+
+    res.status(200).json({
+      success: true,
+      message: `Enter the OTP sent to ${destination} to enable ${type} login`
+    });
+  } catch (error) {
+    console.error('Start identity link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking login method'
+    });
+  }
+};
+
+/**
+ * Finish linking phone or email login with the OTP sent to it
+ * POST /api/users/me/identities/verify
+ */
+const confirmIdentityLink = async (req, res) => {
+  try {
+    const { type, otp } = req.body;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const destination = user[type];
+    if (!destination) {
+      return res.status(400).json({
+        success: false,
+        message: `No ${type} on this account`
+      });
+    }
+
+    const result = await checkOtp(identityOtpKey(user, destination), otp);
+    if (!result.ok) {
+      return sendOtpError(res, result);
+    }
+
+    user.addIdentity(type);
+    if (type === 'email') {
+      user.emailVerified = true;
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: `${type === 'phone' ? 'Phone' : 'Email'} login enabled`,
+      data: {
+        user: user.toJSON(),
+        identities: describeIdentities(user)
+      }
+    });
+  } catch (error) {
+    console.error('Confirm identity link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while linking login method'
+    });
+  }
+};
+
+/**
+ * Remove a login method, keeping at least one
+ * Removing the password login also deletes the stored password
+ * DELETE /api/users/me/identities/:type
+ */
+const removeIdentity = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    const user = await User.findById(req.userId).exec();
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.hasIdentity(type)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Login method not found'
+      });
+    }
+
+    if (!user.removeIdentity(type)) {
+      return res.status(400).json({
+        success: false,
+        code: 'LAST_IDENTITY',
+        message: 'You must keep at least one way to log in'
+      });
+    }
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Login method removed',
+      data: {
+        user: user.toJSON(),
+        identities: describeIdentities(user)
+      }
+    });
+  } catch (error) {
+    console.error('Remove identity error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing login method'
+    });
+  }
+};
+
+module.exports = {
+  updateProfile,
+  confirmContactChange,
+  changePassword,
+  getIdentities,
+  startIdentityLink,
+  confirmIdentityLink,
+  removeIdentity
+};
@@ -0,0 +1,46 @@
+/**
+ * CSRF Middleware
+ * Requests authenticated by the refresh token cookie must echo the CSRF
+ * cookie in the X-XSRF-TOKEN header. Another site can make the browser send
+ * the cookies but cannot read them to set the header. Requests that carry
+ * their credentials in the body or Authorization header are not affected.
+ */
+
+const crypto = require('crypto');
+const { config, readCookie, readRefreshCookie } = require('../utils/authCookies');
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @returns {boolean}
+ */
+const tokensMatch = (a, b) => {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Reject cookie-authenticated requests without a matching CSRF token
+ */
+const csrfProtection = (req, res, next) => {
+  const usesCookie = !req.body?.refreshToken && readRefreshCookie(req);
+  if (!usesCookie) {
+    return next();
+  }
+
+  if (!tokensMatch(req.get(config.csrfHeader), readCookie(req, config.csrfCookie))) {
+    return res.status(403).json({
+      success: false,
+      code: 'CSRF_TOKEN_INVALID',
+      message: 'Missing or invalid CSRF token'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  csrfProtection
+};
@@ -0,0 +1,196 @@
+/**
+ * Rate Limiting Middleware
+ * Sliding window rate limiter keyed by IP or by account identifier.
+ * Counters live in memory by default, or in MongoDB (RATE_LIMIT_STORE=mongo)
+ * so that several server instances share the same limits.
+ */
+
+require('dotenv').config();
+
+const config = {
+  store: process.env.RATE_LIMIT_STORE || 'memory'
+};
+
+/**
+ * In-memory counter store (single process only)
+ * @returns {object} Counter store
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Drop expired windows so the map does not grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.expiresAt <= now) counters.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowStart, expiresAt) {
+      const id = `${key}:${windowStart}`;
+      const counter = counters.get(id) || { count: 0, expiresAt };
+      counter.count += 1;
+      counters.set(id, counter);
+      return counter.count;
+    },
+
+    async get(key, windowStart) {
+      const counter = counters.get(`${key}:${windowStart}`);
+      return counter ? counter.count : 0;
+    },
+
+    clear() {
+      counters.clear();
+    }
+  };
+};
+
+/**
+ * MongoDB counter store using a TTL collection
+ * @returns {object} Counter store
+ */
+const createMongoStore = () => {
+  const RateLimitCounter = require('../models/RateLimitCounter');
+
+  return {
+    async increment(key, windowStart, expiresAt) {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key, windowStart: new Date(windowStart) },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+        { upsert: true, new: true }
+      ).lean().exec();
+      return counter.count;
+    },
+
+    async get(key, windowStart) {
+      const counter = await RateLimitCounter.findOne({ key, windowStart: new Date(windowStart) }).lean().exec();
+      return counter ? counter.count : 0;
+    }
+  };
+};
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let defaultStore = null;
+
+/**
+ * Get the shared store selected by configuration
+ * @returns {object} Counter store
+ */
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    const factory = stores[config.store];
+    if (!factory) {
+      throw new Error(`Unknown rate limit store: ${config.store}`);
+    }
+    defaultStore = factory();
+  }
+  return defaultStore;
+};
+
+/**
+ * Replace the shared store (e.g. with createMemoryStore() in tests)
+ * @param {object} store - Counter store
+ */
+const setStore = (store) => {
+  defaultStore = store;
+};
+
+/**
+ * Key requests by client IP
+ * @param {object} req - Express request
+ * @returns {string} Client IP
+ */
+const byIp = (req) => req.ip;
+
+/**
+ * Key requests by the account identifier in the body (email or phone)
+ * Requests without an identifier are not counted by this limiter
+ * @param {object} req - Express request
+ * @returns {string|null} Normalized identifier
+ */
+const byAccount = (req) => {
+  const body = req.body || {};
+  if (body.email) return String(body.email).trim().toLowerCase();
+  if (body.phone) return String(body.phone).trim();
+  return null;
+};
+
+/**
+ * Key requests by the authenticated user (run after authMiddleware)
+ * @param {object} req - Express request
+ * @returns {string|null} User ID
+ */
+const byUser = (req) => (req.userId ? String(req.userId) : null);
+
+/**
+ * Create a rate limiting middleware
+ * Uses a sliding window counter: the previous fixed window's count is
+ * weighted by how much of it still overlaps the sliding window.
+ * @param {object} options - Limiter options
+ * @param {string} options.name - Limiter name, used to namespace keys
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.max - Requests allowed per window
+ * @param {function} options.keyGenerator - (req) => key, or null to skip
+ * @param {object} options.store - Counter store (default: configured store)
+ * @param {string} options.message - Message returned when limited
+ * @returns {function} Express middleware
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyGenerator = byIp,
+  store,
+  message = 'Too many requests. Please try again later.'
+}) => async (req, res, next) => {
+  try {
+    const id = keyGenerator(req);
+    if (!id) return next();
+
+    const counterStore = store || getDefaultStore();
+    const key = `${name}:${id}`;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    const current = await counterStore.increment(key, windowStart, windowStart + 2 * windowMs);
+    const previous = await counterStore.get(key, windowStart - windowMs);
+    const overlap = 1 - (now - windowStart) / windowMs;
+    const estimated = Math.floor(previous * overlap) + current;
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - estimated)));
+
+    if (estimated > max) {
+      const retryAfter = Math.max(1, Math.ceil((windowStart + windowMs - now) / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        code: 'RATE_LIMITED',
+        message,
+        retryAfter
+      });
+    }
+
+    next();
+  } catch (error) {
+    // Never block traffic because the limiter itself failed
+    console.error('Rate limit error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  config,
+  rateLimit,
+  byIp,
+  byAccount,
+  byUser,
+  createMemoryStore,
+  setStore
+};
@@ -0,0 +1,70 @@
+/**
+ * Upload Middleware
+ * Reads multipart file uploads into memory with size, count and type
+ * limits, and reports problems in the validation error shape
+ */
+
+const multer = require('multer');
+const { sendValidationError } = require('./validate');
+
+/**
+ * Message for an upload that broke a limit
+ * @param {object} error - MulterError
+ * @param {object} limits - { maxFileSize, maxFiles }
+ * @param {string} field - Form field that takes the files
+ * @returns {string} Message
+ */
+const limitMessage = (error, { maxFileSize, maxFiles }, field) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_SIZE':
+      return `Each file must be at most ${Math.floor(maxFileSize / (1024 * 1024))} MB`;
+    case 'LIMIT_FILE_COUNT':
+      return `At most ${maxFiles} files can be uploaded at once`;
+    case 'LIMIT_UNEXPECTED_FILE':
+      return `Files must be sent in the "${field}" field (at most ${maxFiles})`;
+    default:
+      return error.message;
+  }
+};
+
+/**
+ * Build a middleware that accepts files in one multipart field as req.files
+ * @param {string} field - Form field name
+ * @param {object} options - Upload limits
+ * @param {number} options.maxFileSize - Largest file in bytes
+ * @param {number} options.maxFiles - Most files per request
+ * @param {array} options.mimeTypes - Accepted declared types
+ * @returns {function} Express middleware
+ */
+const fileUpload = (field, { maxFileSize, maxFiles, mimeTypes }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxFileSize, files: maxFiles, fields: 20 },
+    fileFilter: (req, file, cb) => {
+      if (mimeTypes.includes(file.mimetype)) return cb(null, true);
+      const error = new Error(`${file.originalname}: type ${file.mimetype} is not accepted (allowed: ${mimeTypes.join(', ')})`);
+      cb(Object.assign(error, { code: 'UNSUPPORTED_TYPE' }));
+    }
+  }).array(field, maxFiles);
+
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) {
+      return sendValidationError(res, [{ field, location: 'body', message: 'Send files as multipart/form-data' }], 'Invalid upload');
+    }
+
+    upload(req, res, (error) => {
+      if (!error) return next();
+
+      if (error instanceof multer.MulterError || error.code === 'UNSUPPORTED_TYPE') {
+        const message = error.code === 'UNSUPPORTED_TYPE' ? error.message : limitMessage(error, { maxFileSize, maxFiles }, field);
+        return sendValidationError(res, [{ field, location: 'body', message }], 'Invalid upload');
+      }
+
+      next(error);
+    });
+  };
+};
+
+module.exports = {
+  fileUpload
+};
@@ -0,0 +1,68 @@
+/**
+ * Validation Middleware
+ * Runs express-validator chains and returns errors in one consistent shape:
+ * { success: false, code: 'VALIDATION_ERROR', message, errors: [{ field, location, message }] }
+ */
+
+const { validationResult } = require('express-validator');
+
+/**
+ * Format express-validator errors
+ * @param {array} errors - Errors from validationResult(req).array()
+ * @returns {array} Errors as { field, location, message }
+ */
+const formatErrors = (errors) => errors.map(error => ({
+  field: error.path || error.location,
+  location: error.location,
+  message: error.msg
+}));
+
+/**
+ * Send a validation error response
+ * @param {object} res - Express response
+ * @param {array} errors - Formatted errors
+ * @param {string} message - Summary message
+ */
+const sendValidationError = (res, errors, message = 'Validation error') => {
+  return res.status(400).json({
+    success: false,
+    code: 'VALIDATION_ERROR',
+    message,
+    errors
+  });
+};
+
+/**
+ * Run validation chains against a request, or any { body, params, query }
+ * object (e.g. a row of an import file)
+ * @param {array} chains - express-validator chains
+ * @param {object} req - Request to validate; sanitizers update it in place
+ * @returns {Promise<array>} Formatted errors, empty when valid
+ */
+const runValidation = async (chains, req) => {
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+
+  return formatErrors(validationResult(req).array({ onlyFirstError: true }));
+};
+
+/**
+ * Build a middleware that runs the given chains and rejects invalid requests
+ * @param {array} chains - express-validator chains
+ * @returns {function} Express middleware
+ */
+const validate = (chains) => async (req, res, next) => {
+  const errors = await runValidation(chains, req);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+
+  next();
+};
+
+module.exports = {
+  validate,
+  runValidation,
+  sendValidationError
+};
@@ -0,0 +1,24 @@
+/**
+ * AdminBootstrap Model
+ * Mongoose schema for the single marker written when the first admin is
+ * bootstrapped. Its fixed _id makes a second bootstrap fail on insert, so
+ * concurrent requests cannot both promote a user.
+ */
+
+const mongoose = require('mongoose');
+
+const adminBootstrapSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    default: 'first-admin'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('AdminBootstrap', adminBootstrapSchema);
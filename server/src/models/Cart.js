@@ -11,6 +11,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Variant of the product (required when the product has variants)
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -44,6 +49,21 @@ const cartSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+/**
+ * Find the cart line for a product and variant
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID (null for products without variants)
+ * @returns {object|undefined} Cart item
+ */
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  // The product may be populated
+  const idOf = (ref) => String(ref && ref._id ? ref._id : ref || '');
+
+  return this.items.find(item =>
+    idOf(item.product) === String(productId) && idOf(item.variant) === String(variantId || '')
+  );
+};
+
 /**
  * Calculate cart totals
  */
@@ -57,12 +77,13 @@ cartSchema.methods.calculateTotals = function() {
  * Add item to cart
  * @param {string} productId - Product ID
  * @param {number} quantity - Quantity to add
- * @param {number} price - Product price
+ * @param {number} price - Product or variant price
+ * @param {string} variantId - Variant ID (optional)
  * @returns {Promise<object>} Updated cart
  */
-cartSchema.methods.addItem = async function(productId, quantity, price) {
-  // Check if product already exists in cart
-  const existingItem = this.items.find(item => item.product.toString() === productId.toString());
+cartSchema.methods.addItem = async function(productId, quantity, price, variantId = null) {
+  // Check if this product and variant already exist in cart
+  const existingItem = this.findItem(productId, variantId);
   
   if (existingItem) {
     // Update quantity
@@ -71,6 +92,7 @@ cartSchema.methods.addItem = async function(productId, quantity, price) {
     // Add new item
     this.items.push({
       product: productId,
+      variant: variantId,
       quantity,
       price
     });
@@ -84,10 +106,14 @@ cartSchema.methods.addItem = async function(productId, quantity, price) {
 /**
  * Remove item from cart
  * @param {string} productId - Product ID to remove
+ * @param {string} variantId - Variant ID (optional)
  * @returns {Promise<object>} Updated cart
  */
-cartSchema.methods.removeItem = async function(productId) {
-  this.items = this.items.filter(item => item.product.toString() !== productId.toString());
+cartSchema.methods.removeItem = async function(productId, variantId = null) {
+  const item = this.findItem(productId, variantId);
+  if (item) {
+    this.items.pull(item._id);
+  }
   this.calculateTotals();
   return this.save();
 };
@@ -96,10 +122,11 @@ cartSchema.methods.removeItem = async function(productId) {
  * Update item quantity
  * @param {string} productId - Product ID
  * @param {number} quantity - New quantity
+ * @param {string} variantId - Variant ID (optional)
  * @returns {Promise<object>} Updated cart
  */
-cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
-  const item = this.items.find(item => item.product.toString() === productId.toString());
+cartSchema.methods.updateItemQuantity = async function(productId, quantity, variantId = null) {
+  const item = this.findItem(productId, variantId);
   
   if (!item) {
     throw new Error('Item not found in cart');
@@ -107,7 +134,7 @@ cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
   
   if (quantity <= 0) {
     // Remove item if quantity is 0 or less
-    return this.removeItem(productId);
+    return this.removeItem(productId, variantId);
   }
   
   item.quantity = quantity;
@@ -150,6 +177,43 @@ cartSchema.statics.findByUserId = async function(userId) {
   return this.findOne({ user: userId }).populate('items.product').exec();
 };
 
+/**
+ * Static method to empty a user's cart in one update, returning what it held
+ * Of two concurrent calls only one gets the items
+ * @param {string} userId - User ID
+ * @returns {Promise<object|null>} Cart as it was before emptying, or null if it was empty
+ */
+cartSchema.statics.takeItems = function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId, 'items.0': { $exists: true } },
+    { $set: { items: [], totalQuantity: 0, totalPrice: 0 } },
+    { new: false }
+  ).exec();
+};
+
+/**
+ * Static method to put items back into a user's cart, e.g. after a failed checkout
+ * Items added to the cart in the meantime are kept
+ * @param {string} userId - User ID
+ * @param {array} items - Items with product, variant, quantity and price
+ * @returns {Promise<object>} Updated cart
+ */
+cartSchema.statics.restoreItems = async function(userId, items) {
+  const cart = await this.findOrCreate(userId);
+
+  for (const item of items) {
+    const existing = cart.findItem(item.product, item.variant);
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      cart.items.push(item);
+    }
+  }
+
+  cart.calculateTotals();
+  return cart.save();
+};
+
 // Index for faster queries
 // (user: 1 index is already created by unique: true in schema)
 
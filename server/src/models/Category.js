@@ -0,0 +1,171 @@
+/**
+ * Category Model
+ * Product categories arranged as a tree. Each category stores the IDs of
+ * its ancestors (root first), so descendants and breadcrumbs can be found
+ * with a single query.
+ */
+
+const mongoose = require('mongoose');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Turn a name into a URL-friendly slug
+ * @param {string} value - Category name
+ * @returns {string} Slug, e.g. "Men's Shoes" -> "mens-shoes"
+ */
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and single hyphens']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Ancestor IDs from the root down to the parent
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+
+  // Position among siblings (lower first)
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Derive the slug from the name when none is given
+categorySchema.pre('validate', function(next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+categorySchema.index({ parent: 1, sortOrder: 1, name: 1 });
+categorySchema.index({ ancestors: 1 });
+
+/**
+ * Breadcrumb trail from the root to this category
+ * @returns {Promise<array>} Categories { _id, name, slug }, root first
+ */
+categorySchema.methods.getBreadcrumbs = async function() {
+  const ancestors = await this.constructor.find({ _id: { $in: this.ancestors } })
+    .select('name slug')
+    .lean()
+    .exec();
+
+  const byId = new Map(ancestors.map(category => [String(category._id), category]));
+  const trail = this.ancestors.map(id => byId.get(String(id))).filter(Boolean);
+
+  return [...trail, { _id: this._id, name: this.name, slug: this.slug }];
+};
+
+/**
+ * Static method to find a category by ID or slug
+ * @param {string} value - Category ID or slug
+ * @returns {Promise<object|null>} Category or null
+ */
+categorySchema.statics.findByIdOrSlug = function(value) {
+  const query = mongoose.isValidObjectId(value) ? { _id: value } : { slug: String(value).toLowerCase() };
+  return this.findOne(query).exec();
+};
+
+/**
+ * Static method to list a category and all categories below it
+ * @param {string} id - Category ID
+ * @returns {Promise<array>} Category IDs, including the given one
+ */
+categorySchema.statics.descendantIds = async function(id) {
+  const descendants = await this.find({ ancestors: id }).distinct('_id').exec();
+  return [new mongoose.Types.ObjectId(String(id)), ...descendants];
+};
+
+/**
+ * Static method to build the whole category tree
+ * @returns {Promise<array>} Root categories, each with nested `children`
+ */
+categorySchema.statics.getTree = async function() {
+  const categories = await this.find()
+    .select('name slug description parent sortOrder')
+    .sort({ sortOrder: 1, name: 1 })
+    .lean()
+    .exec();
+
+  const nodes = new Map(categories.map(category => [String(category._id), { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(String(node.parent));
+    (parent ? parent.children : roots).push(node);
+  }
+
+  return roots;
+};
+
+/**
+ * Move a category under a new parent (null for the root), updating the
+ * ancestors of everything below it
+ * @param {object} parent - New parent category document, or null
+ * @returns {Promise<object>} Updated category
+ */
+categorySchema.methods.moveTo = async function(parent) {
+  const oldPath = [...this.ancestors, this._id].map(String);
+  const newAncestors = parent ? [...parent.ancestors, parent._id] : [];
+
+  this.parent = parent ? parent._id : null;
+  this.ancestors = newAncestors;
+  await this.save();
+
+  // Descendants keep the part of their path below this category
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors').exec();
+  if (descendants.length > 0) {
+    await this.constructor.bulkWrite(descendants.map(descendant => ({
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: {
+          $set: {
+            ancestors: [...newAncestors, this._id, ...descendant.ancestors.slice(oldPath.length)]
+          }
+        }
+      }
+    })));
+  }
+
+  return this;
+};
+
+const Category = mongoose.model('Category', categorySchema);
+
+module.exports = Category;
+module.exports.SLUG_PATTERN = SLUG_PATTERN;
+module.exports.slugify = slugify;
@@ -0,0 +1,239 @@
+/**
+ * Order Model
+ * Mongoose schema for orders created from a user's cart at checkout
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Order status lifecycle
+ * Maps each status to the statuses it may move to next
+ */
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['shipped', 'cancelled'],
+  shipped: ['delivered'],
+  delivered: [],
+  cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Variant bought, for products sold as variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Snapshot of product details at purchase time
+  name: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  attributes: {
+    type: Map,
+    of: String
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: true });
+
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    required: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: {
+    type: [orderItemSchema],
+    validate: [items => items.length > 0, 'Order must contain at least one item']
+  },
+  totalQuantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ORDER_STATUSES,
+    default: 'pending'
+  },
+  statusHistory: [statusHistorySchema],
+  // Payment being confirmed for the order, or that paid it. Only one payment
+  // holds an order at a time, so two payments cannot both charge it.
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  }
+}, { timestamps: true });
+
+// Record the initial status
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ status: this.status });
+  }
+  next();
+});
+
+/**
+ * Check whether the order may move to the given status
+ * @param {string} status - Target status
+ * @returns {boolean} True if the transition is allowed
+ */
+orderSchema.methods.canTransitionTo = function(status) {
+  return (ORDER_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the order to a new status, returning stock on cancellation
+ * The change only applies if the order still has the status it was read
+ * with, so of two concurrent changes (e.g. a cancel racing a refund) only
+ * one wins and stock is returned once.
+ * @param {string} status - Target status
+ * @returns {Promise<object|null>} Updated order, or null if its status changed meanwhile
+ */
+orderSchema.methods.transitionTo = async function(status) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot change order status from ${this.status} to ${status}`);
+  }
+
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: this.status },
+    { $set: { status }, $push: { statusHistory: { status, changedAt: new Date() } } },
+    { new: true }
+  ).exec();
+
+  if (!updated) {
+    return null;
+  }
+
+  this.set({ status: updated.status, statusHistory: updated.statusHistory, updatedAt: updated.updatedAt });
+
+  if (status === 'cancelled') {
+    const Product = mongoose.model('Product');
+    await Promise.all(this.items.map(item => Product.incrementStock(item.product, item.quantity, item.variant)));
+  }
+
+  return this;
+};
+
+/**
+ * Static method to reserve a pending order for a payment
+ * Succeeds again for the payment already holding the order
+ * @param {string} orderId - Order ID
+ * @param {string} paymentId - Payment ID
+ * @returns {Promise<object|null>} Order, or null if it is not pending or another payment holds it
+ */
+orderSchema.statics.claimForPayment = function(orderId, paymentId) {
+  return this.findOneAndUpdate(
+    { _id: orderId, status: 'pending', payment: { $in: [null, paymentId] } },
+    { $set: { payment: paymentId } },
+    { new: true }
+  ).exec();
+};
+
+/**
+ * Static method to let other payments try again after a payment failed
+ * @param {string} orderId - Order ID
+ * @param {string} paymentId - Payment that held the order
+ * @returns {Promise<object>} Update result
+ */
+orderSchema.statics.releasePayment = function(orderId, paymentId) {
+  return this.updateOne(
+    { _id: orderId, status: 'pending', payment: paymentId },
+    { $set: { payment: null } }
+  ).exec();
+};
+
+/**
+ * Static method to generate a human-readable order number
+ * @returns {string} Order number, e.g. ORD-20240101-A1B2C3
+ */
+orderSchema.statics.generateOrderNumber = function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `ORD-${date}-${suffix}`;
+};
+
+/**
+ * Static method to list a user's orders with pagination
+ * @param {string} userId - User ID
+ * @param {object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 10)
+ * @returns {Promise<object>} Paginated orders
+ */
+orderSchema.statics.findByUserId = async function(userId, { page = 1, limit = 10 } = {}) {
+  const query = { user: userId };
+  const skip = (page - 1) * limit;
+
+  const [orders, total] = await Promise.all([
+    this.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).exec(),
+    this.countDocuments(query).exec()
+  ]);
+
+  return {
+    orders,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Indexes
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1 });
+
+const Order = mongoose.model('Order', orderSchema);
+
+module.exports = Order;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_STATUS_TRANSITIONS = ORDER_STATUS_TRANSITIONS;
@@ -0,0 +1,49 @@
+/**
+ * OtpCode Model
+ * Mongoose schema backing the OTP store: one document per phone/email
+ * holding the hashed code, verify attempts and resend counters
+ */
+
+const mongoose = require('mongoose');
+
+const otpCodeSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  otpHash: {
+    type: String,
+    default: null
+  },
+  codeExpiresAt: {
+    type: Date,
+    default: null
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  sentCount: {
+    type: Number,
+    default: 0
+  },
+  windowStart: {
+    type: Date,
+    default: Date.now
+  },
+  // Documents are removed by MongoDB once the daily window has passed
+  purgeAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// TTL index
+otpCodeSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -0,0 +1,78 @@
+/**
+ * Payment Model
+ * Mongoose schema for payment intents created with a payment provider
+ */
+
+const mongoose = require('mongoose');
+
+const PAYMENT_STATUSES = ['requires_confirmation', 'succeeded', 'failed', 'refunded'];
+
+const paymentSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  intentId: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  status: {
+    type: String,
+    enum: PAYMENT_STATUSES,
+    default: 'requires_confirmation'
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  // Succeeded for an order it could not pay and the automatic refund failed;
+  // it has to be refunded by hand
+  refundDue: {
+    type: Boolean,
+    default: false
+  },
+  // Provider event IDs already applied, so webhook retries are no-ops
+  processedEvents: [String]
+}, { timestamps: true });
+
+/**
+ * Atomically mark a provider event as processed
+ * @param {string} paymentId - Payment ID
+ * @param {string} eventId - Provider event ID
+ * @returns {Promise<object|null>} Payment if the event is new, null if already processed
+ */
+paymentSchema.statics.claimEvent = function(paymentId, eventId) {
+  return this.findOneAndUpdate(
+    { _id: paymentId, processedEvents: { $ne: eventId } },
+    { $push: { processedEvents: eventId } },
+    { new: true }
+  ).exec();
+};
+
+// Indexes
+paymentSchema.index({ provider: 1, intentId: 1 }, { unique: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
+module.exports.PAYMENT_STATUSES = PAYMENT_STATUSES;
@@ -1,11 +1,111 @@
 /**
  * Product Model
- * Mongoose schema for products with search and pagination support
+ * Mongoose schema for products with search and pagination support.
+ * A product may define options (e.g. size, color) and sell one variant per
+ * combination of option values, each with its own SKU, price and stock.
  */
 
 const mongoose = require('mongoose');
+const { config: searchConfig, tokenize, termPattern, buildMatcher, highlight } = require('../utils/textSearch');
+const { encodeCursor } = require('../utils/cursor');
+const { removeImages } = require('../utils/productImages');
+
+// Lower bounds of the price facet buckets; prices from the last one up share a bucket
+const PRICE_BUCKETS = [0, 500, 1000, 2500, 5000, 10000];
+
+// Attribute and option names usable as filters (also safe inside field paths)
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,30}$/;
+
+const optionSchema = new mongoose.Schema({
+  // Option name, e.g. "size"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Allowed values, e.g. ["S", "M", "L"]
+  values: {
+    type: [{ type: String, trim: true }],
+    validate: [values => values.length > 0, 'An option needs at least one value']
+  }
+}, { _id: false });
+
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  // One value per product option, e.g. { size: "M", color: "Red" }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  stock: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: 0
+  },
+  images: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: true });
+
+// One stored size of an uploaded image
+const imageSizeSchema = new mongoose.Schema({
+  // thumb, medium or large
+  name: {
+    type: String,
+    required: true
+  },
+  width: Number,
+  height: Number,
+  // JPEG or PNG, for browsers without WebP
+  url: {
+    type: String,
+    required: true
+  },
+  webp: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const imageSchema = new mongoose.Schema({
+  // Storage key prefix of the image's files (see utils/productImages)
+  key: {
+    type: String,
+    required: true
+  },
+  // Format of `url` in each size
+  format: {
+    type: String,
+    enum: ['jpeg', 'png'],
+    required: true
+  },
+  width: Number,
+  height: Number,
+  sizes: [imageSizeSchema]
+}, { _id: true });
 
 const productSchema = new mongoose.Schema({
+  // Identifies the product in bulk imports (variants have their own SKUs)
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+
   name: {
     type: String,
     required: true,
@@ -25,11 +125,12 @@ const productSchema = new mongoose.Schema({
   },
 
   category: {
-    type: String,
-    required: true,
-    trim: true
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: true
   },
 
+  // For products with variants this is the total stock of all variants
   stock: {
     type: Number,
     required: true,
@@ -37,17 +138,71 @@ const productSchema = new mongoose.Schema({
     min: 0
   },
 
+  // Cover image URL; follows the first uploaded image when there are any
   image: {
     type: String,
     trim: true
   },
 
+  // Uploaded images in display order
+  images: [imageSchema],
+
+  // Descriptive attributes shared by every variant, e.g. { brand: "Acme" }
+  attributes: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+
+  options: [optionSchema],
+
+  variants: [variantSchema],
+
   isActive: {
     type: Boolean,
     default: true
   }
 }, { timestamps: true });
 
+// Variants must use exactly the product's options and values, once per combination
+productSchema.pre('validate', function(next) {
+  if (this.variants.length === 0) {
+    return next();
+  }
+
+  const optionNames = this.options.map(option => option.name);
+  if (new Set(optionNames).size !== optionNames.length) {
+    this.invalidate('options', 'Option names must be unique');
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+    const attributes = variant.attributes;
+
+    if (attributes.size !== this.options.length || this.options.some(option => !option.values.includes(attributes.get(option.name)))) {
+      this.invalidate(`${path}.attributes`, `Variant ${variant.sku} must have one allowed value for each option: ${optionNames.join(', ')}`);
+    }
+
+    if (skus.has(variant.sku)) {
+      this.invalidate(`${path}.sku`, `Duplicate SKU ${variant.sku}`);
+    }
+    skus.add(variant.sku);
+
+    const combination = optionNames.map(name => attributes.get(name)).join('\u0000');
+    if (combinations.has(combination)) {
+      this.invalidate(`${path}.attributes`, `Variant ${variant.sku} has the same options as another variant`);
+    }
+    combinations.add(combination);
+  });
+
+  // Keep the product total in line with its variants
+  this.stock = this.variants.reduce((sum, variant) => sum + variant.stock, 0);
+  next();
+});
+
 // Text index for search on name and description
 productSchema.index({ name: 'text', description: 'text' });
 
@@ -56,50 +211,303 @@ productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ isActive: 1 });
 productSchema.index({ createdAt: -1 });
+// SKUs are unique across products (duplicates within a product are caught on validate)
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $exists: true } } });
+productSchema.index({ 'variants.sku': 1 }, { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } });
+
+/**
+ * Whether the product is sold as variants
+ * @returns {boolean}
+ */
+productSchema.methods.hasVariants = function() {
+  return this.variants.length > 0;
+};
+
+/**
+ * Point `image` at the first uploaded image, or clear it when it showed
+ * an uploaded image that was removed
+ * @param {array} removed - Images just removed (optional)
+ */
+productSchema.methods.syncCoverImage = function(removed = []) {
+  const cover = this.images[0];
+  if (cover) {
+    const size = cover.sizes.find(entry => entry.name === 'medium') || cover.sizes[0];
+    this.image = size.url;
+  } else if (removed.some(image => image.sizes.some(size => size.url === this.image))) {
+    this.image = undefined;
+  }
+};
+
+/**
+ * Find a variant by ID
+ * @param {string} variantId - Variant ID
+ * @returns {object|null} Variant subdocument
+ */
+productSchema.methods.getVariant = function(variantId) {
+  return variantId ? this.variants.id(variantId) : null;
+};
+
+/**
+ * Price of the product or one of its variants
+ * @param {object} variant - Variant subdocument (optional)
+ * @returns {number} Unit price
+ */
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price != null ? variant.price : this.price;
+};
+
+/**
+ * Stock of the product or one of its variants
+ * @param {object} variant - Variant subdocument (optional)
+ * @returns {number} Units in stock
+ */
+productSchema.methods.stockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
 
 /**
  * Static method to search products with pagination
+ * Matches and ranks like facetedSearch, without the facet counts
  * @param {object} options - Search options
  * @param {string} options.search - Search query for name/description
  * @param {string} options.category - Filter by category
  * @param {number} options.page - Page number (default: 1)
  * @param {number} options.limit - Items per page (default: 10)
- * @param {string} options.sortBy - Sort field
+ * @param {string} options.sortBy - Sort field, or "relevance" when searching
  * @param {string} options.sortOrder - Sort order (asc/desc)
  * @returns {Promise<object>} Paginated products
  */
 productSchema.statics.search = async function({ search, category, page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc' }) {
-  const query = { isActive: true };
+  const { products, pagination } = await this.facetedSearch(
+    { search, categories: category ? [category] : undefined },
+    { page, limit, sortBy, sortOrder }
+  );
+  return { products, pagination };
+};
 
-  // Search by name or description using regex
-  if (search) {
-    query.$or = [
-      { name: { $regex: search, $options: 'i' } },
-      { description: { $regex: search, $options: 'i' } }
-    ];
+/**
+ * Match condition and relevance score for a search
+ * @param {array} terms - Search terms from tokenize()
+ * @param {string} mode - "text" (text index) or "prefix" (typo-tolerant word prefixes)
+ * @returns {object} { mode, match, score }
+ */
+const searchStage = (terms, mode) => {
+  if (mode === 'text') {
+    // Built from the cleaned terms, so input cannot use $text phrase or negation syntax
+    return {
+      mode,
+      match: { $text: { $search: terms.join(' ') } },
+      score: { $meta: 'textScore' }
+    };
   }
 
-  // Filter by category
-  if (category) {
-    query.category = category;
+  // Every word must match; words found as typed rank above typo matches, names above descriptions
+  return {
+    mode,
+    match: {
+      $and: terms.map(term => {
+        const regex = new RegExp(termPattern(term), 'i');
+        return { $or: [{ name: regex }, { description: regex }] };
+      })
+    },
+    score: {
+      $add: terms.flatMap(term => {
+        const exact = termPattern(term, { fuzzy: false });
+        return [
+          { $cond: [{ $regexMatch: { input: '$name', regex: exact, options: 'i' } }, 2, 0] },
+          { $cond: [{ $regexMatch: { input: '$description', regex: exact, options: 'i' } }, 1, 0] }
+        ];
+      })
+    }
+  };
+};
+
+/**
+ * Pipeline stages matching products to filters and a search
+ * Adds `_offers` (matching offers), `_price` (lowest matching price) and,
+ * when searching, `_score`.
+ * @param {object} filters - See facetedSearch; `includeInactive` also matches unlisted products
+ * @param {object} search - { mode, match, score } from searchStage, or null
+ * @returns {array} Aggregation stages
+ */
+const matchStages = (filters, search) => {
+  const match = { ...(search && search.match) };
+
+  if (!filters.includeInactive) {
+    match.isActive = true;
   }
 
-  // Sort options
-  const sort = {};
-  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  if (filters.categories) {
+    match.category = { $in: filters.categories };
+  }
 
-  // Calculate pagination
-  const skip = (page - 1) * limit;
+  // Conditions on a single offer ($$offer)
+  const conditions = [];
+  if (filters.minPrice != null) conditions.push({ $gte: ['$$offer.price', filters.minPrice] });
+  if (filters.maxPrice != null) conditions.push({ $lte: ['$$offer.price', filters.maxPrice] });
+  if (filters.inStock) conditions.push({ $gt: ['$$offer.stock', 0] });
 
-  // Execute query with pagination
-  const [products, total] = await Promise.all([
-    this.find(query)
-      .sort(sort)
-      .skip(skip)
-      .limit(limit)
-      .exec(),
-    this.countDocuments(query).exec()
-  ]);
+  for (const [name, values] of Object.entries(filters.attributes || {})) {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid attribute name: ${name}`);
+    }
+    conditions.push({
+      $or: [
+        { $in: [`$attributes.${name}`, values] },
+        { $in: [`$$offer.attributes.${name}`, values] }
+      ]
+    });
+  }
+
+  const offers = {
+    $cond: [
+      { $gt: [{ $size: { $ifNull: ['$variants', []] } }, 0] },
+      {
+        $map: {
+          input: '$variants',
+          as: 'variant',
+          in: {
+            price: { $ifNull: ['$$variant.price', '$price'] },
+            stock: '$$variant.stock',
+            attributes: { $ifNull: ['$$variant.attributes', {}] }
+          }
+        }
+      },
+      [{ price: '$price', stock: '$stock', attributes: {} }]
+    ]
+  };
+
+  return [
+    { $match: match },
+    ...(search ? [{ $addFields: { _score: search.score } }] : []),
+    { $addFields: { _offers: { $filter: { input: offers, as: 'offer', cond: { $and: conditions } } } } },
+    { $match: { '_offers.0': { $exists: true } } },
+    { $addFields: { _price: { $min: '$_offers.price' } } }
+  ];
+};
+
+/**
+ * Sort for a listing
+ * Relevance is best first; without a search it means newest first.
+ * @param {string} sortBy - Sort field or "relevance"
+ * @param {string} sortOrder - Sort order (asc/desc)
+ * @param {object} search - Search stage, or null
+ * @returns {object} { sortKey, sortDir, sort } (ties broken by _id)
+ */
+const sortStage = (sortBy, sortOrder, search) => {
+  const relevance = sortBy === 'relevance';
+  const sortKey = relevance ? (search ? '_score' : 'createdAt') : (sortBy === 'price' ? '_price' : sortBy);
+  const sortDir = relevance || sortOrder !== 'asc' ? -1 : 1;
+  return { sortKey, sortDir, sort: { [sortKey]: sortDir, _id: sortDir } };
+};
+
+/**
+ * Run the faceted search aggregation
+ * With `after` (a decoded cursor) it returns the page following that
+ * position, without facets and with a total only when asked for.
+ * @param {object} Model - Product model
+ * @param {object} filters - See facetedSearch
+ * @param {object} options - See facetedSearch
+ * @param {object} search - { mode, match, score } from searchStage, or null
+ * @returns {Promise<object>} { products, pagination, facets }
+ */
+const runFacetedSearch = async (Model, filters, { page = 1, limit = 10, sortBy = 'createdAt', sortOrder = 'desc', after = null, withTotal = false } = {}, search = null) => {
+  const { sortKey, sortDir, sort } = sortStage(sortBy, sortOrder, search);
+  const matched = matchStages(filters, search);
+
+  let items;
+  let total = null;
+  let result = null;
+
+  if (after) {
+    // Keyset page: everything after the cursor's sort value, ties broken by _id
+    const op = sortDir === 1 ? '$gt' : '$lt';
+    const [rows, count] = await Promise.all([
+      Model.aggregate([
+        ...matched,
+        { $match: { $or: [{ [sortKey]: { [op]: after.value } }, { [sortKey]: after.value, _id: { [op]: after.id } }] } },
+        { $sort: sort },
+        { $limit: limit + 1 },
+        { $project: { _offers: 0 } }
+      ]).exec(),
+      withTotal ? Model.aggregate([...matched, { $count: 'count' }]).exec() : null
+    ]);
+    items = rows;
+    if (count) total = count.length > 0 ? count[0].count : 0;
+  } else {
+    [result] = await Model.aggregate([
+      ...matched,
+      {
+        $facet: {
+          products: [
+            { $sort: sort },
+            { $skip: (page - 1) * limit },
+            { $limit: limit + 1 },
+            { $project: { _offers: 0 } }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          prices: [
+            { $bucket: { groupBy: '$_price', boundaries: PRICE_BUCKETS, default: 'above', output: { count: { $sum: 1 } } } }
+          ],
+          attributes: [
+            // Each product counts once per attribute value
+            {
+              $project: {
+                pairs: {
+                  $setUnion: [
+                    { $objectToArray: { $ifNull: ['$attributes', {}] } },
+                    { $reduce: { input: '$_offers', initialValue: [], in: { $concatArrays: ['$$value', { $objectToArray: '$$this.attributes' }] } } }
+                  ]
+                }
+              }
+            },
+            { $unwind: '$pairs' },
+            { $group: { _id: { name: '$pairs.k', value: '$pairs.v' }, count: { $sum: 1 } } },
+            { $sort: { '_id.value': 1 } },
+            { $group: { _id: '$_id.name', values: { $push: { value: '$_id.value', count: '$count' } } } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]).exec();
+    items = result.products;
+    total = result.total.length > 0 ? result.total[0].count : 0;
+  }
+
+  // One extra item was read to tell whether another page follows
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+
+  const last = items[items.length - 1];
+  const nextCursor = hasMore
+    ? encodeCursor({ sortBy, sortOrder, mode: search ? search.mode : null, value: last[sortKey], id: last._id })
+    : null;
+
+  for (const item of items) {
+    delete item._price;
+    delete item._score;
+  }
+
+  const products = await Model.populate(items, { path: 'category', select: 'name slug' });
+
+  if (after) {
+    return {
+      products,
+      pagination: { limit, total, hasMore, nextCursor },
+      facets: null
+    };
+  }
+
+  const categories = await mongoose.model('Category')
+    .find({ _id: { $in: result.categories.map(entry => entry._id) } })
+    .select('name slug')
+    .lean()
+    .exec();
+  const categoriesById = new Map(categories.map(category => [String(category._id), category]));
 
   return {
     products,
@@ -107,11 +515,112 @@ productSchema.statics.search = async function({ search, category, page = 1, limi
       page,
       limit,
       total,
-      totalPages: Math.ceil(total / limit)
+      totalPages: Math.ceil(total / limit),
+      hasMore,
+      nextCursor
+    },
+    facets: {
+      categories: result.categories
+        .filter(entry => categoriesById.has(String(entry._id)))
+        .map(entry => ({ ...categoriesById.get(String(entry._id)), count: entry.count })),
+      prices: result.prices.map(bucket => {
+        const index = PRICE_BUCKETS.indexOf(bucket._id);
+        return {
+          min: bucket._id === 'above' ? PRICE_BUCKETS[PRICE_BUCKETS.length - 1] : bucket._id,
+          max: bucket._id === 'above' ? null : PRICE_BUCKETS[index + 1],
+          count: bucket.count
+        };
+      }),
+      attributes: result.attributes.map(entry => ({ name: entry._id, values: entry.values }))
     }
   };
 };
 
+/**
+ * Static method for faceted product search
+ * Products are matched through their offers: each variant, or the product
+ * itself when it has none. The price, stock and attribute filters must all
+ * hold for the same offer, so "size M, in stock" means the size M variant is
+ * in stock. Facet counts are for the products matching the current filters.
+ *
+ * Searches use the text index and rank by its relevance score. When that
+ * finds nothing, words are matched as prefixes with one typo allowed
+ * ("lapt", "labtop" find "laptop"). Searched products carry `highlight`
+ * segments for their name and a description snippet.
+ * @param {object} filters - Search filters
+ * @param {string} filters.search - Search query for name/description (raw user input)
+ * @param {array} filters.categories - Category IDs (including subcategories)
+ * @param {number} filters.minPrice - Lowest price
+ * @param {number} filters.maxPrice - Highest price
+ * @param {boolean} filters.inStock - Only offers with stock
+ * @param {object} filters.attributes - { name: [values] } matched against product attributes or variant options
+ * @param {object} options - Paging and sorting
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Items per page (default: 10)
+ * @param {string} options.sortBy - Sort field (price sorts by the lowest matching price,
+ *   relevance by search score)
+ * @param {string} options.sortOrder - Sort order (asc/desc)
+ * @param {object} options.after - Decoded cursor to continue from instead of `page`
+ *   (see utils/cursor); such pages have no facets
+ * @param {boolean} options.withTotal - Count all matches on cursor pages too
+ * @returns {Promise<object>} { products, pagination (with `nextCursor`), facets }
+ */
+productSchema.statics.facetedSearch = async function(filters = {}, options = {}) {
+  const terms = tokenize(filters.search);
+  if (terms.length === 0) {
+    return runFacetedSearch(this, filters, options);
+  }
+
+  // Later pages keep the search mode of the first one
+  let result;
+  if (options.after) {
+    result = await runFacetedSearch(this, filters, options, searchStage(terms, options.after.mode || 'text'));
+  } else {
+    result = await runFacetedSearch(this, filters, options, searchStage(terms, 'text'));
+    if (result.pagination.total === 0) {
+      result = await runFacetedSearch(this, filters, options, searchStage(terms, 'prefix'));
+    }
+  }
+
+  const matcher = buildMatcher(terms);
+  for (const product of result.products) {
+    product.highlight = {
+      name: highlight(product.name, matcher),
+      description: highlight(product.description, matcher, searchConfig.snippetLength)
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Static method to stream products for export
+ * Takes the same filters and sort as facetedSearch; the search mode is
+ * picked the same way (text index, then prefixes when that finds nothing).
+ * Products are plain objects with `category` replaced by its slug.
+ * @param {object} filters - See facetedSearch, plus `includeInactive`
+ * @param {object} options - { sortBy, sortOrder }
+ * @returns {Promise<object>} Aggregation cursor
+ */
+productSchema.statics.exportCursor = async function(filters = {}, { sortBy = 'createdAt', sortOrder = 'desc' } = {}) {
+  const terms = tokenize(filters.search);
+  let search = null;
+  if (terms.length > 0) {
+    search = searchStage(terms, 'text');
+    const [found] = await this.aggregate([...matchStages(filters, search), { $limit: 1 }, { $project: { _id: 1 } }]).exec();
+    if (!found) search = searchStage(terms, 'prefix');
+  }
+
+  const { sort } = sortStage(sortBy, sortOrder, search);
+  return this.aggregate([
+    ...matchStages(filters, search),
+    { $sort: sort },
+    { $project: { _offers: 0, _price: 0, _score: 0 } },
+    { $lookup: { from: mongoose.model('Category').collection.name, localField: 'category', foreignField: '_id', as: 'category' } },
+    { $set: { category: { $arrayElemAt: ['$category.slug', 0] } } }
+  ]).allowDiskUse(true).cursor({ batchSize: 200 });
+};
+
 /**
  * Static method to get all products (simple version)
  * @param {object} options - Query options
@@ -159,4 +668,75 @@ productSchema.statics.findByIdAny = function(id) {
   return this.findById(id).exec();
 };
 
-module.exports = mongoose.model('Product', productSchema);
+/**
+ * Static method to atomically reserve stock for a product or one of its variants
+ * Only succeeds when enough stock is available, so concurrent buyers cannot oversell.
+ * A variant's stock and the product total move together.
+ * @param {string} id - Product ID
+ * @param {number} quantity - Quantity to remove from stock
+ * @param {string} variantId - Variant ID (optional)
+ * @returns {Promise<object|null>} Updated product or null if unavailable
+ */
+productSchema.statics.decrementStock = function(id, quantity, variantId = null) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      { _id: id, isActive: true, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+      { new: true }
+    ).exec();
+  }
+
+  return this.findOneAndUpdate(
+    { _id: id, isActive: true, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true }
+  ).exec();
+};
+
+/**
+ * Static method to return stock to a product or variant (e.g. on cancellation)
+ * @param {string} id - Product ID
+ * @param {number} quantity - Quantity to add back to stock
+ * @param {string} variantId - Variant ID (optional)
+ * @returns {Promise<object|null>} Updated product or null
+ */
+productSchema.statics.incrementStock = function(id, quantity, variantId = null) {
+  if (variantId) {
+    return this.findOneAndUpdate(
+      { _id: id, 'variants._id': variantId },
+      { $inc: { 'variants.$.stock': quantity, stock: quantity } },
+      { new: true }
+    ).exec();
+  }
+
+  return this.findOneAndUpdate(
+    { _id: id },
+    { $inc: { stock: quantity } },
+    { new: true }
+  ).exec();
+};
+
+/**
+ * Static method to delete every product together with its stored image files
+ * Files are removed first, so a storage failure leaves the products in place
+ * @returns {Promise<number>} Number of products deleted
+ */
+productSchema.statics.deleteAllWithImages = async function() {
+  const images = [];
+  for await (const product of this.find().select('images').lean()) {
+    images.push(...product.images);
+  }
+  if (images.length > 0) {
+    await removeImages(images);
+  }
+
+  const { deletedCount } = await this.deleteMany({});
+  return deletedCount;
+};
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
+// Fields the product listing can be sorted by
+module.exports.SORT_FIELDS = ['relevance', 'name', 'price', 'category', 'createdAt', 'updatedAt'];
+module.exports.ATTRIBUTE_NAME_PATTERN = ATTRIBUTE_NAME_PATTERN;
@@ -0,0 +1,32 @@
+/**
+ * RateLimitCounter Model
+ * Mongoose schema for shared rate limit counters: one document per key
+ * and fixed window, removed by MongoDB once the window is no longer needed
+ */
+
+const mongoose = require('mongoose');
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+rateLimitCounterSchema.index({ key: 1, windowStart: 1 }, { unique: true });
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -3,10 +3,15 @@
  * Mongoose schema for user authentication with bcrypt and JWT
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-const { config } = require('../config/jwt');
+const { ROLES, signAccessToken, signRefreshToken } = require('../config/jwt');
+const totp = require('../utils/totp');
+
+// Login methods: email + password, OTP to the phone, OTP to the email
+const IDENTITY_TYPES = ['password', 'phone', 'email'];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,9 +20,10 @@ const userSchema = new mongoose.Schema({
     default: ''
   },
 
+  // Optional for phone-only (OTP) accounts; uniqueness is enforced by a
+  // partial index so any number of accounts can leave it empty
   email: {
     type: String,
-    unique: true,
     lowercase: true,
     trim: true,
     default: ''
@@ -35,10 +41,107 @@ const userSchema = new mongoose.Schema({
     default: ''
   },
 
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+
+  // Email/phone changes wait here until confirmed with an OTP sent to them
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  pendingPhone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+
+  // Single-use tokens for emailed links, stored as SHA-256 hashes
+  passwordReset: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date }
+  },
+
+  emailVerification: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date }
+  },
+
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'customer'
+  },
+
+  // Verified login methods. Password and email logins use the account's
+  // email, phone logins its phone; an account always keeps at least one.
+  identities: [
+    {
+      _id: false,
+      type: { type: String, enum: IDENTITY_TYPES, required: true },
+      verifiedAt: { type: Date, default: Date.now }
+    }
+  ],
+
+  // TOTP two-factor authentication. Secrets are encrypted, recovery codes
+  // hashed; lastUsedStep stops a code from being replayed.
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    lastUsedStep: { type: Number, default: 0 },
+    enabledAt: { type: Date, default: null },
+    recoveryCodes: [
+      {
+        _id: false,
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date, default: null }
+      }
+    ]
+  },
+
+  // Account deletion: requested accounts are anonymized once the grace
+  // period ends (deletedAt is then set) unless the user cancels first
+  deletion: {
+    requestedAt: { type: Date, default: null },
+    scheduledFor: { type: Date, default: null }
+  },
+
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Progressive lockout after repeated password failures
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Refresh tokens are stored as SHA-256 hashes. Each login starts a new
+  // family; rotated tokens are kept until expiry so reuse can be detected.
   refreshTokens: [
     {
-      token: { type: String, required: true },
-      expiresAt: { type: Date, required: true }
+      tokenHash: { type: String, required: true },
+      family: { type: String, required: true },
+      expiresAt: { type: Date, required: true },
+      rotatedAt: { type: Date, default: null },
+      // Whether the session passed two-factor authentication
+      mfa: { type: Boolean, default: false },
+      // Device metadata, carried forward on rotation
+      userAgent: { type: String, default: '' },
+      ip: { type: String, default: '' },
+      createdAt: { type: Date, default: Date.now },
+      lastUsedAt: { type: Date, default: Date.now }
     }
   ]
 }, { timestamps: true });
@@ -59,40 +162,409 @@ userSchema.pre('save', async function(next) {
 
 // Compare password method
 userSchema.methods.comparePassword = function(password) {
-  // If password is empty, return false (except for OTP users where both are empty)
-  if (!password || !this.password) return password === this.password;
+  // Accounts created by OTP have no password until they set one
+  if (!password || !this.password) return Promise.resolve(false);
   return bcrypt.compare(password, this.password);
 };
 
+// Check whether the user has set a password
+userSchema.methods.hasPassword = function() {
+  return Boolean(this.password);
+};
+
+// Check whether a login method is linked
+userSchema.methods.hasIdentity = function(type) {
+  return this.identities.some(identity => identity.type === type);
+};
+
+// Link a login method (caller saves)
+userSchema.methods.addIdentity = function(type) {
+  if (!IDENTITY_TYPES.includes(type)) {
+    throw new Error(`Unknown identity type: ${type}`);
+  }
+  if (!this.hasIdentity(type)) {
+    this.identities.push({ type, verifiedAt: new Date() });
+  }
+  return this;
+};
+
+// Unlink a login method, keeping at least one (caller saves)
+// Returns false when the method is not linked or is the last one
+userSchema.methods.removeIdentity = function(type) {
+  if (!this.hasIdentity(type) || this.identities.length === 1) return false;
+
+  this.identities = this.identities.filter(identity => identity.type !== type);
+  if (type === 'password') {
+    this.password = '';
+  }
+  return true;
+};
+
+// Lockout policy: after LOCKOUT_THRESHOLD failures the account is locked,
+// and each further failure doubles the lock duration up to the maximum
+const LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const LOCKOUT_BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+// Check whether the account is currently locked
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Record a failed password attempt, locking the account when over the threshold
+userSchema.methods.registerFailedLogin = async function() {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).exec();
+
+  const attempts = updated.failedLoginAttempts;
+  this.failedLoginAttempts = attempts;
+
+  if (attempts >= LOCKOUT_THRESHOLD) {
+    const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (attempts - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+    this.lockUntil = new Date(Date.now() + lockMs);
+    await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: this.lockUntil } });
+  }
+
+  return this;
+};
+
+// Clear failed attempts and any lock
+userSchema.methods.resetLoginAttempts = function() {
+  if (!this.failedLoginAttempts && !this.lockUntil) return Promise.resolve(this);
+
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+};
+
 // Generate access token method
-userSchema.methods.generateAccessToken = function() {
-  return jwt.sign({ userId: this._id }, config.accessSecret, { expiresIn: config.accessExpiry });
+// sessionId is the refresh token family the access token was issued for;
+// mfa marks sessions that passed two-factor authentication
+userSchema.methods.generateAccessToken = function(sessionId, mfa = false) {
+  return signAccessToken({ userId: this._id, role: this.role, sid: sessionId, mfa });
 };
 
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
 // Generate refresh token method
-userSchema.methods.generateRefreshToken = function() {
-  return jwt.sign({ userId: this._id }, config.refreshSecret, { expiresIn: config.refreshExpiry });
+// Pass the family of the token being rotated; omit it to start a new family
+userSchema.methods.generateRefreshToken = function(family = crypto.randomUUID()) {
+  return signRefreshToken({ userId: this._id, family, jti: crypto.randomUUID() });
+};
+
+// Remove expired (and legacy plaintext) refresh tokens
+userSchema.methods.pruneRefreshTokens = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $pull: {
+        refreshTokens: {
+          $or: [{ expiresAt: { $lte: new Date() } }, { tokenHash: { $exists: false } }]
+        }
+      }
+    }
+  );
+};
+
+// Add refresh token to user (expiry is taken from the token itself)
+// meta: { userAgent, ip, createdAt, mfa } describing the device
+userSchema.methods.addRefreshToken = async function(token, meta = {}) {
+  const decoded = jwt.decode(token);
+  const now = new Date();
+
+  await this.pruneRefreshTokens();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        refreshTokens: {
+          tokenHash: hashToken(token),
+          family: decoded.family,
+          expiresAt: new Date(decoded.exp * 1000),
+          userAgent: meta.userAgent || '',
+          ip: meta.ip || '',
+          mfa: Boolean(meta.mfa),
+          createdAt: meta.createdAt || now,
+          lastUsedAt: now
+        }
+      }
+    }
+  );
+
+  return this;
+};
+
+/**
+ * Start a new session: issue an access/refresh token pair for a device
+ * @param {object} meta - Device metadata { userAgent, ip, mfa }
+ * @returns {Promise<object>} { accessToken, refreshToken, sessionId }
+ */
+userSchema.methods.createSession = async function(meta = {}) {
+  const refreshToken = this.generateRefreshToken();
+  const sessionId = jwt.decode(refreshToken).family;
+
+  await this.addRefreshToken(refreshToken, meta);
+
+  return {
+    accessToken: this.generateAccessToken(sessionId, Boolean(meta.mfa)),
+    refreshToken,
+    sessionId
+  };
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ * Presenting a token that was already rotated revokes the whole family
+ * @param {string} token - Current refresh token
+ * @param {object} meta - Device metadata { userAgent, ip }
+ * @returns {Promise<object>} { status: 'rotated', refreshToken, sessionId, mfa } | { status: 'reused' } | { status: 'invalid' }
+ */
+userSchema.methods.rotateRefreshToken = async function(token, meta = {}) {
+  const tokenHash = hashToken(token);
+  const entry = this.refreshTokens.find(rt => rt.tokenHash === tokenHash);
+
+  if (!entry || entry.expiresAt <= new Date()) {
+    return { status: 'invalid' };
+  }
+
+  // Claim the token atomically so concurrent refreshes cannot both succeed
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, refreshTokens: { $elemMatch: { tokenHash, rotatedAt: null } } },
+    { $set: { 'refreshTokens.$.rotatedAt': new Date() } }
+  );
+
+  if (claimed.modifiedCount === 0) {
+    await this.revokeTokenFamily(entry.family);
+    return { status: 'reused' };
+  }
+
+  const refreshToken = this.generateRefreshToken(entry.family);
+  await this.addRefreshToken(refreshToken, {
+    userAgent: meta.userAgent || entry.userAgent,
+    ip: meta.ip || entry.ip,
+    mfa: entry.mfa,
+    createdAt: entry.createdAt
+  });
+
+  return { status: 'rotated', refreshToken, sessionId: entry.family, mfa: entry.mfa };
 };
 
-// Add refresh token to user
-userSchema.methods.addRefreshToken = function(token, expiresInDays = 7) {
-  const expiresAt = new Date();
-  expiresAt.setDate(expiresAt.getDate() + expiresInDays);
-  
-  this.refreshTokens.push({ token, expiresAt });
-  return this.save();
+/**
+ * List active sessions (one per token family)
+ * @returns {array} Sessions { id, userAgent, ip, createdAt, lastUsedAt }
+ */
+userSchema.methods.getSessions = function() {
+  const now = new Date();
+
+  return this.refreshTokens
+    .filter(rt => rt.tokenHash && !rt.rotatedAt && rt.expiresAt > now)
+    .map(rt => ({
+      id: rt.family,
+      userAgent: rt.userAgent,
+      ip: rt.ip,
+      createdAt: rt.createdAt,
+      lastUsedAt: rt.lastUsedAt
+    }))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+// Mark a session as having passed two-factor authentication
+userSchema.methods.markSessionMfa = function(sessionId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'refreshTokens.$[token].mfa': true } },
+    { arrayFilters: [{ 'token.family': sessionId }] }
+  );
 };
 
-// Remove refresh token from user
+// Clear the two-factor flag from every session (after disabling it)
+userSchema.methods.clearSessionMfa = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { 'refreshTokens.$[].mfa': false } }
+  );
+};
+
+// Revoke every session except the given one
+userSchema.methods.revokeOtherSessions = function(sessionId) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { family: { $ne: sessionId } } } }
+  );
+};
+
+// Revoke every refresh token in a family
+userSchema.methods.revokeTokenFamily = function(family) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $pull: { refreshTokens: { family } } }
+  );
+};
+
+// Remove refresh token from user (revokes its whole family)
 userSchema.methods.removeRefreshToken = function(token) {
-  this.refreshTokens = this.refreshTokens.filter(rt => rt.token !== token);
-  return this.save();
+  const entry = this.refreshTokens.find(rt => rt.tokenHash === hashToken(token));
+  if (!entry) return Promise.resolve(this);
+  return this.revokeTokenFamily(entry.family);
 };
 
 // Clear all refresh tokens
 userSchema.methods.clearRefreshTokens = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { refreshTokens: [] } }
+  );
+};
+
+/**
+ * Check a TOTP code against the enabled secret
+ * Each time step can be used once, claimed atomically so a code cannot be replayed
+ * @param {string} code - 6-digit code from the authenticator app
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+userSchema.methods.verifyTotp = async function(code) {
+  if (!this.mfa.enabled || !this.mfa.secret) return false;
+
+  const step = totp.verifyCode(totp.decryptSecret(this.mfa.secret), code);
+  if (step === null) return false;
+
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, 'mfa.lastUsedStep': { $lt: step } },
+    { $set: { 'mfa.lastUsedStep': step } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  this.mfa.lastUsedStep = step;
+  return true;
+};
+
+/**
+ * Use a recovery code (each code works once)
+ * @param {string} code - Recovery code (xxxx-xxxx)
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+userSchema.methods.consumeRecoveryCode = async function(code) {
+  if (!this.mfa.enabled || !code) return false;
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const claimed = await this.constructor.updateOne(
+    { _id: this._id, 'mfa.recoveryCodes': { $elemMatch: { codeHash, usedAt: null } } },
+    { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+  );
+  if (claimed.modifiedCount === 0) return false;
+
+  const entry = this.mfa.recoveryCodes.find(recovery => recovery.codeHash === codeHash);
+  if (entry) entry.usedAt = new Date();
+  return true;
+};
+
+/**
+ * Replace the recovery codes with a fresh set (caller saves)
+ * @returns {string[]} Plain codes, shown to the user once
+ */
+userSchema.methods.regenerateRecoveryCodes = function() {
+  const codes = totp.generateRecoveryCodes();
+  this.mfa.recoveryCodes = codes.map(code => ({ codeHash: hashToken(code) }));
+  return codes;
+};
+
+// Number of recovery codes not used yet
+userSchema.methods.recoveryCodesRemaining = function() {
+  return this.mfa.recoveryCodes.filter(entry => !entry.usedAt).length;
+};
+
+// Schedule the account for deletion after a grace period (caller saves)
+userSchema.methods.scheduleDeletion = function(graceMs) {
+  const now = new Date();
+  this.deletion = { requestedAt: now, scheduledFor: new Date(now.getTime() + graceMs) };
+  return this;
+};
+
+// Cancel a scheduled deletion (caller saves)
+userSchema.methods.cancelDeletion = function() {
+  this.deletion = { requestedAt: null, scheduledFor: null };
+  return this;
+};
+
+/**
+ * Strip personal data, keeping the document so orders still reference it
+ * Phone is required and unique, so it becomes a placeholder (caller saves)
+ * @returns {object} this
+ */
+userSchema.methods.anonymize = function() {
+  this.name = '';
+  this.email = '';
+  this.phone = `deleted:${this._id}`;
+  this.password = '';
+  this.emailVerified = false;
+  this.pendingEmail = null;
+  this.pendingPhone = null;
+  this.passwordReset = undefined;
+  this.emailVerification = undefined;
+  this.role = 'customer';
+  this.identities = [];
+  this.mfa = { enabled: false, secret: null, pendingSecret: null, lastUsedStep: 0, enabledAt: null, recoveryCodes: [] };
+  this.failedLoginAttempts = 0;
+  this.lockUntil = null;
   this.refreshTokens = [];
-  return this.save();
+  this.deletion = { requestedAt: this.deletion.requestedAt, scheduledFor: null };
+  this.deletedAt = new Date();
+  return this;
+};
+
+// Emailed link tokens: 'passwordReset' or 'emailVerification'
+const ACTION_TOKEN_TYPES = ['passwordReset', 'emailVerification'];
+
+/**
+ * Create a single-use token for an emailed link (replaces any previous one)
+ * @param {string} type - 'passwordReset' or 'emailVerification'
+ * @param {number} ttlMs - Token lifetime in milliseconds
+ * @returns {Promise<string>} Plain token to put in the link
+ */
+userSchema.methods.createActionToken = async function(type, ttlMs) {
+  if (!ACTION_TOKEN_TYPES.includes(type)) {
+    throw new Error(`Unknown action token type: ${type}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const value = { tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ttlMs) };
+
+  await this.constructor.updateOne({ _id: this._id }, { $set: { [type]: value } });
+  this.set(type, value);
+
+  return token;
+};
+
+/**
+ * Find the user for an emailed link token and invalidate it atomically
+ * @param {string} type - 'passwordReset' or 'emailVerification'
+ * @param {string} token - Plain token from the link
+ * @returns {Promise<object|null>} User or null if the token is invalid, expired or used
+ */
+userSchema.statics.consumeActionToken = function(type, token) {
+  if (!ACTION_TOKEN_TYPES.includes(type) || !token) {
+    return Promise.resolve(null);
+  }
+
+  return this.findOneAndUpdate(
+    {
+      [`${type}.tokenHash`]: hashToken(token),
+      [`${type}.expiresAt`]: { $gt: new Date() }
+    },
+    { $unset: { [type]: 1 } },
+    { new: true }
+  ).exec();
 };
 
 // Static method to find by email
@@ -107,18 +579,72 @@ userSchema.statics.findByPhone = function(phone) {
 
 // Static method to find by ID
 userSchema.statics.findById = function(id) {
-  return mongoose.model('User').findById(id);
+  return this.findOne({ _id: id });
+};
+
+/**
+ * Find the user that can log in with a method
+ * @param {string} type - 'password', 'phone' or 'email'
+ * @param {string} value - Email for password/email logins, phone for phone logins
+ * @returns {object} Mongoose query
+ */
+userSchema.statics.findByIdentity = function(type, value) {
+  const field = type === 'phone' ? { phone: value } : { email: String(value).toLowerCase() };
+  return this.findOne({ ...field, 'identities.type': type });
+};
+
+// Accounts whose deletion grace period has ended
+userSchema.statics.findDueForDeletion = function(now = new Date()) {
+  return this.find({ 'deletion.scheduledFor': { $lte: now }, deletedAt: null });
+};
+
+/**
+ * Link login methods for accounts created before identities existed:
+ * a password if one is set, the phone (which could always receive OTPs)
+ * and the email once verified
+ * @returns {Promise<object>} Update result
+ */
+userSchema.statics.backfillIdentities = function() {
+  const now = new Date();
+
+  return this.updateMany({ 'identities.0': { $exists: false } }, [
+    {
+      $set: {
+        identities: {
+          $concatArrays: [
+            { $cond: [{ $gt: [{ $ifNull: ['$password', ''] }, ''] }, [{ type: 'password', verifiedAt: now }], []] },
+            [{ type: 'phone', verifiedAt: now }],
+            { $cond: [{ $eq: ['$emailVerified', true] }, [{ type: 'email', verifiedAt: now }], []] }
+          ]
+        }
+      }
+    }
+  ]).exec();
 };
 
 // Convert to JSON (excludes password and refreshTokens)
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
+  obj.hasPassword = this.hasPassword();
+  obj.mfaEnabled = Boolean(this.mfa && this.mfa.enabled);
   delete obj.password;
+  delete obj.mfa;
   delete obj.refreshTokens;
+  delete obj.failedLoginAttempts;
+  delete obj.lockUntil;
+  delete obj.passwordReset;
+  delete obj.emailVerification;
   return obj;
 };
 
 // Indexes
+userSchema.index(
+  { email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string', $gt: '' } } }
+);
 userSchema.index({ createdAt: 1 });
+userSchema.index({ role: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 module.exports = mongoose.model('User', userSchema);
+module.exports.IDENTITY_TYPES = IDENTITY_TYPES;
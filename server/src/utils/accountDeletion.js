@@ -0,0 +1,91 @@
+/**
+ * Account Deletion
+ * Purges accounts whose deletion grace period has ended: the cart and
+ * one-time codes are deleted, unpaid orders cancelled, and the user is
+ * anonymized. Orders and payments are kept for the store's records but
+ * only reference the anonymized user.
+ */
+
+require('dotenv').config();
+
+const User = require('../models/User');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const OtpCode = require('../models/OtpCode');
+
+const config = {
+  graceMs: (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14) * 24 * 60 * 60 * 1000,
+  purgeIntervalMs: (parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60) * 60 * 1000
+};
+
+/**
+ * Delete one account's personal data
+ * @param {object} user - User document
+ * @returns {Promise<void>}
+ */
+const purgeAccount = async (user) => {
+  const otpKeys = [user.phone, user.email].filter(Boolean);
+
+  await Cart.deleteOne({ user: user._id }).exec();
+
+  // Unpaid orders will never be paid; cancelling returns their stock.
+  // An order paid or cancelled meanwhile is left as it is.
+  const pendingOrders = await Order.find({ user: user._id, status: 'pending' }).exec();
+  for (const order of pendingOrders) {
+    await order.transitionTo('cancelled');
+  }
+
+  await OtpCode.deleteMany({
+    $or: [
+      { key: { $in: otpKeys } },
+      { key: { $regex: `^(contact|identity):${user._id}:` } }
+    ]
+  }).exec();
+
+  user.anonymize();
+  await user.save();
+};
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts purged
+ */
+const purgeDueAccounts = async () => {
+  const users = await User.findDueForDeletion().exec();
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Account purge error for user ${user._id}:`, error);
+    }
+  }
+
+  return purged;
+};
+
+/**
+ * Run purgeDueAccounts now and then on an interval
+ * @returns {object} Interval handle
+ */
+const startPurgeJob = () => {
+  const run = () => purgeDueAccounts()
+    .then(purged => {
+      if (purged > 0) console.log(`Deleted ${purged} accounts after their grace period`);
+    })
+    .catch(error => console.error('Account purge job error:', error));
+
+  run();
+  const timer = setInterval(run, config.purgeIntervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  config,
+  purgeAccount,
+  purgeDueAccounts,
+  startPurgeJob
+};
@@ -0,0 +1,119 @@
+/**
+ * Auth Cookies
+ * Cookie mode for browser clients: the refresh token is kept in an HttpOnly
+ * cookie that is only sent to the refresh endpoint, and a readable CSRF
+ * cookie is paired with it (double-submit). The access token is returned in
+ * the response body and kept in memory by the client.
+ *
+ * Clients opt in per request with the `X-Auth-Mode: cookie` header; without
+ * it tokens are returned in the body as before (bearer mode).
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const config = {
+  refreshCookie: 'refreshToken',
+  // Axios sends this cookie back as the X-XSRF-TOKEN header on same-origin requests
+  csrfCookie: 'XSRF-TOKEN',
+  csrfHeader: 'x-xsrf-token',
+  refreshPath: '/api/users/refresh-token',
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production',
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || 'strict'
+};
+
+/**
+ * Whether the client asked for cookie mode
+ * @param {object} req - Express request
+ * @returns {boolean}
+ */
+const wantsCookieMode = (req) => (req.get('x-auth-mode') || '').toLowerCase() === 'cookie';
+
+/**
+ * Read a cookie from the request
+ * @param {object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} Cookie value
+ */
+const readCookie = (req, name) => {
+  for (const part of (req.get('cookie') || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1 || part.slice(0, index).trim() !== name) continue;
+
+    try {
+      return decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      return null;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Read the refresh token cookie
+ * @param {object} req - Express request
+ * @returns {string|null} Refresh token
+ */
+const readRefreshCookie = (req) => readCookie(req, config.refreshCookie);
+
+/**
+ * Set the refresh token and a new CSRF token as cookies
+ * Both expire with the refresh token
+ * @param {object} res - Express response
+ * @param {string} refreshToken - Refresh token
+ * @returns {string} CSRF token
+ */
+const setAuthCookies = (res, refreshToken) => {
+  const { exp } = jwt.decode(refreshToken);
+  const expires = new Date(exp * 1000);
+  const csrfToken = crypto.randomBytes(32).toString('base64url');
+  const options = { secure: config.secure, sameSite: config.sameSite, expires };
+
+  res.cookie(config.refreshCookie, refreshToken, { ...options, httpOnly: true, path: config.refreshPath });
+  res.cookie(config.csrfCookie, csrfToken, { ...options, path: '/' });
+
+  return csrfToken;
+};
+
+/**
+ * Remove the auth cookies
+ * @param {object} res - Express response
+ */
+const clearAuthCookies = (res) => {
+  const options = { secure: config.secure, sameSite: config.sameSite };
+
+  res.clearCookie(config.refreshCookie, { ...options, httpOnly: true, path: config.refreshPath });
+  res.clearCookie(config.csrfCookie, { ...options, path: '/' });
+};
+
+/**
+ * Deliver a new token pair in the mode the client uses
+ * In cookie mode the refresh token is set as a cookie and left out of the body
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} tokens - { accessToken, refreshToken }
+ * @param {boolean} cookieMode - Use cookie mode (default: from the request header)
+ * @returns {object} Token fields for the response body
+ */
+const issueTokens = (req, res, { accessToken, refreshToken }, cookieMode = wantsCookieMode(req)) => {
+  if (!cookieMode) {
+    return { accessToken, refreshToken };
+  }
+
+  return { accessToken, csrfToken: setAuthCookies(res, refreshToken) };
+};
+
+module.exports = {
+  config,
+  wantsCookieMode,
+  readCookie,
+  readRefreshCookie,
+  setAuthCookies,
+  clearAuthCookies,
+  issueTokens
+};
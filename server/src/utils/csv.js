@@ -0,0 +1,148 @@
+/**
+ * CSV Utilities
+ * Streaming CSV reading and writing (RFC 4180: comma separated, fields
+ * with commas, quotes or line breaks in double quotes, quotes doubled).
+ * Rows are produced as the input arrives, so files of any size are read
+ * with constant memory.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const config = {
+  // Longest field accepted, so a missing closing quote cannot swallow the file
+  maxFieldLength: 100000
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+/**
+ * Build an error for malformed input
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_FILE
+ */
+const fileError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE' });
+
+/**
+ * Read CSV rows from a stream
+ * @param {object} stream - Readable stream of UTF-8 text (e.g. an HTTP request)
+ * @yields {array} Fields of each non-empty row
+ */
+async function* csvRows(stream) {
+  const decoder = new StringDecoder('utf8');
+  let row = [];
+  let field = '';
+  let quoted = false;
+  // In a quoted field, a quote is either the closing one or the first of ""
+  let quoteSeen = false;
+  let skipLineFeed = false;
+  let start = true;
+  let rowNumber = 1;
+
+  const endRow = () => {
+    row.push(field);
+    const done = row;
+    row = [];
+    field = '';
+    rowNumber++;
+    return done.length === 1 && done[0] === '' ? null : done;
+  };
+
+  const read = function* (text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+
+      if (quoted) {
+        if (quoteSeen) {
+          quoteSeen = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          quoted = false;
+        } else if (char === '"') {
+          quoteSeen = true;
+          continue;
+        } else {
+          field += char;
+          if (field.length > config.maxFieldLength) {
+            throw fileError(`Row ${rowNumber}: field is longer than ${config.maxFieldLength} characters (missing closing quote?)`);
+          }
+          continue;
+        }
+      }
+
+      if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        skipLineFeed = char === '\r';
+        const done = endRow();
+        if (done) yield done;
+      } else {
+        field += char;
+        if (field.length > config.maxFieldLength) {
+          throw fileError(`Row ${rowNumber}: field is longer than ${config.maxFieldLength} characters`);
+        }
+      }
+    }
+  };
+
+  for await (const chunk of stream) {
+    let text = decoder.write(chunk);
+    if (start && text.length > 0) {
+      // Spreadsheet exports often begin with a byte order mark
+      text = text.replace(/^\uFEFF/, '');
+      start = false;
+    }
+    yield* read(text);
+  }
+  yield* read(decoder.end());
+
+  if (quoted && !quoteSeen) {
+    throw fileError(`Row ${rowNumber}: missing closing quote`);
+  }
+  if (field !== '' || row.length > 0) {
+    const done = endRow();
+    if (done) yield done;
+  }
+}
+
+/**
+ * Format one CSV line
+ * @param {array} values - Field values (null and undefined become empty)
+ * @returns {string} Line ending in CRLF
+ */
+const csvLine = (values) => values.map(value => {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+/**
+ * Stop spreadsheet apps from running exported text as a formula
+ * @param {string} value - Text from user input
+ * @returns {string} Text, prefixed with ' when it starts like a formula
+ */
+const guardFormula = (value) => (typeof value === 'string' && FORMULA_PATTERN.test(value) ? `'${value}` : value);
+
+/**
+ * Undo guardFormula when reading a file back
+ * @param {string} value - Cell text
+ * @returns {string} Original text
+ */
+const unguardFormula = (value) => (typeof value === 'string' && /^'[=+\-@\t\r]/.test(value) ? value.slice(1) : value);
+
+module.exports = {
+  config,
+  csvRows,
+  csvLine,
+  guardFormula,
+  unguardFormula
+};
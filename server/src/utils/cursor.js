@@ -0,0 +1,61 @@
+/**
+ * Pagination Cursors
+ * Opaque cursors for keyset pagination. A cursor records the sort it was
+ * made for and the sort value and _id of the last item returned, so the next
+ * page starts right after that item and products added or removed meanwhile
+ * do not shift it. Cursors are encoded, not signed: editing one only moves
+ * where the caller's own listing continues.
+ */
+
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const SEARCH_MODES = [null, 'text', 'prefix'];
+
+/**
+ * Check that a decoded sort value is a plain value, never a query operator
+ * @param {*} value - Decoded value
+ * @returns {boolean}
+ */
+const isSortValue = (value) =>
+  value === null ||
+  typeof value === 'string' ||
+  (typeof value === 'number' && Number.isFinite(value)) ||
+  (value instanceof Date && !Number.isNaN(value.getTime())) ||
+  value instanceof mongoose.Types.ObjectId;
+
+/**
+ * Encode the position after an item
+ * @param {object} position - { sortBy, sortOrder, mode, value, id }
+ * @param {string} position.mode - Search mode the listing used (null when not searching)
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = ({ sortBy, sortOrder, mode = null, value, id }) => {
+  const json = EJSON.stringify({ s: sortBy, o: sortOrder, m: mode, v: value ?? null, id }, { relaxed: false });
+  return Buffer.from(json).toString('base64url');
+};
+
+/**
+ * Decode a cursor from a request
+ * @param {string} cursor - Cursor from encodeCursor()
+ * @returns {object|null} { sortBy, sortOrder, mode, value, id }, or null if malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { s, o, m, v, id } = EJSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const valid = typeof s === 'string' &&
+      ['asc', 'desc'].includes(o) &&
+      SEARCH_MODES.includes(m) &&
+      id instanceof mongoose.Types.ObjectId &&
+      isSortValue(v);
+    return valid ? { sortBy: s, sortOrder: o, mode: m, value: v, id } : null;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
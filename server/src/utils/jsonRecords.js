@@ -0,0 +1,129 @@
+/**
+ * JSON Record Streams
+ * Reads objects one at a time from a JSON array ([{...}, {...}]) or from
+ * newline-delimited JSON (one object per line), so large files are never
+ * held in memory as a whole.
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+const config = {
+  // Largest single record accepted
+  maxRecordLength: 1024 * 1024
+};
+
+/**
+ * Build an error for malformed input
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_FILE
+ */
+const fileError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE' });
+
+/**
+ * Parse one record
+ * @param {string} text - JSON text of the record
+ * @param {number} number - Record number (from 1) for error messages
+ * @returns {object} Parsed record
+ */
+const parseRecord = (text, number) => {
+  let record;
+  try {
+    record = JSON.parse(text);
+  } catch (error) {
+    throw fileError(`Record ${number}: ${error.message}`);
+  }
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    throw fileError(`Record ${number}: each record must be an object`);
+  }
+  return record;
+};
+
+/**
+ * Read records from a stream
+ * @param {object} stream - Readable stream of UTF-8 JSON (e.g. an HTTP request)
+ * @yields {object} Each record
+ */
+async function* jsonRecords(stream) {
+  const decoder = new StringDecoder('utf8');
+  // null until the first character shows whether this is an array or NDJSON
+  let isArray = null;
+  let ended = false;
+  let buffer = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let count = 0;
+
+  const read = function* (text) {
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (isArray === null) {
+        if (/\s/.test(char) || char === '\uFEFF') continue;
+        isArray = char === '[';
+        if (isArray) continue;
+      }
+
+      if (!isArray) {
+        // NDJSON: one record per line
+        if (char === '\n') {
+          if (buffer.trim()) yield parseRecord(buffer, ++count);
+          buffer = '';
+        } else {
+          buffer += char;
+        }
+      } else if (depth === 0) {
+        // Between records of the top-level array
+        if (ended) {
+          if (!/\s/.test(char)) throw fileError('Unexpected content after the end of the array');
+        } else if (char === '{') {
+          depth = 1;
+          buffer = char;
+        } else if (char === ']') {
+          ended = true;
+        } else if (char !== ',' && !/\s/.test(char)) {
+          throw fileError(`Record ${count + 1}: each record must be an object`);
+        }
+        continue;
+      } else {
+        buffer += char;
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          depth++;
+        } else if (char === '}' || char === ']') {
+          depth--;
+          if (depth === 0) {
+            yield parseRecord(buffer, ++count);
+            buffer = '';
+          }
+        }
+      }
+
+      if (buffer.length > config.maxRecordLength) {
+        throw fileError(`Record ${count + 1} is larger than ${config.maxRecordLength} characters`);
+      }
+    }
+  };
+
+  for await (const chunk of stream) {
+    yield* read(decoder.write(chunk));
+  }
+  yield* read(decoder.end());
+
+  if (isArray && (depth > 0 || !ended)) {
+    throw fileError('The JSON array is not closed');
+  }
+  if (isArray === false && buffer.trim()) {
+    yield parseRecord(buffer, ++count);
+  }
+}
+
+module.exports = {
+  config,
+  jsonRecords
+};
@@ -0,0 +1,85 @@
+/**
+ * Mailer
+ * Sends transactional email through the configured email adapter
+ * (EMAIL_ADAPTER=outbox keeps everything local; smtp sends for real)
+ */
+
+require('dotenv').config();
+
+const { getChannel } = require('./messaging');
+
+const config = {
+  appUrl: (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '')
+};
+
+/**
+ * Send an email
+ * @param {object} message - { to, subject, text, html }
+ * @returns {Promise<object>} { id }
+ */
+const sendMail = (message) => getChannel('email').send(message);
+
+/**
+ * Build a link into the client app
+ * @param {string} path - Client route, e.g. /reset-password
+ * @param {object} params - Query parameters
+ * @returns {string} Absolute URL
+ */
+const appLink = (path, params = {}) => {
+  const query = new URLSearchParams(params).toString();
+  return `${config.appUrl}${path}${query ? `?${query}` : ''}`;
+};
+
+/**
+ * Email a password reset link
+ * @param {object} user - User document
+ * @param {string} token - Plain reset token
+ * @param {number} expiresInMinutes - Token lifetime shown to the user
+ */
+const sendPasswordResetEmail = (user, token, expiresInMinutes) => {
+  const link = appLink('/reset-password', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your E-Shop password',
+    text: `Hello ${user.name || 'there'},\n\nReset your password using this link (valid for ${expiresInMinutes} minutes):\n${link}\n\nIf you did not ask for this, you can ignore this email.`
+  });
+};
+
+/**
+ * Email an address verification link
+ * @param {object} user - User document
+ * @param {string} token - Plain verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  const link = appLink('/verify-email', { token });
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your E-Shop email address',
+    text: `Hello ${user.name || 'there'},\n\nConfirm your email address using this link:\n${link}`
+  });
+};
+
+/**
+ * Email confirmation that the account is scheduled for deletion
+ * @param {object} user - User document
+ * @param {Date} scheduledFor - When the account will be deleted
+ */
+const sendDeletionScheduledEmail = (user, scheduledFor) => {
+  const link = appLink('/login');
+
+  return sendMail({
+    to: user.email,
+    subject: 'Your E-Shop account will be deleted',
+    text: `Hello ${user.name || 'there'},\n\nYour account and personal data will be deleted on ${scheduledFor.toUTCString()}.\nChanged your mind? Log in before then and cancel the deletion from your profile:\n${link}`
+  });
+};
+
+module.exports = {
+  config,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendDeletionScheduledEmail
+};
@@ -0,0 +1,81 @@
+/**
+ * Messaging Channels
+ * Picks the SMS and email adapters from configuration
+ *
+ * Every adapter implements:
+ * - name: string
+ * - channel: 'sms' | 'email'
+ * - send({ to, subject, text, html }) => Promise<{ id }>
+ */
+
+require('dotenv').config();
+
+const { isProduction } = require('../../config/secrets');
+const { createOutboxAdapter } = require('./outbox.adapter');
+const { createTwilioAdapter } = require('./twilio.adapter');
+const { createSmtpAdapter } = require('./smtp.adapter');
+
+const config = {
+  smsAdapter: process.env.SMS_ADAPTER || 'outbox',
+  emailAdapter: process.env.EMAIL_ADAPTER || 'outbox',
+  outboxFile: process.env.OUTBOX_FILE || '',
+  // Print outbox messages, including OTP codes and reset links, to the console
+  outboxLog: process.env.OUTBOX_LOG === 'true',
+  twilio: {
+    accountSid: process.env.TWILIO_ACCOUNT_SID,
+    authToken: process.env.TWILIO_AUTH_TOKEN,
+    from: process.env.TWILIO_FROM,
+    defaultCountryCode: process.env.TWILIO_DEFAULT_COUNTRY_CODE || '+91'
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM
+  }
+};
+
+const factories = {
+  sms: {
+    outbox: () => createOutboxAdapter({ channel: 'sms', file: config.outboxFile, log: config.outboxLog }),
+    twilio: () => createTwilioAdapter(config.twilio)
+  },
+  email: {
+    outbox: () => createOutboxAdapter({ channel: 'email', file: config.outboxFile, log: config.outboxLog }),
+    smtp: () => createSmtpAdapter(config.smtp)
+  }
+};
+
+// The outbox never delivers anything and keeps codes readable on this server
+if (isProduction && (config.smsAdapter === 'outbox' || config.emailAdapter === 'outbox')) {
+  throw new Error('The outbox messaging adapter is for development only; set SMS_ADAPTER and EMAIL_ADAPTER in production');
+}
+
+const instances = new Map();
+
+/**
+ * Get the configured adapter for a channel
+ * @param {string} channel - 'sms' or 'email'
+ * @returns {object} Messaging adapter
+ */
+const getChannel = (channel) => {
+  if (!instances.has(channel)) {
+    const name = channel === 'sms' ? config.smsAdapter : config.emailAdapter;
+    const factory = factories[channel] && factories[channel][name];
+
+    if (!factory) {
+      throw new Error(`Unknown ${channel} adapter: ${name}`);
+    }
+
+    instances.set(channel, factory());
+  }
+
+  return instances.get(channel);
+};
+
+module.exports = {
+  config,
+  getChannel
+};
@@ -0,0 +1,72 @@
+/**
+ * Outbox Adapter
+ * Local stand-in for SMS and email delivery, for development only. The
+ * latest messages are kept in an in-memory inbox and, when a file is
+ * configured, appended to it as JSON lines.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create an outbox adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.channel - Channel name ('sms' or 'email')
+ * @param {string} options.file - Optional file to append messages to
+ * @param {boolean} options.log - Also print messages (with their codes and links) to the console
+ * @param {number} options.limit - Messages kept in the inbox; older ones are dropped
+ * @returns {object} Messaging adapter
+ */
+const createOutboxAdapter = ({ channel, file = '', log = false, limit = 100 }) => {
+  const messages = [];
+
+  return {
+    name: 'outbox',
+    channel,
+    messages,
+
+    async send({ to, subject = '', text }) {
+      const message = {
+        id: `outbox_${Date.now()}_${messages.length + 1}`,
+        channel,
+        to,
+        subject,
+        text,
+        sentAt: new Date().toISOString()
+      };
+
+      messages.push(message);
+      if (messages.length > limit) {
+        messages.splice(0, messages.length - limit);
+      }
+
+      if (file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(message) + '\n');
+      }
+
+      if (log) {
+        console.log(`[outbox:${channel}] to ${to}${subject ? ` (${subject})` : ''}: ${text}`);
+      }
+
+      return { id: message.id };
+    },
+
+    /**
+     * Get messages sent to a recipient, newest last
+     * @param {string} to - Recipient phone or email
+     * @returns {array} Messages
+     */
+    inbox(to) {
+      return messages.filter(message => message.to === to);
+    },
+
+    clear() {
+      messages.length = 0;
+    }
+  };
+};
+
+module.exports = {
+  createOutboxAdapter
+};
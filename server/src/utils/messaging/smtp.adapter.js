@@ -0,0 +1,44 @@
+/**
+ * SMTP Email Adapter
+ * Sends email through any SMTP server using nodemailer
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP email adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} options.user - SMTP username
+ * @param {string} options.pass - SMTP password
+ * @param {string} options.from - Sender address
+ * @returns {object} Messaging adapter
+ */
+const createSmtpAdapter = ({ host, port = 587, secure = false, user, pass, from }) => {
+  if (!host || !from) {
+    throw new Error('SMTP adapter requires SMTP_HOST and SMTP_FROM');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    channel: 'email',
+
+    async send({ to, subject = '', text, html }) {
+      const info = await transporter.sendMail({ from, to, subject, text, html });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = {
+  createSmtpAdapter
+};
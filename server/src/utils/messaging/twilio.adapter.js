@@ -0,0 +1,43 @@
+/**
+ * Twilio SMS Adapter
+ * Sends text messages through the Twilio API
+ */
+
+const twilio = require('twilio');
+
+/**
+ * Create a Twilio SMS adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.from - Sender phone number or messaging service SID
+ * @param {string} options.defaultCountryCode - Prefix for numbers without one, e.g. +91
+ * @returns {object} Messaging adapter
+ */
+const createTwilioAdapter = ({ accountSid, authToken, from, defaultCountryCode = '+91' }) => {
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio adapter requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM');
+  }
+
+  const client = twilio(accountSid, authToken);
+  const sender = from.startsWith('MG') ? { messagingServiceSid: from } : { from };
+
+  return {
+    name: 'twilio',
+    channel: 'sms',
+
+    async send({ to, text }) {
+      const message = await client.messages.create({
+        ...sender,
+        to: to.startsWith('+') ? to : `${defaultCountryCode}${to}`,
+        body: text
+      });
+
+      return { id: message.sid };
+    }
+  };
+};
+
+module.exports = {
+  createTwilioAdapter
+};
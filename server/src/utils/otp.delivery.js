@@ -0,0 +1,50 @@
+/**
+ * OTP Delivery
+ * Sends one-time codes by SMS or email through the configured messaging adapters
+ */
+
+const { getChannel } = require('./messaging');
+const { config: otpConfig } = require('./otp.store');
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Work out which channel a destination belongs to
+ * @param {string} destination - Phone number or email address
+ * @returns {string|null} 'sms', 'email' or null if invalid
+ */
+const detectChannel = (destination) => {
+  if (typeof destination !== 'string') return null;
+  if (PHONE_PATTERN.test(destination)) return 'sms';
+  if (EMAIL_PATTERN.test(destination)) return 'email';
+  return null;
+};
+
+/**
+ * Send an OTP to a phone number or email address
+ * @param {string} destination - Phone number or email address
+ * @param {string} otp - One-time code
+ * @param {number} expiresInMinutes - Code lifetime shown to the user (default: the OTP store's TTL)
+ * @returns {Promise<object>} { channel, id }
+ */
+const deliverOtp = async (destination, otp, expiresInMinutes = Math.ceil(otpConfig.ttlMs / 60000)) => {
+  const channel = detectChannel(destination);
+  if (!channel) {
+    throw new Error('Destination must be a 10-digit phone number or an email address');
+  }
+
+  const text = `Your E-Shop verification code is ${otp}. It expires in ${expiresInMinutes} minute${expiresInMinutes === 1 ? '' : 's'}.`;
+  const { id } = await getChannel(channel).send({
+    to: destination,
+    subject: channel === 'email' ? 'Your E-Shop verification code' : '',
+    text
+  });
+
+  return { channel, id };
+};
+
+module.exports = {
+  detectChannel,
+  deliverOtp
+};
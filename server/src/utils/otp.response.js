@@ -0,0 +1,28 @@
+/**
+ * OTP Responses
+ * Maps structured OTP store errors to HTTP responses
+ */
+
+const RATE_LIMITED_CODES = ['OTP_RESEND_COOLDOWN', 'OTP_DAILY_LIMIT', 'OTP_TOO_MANY_ATTEMPTS'];
+
+/**
+ * Respond with a structured OTP store error
+ * Rate-limit errors use 429 with a Retry-After header
+ * @param {object} res - Express response
+ * @param {object} error - { code, message, retryAfter?, attemptsRemaining? }
+ */
+const sendOtpError = (res, { code, message, retryAfter, attemptsRemaining }) => {
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+
+  return res.status(RATE_LIMITED_CODES.includes(code) ? 429 : 400).json({
+    success: false,
+    code,
+    message,
+    retryAfter,
+    attemptsRemaining
+  });
+};
+
+module.exports = { sendOtpError };
@@ -1,24 +1,304 @@
-const otpStore = new Map();
+/**
+ * OTP Store
+ * Keeps hashed one-time codes with verify attempt limits, a resend cooldown
+ * and a daily send cap per phone/email. Storage is pluggable: MongoDB (TTL
+ * collection) by default, or in-memory for tests (OTP_STORE=memory).
+ * Backends check the limits and record a send in one step (reserveSend), so
+ * parallel requests cannot get past them.
+ *
+ * Both saveOtp and verifyOtp resolve to { ok: true, ... } or
+ * { ok: false, code, message, retryAfter?, attemptsRemaining? }.
+ */
 
-exports.saveOtp = (phone, otp) => {
-  otpStore.set(phone, {
-    otp,
-    expiresAt: Date.now() + 5 * 60 * 1000 // 5 min expiry
-  });
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { readSecret } = require('../config/secrets');
+
+const config = {
+  backend: process.env.OTP_STORE || 'mongo',
+  hashSecret: readSecret('OTP_HASH_SECRET', 'fallback_otp_hash_secret'),
+  ttlMs: (parseInt(process.env.OTP_TTL_SECONDS) || 5 * 60) * 1000,
+  maxAttempts: parseInt(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownMs: (parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60) * 1000,
+  dailyCap: parseInt(process.env.OTP_DAILY_CAP) || 10
 };
 
-exports.verifyOtp = (phone, otp) => {
-  const data = otpStore.get(phone);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const secondsUntil = (time, now) => Math.max(1, Math.ceil((time - now) / 1000));
 
-  if (!data) return false;
+/**
+ * Why a destination may not be sent a new OTP yet
+ * The daily cap is counted in a 24h window starting at the first send
+ * @param {object|null} record - Stored record
+ * @param {number} now - Current time in ms
+ * @returns {object|null} Structured error, or null when a send is allowed
+ */
+const sendBlocker = (record, now) => {
+  if (!record) return null;
 
-  if (Date.now() > data.expiresAt) {
-    otpStore.delete(phone);
-    return false;
+  if (record.lastSentAt) {
+    const nextAllowed = new Date(record.lastSentAt).getTime() + config.resendCooldownMs;
+    if (now < nextAllowed) {
+      return {
+        ok: false,
+        code: 'OTP_RESEND_COOLDOWN',
+        message: 'Please wait before requesting another OTP',
+        retryAfter: secondsUntil(nextAllowed, now)
+      };
+    }
   }
 
-  if (data.otp !== otp) return false;
+  const windowEnd = new Date(record.windowStart).getTime() + DAY_MS;
+  if (now < windowEnd && record.sentCount >= config.dailyCap) {
+    return {
+      ok: false,
+      code: 'OTP_DAILY_LIMIT',
+      message: 'Too many OTP requests today',
+      retryAfter: secondsUntil(windowEnd, now)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * In-memory backend (single process only)
+ * @returns {object} OTP backend
+ */
+const createMemoryBackend = () => {
+  const records = new Map();
+
+  const read = (key) => {
+    const record = records.get(key);
+    if (record && record.purgeAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record ? { ...record } : null;
+  };
+
+  return {
+    async get(key) {
+      return read(key);
+    },
+
+    // Synchronous check and write, so no other request runs in between
+    async reserveSend(key, code, now) {
+      const record = read(key);
+      if (sendBlocker(record, now)) return false;
+
+      const inWindow = record && now - new Date(record.windowStart).getTime() < DAY_MS;
+      const windowStart = inWindow ? new Date(record.windowStart).getTime() : now;
+      records.set(key, {
+        ...code,
+        key,
+        attempts: 0,
+        lastSentAt: new Date(now),
+        sentCount: inWindow ? record.sentCount + 1 : 1,
+        windowStart: new Date(windowStart),
+        purgeAt: new Date(Math.max(windowStart + DAY_MS, code.codeExpiresAt.getTime()))
+      });
+      return true;
+    },
+
+    async incrementAttempts(key) {
+      const record = records.get(key);
+      if (!record) return null;
+      record.attempts += 1;
+      return record.attempts;
+    },
 
-  otpStore.delete(phone);
-  return true;
+    async clearCode(key) {
+      const record = records.get(key);
+      if (record) {
+        record.otpHash = null;
+        record.codeExpiresAt = null;
+        record.attempts = 0;
+      }
+    },
+
+    clear() {
+      records.clear();
+    }
+  };
+};
+
+/**
+ * MongoDB backend using a TTL collection (shared across instances)
+ * @returns {object} OTP backend
+ */
+const createMongoBackend = () => {
+  const OtpCode = require('../models/OtpCode');
+
+  return {
+    async get(key) {
+      return OtpCode.findOne({ key }).lean().exec();
+    },
+
+    async reserveSend(key, code, now) {
+      const dayAgo = new Date(now - DAY_MS);
+      const windowExpired = { $lte: [{ $ifNull: ['$windowStart', dayAgo] }, dayAgo] };
+
+      try {
+        // Only matches when the cooldown has passed and the daily cap is not
+        // reached. A throttled key exists, so the upsert then fails as a duplicate.
+        const record = await OtpCode.findOneAndUpdate(
+          {
+            key,
+            $and: [
+              { $or: [{ lastSentAt: null }, { lastSentAt: { $lte: new Date(now - config.resendCooldownMs) } }] },
+              { $or: [{ windowStart: null }, { windowStart: { $lte: dayAgo } }, { sentCount: { $lt: config.dailyCap } }] }
+            ]
+          },
+          [
+            {
+              $set: {
+                ...code,
+                attempts: 0,
+                lastSentAt: new Date(now),
+                sentCount: { $cond: [windowExpired, 1, { $add: ['$sentCount', 1] }] },
+                windowStart: { $cond: [windowExpired, new Date(now), '$windowStart'] }
+              }
+            },
+            { $set: { purgeAt: { $max: [{ $add: ['$windowStart', DAY_MS] }, code.codeExpiresAt] } } }
+          ],
+          { upsert: true, new: true }
+        ).lean().exec();
+        return Boolean(record);
+      } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+      }
+    },
+
+    async incrementAttempts(key) {
+      const record = await OtpCode.findOneAndUpdate(
+        { key },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      ).lean().exec();
+      return record ? record.attempts : null;
+    },
+
+    async clearCode(key) {
+      await OtpCode.updateOne(
+        { key },
+        { $set: { otpHash: null, codeExpiresAt: null, attempts: 0 } }
+      ).exec();
+    }
+  };
+};
+
+const backends = {
+  memory: createMemoryBackend,
+  mongo: createMongoBackend
 };
+
+let backend = null;
+
+/**
+ * Get the active backend, creating the configured one on first use
+ * @returns {object} OTP backend
+ */
+const getBackend = () => {
+  if (!backend) {
+    const factory = backends[config.backend];
+    if (!factory) {
+      throw new Error(`Unknown OTP store backend: ${config.backend}`);
+    }
+    backend = factory();
+  }
+  return backend;
+};
+
+/**
+ * Replace the active backend (e.g. with createMemoryBackend() in tests)
+ * @param {object} newBackend - OTP backend
+ */
+const setBackend = (newBackend) => {
+  backend = newBackend;
+};
+
+/**
+ * Hash an OTP bound to its destination
+ * @param {string} key - Phone number or email
+ * @param {string} otp - One-time code
+ * @returns {string} Hex HMAC digest
+ */
+const hashOtp = (key, otp) => {
+  return crypto.createHmac('sha256', config.hashSecret).update(`${key}:${otp}`).digest('hex');
+};
+
+/**
+ * Store a new OTP for a destination, enforcing the resend cooldown and daily cap
+ * @param {string} key - Phone number or email
+ * @param {string} otp - One-time code
+ * @returns {Promise<object>} { ok: true, expiresAt } or a structured error
+ */
+exports.saveOtp = async (key, otp) => {
+  const store = getBackend();
+  const now = Date.now();
+  const expiresAt = new Date(now + config.ttlMs);
+
+  // Checking the limits and recording the send is one step in the backend,
+  // so parallel requests cannot all pass the same check
+  const reserved = await store.reserveSend(key, { otpHash: hashOtp(key, otp), codeExpiresAt: expiresAt }, now);
+  if (reserved) {
+    return { ok: true, expiresAt };
+  }
+
+  // Another request won the race if the record no longer explains the refusal
+  return sendBlocker(await store.get(key), now) || {
+    ok: false,
+    code: 'OTP_RESEND_COOLDOWN',
+    message: 'Please wait before requesting another OTP',
+    retryAfter: secondsUntil(now + config.resendCooldownMs, now)
+  };
+};
+
+/**
+ * Check an OTP, counting the attempt against the code's limit
+ * A code is single-use: it is cleared on success or once attempts run out
+ * @param {string} key - Phone number or email
+ * @param {string} otp - Code entered by the user
+ * @returns {Promise<object>} { ok: true } or a structured error
+ */
+exports.verifyOtp = async (key, otp) => {
+  const store = getBackend();
+  const record = await store.get(key);
+
+  if (!record || !record.otpHash) {
+    return { ok: false, code: 'OTP_NOT_FOUND', message: 'No OTP requested or it has already been used' };
+  }
+
+  if (Date.now() > new Date(record.codeExpiresAt).getTime()) {
+    await store.clearCode(key);
+    return { ok: false, code: 'OTP_EXPIRED', message: 'OTP has expired' };
+  }
+
+  // Count the attempt before comparing so parallel guesses cannot bypass the limit
+  const attempts = await store.incrementAttempts(key);
+  if (attempts === null || attempts > config.maxAttempts) {
+    await store.clearCode(key);
+    return { ok: false, code: 'OTP_TOO_MANY_ATTEMPTS', message: 'Too many incorrect attempts. Request a new OTP.' };
+  }
+
+  const expected = Buffer.from(record.otpHash, 'hex');
+  const received = Buffer.from(hashOtp(key, String(otp || '')), 'hex');
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const attemptsRemaining = config.maxAttempts - attempts;
+    if (attemptsRemaining === 0) {
+      await store.clearCode(key);
+    }
+    return { ok: false, code: 'OTP_INVALID', message: 'Invalid OTP', attemptsRemaining };
+  }
+
+  await store.clearCode(key);
+  return { ok: true };
+};
+
+exports.config = config;
+exports.createMemoryBackend = createMemoryBackend;
+exports.setBackend = setBackend;
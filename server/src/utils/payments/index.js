@@ -0,0 +1,56 @@
+/**
+ * Payment Providers
+ * Registry of payment gateway adapters, selected by configuration
+ *
+ * Every provider implements the same interface:
+ * - name: string
+ * - createIntent({ amount, currency, metadata }) => Promise<{ id, clientSecret, amount, currency, status }>
+ * - confirmIntent(intentId, { paymentMethod }) => Promise<{ intent, event }>
+ * - refund(intentId, { amount }) => Promise<{ intent, event }>
+ * - handleWebhook(rawBody, headers) => Promise<event>, throws if the signature is invalid
+ *
+ * Events have the shape { id, type, intentId, data } where type is one of
+ * payment.succeeded, payment.failed or payment.refunded.
+ */
+
+require('dotenv').config();
+
+const { readSecret } = require('../../config/secrets');
+const { createMockProvider } = require('./mock.provider');
+
+const config = {
+  provider: process.env.PAYMENT_PROVIDER || 'mock',
+  currency: process.env.PAYMENT_CURRENCY || 'INR',
+  // Anyone holding this secret can sign webhooks that mark orders paid
+  webhookSecret: readSecret('PAYMENT_WEBHOOK_SECRET', 'mock_webhook_secret'),
+  mockWebhookUrl: process.env.MOCK_PAYMENT_WEBHOOK_URL || ''
+};
+
+const factories = {
+  mock: () => createMockProvider({
+    webhookSecret: config.webhookSecret,
+    webhookUrl: config.mockWebhookUrl
+  })
+};
+
+const instances = new Map();
+
+/**
+ * Get a payment provider by name
+ * @param {string} name - Provider name (default: configured provider)
+ * @returns {object|null} Provider instance or null if unknown
+ */
+const getPaymentProvider = (name = config.provider) => {
+  if (!factories[name]) return null;
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+module.exports = {
+  config,
+  getPaymentProvider
+};
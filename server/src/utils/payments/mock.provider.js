@@ -0,0 +1,172 @@
+/**
+ * Mock Payment Provider
+ * Offline gateway for development and tests. Intents live in memory and
+ * webhook events are signed with HMAC-SHA256 like a real gateway would.
+ *
+ * Payment methods:
+ * - mock_card_success (default): payment succeeds
+ * - mock_card_declined: payment fails
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+/**
+ * Generate a prefixed random identifier
+ * @param {string} prefix - ID prefix
+ * @returns {string} Identifier, e.g. pi_mock_1a2b3c...
+ */
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Compute the signature for a webhook payload
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} payload - Raw request body
+ * @returns {string} Hex HMAC digest
+ */
+const computeSignature = (secret, timestamp, payload) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+};
+
+/**
+ * Create a mock payment provider
+ * @param {object} options - Provider options
+ * @param {string} options.webhookSecret - Secret used to sign webhook events
+ * @param {string} options.webhookUrl - Optional URL to deliver webhook events to
+ * @returns {object} Payment provider
+ */
+const createMockProvider = ({ webhookSecret, webhookUrl = '' }) => {
+  const intents = new Map();
+
+  /**
+   * Build a signed webhook request for an event
+   * @param {object} event - Webhook event
+   * @param {number} timestamp - Unix timestamp in seconds (default: now)
+   * @returns {object} { body, headers } ready to POST to the webhook endpoint
+   */
+  const signEvent = (event, timestamp = Math.floor(Date.now() / 1000)) => {
+    const body = JSON.stringify(event);
+    const signature = computeSignature(webhookSecret, timestamp, body);
+
+    return {
+      body,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: `t=${timestamp},v1=${signature}`
+      }
+    };
+  };
+
+  /**
+   * Deliver an event to the configured webhook URL (best effort)
+   * @param {object} event - Webhook event
+   */
+  const deliver = (event) => {
+    if (!webhookUrl) return;
+
+    const { body, headers } = signEvent(event);
+    fetch(webhookUrl, { method: 'POST', headers, body })
+      .catch(err => console.error('Mock webhook delivery failed:', err.message));
+  };
+
+  const buildEvent = (type, intent) => ({
+    id: randomId('evt_mock'),
+    type,
+    intentId: intent.id,
+    data: { amount: intent.amount, currency: intent.currency, status: intent.status }
+  });
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      throw new Error('Payment intent not found');
+    }
+    return intent;
+  };
+
+  return {
+    name: 'mock',
+    signEvent,
+
+    async createIntent({ amount, currency, metadata = {} }) {
+      const intent = {
+        id: randomId('pi_mock'),
+        clientSecret: randomId('secret_mock'),
+        amount,
+        currency,
+        metadata,
+        status: 'requires_confirmation'
+      };
+
+      intents.set(intent.id, intent);
+      return { ...intent };
+    },
+
+    async confirmIntent(intentId, { paymentMethod = 'mock_card_success' } = {}) {
+      const intent = getIntent(intentId);
+
+      if (intent.status !== 'requires_confirmation') {
+        throw new Error(`Payment intent is already ${intent.status}`);
+      }
+
+      const declined = paymentMethod === 'mock_card_declined';
+      intent.status = declined ? 'failed' : 'succeeded';
+      if (declined) {
+        intent.failureReason = 'Card declined';
+      }
+
+      const event = buildEvent(declined ? 'payment.failed' : 'payment.succeeded', intent);
+      if (declined) {
+        event.data.failureReason = intent.failureReason;
+      }
+
+      deliver(event);
+      return { intent: { ...intent }, event };
+    },
+
+    async refund(intentId, { amount } = {}) {
+      const intent = getIntent(intentId);
+
+      if (intent.status !== 'succeeded') {
+        throw new Error('Only succeeded payments can be refunded');
+      }
+
+      intent.status = 'refunded';
+      intent.refundedAmount = amount || intent.amount;
+
+      const event = buildEvent('payment.refunded', intent);
+      deliver(event);
+      return { intent: { ...intent }, event };
+    },
+
+    async handleWebhook(rawBody, headers) {
+      const header = headers[SIGNATURE_HEADER] || '';
+      const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+      const timestamp = parseInt(parts.t);
+
+      if (!timestamp || !parts.v1) {
+        throw new Error('Missing webhook signature');
+      }
+
+      if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook signature has expired');
+      }
+
+      const expected = Buffer.from(computeSignature(webhookSecret, timestamp, rawBody));
+      const received = Buffer.from(parts.v1);
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      return JSON.parse(rawBody);
+    }
+  };
+};
+
+module.exports = {
+  createMockProvider,
+  SIGNATURE_HEADER
+};
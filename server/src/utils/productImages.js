@@ -0,0 +1,157 @@
+/**
+ * Product Images
+ * Checks uploaded images and stores them in several sizes. Every size is
+ * saved as WebP and as JPEG (PNG for images with transparency) for browsers
+ * without WebP. Images are decoded to check them, so a file is only accepted
+ * when its content is an image, whatever its name or declared type.
+ */
+
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const { config: storageConfig, getStorage } = require('./storage');
+
+const config = {
+  maxFileSize: 5 * 1024 * 1024,
+  // Files per upload request
+  maxFiles: 10,
+  // Images per product
+  maxImages: 20,
+  // Largest decoded image, so a small file cannot expand into a huge one
+  maxPixels: 40 * 1000 * 1000,
+  // Longest side of each stored size; smaller images are not enlarged
+  sizes: { thumb: 200, medium: 600, large: 1600 },
+  quality: 80
+};
+
+// Declared types accepted for upload, and the decoded formats they may hold
+const MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+const EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' };
+
+/**
+ * Build an error for a file that is not an acceptable image
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_IMAGE
+ */
+const imageError = (message) => Object.assign(new Error(message), { code: 'INVALID_IMAGE' });
+
+/**
+ * Storage key of one stored file
+ * @param {string} key - Image key prefix
+ * @param {string} size - Size name
+ * @param {string} format - jpeg, png or webp
+ * @returns {string} Storage key
+ */
+const fileKey = (key, size, format) => `${key}/${size}.${EXTENSIONS[format]}`;
+
+/**
+ * Decode an image and render every size
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<object>} { format, width, height, files: [{ name, width, height, data, webp }] }
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    // Only the header is read here, so oversized images get the size message below
+    metadata = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch {
+    throw imageError('File is not a readable image');
+  }
+
+  if (!FORMATS.includes(metadata.format)) {
+    throw imageError('Only JPEG, PNG, WebP and GIF images are accepted');
+  }
+  if (metadata.width * metadata.height > config.maxPixels) {
+    throw imageError(`Image is larger than ${config.maxPixels / 1000000} megapixels`);
+  }
+
+  const format = metadata.hasAlpha ? 'png' : 'jpeg';
+  // Photos are often stored sideways with an EXIF orientation; turn them upright.
+  // Metadata such as GPS position is not copied to the stored files.
+  const source = sharp(buffer, { limitInputPixels: config.maxPixels }).autoOrient();
+  const { width, height } = metadata.autoOrient || metadata;
+
+  try {
+    const files = [];
+    for (const [name, size] of Object.entries(config.sizes)) {
+      const resized = source.clone().resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true });
+      const encoded = format === 'png'
+        ? resized.clone().png({ compressionLevel: 9 })
+        : resized.clone().jpeg({ quality: config.quality, mozjpeg: true });
+      const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+      const webp = await resized.clone().webp({ quality: config.quality }).toBuffer();
+      files.push({ name, width: info.width, height: info.height, data, webp });
+    }
+    return { format, width, height, files };
+  } catch {
+    throw imageError('Image data is damaged');
+  }
+};
+
+/**
+ * Storage keys of every file of an image
+ * @param {object} image - Image from storeImage() or a product's images
+ * @returns {array} Storage keys
+ */
+const imageKeys = (image) => image.sizes.flatMap(size => [
+  fileKey(image.key, size.name, image.format),
+  fileKey(image.key, size.name, 'webp')
+]);
+
+/**
+ * Process an upload and store all its files
+ * @param {string} productId - Product the image belongs to
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<object>} Image for Product.images: { _id, key, format, width, height, sizes }
+ */
+const storeImage = async (productId, buffer) => {
+  const { format, width, height, files } = await processImage(buffer);
+  const storage = getStorage();
+  const _id = new mongoose.Types.ObjectId();
+  // A new key per upload, so cached copies of replaced images never go stale
+  const key = `products/${productId}/${_id}`;
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      for (const [fileFormat, data] of [[format, file.data], ['webp', file.webp]]) {
+        const name = fileKey(key, file.name, fileFormat);
+        await storage.put(name, data, { contentType: `image/${fileFormat}`, cacheControl: storageConfig.cacheControl });
+        stored.push(name);
+      }
+    }
+  } catch (error) {
+    await storage.remove(stored).catch(() => {});
+    throw error;
+  }
+
+  return {
+    _id,
+    key,
+    format,
+    width,
+    height,
+    sizes: files.map(file => ({
+      name: file.name,
+      width: file.width,
+      height: file.height,
+      url: storage.url(fileKey(key, file.name, format)),
+      webp: storage.url(fileKey(key, file.name, 'webp'))
+    }))
+  };
+};
+
+/**
+ * Delete the stored files of images
+ * @param {array} images - Images from storeImage() or a product's images
+ * @returns {Promise<void>}
+ */
+const removeImages = (images) => getStorage().remove(images.flatMap(imageKeys));
+
+module.exports = {
+  config,
+  MIME_TYPES,
+  storeImage,
+  removeImages
+};
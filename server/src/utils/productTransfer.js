@@ -0,0 +1,307 @@
+/**
+ * Product Import and Export
+ * Bulk create and update of products from CSV or JSON files, and the row
+ * format used to export them. Files are read as a stream and handled in
+ * small batches: every row goes through the same validation as the product
+ * API, then rows are matched to products by SKU and created or updated.
+ * A dry run checks every row without saving anything.
+ */
+
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { runValidation } = require('../middleware/validate');
+const { importNewProduct, importExistingProduct } = require('../validators/productValidators');
+const { csvRows, csvLine, guardFormula, unguardFormula } = require('./csv');
+const { jsonRecords } = require('./jsonRecords');
+const suggestIndex = require('./suggestIndex');
+
+const config = {
+  batchSize: 100,
+  // Failed rows listed in the report; later failures are only counted
+  maxReportedErrors: 500
+};
+
+// Fields of a product file, in export order
+const COLUMNS = ['sku', 'name', 'description', 'price', 'category', 'stock', 'image', 'isActive', 'attributes', 'options', 'variants'];
+// CSV columns that hold JSON
+const JSON_COLUMNS = ['attributes', 'options', 'variants'];
+
+/**
+ * Build an error for a malformed file
+ * @param {string} message - What is wrong
+ * @returns {Error} Error with code INVALID_FILE
+ */
+const fileError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE' });
+
+/**
+ * Turn CSV rows into product input. Empty cells are left out.
+ * @param {object} stream - Request stream
+ * @yields {object} { row, input } or { row, sku, errors } (the header is row 1; blank lines are skipped)
+ */
+async function* csvInputs(stream) {
+  let header = null;
+  let row = 1;
+
+  for await (const cells of csvRows(stream)) {
+    if (!header) {
+      header = cells.map(name => name.trim());
+      const unknown = header.filter(name => !COLUMNS.includes(name));
+      if (unknown.length > 0) {
+        throw fileError(`Unknown columns: ${unknown.join(', ')}. Allowed columns: ${COLUMNS.join(', ')}`);
+      }
+      if (!header.includes('sku')) {
+        throw fileError('The file needs a sku column');
+      }
+      continue;
+    }
+
+    row++;
+    const sku = cells[header.indexOf('sku')];
+    if (cells.length !== header.length) {
+      yield { row, sku, errors: [{ field: 'row', message: `Expected ${header.length} fields, found ${cells.length}` }] };
+      continue;
+    }
+
+    const input = {};
+    const errors = [];
+    header.forEach((name, index) => {
+      const cell = cells[index];
+      if (cell === '') return;
+      if (!JSON_COLUMNS.includes(name)) {
+        input[name] = unguardFormula(cell);
+        return;
+      }
+      try {
+        input[name] = JSON.parse(cell);
+      } catch {
+        errors.push({ field: name, message: `${name} must be valid JSON` });
+      }
+    });
+
+    yield errors.length > 0 ? { row, sku, errors } : { row, input };
+  }
+}
+
+/**
+ * Turn JSON records into product input. Null fields are left out.
+ * @param {object} stream - Request stream
+ * @yields {object} { row, input } or { row, sku, errors } (row numbers start at 1)
+ */
+async function* jsonInputs(stream) {
+  let row = 0;
+
+  for await (const record of jsonRecords(stream)) {
+    row++;
+    const unknown = Object.keys(record).filter(name => !COLUMNS.includes(name));
+    if (unknown.length > 0) {
+      yield { row, sku: record.sku, errors: unknown.map(name => ({ field: name, message: `Unknown field ${name}` })) };
+      continue;
+    }
+
+    const input = {};
+    for (const [name, value] of Object.entries(record)) {
+      if (value !== null) input[name] = value;
+    }
+    yield { row, input };
+  }
+}
+
+/**
+ * Resolve a category slug or ID, caching lookups for the whole import
+ * @param {string} value - Category slug or ID
+ * @param {Map} cache - Value -> category ID (null when not found)
+ * @returns {Promise<string|null>} Category ID
+ */
+const resolveCategory = async (value, cache) => {
+  const key = String(value);
+  if (!cache.has(key)) {
+    const category = await Category.findByIdOrSlug(key);
+    cache.set(key, category ? String(category._id) : null);
+  }
+  return cache.get(key);
+};
+
+/**
+ * Validate one row and apply it to its product (not saved)
+ * @param {object} input - Product fields from the file
+ * @param {object} product - Existing product with this SKU, or null
+ * @param {object} state - Import state (category cache)
+ * @returns {Promise<object>} { product } ready to save, or { errors }
+ */
+const prepareRow = async (input, product, state) => {
+  let categoryError = null;
+  if (input.category !== undefined) {
+    const categoryId = await resolveCategory(input.category, state.categories);
+    if (categoryId) {
+      input.category = categoryId;
+    } else {
+      categoryError = { field: 'category', message: `Category not found: ${input.category}` };
+    }
+  }
+
+  // Same rules as the create and update endpoints; sanitizers convert CSV text to numbers
+  const req = { body: input, params: product ? { id: String(product._id) } : {}, query: {} };
+  const errors = (await runValidation(product ? importExistingProduct : importNewProduct, req))
+    .filter(error => !categoryError || error.field !== 'category')
+    .map(({ field, message }) => ({ field, message }));
+  if (categoryError) errors.unshift(categoryError);
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const doc = product || new Product();
+  for (const name of COLUMNS) {
+    if (req.body[name] !== undefined) doc[name] = req.body[name];
+  }
+
+  try {
+    await doc.validate();
+  } catch (error) {
+    if (error.name !== 'ValidationError') throw error;
+    return { errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message })) };
+  }
+
+  return { product: doc };
+};
+
+/**
+ * Validate and save one batch of rows
+ * @param {array} batch - { row, input } or { row, errors } items
+ * @param {object} state - Import state and report
+ */
+const processBatch = async (batch, state) => {
+  const { report } = state;
+  const fail = (row, sku, errors) => {
+    report.failed++;
+    if (report.errors.length < config.maxReportedErrors) {
+      report.errors.push({ row, sku, errors });
+    } else {
+      report.errorsTruncated = true;
+    }
+  };
+
+  const skus = batch.map(({ input, sku = input?.sku }) => (typeof sku === 'string' && sku.trim() ? sku.trim().toUpperCase() : null));
+  const existing = await Product.find({ sku: { $in: skus.filter(Boolean) } }).exec();
+  const bySku = new Map(existing.map(product => [product.sku, product]));
+
+  const ready = [];
+  for (const [index, item] of batch.entries()) {
+    const sku = skus[index];
+    if (item.errors) {
+      fail(item.row, sku, item.errors);
+      continue;
+    }
+    if (sku && state.seen.has(sku)) {
+      fail(item.row, sku, [{ field: 'sku', message: 'SKU appears more than once in the file' }]);
+      continue;
+    }
+    if (sku) state.seen.add(sku);
+
+    const { product, errors } = await prepareRow(item.input, bySku.get(sku) || null, state);
+    if (errors) {
+      fail(item.row, sku, errors);
+    } else {
+      ready.push({ row: item.row, sku, product, isNew: product.isNew });
+    }
+  }
+
+  if (!state.dryRun) {
+    await Promise.all(ready.map(async (entry) => {
+      try {
+        await entry.product.save();
+        suggestIndex.indexProduct(entry.product);
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        entry.failed = true;
+        fail(entry.row, entry.sku, [{ field: 'sku', message: 'A SKU is already used by another product' }]);
+      }
+    }));
+  }
+
+  for (const entry of ready) {
+    if (entry.failed) continue;
+    if (entry.isNew) report.created++;
+    else report.updated++;
+  }
+};
+
+/**
+ * Import products from a file stream
+ * Rows are saved batch by batch, so rows before a malformed part of the
+ * file stay saved; the error carries the report so far as `report`.
+ * @param {object} stream - Readable stream (e.g. the request)
+ * @param {object} options - { format: 'csv' | 'json', dryRun }
+ * @returns {Promise<object>} { dryRun, rows, created, updated, failed, errors, errorsTruncated }
+ */
+const importProducts = async (stream, { format, dryRun = false }) => {
+  const report = { dryRun, rows: 0, created: 0, updated: 0, failed: 0, errors: [], errorsTruncated: false };
+  const state = { dryRun, report, seen: new Set(), categories: new Map() };
+  let batch = [];
+
+  try {
+    for await (const item of format === 'csv' ? csvInputs(stream) : jsonInputs(stream)) {
+      report.rows++;
+      batch.push(item);
+      if (batch.length >= config.batchSize) {
+        await processBatch(batch, state);
+        batch = [];
+      }
+    }
+    await processBatch(batch, state);
+  } catch (error) {
+    error.report = report;
+    throw error;
+  }
+
+  return report;
+};
+
+/**
+ * Product fields for an export record
+ * @param {object} product - Plain product with `category` replaced by its slug
+ * @returns {object} Record in COLUMNS order
+ */
+const toRecord = (product) => ({
+  sku: product.sku,
+  name: product.name,
+  description: product.description,
+  price: product.price,
+  category: product.category,
+  stock: product.stock,
+  image: product.image,
+  isActive: product.isActive,
+  attributes: product.attributes || {},
+  options: product.options || [],
+  // Variant IDs are kept so carts still find their variants after a re-import
+  variants: (product.variants || []).map(({ _id, sku, attributes, price, stock, images }) => ({ _id, sku, attributes, price, stock, images }))
+});
+
+/**
+ * CSV header line
+ * @returns {string} CSV line with the column names
+ */
+const csvHeader = () => csvLine(COLUMNS);
+
+/**
+ * Format a product as a CSV line (JSON columns are empty when empty)
+ * @param {object} product - Plain product with `category` replaced by its slug
+ * @returns {string} CSV line
+ */
+const toCsvLine = (product) => {
+  const record = toRecord(product);
+  return csvLine(COLUMNS.map(name => {
+    const value = record[name];
+    if (!JSON_COLUMNS.includes(name)) return guardFormula(value);
+    const empty = Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0;
+    return empty ? '' : JSON.stringify(value);
+  }));
+};
+
+module.exports = {
+  config,
+  COLUMNS,
+  importProducts,
+  toRecord,
+  csvHeader,
+  toCsvLine
+};
@@ -0,0 +1,65 @@
+/**
+ * File Storage
+ * Picks the storage adapter for uploaded files from configuration
+ *
+ * Every adapter implements:
+ * - name: string
+ * - put(key, body, { contentType, cacheControl }) => Promise<void>
+ * - remove(keys) => Promise<void> (missing keys are ignored)
+ * - url(key) => string, the public URL of a stored file
+ * Adapters that serve files themselves also have `handler` (Express
+ * middleware) and `mountPath`.
+ */
+
+require('dotenv').config();
+
+const path = require('path');
+const { createLocalAdapter } = require('./local.adapter');
+const { createS3Adapter } = require('./s3.adapter');
+
+const config = {
+  adapter: process.env.STORAGE_ADAPTER || 'local',
+  // Keys are never reused, so stored files can be cached for good
+  cacheControl: 'public, max-age=31536000, immutable',
+  local: {
+    directory: process.env.UPLOAD_DIR || path.join(__dirname, '../../../uploads'),
+    publicUrl: process.env.UPLOAD_PUBLIC_URL || '/uploads'
+  },
+  s3: {
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL
+  }
+};
+
+const factories = {
+  local: () => createLocalAdapter(config.local),
+  s3: () => createS3Adapter(config.s3)
+};
+
+let instance = null;
+
+/**
+ * Get the configured storage adapter
+ * @returns {object} Storage adapter
+ */
+const getStorage = () => {
+  if (!instance) {
+    const factory = factories[config.adapter];
+    if (!factory) {
+      throw new Error(`Unknown storage adapter: ${config.adapter}`);
+    }
+    instance = factory();
+  }
+
+  return instance;
+};
+
+module.exports = {
+  config,
+  getStorage
+};
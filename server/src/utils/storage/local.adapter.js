@@ -0,0 +1,63 @@
+/**
+ * Local Storage Adapter
+ * Keeps files in a directory on this server and serves them itself
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+/**
+ * Create a local storage adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.directory - Directory to store files in
+ * @param {string} options.publicUrl - URL the files are served under, e.g. /uploads
+ * @returns {object} Storage adapter
+ */
+const createLocalAdapter = ({ directory, publicUrl = '/uploads' }) => {
+  const root = path.resolve(directory);
+  const baseUrl = publicUrl.replace(/\/+$/, '');
+
+  // Keys are made by the server, but never let one point outside the directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+
+    async remove(keys) {
+      await Promise.all(keys.map(key => fs.promises.rm(resolve(key), { force: true })));
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    // Path to mount `handler` on (the path part of publicUrl)
+    mountPath: new URL(baseUrl, 'http://localhost').pathname,
+
+    // A key is never written twice, so browsers may cache files for good
+    handler: express.static(root, {
+      maxAge: '365d',
+      immutable: true,
+      index: false,
+      redirect: false,
+      setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff')
+    })
+  };
+};
+
+module.exports = {
+  createLocalAdapter
+};
@@ -0,0 +1,73 @@
+/**
+ * S3 Storage Adapter
+ * Stores files in an S3 bucket or an S3-compatible service (MinIO,
+ * Cloudflare R2, DigitalOcean Spaces, ...). Files are read straight from the
+ * bucket or a CDN in front of it, so the bucket must allow public reads.
+ */
+
+const { S3Client, PutObjectCommand, DeleteObjectsCommand } = require('@aws-sdk/client-s3');
+
+/**
+ * Create an S3 storage adapter
+ * @param {object} options - Adapter options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Region (default: us-east-1)
+ * @param {string} options.endpoint - Endpoint of an S3-compatible service (optional)
+ * @param {string} options.accessKeyId - Access key (optional; the AWS SDK defaults apply otherwise)
+ * @param {string} options.secretAccessKey - Secret key
+ * @param {boolean} options.forcePathStyle - Use endpoint/bucket/key URLs (most S3-compatible services)
+ * @param {string} options.publicUrl - Base URL files are read from (default: the bucket URL)
+ * @returns {object} Storage adapter
+ */
+const createS3Adapter = ({ bucket, region = 'us-east-1', endpoint, accessKeyId, secretAccessKey, forcePathStyle = false, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires S3_BUCKET');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  let baseUrl = publicUrl;
+  if (!baseUrl) {
+    if (endpoint && forcePathStyle) baseUrl = `${endpoint.replace(/\/+$/, '')}/${bucket}`;
+    else if (endpoint) baseUrl = endpoint.replace('://', `://${bucket}.`).replace(/\/+$/, '');
+    else baseUrl = `https://${bucket}.s3.${region}.amazonaws.com`;
+  }
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType, cacheControl } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: cacheControl
+      }));
+    },
+
+    async remove(keys) {
+      // DeleteObjects takes up to 1000 keys
+      for (let i = 0; i < keys.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(key => ({ Key: key })), Quiet: true }
+        }));
+      }
+    },
+
+    url(key) {
+      return `${baseUrl}/${key}`;
+    }
+  };
+};
+
+module.exports = {
+  createS3Adapter
+};
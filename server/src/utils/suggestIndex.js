@@ -0,0 +1,245 @@
+/**
+ * Search Suggestions
+ * In-process prefix index of product and category names plus counts of
+ * past searches, so suggestions are answered from memory without a
+ * database round trip. Every word start of a name is a key ("gaming laptop",
+ * "laptop"), kept in one sorted array; a prefix lookup is a binary search
+ * followed by a short scan.
+ *
+ * The index lives in this process: it is rebuilt from the database on
+ * startup and the product and category controllers keep it up to date.
+ * Search counts are not persisted.
+ */
+
+const mongoose = require('mongoose');
+
+const config = {
+  // Suggestions returned per group
+  limit: 5,
+  // Most index keys read for one lookup, so short prefixes stay fast
+  maxScan: 200,
+  // Distinct past searches kept; the least used are dropped first
+  maxQueries: 1000,
+  maxQueryLength: 100
+};
+
+// Sorted by key: { key, kind: 'product' | 'category', id, position }
+let entries = [];
+// Indexed documents by kind and ID
+const documents = { product: new Map(), category: new Map() };
+// Each indexed document's entries by kind and ID, so they can be removed
+const documentEntries = { product: new Map(), category: new Map() };
+// Past searches: normalized query -> count
+const queries = new Map();
+
+/**
+ * Normalize text for matching: lowercase, no accents, single spaces between words
+ * @param {string} value - Text
+ * @returns {string} Normalized text
+ */
+const normalize = (value) => String(value || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Position of the first entry whose key is not below the prefix
+ * @param {string} prefix - Normalized prefix
+ * @returns {number} Index into entries
+ */
+const lowerBound = (prefix) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >>> 1;
+    if (entries[middle].key < prefix) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+const compareKeys = (a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+
+/**
+ * Remove a document's keys
+ * @param {string} kind - "product" or "category"
+ * @param {string} id - Document ID
+ */
+const remove = (kind, id) => {
+  const key = String(id);
+  const own = documentEntries[kind].get(key);
+  if (!own) return;
+
+  documents[kind].delete(key);
+  documentEntries[kind].delete(key);
+  for (const entry of own) {
+    // Entries with the same key are next to each other in no particular order
+    let i = lowerBound(entry.key);
+    while (entries[i] !== entry) i++;
+    entries.splice(i, 1);
+  }
+};
+
+/**
+ * Record a document and build its entries, without inserting them
+ * @param {string} kind - "product" or "category"
+ * @param {string} id - Document ID
+ * @param {object} doc - Data returned in suggestions; `name` is indexed
+ * @returns {array} The document's entries
+ */
+const register = (kind, id, doc) => {
+  const key = String(id);
+  documents[kind].set(key, { _id: key, ...doc });
+
+  const words = normalize(doc.name).split(' ').filter(Boolean);
+  const own = words.map((word, position) => ({ key: words.slice(position).join(' '), kind, id: key, position }));
+  documentEntries[kind].set(key, own);
+  return own;
+};
+
+/**
+ * Add or replace a document's keys
+ * @param {string} kind - "product" or "category"
+ * @param {string} id - Document ID
+ * @param {object} doc - Data returned in suggestions; `name` is indexed
+ */
+const add = (kind, id, doc) => {
+  remove(kind, id);
+  for (const entry of register(kind, id, doc)) {
+    entries.splice(lowerBound(entry.key), 0, entry);
+  }
+};
+
+/**
+ * Index a product, or drop it when it is no longer listed
+ * @param {object} product - Product document
+ */
+const indexProduct = (product) => {
+  if (product.isActive === false) {
+    remove('product', product._id);
+  } else {
+    add('product', product._id, { name: product.name });
+  }
+};
+
+/**
+ * Drop a product from the index
+ * @param {string} id - Product ID
+ */
+const removeProduct = (id) => remove('product', id);
+
+/**
+ * Drop every product from the index
+ */
+const clearProducts = () => {
+  documents.product.clear();
+  documentEntries.product.clear();
+  entries = entries.filter(entry => entry.kind !== 'product');
+};
+
+/**
+ * Index a category
+ * @param {object} category - Category document
+ */
+const indexCategory = (category) => add('category', category._id, { name: category.name, slug: category.slug });
+
+/**
+ * Drop a category from the index
+ * @param {string} id - Category ID
+ */
+const removeCategory = (id) => remove('category', id);
+
+/**
+ * Load the index from the database
+ * @returns {Promise<object>} { products, categories } indexed
+ */
+const rebuild = async () => {
+  const [products, categories] = await Promise.all([
+    mongoose.model('Product').find({ isActive: true }).select('name isActive').lean().exec(),
+    mongoose.model('Category').find().select('name slug').lean().exec()
+  ]);
+
+  // Collect every key, then sort once
+  for (const kind of ['product', 'category']) {
+    documents[kind].clear();
+    documentEntries[kind].clear();
+  }
+  entries = [
+    ...products.flatMap(product => register('product', product._id, { name: product.name })),
+    ...categories.flatMap(category => register('category', category._id, { name: category.name, slug: category.slug }))
+  ].sort(compareKeys);
+
+  return { products: products.length, categories: categories.length };
+};
+
+/**
+ * Count a search so it can be suggested to others
+ * @param {string} query - Search as typed
+ */
+const recordQuery = (query) => {
+  const key = normalize(query);
+  if (!key || key.length > config.maxQueryLength) return;
+
+  queries.set(key, (queries.get(key) || 0) + 1);
+
+  // Keep the most used searches once the limit is passed
+  if (queries.size > config.maxQueries) {
+    const kept = [...queries].sort((a, b) => b[1] - a[1]).slice(0, Math.floor(config.maxQueries * 0.9));
+    queries.clear();
+    kept.forEach(([text, count]) => queries.set(text, count));
+  }
+};
+
+/**
+ * Suggestions for what has been typed so far
+ * Names starting with the prefix come before names with a later word
+ * starting with it; shorter names come first within each group.
+ * @param {string} prefix - Text typed so far
+ * @param {number} limit - Suggestions per group (default: config.limit)
+ * @returns {object} { products: [{ _id, name }], categories: [{ _id, name, slug }], queries: [{ query, count }] }
+ */
+const suggest = (prefix, limit = config.limit) => {
+  const key = normalize(prefix);
+  const result = { products: [], categories: [], queries: [] };
+  if (!key) return result;
+
+  const best = { product: new Map(), category: new Map() };
+  const end = Math.min(entries.length, lowerBound(key) + config.maxScan);
+  for (let i = lowerBound(key); i < end && entries[i].key.startsWith(key); i++) {
+    const { kind, id, position } = entries[i];
+    if (!best[kind].has(id) || best[kind].get(id) > position) {
+      best[kind].set(id, position);
+    }
+  }
+
+  const ranked = (kind) => [...best[kind]]
+    .map(([id, position]) => ({ doc: documents[kind].get(id), position }))
+    .sort((a, b) => (a.position > 0) - (b.position > 0) || a.doc.name.length - b.doc.name.length || a.doc.name.localeCompare(b.doc.name))
+    .slice(0, limit)
+    .map(({ doc }) => doc);
+
+  result.products = ranked('product');
+  result.categories = ranked('category');
+  result.queries = [...queries]
+    .filter(([text]) => text.startsWith(key))
+    .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+    .slice(0, limit)
+    .map(([query, count]) => ({ query, count }));
+
+  return result;
+};
+
+module.exports = {
+  config,
+  normalize,
+  indexProduct,
+  removeProduct,
+  clearProducts,
+  indexCategory,
+  removeCategory,
+  rebuild,
+  recordQuery,
+  suggest
+};
@@ -0,0 +1,148 @@
+/**
+ * Text Search Utilities
+ * Turns user search input into safe search terms, typo-tolerant prefix
+ * patterns and highlighted snippets. User input never reaches a regex
+ * unescaped, and patterns contain no nested quantifiers, so their cost grows
+ * linearly with the text searched.
+ */
+
+const config = {
+  // Words beyond these limits are ignored or cut short
+  minTermLength: 2,
+  maxTerms: 8,
+  maxTermLength: 30,
+  // Shorter words must match exactly (as a prefix); longer ones may contain one typo
+  minFuzzyLength: 4,
+  // Length of description snippets
+  snippetLength: 160
+};
+
+// Common endings removed before prefix matching, so "running" also finds "runs"
+const SUFFIXES = ['ing', 'ed', 's'];
+
+// A match must start a word
+const WORD_START = '(?<![\\p{L}\\p{N}])';
+
+/**
+ * Escape regex special characters
+ * @param {string} value - Literal text
+ * @returns {string} Pattern matching the text literally
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split user input into distinct lowercase words, ignoring punctuation,
+ * operators and single letters
+ * @param {string} search - Raw search input
+ * @returns {array} Search terms (at most config.maxTerms)
+ */
+const tokenize = (search) => {
+  const words = String(search || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const terms = words
+    .filter(word => [...word].length >= config.minTermLength)
+    .map(word => [...word].slice(0, config.maxTermLength).join(''));
+  return [...new Set(terms)].slice(0, config.maxTerms);
+};
+
+/**
+ * Remove a common word ending
+ * @param {string} term - Search term
+ * @returns {string} Stem of at least three characters
+ */
+const stem = (term) => {
+  const suffix = SUFFIXES.find(ending => term.endsWith(ending) && term.length - ending.length >= 3);
+  return suffix ? term.slice(0, -suffix.length) : term;
+};
+
+/**
+ * Spellings of a term within one edit (substitution, deletion, insertion or
+ * swap of neighbouring letters). The first letter is kept as typed.
+ * @param {array} chars - Characters of the term
+ * @returns {array} Variants as character arrays; null stands for any character
+ */
+const oneEditVariants = (chars) => {
+  const variants = [];
+  for (let i = 1; i < chars.length; i++) {
+    variants.push([...chars.slice(0, i), null, ...chars.slice(i + 1)]);
+    variants.push([...chars.slice(0, i), null, ...chars.slice(i)]);
+    variants.push([...chars.slice(0, i), ...chars.slice(i + 1)]);
+    if (i < chars.length - 1) {
+      variants.push([...chars.slice(0, i), chars[i + 1], chars[i], ...chars.slice(i + 2)]);
+    }
+  }
+  return variants;
+};
+
+/**
+ * Build a pattern matching words that start with a term
+ * @param {string} term - Search term from tokenize()
+ * @param {object} options - { fuzzy: also allow one typo (default: true) }
+ * @returns {string} Regex source (use with the "i" flag, and "u" in JavaScript)
+ */
+const termPattern = (term, { fuzzy = true } = {}) => {
+  const chars = [...stem(term)];
+  const variants = fuzzy && chars.length >= config.minFuzzyLength ? [chars, ...oneEditVariants(chars)] : [chars];
+  const alternatives = new Set(variants.map(variant => variant.map(char => (char === null ? '.' : escapeRegex(char))).join('')));
+  return `${WORD_START}(?:${[...alternatives].join('|')})`;
+};
+
+/**
+ * Build a regex finding the whole words that match any of the terms
+ * @param {array} terms - Search terms
+ * @returns {RegExp} Global matcher
+ */
+const buildMatcher = (terms) => {
+  const patterns = terms.map(term => `(?:${termPattern(term)})`);
+  return new RegExp(`(?:${patterns.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+/**
+ * Split text into plain and matching segments, cut down to a snippet around
+ * the first match when longer than maxLength
+ * @param {string} text - Text to highlight
+ * @param {RegExp} matcher - Matcher from buildMatcher()
+ * @param {number} maxLength - Longest snippet (default: whole text)
+ * @returns {array} Segments { text, match }; cut ends are marked with "…"
+ */
+const highlight = (text, matcher, maxLength = Infinity) => {
+  const value = String(text || '');
+  const matches = [...value.matchAll(matcher)];
+  let start = 0;
+  let end = value.length;
+
+  if (value.length > maxLength) {
+    const first = matches.length > 0 ? matches[0].index : 0;
+    end = Math.min(value.length, Math.max(first - Math.floor(maxLength / 3), 0) + maxLength);
+    start = Math.max(0, end - maxLength);
+    // Do not cut words in half
+    const afterSpace = value.indexOf(' ', start);
+    if (start > 0 && afterSpace !== -1 && afterSpace < first) start = afterSpace + 1;
+    const beforeSpace = value.lastIndexOf(' ', end);
+    if (end < value.length && beforeSpace > first) end = beforeSpace;
+  }
+
+  const segments = [];
+  let position = start;
+  for (const match of matches) {
+    const from = Math.max(match.index, start);
+    const to = Math.min(match.index + match[0].length, end);
+    if (from >= to) continue;
+    if (from > position) segments.push({ text: value.slice(position, from), match: false });
+    segments.push({ text: value.slice(from, to), match: true });
+    position = to;
+  }
+  if (position < end) segments.push({ text: value.slice(position, end), match: false });
+
+  if (start > 0) segments.unshift({ text: '…', match: false });
+  if (end < value.length) segments.push({ text: '…', match: false });
+  return segments;
+};
+
+module.exports = {
+  config,
+  escapeRegex,
+  tokenize,
+  termPattern,
+  buildMatcher,
+  highlight
+};
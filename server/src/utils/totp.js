@@ -0,0 +1,197 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps)
+ * compatible with common authenticator apps, plus encryption of secrets at
+ * rest and recovery code generation.
+ */
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { readSecret } = require('../config/secrets');
+
+const config = {
+  issuer: process.env.MFA_ISSUER || 'E-Shop',
+  // Secrets are encrypted with a key derived from this value. It has its own
+  // variable: changing it makes every enrolled secret unreadable, so it must
+  // not change when JWT secrets are rotated.
+  encryptionKey: readSecret('MFA_ENCRYPTION_KEY', 'fallback_mfa_encryption_key'),
+  stepSeconds: 30,
+  digits: 6,
+  // Accept codes from one step either side to allow for clock drift
+  window: 1,
+  recoveryCodeCount: 10
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32 (the format authenticator apps expect)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an unpadded base32 string
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI used to add the secret to an authenticator app
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Label shown in the app (email or phone)
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${config.issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: config.issuer,
+    algorithm: 'SHA1',
+    digits: String(config.digits),
+    period: String(config.stepSeconds)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Current time step number
+ * @param {number} now - Time in milliseconds
+ * @returns {number} Time step
+ */
+const timeStep = (now = Date.now()) => Math.floor(now / 1000 / config.stepSeconds);
+
+/**
+ * Generate the code for a time step (RFC 4226 dynamic truncation)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string} Zero-padded code
+ */
+const generateCode = (secret, step = timeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** config.digits).padStart(config.digits, '0');
+};
+
+/**
+ * Check a code against the steps around the current time
+ * Callers should reject steps at or before the last one used to stop replays
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} now - Time in milliseconds
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+const verifyCode = (secret, code, now = Date.now()) => {
+  const received = Buffer.from(String(code || ''));
+  const current = timeStep(now);
+
+  for (let offset = -config.window; offset <= config.window; offset++) {
+    const expected = Buffer.from(generateCode(secret, current + offset));
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+const encryptionKey = () => crypto.createHash('sha256').update(config.encryptionKey).digest();
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {string} secret - Base32 secret
+ * @returns {string} iv:tag:ciphertext in hex
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ * @param {string} payload - Value produced by encryptSecret
+ * @returns {string} Base32 secret
+ */
+const decryptSecret = (payload) => {
+  const [iv, tag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate single-use recovery codes
+ * @returns {string[]} Codes formatted as xxxx-xxxx
+ */
+const generateRecoveryCodes = () => {
+  return Array.from({ length: config.recoveryCodeCount }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};
+
+module.exports = {
+  config,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  buildOtpauthUri,
+  generateCode,
+  verifyCode,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes
+};
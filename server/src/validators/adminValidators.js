@@ -0,0 +1,27 @@
+/**
+ * Admin Validators
+ * Request validation for user role management routes
+ */
+
+const { body, query } = require('express-validator');
+const { ROLES } = require('../config/jwt');
+const { mongoIdParam } = require('./common');
+
+const listUsers = [
+  query('role').optional().isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const updateUserRole = [
+  mongoIdParam('id', 'user ID'),
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+const bootstrapAdmin = [
+  body('bootstrapToken').isString().notEmpty().withMessage('Bootstrap token is required')
+];
+
+module.exports = {
+  listUsers,
+  updateUserRole,
+  bootstrapAdmin
+};
@@ -0,0 +1,101 @@
+/**
+ * Auth Validators
+ * Request validation for registration, login, tokens, sessions and OTP routes
+ */
+
+const { body, param } = require('express-validator');
+const { IDENTITY_TYPES } = require('../models/User');
+const { emailField, phoneField, passwordField, otpDestination, otpCode } = require('./common');
+
+const register = [
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  emailField(),
+  phoneField(),
+  passwordField()
+];
+
+const login = [
+  emailField(),
+  body('password').isString().notEmpty().withMessage('Password is required')
+];
+
+// Optional: in cookie mode the refresh token comes from the cookie instead
+const refreshToken = [
+  body('refreshToken').optional().isJWT().withMessage('A valid refresh token is required')
+];
+
+const logout = [
+  body('refreshToken').optional().isJWT().withMessage('Invalid refresh token')
+];
+
+const sessionId = [
+  param('id').isUUID().withMessage('Invalid session ID')
+];
+
+const sendOtp = [...otpDestination];
+
+const linkToken = body('token').isHexadecimal().isLength({ min: 64, max: 64 }).withMessage('Invalid or malformed token');
+
+const forgotPassword = [emailField()];
+
+const resetPassword = [linkToken, passwordField()];
+
+const verifyEmail = [linkToken];
+
+const verifyOtp = [...otpDestination, otpCode];
+
+const updateProfile = [
+  body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  emailField().optional(),
+  phoneField().optional(),
+  body().custom(value => {
+    if (!value || ['name', 'email', 'phone'].every(field => value[field] === undefined)) {
+      throw new Error('Provide a name, email or phone to update');
+    }
+    return true;
+  })
+];
+
+const confirmContactChange = [
+  body('field').isIn(['email', 'phone']).withMessage('Field must be email or phone'),
+  otpCode
+];
+
+const changePassword = [
+  body('currentPassword').optional().isString().withMessage('Current password must be a string'),
+  passwordField('newPassword')
+];
+
+const linkIdentity = [
+  body('type').isIn(['phone', 'email']).withMessage('Type must be phone or email')
+];
+
+const confirmIdentityLink = [...linkIdentity, otpCode];
+
+const removeIdentity = [
+  param('type').isIn(IDENTITY_TYPES).withMessage(`Type must be one of: ${IDENTITY_TYPES.join(', ')}`)
+];
+
+const requestDeletion = [
+  body('password').optional().isString().withMessage('Password must be a string')
+];
+
+module.exports = {
+  register,
+  login,
+  refreshToken,
+  logout,
+  sessionId,
+  sendOtp,
+  verifyOtp,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  updateProfile,
+  confirmContactChange,
+  changePassword,
+  linkIdentity,
+  confirmIdentityLink,
+  removeIdentity,
+  requestDeletion
+};
@@ -0,0 +1,30 @@
+/**
+ * Cart Validators
+ * Request validation for cart routes
+ */
+
+const { body, param } = require('express-validator');
+const { mongoIdParam } = require('./common');
+
+// Optional :variantId route segment, for products sold as variants
+const variantIdParam = param('variantId').optional().isMongoId().withMessage('Invalid variant ID');
+
+const addItem = [
+  body('productId').isMongoId().withMessage('Invalid product ID'),
+  body('variantId').optional({ values: 'null' }).isMongoId().withMessage('Invalid variant ID'),
+  body('quantity').optional().isInt({ min: 1, max: 100 }).withMessage('Quantity must be between 1 and 100').toInt()
+];
+
+const updateItem = [
+  mongoIdParam('productId', 'product ID'),
+  variantIdParam,
+  body('quantity').isInt({ min: 0, max: 100 }).withMessage('Quantity must be between 0 and 100').toInt()
+];
+
+const removeItem = [mongoIdParam('productId', 'product ID'), variantIdParam];
+
+module.exports = {
+  addItem,
+  updateItem,
+  removeItem
+};
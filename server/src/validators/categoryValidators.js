@@ -0,0 +1,61 @@
+/**
+ * Category Validators
+ * Request validation for category tree routes
+ */
+
+const { body, param } = require('express-validator');
+const { SLUG_PATTERN, slugify } = require('../models/Category');
+const { mongoIdParam } = require('./common');
+
+const categoryId = [mongoIdParam('id', 'category ID')];
+
+// Categories can be looked up by ID or by slug
+const categoryRef = [
+  param('idOrSlug').custom(value => {
+    if (!/^[0-9a-fA-F]{24}$/.test(value) && !SLUG_PATTERN.test(value)) {
+      throw new Error('Invalid category ID or slug');
+    }
+    return true;
+  })
+];
+
+const NAME_MESSAGE = 'Name is required (max 100 characters)';
+const SLUG_MESSAGE = 'Slug may only contain lowercase letters, digits and single hyphens (max 100 characters)';
+
+/**
+ * Build category field validators
+ * @param {boolean} partial - Make every field optional (for updates)
+ * @returns {array} Validation chains
+ */
+const categoryFields = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name').isString().withMessage(NAME_MESSAGE).trim().isLength({ min: 1, max: 100 }).withMessage(NAME_MESSAGE),
+    body('slug').optional().isString().withMessage(SLUG_MESSAGE).trim().toLowerCase()
+      .matches(SLUG_PATTERN).withMessage(SLUG_MESSAGE).isLength({ max: 100 }).withMessage(SLUG_MESSAGE),
+    body('description').optional().isString().trim().isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+    body('sortOrder').optional().isInt({ min: -10000, max: 10000 }).withMessage('sortOrder must be an integer').toInt(),
+    body('parent').optional({ values: 'null' }).isMongoId().withMessage('Invalid parent category ID')
+  ];
+};
+
+const createCategory = [
+  ...categoryFields(false),
+  // Without a slug one is made from the name, which needs a letter or digit (a-z, 0-9) for that
+  body('name').custom((name, { req }) => {
+    if (req.body.slug === undefined && !slugify(name)) {
+      throw new Error('Name has no letters or digits to make a slug from; give a slug');
+    }
+    return true;
+  })
+];
+
+const updateCategory = [...categoryId, ...categoryFields(true)];
+
+module.exports = {
+  categoryId,
+  categoryRef,
+  createCategory,
+  updateCategory
+};
@@ -0,0 +1,66 @@
+/**
+ * Common Validators
+ * Reusable express-validator chains shared by route validators
+ */
+
+const { body, param, query } = require('express-validator');
+
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+/**
+ * Validate a MongoDB ObjectId route parameter
+ * @param {string} name - Parameter name
+ * @param {string} label - Human readable name used in the message
+ * @returns {object} Validation chain
+ */
+const mongoIdParam = (name = 'id', label = 'ID') =>
+  param(name).isMongoId().withMessage(`Invalid ${label}`);
+
+// ?page= and ?limit= (query values stay strings; controllers parse them)
+const paginationQuery = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// Emails are stored lowercase, so they are compared, keyed and saved lowercase too
+const emailField = (field = 'email') =>
+  body(field).trim().isEmail().withMessage('A valid email is required').toLowerCase();
+
+const phoneField = (field = 'phone') =>
+  body(field).trim().matches(PHONE_PATTERN).withMessage('Phone must be a 10-digit number');
+
+// Password strength rules shared by registration and password changes
+const passwordField = (field = 'password') =>
+  body(field)
+    .isString().withMessage('Password is required')
+    .isLength({ min: 8, max: 128 }).withMessage('Password must be 8-128 characters')
+    .matches(/[A-Za-z]/).withMessage('Password must contain a letter')
+    .matches(/[0-9]/).withMessage('Password must contain a number');
+
+// OTP destination: exactly one of phone or email
+const otpDestination = [
+  body('phone').optional().trim().matches(PHONE_PATTERN).withMessage('Phone must be a 10-digit number'),
+  body('email').optional().trim().isEmail().withMessage('A valid email is required').toLowerCase(),
+  body().custom(value => {
+    if (!value || (!value.phone && !value.email)) {
+      throw new Error('A phone number or email is required');
+    }
+    if (value.phone && value.email) {
+      throw new Error('Send either a phone number or an email, not both');
+    }
+    return true;
+  })
+];
+
+const otpCode = body('otp').trim().matches(/^[0-9]{6}$/).withMessage('OTP must be 6 digits');
+
+module.exports = {
+  PHONE_PATTERN,
+  mongoIdParam,
+  paginationQuery,
+  emailField,
+  phoneField,
+  passwordField,
+  otpDestination,
+  otpCode
+};
@@ -0,0 +1,30 @@
+/**
+ * MFA Validators
+ * Request validation for two-factor enrollment and the login challenge
+ */
+
+const { body } = require('express-validator');
+
+// Six-digit authenticator code
+const totpCode = body('code').trim().matches(/^[0-9]{6}$/).withMessage('Code must be 6 digits');
+
+// Authenticator code or a recovery code (xxxx-xxxx)
+const secondFactorCode = body('code')
+  .trim()
+  .matches(/^([0-9]{6}|[0-9a-fA-F]{4}-[0-9a-fA-F]{4})$/)
+  .withMessage('Enter a 6-digit code or a recovery code');
+
+const verifyMfa = [
+  body('mfaToken').isJWT().withMessage('A valid MFA token is required'),
+  secondFactorCode
+];
+
+const enableMfa = [totpCode];
+
+const confirmWithCode = [secondFactorCode];
+
+module.exports = {
+  verifyMfa,
+  enableMfa,
+  confirmWithCode
+};
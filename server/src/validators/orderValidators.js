@@ -0,0 +1,29 @@
+/**
+ * Order Validators
+ * Request validation for order and payment routes
+ */
+
+const { body } = require('express-validator');
+const Order = require('../models/Order');
+const { mongoIdParam, paginationQuery } = require('./common');
+
+const listOrders = [...paginationQuery];
+
+const orderId = [mongoIdParam('id', 'order ID')];
+
+const updateStatus = [
+  ...orderId,
+  body('status').isIn(Order.ORDER_STATUSES).withMessage(`Status must be one of: ${Order.ORDER_STATUSES.join(', ')}`)
+];
+
+const confirmPayment = [
+  mongoIdParam('id', 'payment ID'),
+  body('paymentMethod').optional().isString().isLength({ max: 100 }).withMessage('Invalid payment method')
+];
+
+module.exports = {
+  listOrders,
+  orderId,
+  updateStatus,
+  confirmPayment
+};
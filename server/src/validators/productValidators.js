@@ -0,0 +1,142 @@
+/**
+ * Product Validators
+ * Request validation for product listing and catalog management routes
+ */
+
+const { body, query } = require('express-validator');
+const Product = require('../models/Product');
+const { mongoIdParam, paginationQuery } = require('./common');
+const { decodeCursor } = require('../utils/cursor');
+
+// Product and variant SKUs
+const SKU_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Query parameters named attr.<name> filter by product attribute or variant option
+const ATTRIBUTE_PREFIX = 'attr.';
+
+const listProducts = [
+  ...paginationQuery,
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number'),
+  query('inStock').optional().isIn(['true', 'false']).withMessage('inStock must be true or false'),
+  query().custom(params => {
+    for (const [key, value] of Object.entries(params)) {
+      if (!key.startsWith(ATTRIBUTE_PREFIX)) continue;
+      if (!Product.ATTRIBUTE_NAME_PATTERN.test(key.slice(ATTRIBUTE_PREFIX.length))) {
+        throw new Error(`Invalid attribute filter: ${key}`);
+      }
+      if ([].concat(value).some(item => String(item).length > 200)) {
+        throw new Error(`Attribute filter ${key} is too long`);
+      }
+    }
+    return true;
+  }),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('category').optional().isString().isLength({ max: 100 }).withMessage('Category must be a category ID or slug'),
+  query('sortBy').optional().isIn(Product.SORT_FIELDS).withMessage(`sortBy must be one of: ${Product.SORT_FIELDS.join(', ')}`),
+  query('sortOrder').optional().isIn(['asc', 'desc']).withMessage('sortOrder must be asc or desc'),
+  query('cursor').optional().custom(value => typeof value === 'string' && value.length <= 500 && decodeCursor(value) !== null).withMessage('Invalid cursor'),
+  query('withTotal').optional().isIn(['true', 'false']).withMessage('withTotal must be true or false')
+];
+
+const SUGGEST_QUERY_MESSAGE = 'q is required (max 100 characters)';
+
+const suggest = [
+  query('q').isString().withMessage(SUGGEST_QUERY_MESSAGE).isLength({ min: 1, max: 100 }).withMessage(SUGGEST_QUERY_MESSAGE),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10')
+];
+
+const productId = [mongoIdParam('id', 'product ID')];
+
+const productImage = [mongoIdParam('id', 'product ID'), mongoIdParam('imageId', 'image ID')];
+
+const reorderImages = [
+  ...productId,
+  body('imageIds').isArray({ min: 1 }).withMessage('imageIds must list the product\'s image IDs in the new order'),
+  body('imageIds.*').isMongoId().withMessage('Invalid image ID')
+];
+
+// Options (e.g. size, color) and the variants sold for them. How variants
+// match the options is checked by the Product model.
+const variantFields = [
+  body('options').optional().isArray({ max: 5 }).withMessage('Options must be an array of at most 5 options'),
+  body('options.*.name').isString().trim().matches(Product.ATTRIBUTE_NAME_PATTERN).withMessage('Option name is required (letters, digits, "_" or "-", max 30 characters)'),
+  body('options.*.values').isArray({ min: 1, max: 50 }).withMessage('Option values must be an array of 1-50 values'),
+  body('options.*.values.*').isString().trim().isLength({ min: 1, max: 50 }).withMessage('Option values must be 1-50 characters'),
+  body('variants').optional().isArray({ max: 100 }).withMessage('Variants must be an array of at most 100 variants'),
+  body('variants.*._id').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('variants.*.sku').isString().trim().matches(SKU_PATTERN).withMessage('SKU is required (letters, digits, ".", "_" or "-", max 64)'),
+  body('variants.*.attributes').isObject().withMessage('Variant attributes must be an object of option values'),
+  body('variants.*.price').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('Variant price must be a non-negative number').toFloat(),
+  body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer').toInt(),
+  body('variants.*.images').optional().isArray({ max: 10 }).withMessage('Variant images must be an array of at most 10 URLs'),
+  body('variants.*.images.*').isString().trim().isLength({ min: 1, max: 500 }).withMessage('Image must be a URL of at most 500 characters')
+];
+
+/**
+ * Build product field validators
+ * @param {boolean} partial - Make every field optional (for updates)
+ * @returns {array} Validation chains
+ */
+const productFields = (partial) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    body('sku').optional().isString().trim().matches(SKU_PATTERN).withMessage('SKU may only contain letters, digits, ".", "_" or "-" (max 64)'),
+    field('name').isString().withMessage('Name is required (max 200 characters)').trim().isLength({ min: 1, max: 200 }).withMessage('Name is required (max 200 characters)'),
+    field('description').isString().withMessage('Description is required (max 2000 characters)').trim().isLength({ min: 1, max: 2000 }).withMessage('Description is required (max 2000 characters)'),
+    field('price').isFloat({ min: 0 }).withMessage('Price must be a non-negative number').toFloat(),
+    field('category').isMongoId().withMessage('Category must be a valid category ID'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock must be a non-negative integer').toInt(),
+    body('image').optional().isString().trim().isLength({ max: 500 }).withMessage('Image must be a URL of at most 500 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+    body('attributes').optional().isObject().withMessage('Attributes must be an object of names and values'),
+    body('attributes').optional().custom(attributes => {
+      for (const [name, value] of Object.entries(attributes)) {
+        if (!Product.ATTRIBUTE_NAME_PATTERN.test(name) || typeof value !== 'string' || value.length > 100) {
+          throw new Error('Attribute names may only contain letters, digits, "_" or "-" and values must be text (max 100 characters)');
+        }
+      }
+      return true;
+    }),
+    ...variantFields
+  ];
+};
+
+const createProduct = productFields(false);
+
+const updateProduct = [...productId, ...productFields(true)];
+
+// Import rows are matched to products by SKU, so there it is required
+const IMPORT_SKU_MESSAGE = 'SKU is required (letters, digits, ".", "_" or "-", max 64)';
+const importSku = body('sku').isString().withMessage(IMPORT_SKU_MESSAGE).trim().matches(SKU_PATTERN).withMessage(IMPORT_SKU_MESSAGE);
+
+// Rows creating a product and rows updating one (params.id is the matched product)
+const importNewProduct = [importSku, ...createProduct];
+const importExistingProduct = [importSku, ...updateProduct];
+
+const importProducts = [
+  query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
+  query('dryRun').optional().isIn(['true', 'false']).withMessage('dryRun must be true or false')
+];
+
+const exportProducts = [
+  ...listProducts,
+  query('format').optional().isIn(['csv', 'json']).withMessage('format must be csv or json'),
+  query('includeInactive').optional().isIn(['true', 'false']).withMessage('includeInactive must be true or false')
+];
+
+module.exports = {
+  ATTRIBUTE_PREFIX,
+  listProducts,
+  suggest,
+  productId,
+  productImage,
+  reorderImages,
+  createProduct,
+  updateProduct,
+  importNewProduct,
+  importExistingProduct,
+  importProducts,
+  exportProducts
+};
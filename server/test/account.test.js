@@ -0,0 +1,152 @@
+const { memoryModel, authHeader } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const rateLimit = require('../src/middleware/rateLimit');
+const { getChannel } = require('../src/utils/messaging');
+
+const EMAIL = 'asha@example.com';
+
+/**
+ * The token in the latest link emailed to an address
+ * @param {string} to - Email address
+ * @returns {string|null} Token
+ */
+const lastLinkToken = (to) => {
+  const message = getChannel('email').inbox(to).at(-1);
+  const match = message && message.text.match(/token=([0-9a-f]{64})/);
+  return match ? match[1] : null;
+};
+
+const inboxSize = (to) => getChannel('email').inbox(to).length;
+
+let users;
+let userId;
+
+beforeEach(() => {
+  rateLimit.setStore(rateLimit.createMemoryStore());
+  const user = new User({
+    name: 'Asha',
+    email: EMAIL,
+    phone: '9876543210',
+    password: bcrypt.hashSync('oldpass123', 4),
+    identities: [{ type: 'password' }]
+  });
+  userId = user._id;
+  users = memoryModel(User, [user]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('password reset', () => {
+  const forgot = (email) => request(app).post('/api/users/forgot-password').send({ email });
+  const reset = (token, password) => request(app).post('/api/users/reset-password').send({ token, password });
+  const login = (password) => request(app).post('/api/users/login').send({ email: EMAIL, password });
+
+  test('answers the same whether or not the account exists', async () => {
+    const sent = inboxSize('nobody@example.com');
+    const known = await forgot(EMAIL);
+    const unknown = await forgot('nobody@example.com');
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(unknown.body, known.body);
+    assert.equal(inboxSize('nobody@example.com'), sent);
+    assert.ok(lastLinkToken(EMAIL));
+  });
+
+  test('sets the new password and ends every session', async () => {
+    const session = (await login('oldpass123')).body.data;
+    await forgot(EMAIL);
+
+    const res = await reset(lastLinkToken(EMAIL), 'newpass456');
+
+    assert.equal(res.status, 200);
+    assert.equal((await login('oldpass123')).status, 401);
+    assert.equal((await login('newpass456')).status, 200);
+    const refreshed = await request(app).post('/api/users/refresh-token').send({ refreshToken: session.refreshToken });
+    assert.equal(refreshed.status, 401);
+    assert.equal(users.get(userId).emailVerified, true);
+  });
+
+  test('accepts each link once', async () => {
+    await forgot(EMAIL);
+    const token = lastLinkToken(EMAIL);
+    await reset(token, 'newpass456');
+
+    const again = await reset(token, 'otherpass789');
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, 'INVALID_TOKEN');
+  });
+
+  test('only accepts the latest link', async () => {
+    await forgot(EMAIL);
+    const first = lastLinkToken(EMAIL);
+    await forgot(EMAIL);
+
+    assert.equal((await reset(first, 'newpass456')).status, 400);
+    assert.equal((await reset(lastLinkToken(EMAIL), 'newpass456')).status, 200);
+  });
+
+  test('rejects expired links', async () => {
+    await forgot(EMAIL);
+    await User.updateOne({ _id: userId }, { $set: { 'passwordReset.expiresAt': new Date(Date.now() - 1000) } });
+
+    const res = await reset(lastLinkToken(EMAIL), 'newpass456');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_TOKEN');
+  });
+
+  test('applies the password rules and checks the token format', async () => {
+    await forgot(EMAIL);
+
+    const weak = await reset(lastLinkToken(EMAIL), 'short');
+    assert.equal(weak.status, 400);
+    assert.equal(weak.body.errors[0].field, 'password');
+
+    const malformed = await reset('not-a-token', 'newpass456');
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.errors[0].field, 'token');
+  });
+});
+
+describe('email verification', () => {
+  const auth = () => authHeader({ userId: String(userId) });
+
+  test('confirms the address from the emailed link, once', async () => {
+    const requested = await request(app).post('/api/users/verify-email/request').set(auth());
+    assert.equal(requested.status, 200);
+    const token = lastLinkToken(EMAIL);
+
+    const res = await request(app).post('/api/users/verify-email').send({ token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.emailVerified, true);
+    assert.equal(users.get(userId).emailVerified, true);
+
+    const again = await request(app).post('/api/users/verify-email').send({ token });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, 'INVALID_TOKEN');
+  });
+
+  test('does not resend once verified', async () => {
+    await User.updateOne({ _id: userId }, { $set: { emailVerified: true } });
+
+    const res = await request(app).post('/api/users/verify-email/request').set(auth());
+    assert.equal(res.status, 400);
+  });
+
+  test('sends a link when registering', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ name: 'Ravi', email: 'ravi@example.com', phone: '9876543211', password: 'secret123' });
+    assert.equal(res.status, 201);
+
+    // The email goes out after the response
+    await new Promise(resolve => setImmediate(resolve));
+    const verified = await request(app).post('/api/users/verify-email').send({ token: lastLinkToken('ravi@example.com') });
+    assert.equal(verified.status, 200);
+  });
+});
@@ -0,0 +1,154 @@
+const { memoryModel } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const rateLimit = require('../src/middleware/rateLimit');
+const { readCookie } = require('../src/utils/authCookies');
+
+/**
+ * The Set-Cookie headers of a response, by cookie name
+ * @param {object} res - supertest response
+ * @returns {object} { name: { value, attributes } }
+ */
+const setCookies = (res) => {
+  const cookies = {};
+  for (const header of res.headers['set-cookie'] || []) {
+    const [pair, ...attributes] = header.split(';').map(part => part.trim());
+    const [name, value] = pair.split('=');
+    cookies[name] = { value, attributes: attributes.map(attribute => attribute.toLowerCase()) };
+  }
+  return cookies;
+};
+
+beforeEach(() => {
+  rateLimit.setStore(rateLimit.createMemoryStore());
+  memoryModel(User, [new User({
+    name: 'Asha',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    password: bcrypt.hashSync('secret123', 4),
+    identities: [{ type: 'password' }]
+  })]);
+});
+
+afterEach(() => mock.restoreAll());
+
+const login = (mode) => {
+  const req = request(app).post('/api/users/login');
+  if (mode) req.set('X-Auth-Mode', mode);
+  return req.send({ email: 'asha@example.com', password: 'secret123' });
+};
+
+const refreshWithCookies = (cookies, csrfHeader) => {
+  const req = request(app)
+    .post('/api/users/refresh-token')
+    .set('Cookie', `refreshToken=${cookies.refreshToken.value}; XSRF-TOKEN=${cookies['XSRF-TOKEN'].value}`);
+  if (csrfHeader !== undefined) req.set('X-XSRF-TOKEN', csrfHeader);
+  return req.send({});
+};
+
+describe('cookie auth mode', () => {
+  test('keeps the refresh token in an HttpOnly cookie scoped to the refresh endpoint', async () => {
+    const res = await login('cookie');
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.equal(res.body.data.refreshToken, undefined);
+
+    const cookies = setCookies(res);
+    assert.ok(cookies.refreshToken.attributes.includes('httponly'));
+    assert.ok(cookies.refreshToken.attributes.includes('path=/api/users/refresh-token'));
+    assert.ok(cookies.refreshToken.attributes.includes('samesite=strict'));
+    assert.ok(!cookies['XSRF-TOKEN'].attributes.includes('httponly'));
+    assert.ok(cookies['XSRF-TOKEN'].attributes.includes('path=/'));
+    assert.equal(cookies['XSRF-TOKEN'].value, res.body.data.csrfToken);
+  });
+
+  test('returns tokens in the body and sets no cookies in bearer mode', async () => {
+    const res = await login();
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.refreshToken);
+    assert.equal(res.headers['set-cookie'], undefined);
+  });
+
+  test('refreshes from the cookie when the CSRF token is echoed, and rotates both cookies', async () => {
+    const cookies = setCookies(await login('cookie'));
+
+    const res = await refreshWithCookies(cookies, cookies['XSRF-TOKEN'].value);
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.equal(res.body.data.refreshToken, undefined);
+    const rotated = setCookies(res);
+    assert.notEqual(rotated.refreshToken.value, cookies.refreshToken.value);
+    assert.notEqual(rotated['XSRF-TOKEN'].value, cookies['XSRF-TOKEN'].value);
+    assert.equal(rotated['XSRF-TOKEN'].value, res.body.data.csrfToken);
+  });
+
+  test('clears the cookies when a rotated cookie is replayed', async () => {
+    const cookies = setCookies(await login('cookie'));
+    await refreshWithCookies(cookies, cookies['XSRF-TOKEN'].value);
+
+    const replay = await refreshWithCookies(cookies, cookies['XSRF-TOKEN'].value);
+
+    assert.equal(replay.status, 401);
+    const cleared = setCookies(replay);
+    assert.equal(cleared.refreshToken.value, '');
+    assert.equal(cleared['XSRF-TOKEN'].value, '');
+  });
+
+  test('rejects cookie refreshes without a matching CSRF header', async () => {
+    const cookies = setCookies(await login('cookie'));
+
+    for (const header of [undefined, '', 'wrong-token']) {
+      const res = await refreshWithCookies(cookies, header);
+      assert.equal(res.status, 403, String(header));
+      assert.equal(res.body.code, 'CSRF_TOKEN_INVALID');
+    }
+
+    // The refused attempts did not use up the token
+    assert.equal((await refreshWithCookies(cookies, cookies['XSRF-TOKEN'].value)).status, 200);
+  });
+
+  test('does not ask for a CSRF token when the refresh token is in the body', async () => {
+    const { refreshToken } = (await login()).body.data;
+
+    const res = await request(app)
+      .post('/api/users/refresh-token')
+      .set('Cookie', 'refreshToken=stale')
+      .send({ refreshToken });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.refreshToken);
+  });
+
+  test('clears the cookies on logout', async () => {
+    const { accessToken } = (await login('cookie')).body.data;
+
+    const res = await request(app).post('/api/users/logout').set('Authorization', `Bearer ${accessToken}`).send({});
+
+    assert.equal(res.status, 200);
+    const cleared = setCookies(res);
+    assert.equal(cleared.refreshToken.value, '');
+    assert.ok(cleared.refreshToken.attributes.includes('path=/api/users/refresh-token'));
+    assert.equal(cleared['XSRF-TOKEN'].value, '');
+  });
+});
+
+describe('readCookie', () => {
+  const fakeRequest = (cookie) => ({ get: () => cookie });
+
+  test('finds a cookie by exact name and decodes it', () => {
+    const req = fakeRequest('xrefreshToken=a; refreshToken=b%3Dc; other=d');
+
+    assert.equal(readCookie(req, 'refreshToken'), 'b=c');
+    assert.equal(readCookie(req, 'missing'), null);
+    assert.equal(readCookie(fakeRequest(undefined), 'refreshToken'), null);
+    assert.equal(readCookie(fakeRequest('refreshToken=%E0%A4%A'), 'refreshToken'), null);
+  });
+});
@@ -0,0 +1,97 @@
+const { authHeader, query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Category = require('../src/models/Category');
+
+const staff = () => authHeader({ role: 'staff', mfa: true });
+
+afterEach(() => mock.restoreAll());
+
+describe('POST /api/categories', () => {
+  let create;
+
+  beforeEach(() => {
+    // Runs the schema validation a real insert would
+    create = mock.method(Category, 'create', async (fields) => {
+      const category = new Category(fields);
+      await category.validate();
+      return category;
+    });
+  });
+
+  test('derives the slug from the name', async () => {
+    const res = await request(app).post('/api/categories').set(staff()).send({ name: "Men's Shoes" });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.category.slug, 'mens-shoes');
+  });
+
+  test('rejects names with nothing to make a slug from', async () => {
+    for (const name of ['靴', '!!!']) {
+      const res = await request(app).post('/api/categories').set(staff()).send({ name });
+
+      assert.equal(res.status, 400, name);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+      assert.equal(res.body.errors[0].field, 'name');
+    }
+    assert.equal(create.mock.callCount(), 0);
+  });
+
+  test('accepts such names with a slug of their own', async () => {
+    const res = await request(app).post('/api/categories').set(staff()).send({ name: '靴', slug: 'Shoes' });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.category.name, '靴');
+    assert.equal(res.body.data.category.slug, 'shoes');
+  });
+
+  test('rejects an invalid slug', async () => {
+    const res = await request(app).post('/api/categories').set(staff()).send({ name: 'Shoes', slug: 'two  words' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.errors[0].field, 'slug');
+  });
+
+  test('rejects a parent that does not exist', async () => {
+    mock.method(Category, 'findById', () => query(null));
+    const res = await request(app).post('/api/categories').set(staff()).send({ name: 'Shoes', parent: '507f1f77bcf86cd799439011' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Parent category not found');
+  });
+
+  test('reports a taken slug as a conflict', async () => {
+    create.mock.mockImplementation(async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+    const res = await request(app).post('/api/categories').set(staff()).send({ name: 'Shoes' });
+
+    assert.equal(res.status, 409);
+  });
+
+  test('is not open to customers', async () => {
+    const res = await request(app).post('/api/categories').set(authHeader()).send({ name: 'Shoes' });
+
+    assert.equal(res.status, 403);
+  });
+});
+
+describe('PUT /api/categories/:id', () => {
+  test('keeps the slug when renaming to a name without letters or digits', async () => {
+    const category = new Category({ name: 'Shoes', slug: 'shoes' });
+    mock.method(Category, 'findById', () => query(category));
+    mock.method(Category.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+
+    const res = await request(app).put(`/api/categories/${category._id}`).set(staff()).send({ name: '靴' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.category.name, '靴');
+    assert.equal(res.body.data.category.slug, 'shoes');
+  });
+});
@@ -0,0 +1,128 @@
+const { query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+afterEach(() => mock.restoreAll());
+
+const raw = (fields) => Buffer.from(EJSON.stringify(fields, { relaxed: false })).toString('base64url');
+
+describe('cursors', () => {
+  test('keep the type of the sort value', () => {
+    const id = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2026-01-02T03:04:05.678Z');
+
+    for (const value of [createdAt, 19.99, 500, 'Laptop', null, id]) {
+      const cursor = encodeCursor({ sortBy: 'x', sortOrder: 'asc', value, id });
+      assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+      assert.deepEqual(decodeCursor(cursor), { sortBy: 'x', sortOrder: 'asc', mode: null, value, id });
+    }
+
+    const searched = decodeCursor(encodeCursor({ sortBy: 'relevance', sortOrder: 'desc', mode: 'prefix', value: 3, id }));
+    assert.equal(searched.mode, 'prefix');
+  });
+
+  test('reject anything that is not a cursor', () => {
+    const id = { $oid: String(new mongoose.Types.ObjectId()) };
+    const cases = [
+      'not a cursor',
+      Buffer.from('{"s":"price"').toString('base64url'),
+      raw({ s: 'price', o: 'up', m: null, v: 1, id }),
+      raw({ s: 'price', o: 'asc', m: 'regex', v: 1, id }),
+      raw({ s: 'price', o: 'asc', m: null, v: 1, id: 'abc' }),
+      raw({ s: 'price', o: 'asc', m: null, v: { $gt: '' }, id }),
+      raw({ s: 'price', o: 'asc', m: null, v: [1], id }),
+      raw({ s: 'price', o: 'asc', m: null, v: { $numberDouble: 'NaN' }, id })
+    ];
+
+    for (const cursor of cases) {
+      assert.equal(decodeCursor(cursor), null, cursor);
+    }
+  });
+});
+
+describe('GET /api/products?cursor=', () => {
+  let pipelines;
+  let results;
+
+  const product = (name, price) => ({ _id: new mongoose.Types.ObjectId(), name, description: name, price, _price: price, createdAt: new Date() });
+
+  beforeEach(() => {
+    pipelines = [];
+    results = [];
+    mock.method(Product, 'aggregate', (pipeline) => {
+      pipelines.push(pipeline);
+      return query(results.shift() || []);
+    });
+    mock.method(Product, 'populate', async (items) => items);
+    mock.method(Category, 'find', () => query([]));
+  });
+
+  test('continue after the last product of the previous page', async () => {
+    const last = product('B', 20);
+    const cursor = encodeCursor({ sortBy: 'price', sortOrder: 'asc', value: 20, id: last._id });
+    results.push([product('C', 20), product('D', 30), product('E', 40)]);
+
+    const res = await request(app).get(`/api/products?sortBy=price&sortOrder=asc&limit=2&cursor=${cursor}`);
+
+    assert.equal(res.status, 200);
+    const keyset = pipelines[0].find(stage => stage.$match && stage.$match.$or);
+    assert.deepEqual(keyset.$match.$or, [{ _price: { $gt: 20 } }, { _price: 20, _id: { $gt: last._id } }]);
+    assert.ok(!pipelines[0].some(stage => stage.$facet));
+
+    const { products, pagination, facets } = res.body.data;
+    assert.deepEqual(products.map(item => item.name), ['C', 'D']);
+    assert.equal(facets, null);
+    assert.equal(pagination.total, null);
+    assert.equal(pagination.hasMore, true);
+    assert.equal(decodeCursor(pagination.nextCursor).value, 30);
+  });
+
+  test('count all matches only when asked to', async () => {
+    const cursor = encodeCursor({ sortBy: 'createdAt', sortOrder: 'desc', value: new Date(), id: new mongoose.Types.ObjectId() });
+    results.push([product('A', 10)], [{ count: 7 }]);
+
+    const res = await request(app).get(`/api/products?cursor=${cursor}&withTotal=true`);
+
+    assert.equal(pipelines.length, 2);
+    assert.equal(res.body.data.pagination.total, 7);
+    assert.equal(res.body.data.pagination.hasMore, false);
+    assert.equal(res.body.data.pagination.nextCursor, null);
+  });
+
+  test('keep the search mode of the first page', async () => {
+    const cursor = encodeCursor({ sortBy: 'relevance', sortOrder: 'desc', mode: 'prefix', value: 3, id: new mongoose.Types.ObjectId() });
+
+    await request(app).get(`/api/products?search=labtop&cursor=${cursor}`);
+
+    assert.equal(pipelines.length, 1);
+    assert.equal(pipelines[0][0].$match.$text, undefined);
+    assert.ok(pipelines[0][0].$match.$and);
+  });
+
+  test('refuse cursors made for another sort order', async () => {
+    const cursor = encodeCursor({ sortBy: 'price', sortOrder: 'asc', value: 20, id: new mongoose.Types.ObjectId() });
+
+    const res = await request(app).get(`/api/products?sortBy=price&sortOrder=desc&cursor=${cursor}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_CURSOR');
+    assert.equal(pipelines.length, 0);
+  });
+
+  test('refuse malformed cursors', async () => {
+    const res = await request(app).get(`/api/products?cursor=${raw({ s: 'price', o: 'asc', m: null, v: { $gt: '' }, id: 'x' })}`);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.errors[0].field, 'cursor');
+  });
+});
@@ -0,0 +1,139 @@
+const { query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+
+const shoes = { _id: new mongoose.Types.ObjectId(), name: 'Shoes', slug: 'shoes' };
+
+let pipelines;
+let facetResult;
+
+const emptyResult = () => ({ products: [], total: [], categories: [], prices: [], attributes: [] });
+
+beforeEach(() => {
+  pipelines = [];
+  facetResult = emptyResult();
+  mock.method(Product, 'aggregate', (pipeline) => {
+    pipelines.push(pipeline);
+    return query([facetResult]);
+  });
+  mock.method(Product, 'populate', async (items) => items);
+  mock.method(Category, 'find', () => query([shoes]));
+});
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Conditions each offer (variant, or the product itself) must meet
+ * @param {array} pipeline - Aggregation pipeline
+ * @returns {array} Conditions of the offer filter
+ */
+const offerConditions = (pipeline) => {
+  const stage = pipeline.find(step => step.$addFields && step.$addFields._offers);
+  return stage.$addFields._offers.$filter.cond.$and;
+};
+
+describe('GET /api/products filters', () => {
+  test('require price, stock and attributes to hold for the same offer', async () => {
+    const res = await request(app).get('/api/products?minPrice=10&maxPrice=100&inStock=true&attr.size=M,%20L&attr.size=XL&attr.color=Red');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(pipelines[0][0], { $match: { isActive: true } });
+    assert.deepEqual(offerConditions(pipelines[0]), [
+      { $gte: ['$$offer.price', 10] },
+      { $lte: ['$$offer.price', 100] },
+      { $gt: ['$$offer.stock', 0] },
+      { $or: [{ $in: ['$attributes.size', ['M', 'L', 'XL']] }, { $in: ['$$offer.attributes.size', ['M', 'L', 'XL']] }] },
+      { $or: [{ $in: ['$attributes.color', ['Red']] }, { $in: ['$$offer.attributes.color', ['Red']] }] }
+    ]);
+  });
+
+  test('have no offer conditions when none are given', async () => {
+    await request(app).get('/api/products?inStock=false&attr.size=');
+
+    assert.deepEqual(offerConditions(pipelines[0]), []);
+  });
+
+  test('include subcategories of a category given by slug', async () => {
+    const child = new mongoose.Types.ObjectId();
+    mock.method(Category, 'findByIdOrSlug', async (value) => (value === 'shoes' ? shoes : null));
+    mock.method(Category, 'descendantIds', async () => [shoes._id, child]);
+
+    await request(app).get('/api/products?category=shoes');
+    assert.deepEqual(pipelines[0][0].$match.category, { $in: [shoes._id, child] });
+
+    await request(app).get('/api/products?category=unknown');
+    assert.deepEqual(pipelines[1][0].$match.category, { $in: [] });
+  });
+
+  test('reject invalid values', async () => {
+    // Field errors name the parameter; attribute filters are checked as a whole
+    const cases = [
+      ['minPrice=-1', { field: 'minPrice' }],
+      ['maxPrice=cheap', { field: 'maxPrice' }],
+      ['inStock=yes', { field: 'inStock' }],
+      ['sortBy=stock', { field: 'sortBy' }],
+      ['attr.bad%20name=x', { message: 'Invalid attribute filter: attr.bad name' }],
+      [`attr.size=${'x'.repeat(201)}`, { message: 'Attribute filter attr.size is too long' }]
+    ];
+
+    for (const [params, expected] of cases) {
+      const res = await request(app).get(`/api/products?${params}`);
+      assert.equal(res.status, 400, params);
+      for (const [key, value] of Object.entries(expected)) {
+        assert.equal(res.body.errors[0][key], value, params);
+      }
+    }
+    assert.equal(pipelines.length, 0);
+  });
+
+  test('refuse attribute names that are not safe in field paths', async () => {
+    await assert.rejects(Product.facetedSearch({ attributes: { 'a.$b': ['x'] } }), /Invalid attribute name/);
+  });
+});
+
+describe('GET /api/products facets', () => {
+  test('count categories, price ranges and attribute values of the matches', async () => {
+    facetResult = {
+      ...emptyResult(),
+      total: [{ count: 4 }],
+      categories: [{ _id: shoes._id, count: 3 }, { _id: new mongoose.Types.ObjectId(), count: 1 }],
+      prices: [{ _id: 0, count: 1 }, { _id: 1000, count: 2 }, { _id: 'above', count: 1 }],
+      attributes: [{ _id: 'size', values: [{ value: 'L', count: 1 }, { value: 'M', count: 2 }] }]
+    };
+
+    const res = await request(app).get('/api/products');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.facets, {
+      // Categories that no longer exist are left out
+      categories: [{ _id: String(shoes._id), name: 'Shoes', slug: 'shoes', count: 3 }],
+      prices: [
+        { min: 0, max: 500, count: 1 },
+        { min: 1000, max: 2500, count: 2 },
+        { min: 10000, max: null, count: 1 }
+      ],
+      attributes: [{ name: 'size', values: [{ value: 'L', count: 1 }, { value: 'M', count: 2 }] }]
+    });
+  });
+
+  test('paginate with one extra product to tell whether more follow', async () => {
+    const products = [1, 2, 3].map(n => ({ _id: new mongoose.Types.ObjectId(), name: `P${n}`, createdAt: new Date(), _price: n }));
+    facetResult = { ...emptyResult(), products, total: [{ count: 5 }] };
+
+    const res = await request(app).get('/api/products?limit=2');
+
+    const { pagination } = res.body.data;
+    assert.deepEqual(res.body.data.products.map(product => product.name), ['P1', 'P2']);
+    assert.equal(res.body.data.products[0]._price, undefined);
+    assert.equal(pagination.total, 5);
+    assert.equal(pagination.totalPages, 3);
+    assert.equal(pagination.hasMore, true);
+    assert.ok(pagination.nextCursor);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Test Helpers
+ * Require this before anything from src/: it sets a test environment, makes
+ * unmocked database calls fail at once instead of waiting for a connection,
+ * and provides stand-ins for Mongoose queries, collections and signed-in users.
+ */
+
+const os = require('os');
+const path = require('path');
+
+const SECRET = 'test_secret_that_is_long_enough_for_production_checks';
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  JWT_ACCESS_SECRET: `access_${SECRET}`,
+  JWT_REFRESH_SECRET: `refresh_${SECRET}`,
+  MFA_ENCRYPTION_KEY: `mfa_${SECRET}`,
+  OTP_HASH_SECRET: `otp_${SECRET}`,
+  PAYMENT_WEBHOOK_SECRET: `webhook_${SECRET}`,
+  OTP_STORE: 'memory',
+  RATE_LIMIT_STORE: 'memory',
+  SMS_ADAPTER: 'outbox',
+  EMAIL_ADAPTER: 'outbox',
+  STORAGE_ADAPTER: 'local',
+  UPLOAD_DIR: path.join(os.tmpdir(), `eshop-test-uploads-${process.pid}`)
+});
+
+const mongoose = require('mongoose');
+mongoose.set('bufferCommands', false);
+
+/**
+ * A stand-in for a Mongoose query: every chained call (select, sort, lean,
+ * ...) returns the same query, and awaiting it or calling exec() resolves
+ * to the result
+ * @param {*} result - Value the query resolves to
+ * @returns {object} Chainable query
+ */
+const query = (result) => {
+  const chain = new Proxy({}, {
+    get(target, prop) {
+      if (prop === 'exec') return () => Promise.resolve(result);
+      if (prop === 'then') return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+      if (prop === Symbol.asyncIterator) {
+        return async function* () {
+          yield* result;
+        };
+      }
+      return () => chain;
+    }
+  });
+  return chain;
+};
+
+const isOperators = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+// Dates and ObjectIds compare by value
+const plain = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value && value._bsontype === 'ObjectId') return String(value);
+  return value;
+};
+
+const same = (a, b) => plain(a) === plain(b);
+
+/**
+ * Values at a dotted path, looking into every element of arrays on the way
+ * @param {*} value - Document or value
+ * @param {array} parts - Path segments
+ * @returns {array} Values found (undefined when missing)
+ */
+const valuesAt = (value, parts) => {
+  if (parts.length === 0) return [value];
+  if (value == null) return [undefined];
+  const [part, ...rest] = parts;
+  if (Array.isArray(value) && !/^\d+$/.test(part)) return value.flatMap(item => valuesAt(item, parts));
+  return valuesAt(value[part], rest);
+};
+
+const matchesValue = (value, condition) => {
+  if (isOperators(condition)) {
+    return Object.entries(condition).every(([op, arg]) => {
+      switch (op) {
+        case '$ne': return !matchesValue(value, arg);
+        case '$in': return arg.some(item => matchesValue(value, item));
+        case '$exists': return (value !== undefined) === Boolean(arg);
+        case '$gt': return value != null && plain(value) > plain(arg);
+        case '$gte': return value != null && plain(value) >= plain(arg);
+        case '$lt': return value != null && plain(value) < plain(arg);
+        case '$lte': return value != null && plain(value) <= plain(arg);
+        case '$elemMatch': return Array.isArray(value) && value.some(item => matches(item, arg));
+        default: throw new Error(`memoryModel does not support ${op}`);
+      }
+    });
+  }
+  if (condition === null) return value == null;
+  if (Array.isArray(value) && !Array.isArray(condition)) return value.some(item => same(item, condition));
+  return same(value, condition);
+};
+
+/**
+ * Whether a document matches a MongoDB filter
+ * @param {object} doc - Plain document
+ * @param {object} filter - Filter with field conditions, $or and $and
+ * @returns {boolean}
+ */
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(doc, part));
+  if (key === '$and') return condition.every(part => matches(doc, part));
+  const values = valuesAt(doc, key.split('.'));
+  if (condition && condition.$exists === false) return values.every(value => value === undefined);
+  if (isOperators(condition) && '$ne' in condition) return values.every(value => matchesValue(value, condition));
+  return values.some(value => matchesValue(value, condition));
+});
+
+/**
+ * Apply an update operator to a dotted path, resolving $, $[] and $[name]
+ * @param {object} target - Object holding the path
+ * @param {array} parts - Path segments
+ * @param {function} change - (parent, key) => void
+ * @param {object} context - { position, arrayFilters }
+ */
+const updatePath = (target, parts, change, context) => {
+  const [part, ...rest] = parts;
+  let keys = [part];
+  if (part === '$') {
+    keys = [context.position];
+  } else if (part === '$[]') {
+    keys = target.map((item, index) => index);
+  } else if (/^\$\[\w+\]$/.test(part)) {
+    const name = part.slice(2, -1);
+    const filter = Object.fromEntries(context.arrayFilters
+      .flatMap(Object.entries)
+      .filter(([key]) => key.startsWith(`${name}.`))
+      .map(([key, condition]) => [key.slice(name.length + 1), condition]));
+    keys = target.flatMap((item, index) => (matches(item, filter) ? [index] : []));
+  }
+
+  for (const key of keys) {
+    if (rest.length === 0) {
+      change(target, key);
+    } else {
+      if (target[key] == null) target[key] = {};
+      updatePath(target[key], rest, change, context);
+    }
+  }
+};
+
+const applyUpdate = (doc, update, context) => {
+  if (Array.isArray(update)) {
+    throw new Error('memoryModel does not support pipeline updates');
+  }
+
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, arg] of Object.entries(fields)) {
+      const change = {
+        $set: (parent, key) => { parent[key] = arg; },
+        $unset: (parent, key) => { delete parent[key]; },
+        $inc: (parent, key) => { parent[key] = (parent[key] || 0) + arg; },
+        $push: (parent, key) => { parent[key] = [...(parent[key] || []), ...(arg && arg.$each ? arg.$each : [arg])]; },
+        $pull: (parent, key) => {
+          // Conditions on array elements that are documents name their fields
+          const remove = (item) => (item !== null && typeof item === 'object' && !item._bsontype && !(item instanceof Date)
+            ? matches(item, arg) : matchesValue(item, arg));
+          parent[key] = (parent[key] || []).filter(item => !remove(item));
+        }
+      }[op];
+      if (!change) throw new Error(`memoryModel does not support ${op}`);
+      updatePath(doc, path.split('.'), change, context);
+    }
+  }
+};
+
+/**
+ * Keep documents of a model in memory instead of MongoDB
+ * find, findOne (and so findById), exists, create, updateOne, updateMany
+ * and findOneAndUpdate read and change them, covering the filters and update
+ * operators the models use; save() runs the pre-save hooks and writes a
+ * document back.
+ * Every read returns a fresh document, as a database would.
+ * @param {object} Model - Mongoose model
+ * @param {array} docs - Initial documents
+ * @returns {object} { get(id), all() } current documents
+ */
+const memoryModel = (Model, docs = []) => {
+  const { mock } = require('node:test');
+  const records = docs.map(doc => doc.toObject());
+  const load = (record) => record && Model.hydrate(Model.hydrate(record).toObject());
+  // Index of the array element a filter matched, for the positional $ operator
+  const position = (record, filter) => {
+    for (const [key, condition] of Object.entries(filter)) {
+      const parts = key.split('.');
+      if (condition && condition.$elemMatch) {
+        const array = parts.reduce((value, part) => value && value[part], record);
+        return array.findIndex(item => matches(item, condition.$elemMatch));
+      }
+      for (let i = 1; i < parts.length; i++) {
+        const array = parts.slice(0, i).reduce((value, part) => value && value[part], record);
+        if (Array.isArray(array)) {
+          return array.findIndex(item => matches(item, { [parts.slice(i).join('.')]: condition }));
+        }
+      }
+    }
+    return undefined;
+  };
+  const update = (filter, changes, options = {}, many = false) => {
+    const found = records.filter(record => matches(record, filter)).slice(0, many ? undefined : 1);
+    for (const record of found) {
+      applyUpdate(record, changes, { position: position(record, filter), arrayFilters: options.arrayFilters || [] });
+    }
+    return found;
+  };
+
+  mock.method(Model, 'find', (filter = {}) => query(records.filter(record => matches(record, filter)).map(load)));
+  mock.method(Model, 'findOne', (filter = {}) => query(load(records.find(record => matches(record, filter)) || null)));
+  mock.method(Model, 'exists', (filter) => query(records.some(record => matches(record, filter)) ? { _id: true } : null));
+  mock.method(Model, 'updateOne', (filter, changes, options) => {
+    const count = update(filter, changes, options).length;
+    return query({ matchedCount: count, modifiedCount: count });
+  });
+  mock.method(Model, 'updateMany', (filter, changes, options) => {
+    const count = update(filter, changes, options, true).length;
+    return query({ matchedCount: count, modifiedCount: count });
+  });
+  mock.method(Model, 'findOneAndUpdate', (filter, changes, options = {}) => {
+    const before = records.find(record => matches(record, filter));
+    const original = before && load(before);
+    update(filter, changes, options);
+    return query(before ? (options.new ? load(before) : original) : null);
+  });
+  mock.method(Model, 'create', async (fields) => {
+    const doc = new Model(fields);
+    await doc.save();
+    return doc;
+  });
+  mock.method(Model.prototype, 'save', async function() {
+    // Validation and the schema's pre-save hooks (e.g. password hashing) run as in a real save
+    await new Promise((resolve, reject) => {
+      this.schema.s.hooks.execPre('save', this, [{}], error => (error ? reject(error) : resolve()));
+    });
+    const record = this.toObject();
+    const index = records.findIndex(existing => same(existing._id, record._id));
+    if (index === -1) records.push(record);
+    else records[index] = record;
+    this.isNew = false;
+    this.$__reset();
+    return this;
+  });
+
+  return {
+    get: (id) => load(records.find(record => same(record._id, id)) || null),
+    all: () => records.map(load)
+  };
+};
+
+/**
+ * Authorization header for a signed-in user
+ * @param {object} claims - Access token claims: userId, role, mfa, sid
+ * @returns {object} { Authorization }
+ */
+const authHeader = (claims = {}) => {
+  const { signAccessToken } = require('../src/config/jwt');
+  const token = signAccessToken({ userId: new mongoose.Types.ObjectId().toString(), role: 'customer', ...claims });
+  return { Authorization: `Bearer ${token}` };
+};
+
+/**
+ * The code in the latest OTP message sent to a destination
+ * @param {string} to - Phone number or email address
+ * @returns {string|null} Six-digit code
+ */
+const lastOtp = (to) => {
+  const { getChannel } = require('../src/utils/messaging');
+  const message = getChannel(to.includes('@') ? 'email' : 'sms').inbox(to).at(-1);
+  const match = message && message.text.match(/\b(\d{6})\b/);
+  return match ? match[1] : null;
+};
+
+module.exports = {
+  query,
+  memoryModel,
+  authHeader,
+  lastOtp
+};
@@ -0,0 +1,137 @@
+const { memoryModel, authHeader, lastOtp } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const otpStore = require('../src/utils/otp.store');
+const rateLimit = require('../src/middleware/rateLimit');
+
+const EMAIL = 'asha@example.com';
+const PHONE = '9876543210';
+
+let users;
+let userId;
+let auth;
+
+beforeEach(() => {
+  rateLimit.setStore(rateLimit.createMemoryStore());
+  otpStore.setBackend(otpStore.createMemoryBackend());
+  const user = new User({
+    name: 'Asha',
+    email: EMAIL,
+    phone: PHONE,
+    password: bcrypt.hashSync('secret123', 4),
+    identities: [{ type: 'password' }]
+  });
+  userId = user._id;
+  auth = authHeader({ userId: String(userId) });
+  users = memoryModel(User, [user]);
+});
+
+afterEach(() => mock.restoreAll());
+
+const phoneLogin = async () => {
+  await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+  return request(app).post('/api/auth/verify-otp').send({ phone: PHONE, otp: lastOtp(PHONE) });
+};
+
+describe('linking login methods', () => {
+  test('lists the linked methods', async () => {
+    const res = await request(app).get('/api/users/me/identities').set(auth);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.identities.map(({ type, identifier }) => ({ type, identifier })), [{ type: 'password', identifier: EMAIL }]);
+  });
+
+  test('enables phone login once the OTP sent to the phone is confirmed', async () => {
+    const before = await phoneLogin();
+    assert.equal(before.status, 403);
+    assert.equal(before.body.code, 'IDENTITY_NOT_LINKED');
+
+    const started = await request(app).post('/api/users/me/identities').set(auth).send({ type: 'phone' });
+    assert.equal(started.status, 200);
+    const res = await request(app).post('/api/users/me/identities/verify').set(auth).send({ type: 'phone', otp: lastOtp(PHONE) });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.identities.map(identity => identity.type), ['password', 'phone']);
+
+    // A fresh store, so the second login OTP is not held back by the resend cooldown
+    otpStore.setBackend(otpStore.createMemoryBackend());
+    const after = await phoneLogin();
+    assert.equal(after.status, 200);
+    assert.equal(after.body.data.user._id, String(userId));
+  });
+
+  test('marks the email verified when email login is linked', async () => {
+    await request(app).post('/api/users/me/identities').set(auth).send({ type: 'email' });
+    const res = await request(app).post('/api/users/me/identities/verify').set(auth).send({ type: 'email', otp: lastOtp(EMAIL) });
+
+    assert.equal(res.status, 200);
+    assert.equal(users.get(userId).emailVerified, true);
+    assert.ok(users.get(userId).hasIdentity('email'));
+  });
+
+  test('does not accept a login OTP for linking', async () => {
+    await request(app).post('/api/users/me/identities').set(auth).send({ type: 'phone' });
+    await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+
+    const res = await request(app).post('/api/users/me/identities/verify').set(auth).send({ type: 'phone', otp: lastOtp(PHONE) });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'OTP_INVALID');
+    assert.ok(!users.get(userId).hasIdentity('phone'));
+  });
+
+  test('rejects a wrong OTP', async () => {
+    await request(app).post('/api/users/me/identities').set(auth).send({ type: 'phone' });
+
+    const res = await request(app).post('/api/users/me/identities/verify').set(auth).send({ type: 'phone', otp: '000000' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'OTP_INVALID');
+    assert.ok(!users.get(userId).hasIdentity('phone'));
+  });
+
+  test('refuses to link a method twice or one that cannot be OTP verified', async () => {
+    await User.updateOne({ _id: userId }, { $push: { identities: { type: 'phone' } } });
+
+    const twice = await request(app).post('/api/users/me/identities').set(auth).send({ type: 'phone' });
+    assert.equal(twice.status, 409);
+
+    const password = await request(app).post('/api/users/me/identities').set(auth).send({ type: 'password' });
+    assert.equal(password.status, 400);
+    assert.equal(password.body.code, 'VALIDATION_ERROR');
+  });
+});
+
+describe('DELETE /api/users/me/identities/:type', () => {
+  test('removes password login and the stored password', async () => {
+    await User.updateOne({ _id: userId }, { $push: { identities: { type: 'phone' } } });
+
+    const res = await request(app).delete('/api/users/me/identities/password').set(auth);
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.identities.map(identity => identity.type), ['phone']);
+    assert.equal(users.get(userId).password, '');
+    const login = await request(app).post('/api/users/login').send({ email: EMAIL, password: 'secret123' });
+    assert.equal(login.status, 401);
+  });
+
+  test('keeps the last login method', async () => {
+    const res = await request(app).delete('/api/users/me/identities/password').set(auth);
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'LAST_IDENTITY');
+    assert.ok(users.get(userId).hasIdentity('password'));
+  });
+
+  test('reports methods that are not linked or do not exist', async () => {
+    assert.equal((await request(app).delete('/api/users/me/identities/phone').set(auth)).status, 404);
+
+    const unknown = await request(app).delete('/api/users/me/identities/google').set(auth);
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'VALIDATION_ERROR');
+  });
+});
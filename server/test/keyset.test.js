@@ -0,0 +1,182 @@
+require('./helpers');
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const app = require('../src/app');
+const {
+  createSymmetricKeyset,
+  createAsymmetricKeyset,
+  signWithKeyset,
+  verifyWithKeyset,
+  toJwks
+} = require('../src/config/keyset');
+
+const pem = (key) => key.export({ type: 'pkcs8', format: 'pem' });
+const publicPem = (key) => key.export({ type: 'spki', format: 'pem' });
+
+describe('symmetric keysets', () => {
+  test('sign with the active secret and name it in the kid header', () => {
+    const keyset = createSymmetricKeyset('new-secret');
+    const token = signWithKeyset(keyset, { userId: 'u1' }, { expiresIn: '1m' });
+
+    const { header } = jwt.decode(token, { complete: true });
+    assert.equal(header.alg, 'HS256');
+    assert.equal(header.kid, keyset.activeKid);
+    assert.ok(!header.kid.includes('secret'));
+    assert.equal(verifyWithKeyset(keyset, token).userId, 'u1');
+  });
+
+  test('keep accepting tokens signed with a previous secret after rotation', () => {
+    const original = createSymmetricKeyset('old-secret');
+    const token = signWithKeyset(original, { userId: 'u1' });
+
+    const rotated = createSymmetricKeyset('new-secret', ['old-secret']);
+    assert.notEqual(rotated.activeKid, original.activeKid);
+    assert.equal(verifyWithKeyset(rotated, token).userId, 'u1');
+
+    const retired = createSymmetricKeyset('new-secret');
+    assert.equal(verifyWithKeyset(retired, token), null);
+  });
+
+  test('check tokens without a kid against the active secret', () => {
+    const keyset = createSymmetricKeyset('new-secret', ['old-secret']);
+
+    assert.equal(verifyWithKeyset(keyset, jwt.sign({ userId: 'u1' }, 'new-secret')).userId, 'u1');
+    assert.equal(verifyWithKeyset(keyset, jwt.sign({ userId: 'u1' }, 'old-secret')), null);
+  });
+
+  test('reject unknown kids, wrong signatures and garbage', () => {
+    const keyset = createSymmetricKeyset('new-secret');
+
+    assert.equal(verifyWithKeyset(keyset, jwt.sign({ userId: 'u1' }, 'new-secret', { keyid: 'unknown' })), null);
+    assert.equal(verifyWithKeyset(keyset, jwt.sign({ userId: 'u1' }, 'other', { keyid: keyset.activeKid })), null);
+    assert.equal(verifyWithKeyset(keyset, 'not.a.token'), null);
+    assert.deepEqual(toJwks(keyset), { keys: [] });
+  });
+});
+
+describe('asymmetric keysets', () => {
+  let dir;
+  const rsa = () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eshop-keys-'));
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const keyDir = (name, files) => {
+    const target = path.join(dir, name);
+    fs.mkdirSync(target);
+    for (const [file, contents] of Object.entries(files)) {
+      fs.writeFileSync(path.join(target, file), contents);
+    }
+    return target;
+  };
+
+  test('sign with the last private key and verify retired public keys', () => {
+    const retired = rsa();
+    const older = rsa();
+    const newer = rsa();
+    const keysDir = keyDir('rotation', {
+      '2025-01.pub.pem': publicPem(retired.publicKey),
+      '2025-06.pem': pem(older.privateKey),
+      '2026-01.pem': pem(newer.privateKey)
+    });
+
+    const keyset = createAsymmetricKeyset('RS256', keysDir);
+    assert.equal(keyset.activeKid, '2026-01');
+    assert.equal(jwt.decode(signWithKeyset(keyset, { userId: 'u1' }), { complete: true }).header.alg, 'RS256');
+
+    const oldToken = jwt.sign({ userId: 'u1' }, retired.privateKey, { algorithm: 'RS256', keyid: '2025-01' });
+    assert.equal(verifyWithKeyset(keyset, oldToken).userId, 'u1');
+
+    const pinned = createAsymmetricKeyset('RS256', keysDir, '2025-06');
+    assert.equal(pinned.activeKid, '2025-06');
+    assert.throws(() => createAsymmetricKeyset('RS256', keysDir, '2025-01'), /No private JWT key with kid "2025-01"/);
+  });
+
+  test('publish only public keys as a JWKS', () => {
+    const keysDir = keyDir('jwks', {
+      'old.pub.pem': publicPem(rsa().publicKey),
+      'current.pem': pem(rsa().privateKey)
+    });
+
+    const { keys } = toJwks(createAsymmetricKeyset('RS256', keysDir));
+
+    assert.deepEqual(keys.map(key => key.kid), ['current', 'old']);
+    for (const key of keys) {
+      assert.equal(key.kty, 'RSA');
+      assert.equal(key.alg, 'RS256');
+      assert.equal(key.use, 'sig');
+      assert.equal(key.d, undefined);
+    }
+  });
+
+  test('refuse an HS256 token signed with the public key', () => {
+    const { publicKey, privateKey } = rsa();
+    const keyset = createAsymmetricKeyset('RS256', keyDir('confusion', { 'k1.pem': pem(privateKey) }));
+
+    const forged = jwt.sign({ userId: 'u1', role: 'admin' }, 'irrelevant', { algorithm: 'HS256', keyid: 'k1' })
+      .split('.').slice(0, 2).join('.');
+    const signature = crypto.createHmac('sha256', publicPem(publicKey)).update(forged).digest('base64url');
+
+    assert.equal(verifyWithKeyset(keyset, `${forged}.${signature}`), null);
+  });
+
+  test('support ES256 and reject keys of the wrong type', () => {
+    const ec = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    const keyset = createAsymmetricKeyset('ES256', keyDir('ec', { 'ec1.pem': pem(ec.privateKey) }));
+    assert.equal(verifyWithKeyset(keyset, signWithKeyset(keyset, { userId: 'u1' })).userId, 'u1');
+    assert.equal(toJwks(keyset).keys[0].crv, 'P-256');
+
+    const rsaDir = keyDir('wrong-type', { 'r1.pem': pem(rsa().privateKey) });
+    assert.throws(() => createAsymmetricKeyset('ES256', rsaDir), /cannot be used with ES256/);
+    assert.throws(() => createAsymmetricKeyset('PS256', rsaDir), /Unsupported JWT algorithm/);
+    assert.throws(() => createAsymmetricKeyset('RS256', path.join(dir, 'missing')), /JWT_KEYS_DIR/);
+    assert.throws(() => createAsymmetricKeyset('RS256', keyDir('empty', {})), /No private JWT key found/);
+  });
+});
+
+describe('GET /.well-known/jwks.json', () => {
+  test('is empty and cacheable while access tokens use HS256', async () => {
+    const res = await request(app).get('/.well-known/jwks.json');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { keys: [] });
+    assert.equal(res.headers['cache-control'], 'public, max-age=300');
+  });
+});
+
+describe('secrets in production', () => {
+  // Loads the JWT config in a fresh process, since secrets are read once at startup
+  const loadJwtConfig = (env) => spawnSync(process.execPath, ['-e', "require('./src/config/jwt')"], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, NODE_ENV: 'production', ...env },
+    encoding: 'utf8',
+    timeout: 30000
+  });
+
+  test('start with long random secrets', () => {
+    assert.equal(loadJwtConfig({}).status, 0);
+  });
+
+  test('refuse short, development or missing secrets', () => {
+    const short = loadJwtConfig({ JWT_ACCESS_SECRET: 'too-short' });
+    assert.notEqual(short.status, 0);
+    assert.match(short.stderr, /JWT_ACCESS_SECRET must be set to a random value of at least 32 characters in production/);
+
+    const dev = loadJwtConfig({ JWT_REFRESH_SECRET: 'fallback_refresh_secret_key_very_secure' });
+    assert.match(dev.stderr, /JWT_REFRESH_SECRET must be set/);
+
+    const missing = loadJwtConfig({ JWT_ACCESS_SECRET: '' });
+    assert.match(missing.stderr, /JWT_ACCESS_SECRET must be set/);
+  });
+});
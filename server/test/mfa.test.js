@@ -0,0 +1,200 @@
+const { memoryModel, authHeader } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const totp = require('../src/utils/totp');
+const rateLimit = require('../src/middleware/rateLimit');
+
+afterEach(() => mock.restoreAll());
+
+describe('totp', () => {
+  // RFC 6238 appendix B: the ASCII secret "12345678901234567890"
+  const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('matches the RFC 6238 test vectors', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totp.generateCode(RFC_SECRET, Math.floor(59 / 30)), '287082');
+    assert.equal(totp.generateCode(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+    assert.equal(totp.generateCode(RFC_SECRET, Math.floor(2000000000 / 30)), '279037');
+  });
+
+  test('decodes what it encodes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 255, 7, 64]);
+    assert.deepEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+    assert.throws(() => totp.base32Decode('not base32!'), /Invalid base32/);
+  });
+
+  test('accepts codes one step either side of now', () => {
+    const secret = totp.generateSecret();
+    const now = Date.now();
+    const step = Math.floor(now / 30000);
+
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step), now), step);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step - 1), now), step - 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step + 1), now), step + 1);
+    assert.equal(totp.verifyCode(secret, totp.generateCode(secret, step + 2), now), null);
+    assert.equal(totp.verifyCode(secret, '', now), null);
+  });
+
+  test('encrypts secrets so they cannot be read or altered', () => {
+    const secret = totp.generateSecret();
+    const stored = totp.encryptSecret(secret);
+
+    assert.ok(!stored.includes(secret));
+    assert.notEqual(totp.encryptSecret(secret), stored);
+    assert.equal(totp.decryptSecret(stored), secret);
+
+    const [iv, tag, ciphertext] = stored.split(':');
+    const altered = `${iv}:${tag}:${ciphertext.slice(0, -2)}${ciphertext.endsWith('00') ? '11' : '00'}`;
+    assert.throws(() => totp.decryptSecret(altered));
+  });
+});
+
+describe('two-factor authentication', () => {
+  let users;
+  let userId;
+  let auth;
+
+  // Each step's code works once, so every use takes the next step's code
+  let nextStep;
+  const nextCode = (secret) => totp.generateCode(secret, nextStep++);
+
+  const enroll = async () => {
+    const setup = await request(app).post('/api/users/me/mfa/setup').set(auth);
+    assert.equal(setup.status, 200);
+    const { secret } = setup.body.data;
+    const enabled = await request(app).post('/api/users/me/mfa/enable').set(auth).send({ code: nextCode(secret) });
+    assert.equal(enabled.status, 200);
+    return { secret, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  const login = async () => {
+    const res = await request(app).post('/api/users/login').send({ email: 'asha@example.com', password: 'secret123' });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  const verify = (mfaToken, code) => request(app).post('/api/auth/mfa/verify').send({ mfaToken, code });
+
+  beforeEach(() => {
+    rateLimit.setStore(rateLimit.createMemoryStore());
+    // The clock stands still, so a test never runs into the next time step
+    const now = Date.now();
+    mock.method(Date, 'now', () => now);
+    nextStep = Math.floor(now / 30000) - 1;
+    const user = new User({
+      name: 'Asha',
+      email: 'asha@example.com',
+      phone: '9876543210',
+      password: bcrypt.hashSync('secret123', 4),
+      identities: [{ type: 'password' }]
+    });
+    userId = user._id;
+    auth = authHeader({ userId: String(userId), sid: 'session-1' });
+    users = memoryModel(User, [user]);
+  });
+
+  test('enrolls with a code from the app and returns recovery codes once', async () => {
+    const setup = await request(app).post('/api/users/me/mfa/setup').set(auth);
+    const { secret, otpauthUri } = setup.body.data;
+    assert.match(otpauthUri, /^otpauth:\/\/totp\/E-Shop%3Aasha%40example.com\?secret=/);
+    assert.equal(users.get(userId).mfa.enabled, false);
+    assert.ok(!users.get(userId).mfa.pendingSecret.includes(secret));
+
+    const wrong = await request(app).post('/api/users/me/mfa/enable').set(auth).send({ code: '000000' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'MFA_CODE_INVALID');
+
+    const res = await request(app).post('/api/users/me/mfa/enable').set(auth).send({ code: nextCode(secret) });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.recoveryCodes.length, 10);
+    assert.equal(jwt.decode(res.body.data.accessToken).mfa, true);
+    assert.equal(users.get(userId).mfa.enabled, true);
+
+    const status = await request(app).get('/api/users/me/mfa').set(auth);
+    assert.deepEqual(status.body.data, { enabled: true, required: false, recoveryCodesRemaining: 10 });
+  });
+
+  test('needs setup before enabling, and cannot enroll twice', async () => {
+    const early = await request(app).post('/api/users/me/mfa/enable').set(auth).send({ code: '123456' });
+    assert.equal(early.status, 400);
+
+    await enroll();
+    assert.equal((await request(app).post('/api/users/me/mfa/setup').set(auth)).status, 409);
+  });
+
+  test('asks for a code after the password, then starts a two-factor session', async () => {
+    const { secret } = await enroll();
+
+    const challenge = await login();
+    assert.equal(challenge.mfaRequired, true);
+    assert.equal(challenge.accessToken, undefined);
+
+    const res = await verify(challenge.mfaToken, nextCode(secret));
+    assert.equal(res.status, 200);
+    assert.equal(jwt.decode(res.body.data.accessToken).mfa, true);
+  });
+
+  test('does not accept a code twice', async () => {
+    const { secret } = await enroll();
+    const code = nextCode(secret);
+
+    assert.equal((await verify((await login()).mfaToken, code)).status, 200);
+    const replay = await verify((await login()).mfaToken, code);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.code, 'MFA_CODE_INVALID');
+  });
+
+  test('accepts each recovery code once', async () => {
+    const { recoveryCodes } = await enroll();
+
+    const res = await verify((await login()).mfaToken, recoveryCodes[0].toUpperCase());
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.recoveryCodesRemaining, 9);
+
+    assert.equal((await verify((await login()).mfaToken, recoveryCodes[0])).status, 401);
+  });
+
+  test('keeps the challenge token out of other uses', async () => {
+    await enroll();
+    const { mfaToken } = await login();
+
+    const asAccess = await request(app).get('/api/users/me').set('Authorization', `Bearer ${mfaToken}`);
+    assert.equal(asAccess.status, 401);
+
+    const asRefresh = await request(app).post('/api/users/refresh-token').send({ refreshToken: mfaToken });
+    assert.equal(asRefresh.status, 401);
+
+    const forged = jwt.sign({ userId, typ: 'mfa' }, 'wrong_secret');
+    assert.equal((await verify(forged, '123456')).body.code, 'MFA_TOKEN_INVALID');
+  });
+
+  test('replaces recovery codes when confirmed with a code', async () => {
+    const { secret, recoveryCodes } = await enroll();
+
+    const res = await request(app).post('/api/users/me/mfa/recovery-codes').set(auth).send({ code: nextCode(secret) });
+    assert.equal(res.status, 200);
+    assert.notDeepEqual(res.body.data.recoveryCodes, recoveryCodes);
+
+    assert.equal((await verify((await login()).mfaToken, recoveryCodes[1])).status, 401);
+    assert.equal((await verify((await login()).mfaToken, res.body.data.recoveryCodes[1])).status, 200);
+  });
+
+  test('turns off with a valid code only', async () => {
+    const { secret } = await enroll();
+
+    const wrong = await request(app).post('/api/users/me/mfa/disable').set(auth).send({ code: '000000' });
+    assert.equal(wrong.status, 400);
+    assert.equal(users.get(userId).mfa.enabled, true);
+
+    const res = await request(app).post('/api/users/me/mfa/disable').set(auth).send({ code: nextCode(secret) });
+    assert.equal(res.status, 200);
+    assert.equal(users.get(userId).mfa.enabled, false);
+    assert.ok((await login()).accessToken);
+  });
+});
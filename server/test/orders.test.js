@@ -0,0 +1,228 @@
+const { authHeader, query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const Product = require('../src/models/Product');
+
+const userId = new mongoose.Types.ObjectId();
+const auth = authHeader({ userId: String(userId) });
+
+let products;
+let cart;
+let restored;
+let created;
+
+const product = (fields) => new Product({
+  name: 'Product',
+  description: 'A product',
+  category: new mongoose.Types.ObjectId(),
+  isActive: true,
+  ...fields
+});
+
+beforeEach(() => {
+  const laptop = product({ name: 'Laptop', price: 500, stock: 5 });
+  const shirt = product({
+    name: 'Shirt',
+    price: 20,
+    stock: 3,
+    variants: [{ sku: 'SHIRT-M', attributes: { size: 'M' }, price: 25, stock: 3 }]
+  });
+  products = new Map([laptop, shirt].map(doc => [String(doc._id), doc]));
+
+  cart = new Cart({
+    user: userId,
+    items: [
+      { product: laptop._id, quantity: 2, price: 500 },
+      { product: shirt._id, variant: shirt.variants[0]._id, quantity: 1, price: 25 }
+    ]
+  });
+  restored = null;
+  created = [];
+
+  // One cart in memory: the first take empties it
+  mock.method(Cart, 'takeItems', async () => {
+    if (cart.items.length === 0) return null;
+    const taken = new Cart(cart.toObject());
+    cart.items = [];
+    return taken;
+  });
+  mock.method(Cart.prototype, 'populate', async function() {
+    for (const item of this.items) {
+      item.product = products.get(String(item.product));
+    }
+    return this;
+  });
+  mock.method(Cart, 'restoreItems', async (owner, items) => {
+    restored = items;
+  });
+
+  mock.method(Product, 'findById', (id) => query(products.get(String(id)) || null));
+  mock.method(Product, 'decrementStock', (id, quantity) => {
+    const doc = products.get(String(id));
+    if (doc.stock < quantity) return query(null);
+    doc.stock -= quantity;
+    return query(doc);
+  });
+  mock.method(Product, 'incrementStock', (id, quantity) => {
+    products.get(String(id)).stock += quantity;
+    return query(null);
+  });
+
+  mock.method(Order, 'create', async (doc) => {
+    const order = new Order(doc);
+    created.push(order);
+    return order;
+  });
+});
+
+afterEach(() => mock.restoreAll());
+
+const checkout = () => request(app).post('/api/orders/checkout').set(auth);
+
+describe('POST /api/orders/checkout', () => {
+  test('turns the cart into an order with price snapshots', async () => {
+    const res = await checkout();
+    assert.equal(res.status, 201);
+
+    const { order } = res.body.data;
+    assert.equal(order.status, 'pending');
+    assert.equal(order.totalQuantity, 3);
+    assert.equal(order.totalPrice, 1025);
+    assert.deepEqual(order.items.map(item => [item.name, item.price, item.subtotal]), [['Laptop', 500, 1000], ['Shirt', 25, 25]]);
+    assert.equal(order.items[1].sku, 'SHIRT-M');
+    assert.equal(cart.items.length, 0);
+    assert.equal(restored, null);
+  });
+
+  test('places one order for a double-submitted checkout', async () => {
+    const results = await Promise.all([checkout(), checkout()]);
+    assert.deepEqual(results.map(res => res.status).sort(), [201, 400]);
+    assert.equal(created.length, 1);
+    assert.equal([...products.values()][0].stock, 3);
+  });
+
+  test('refuses an empty cart', async () => {
+    cart.items = [];
+    const res = await checkout();
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Cart is empty');
+  });
+
+  test('gives back stock and cart items when stock runs out', async () => {
+    const [laptop, shirt] = products.values();
+    shirt.stock = 0;
+
+    const res = await checkout();
+    assert.equal(res.status, 409);
+    assert.equal(res.body.message, 'Insufficient stock for Shirt');
+    assert.equal(laptop.stock, 5);
+    assert.equal(restored.length, 2);
+    assert.equal(created.length, 0);
+  });
+
+  test('gives back the cart items when a product is no longer sold', async () => {
+    [...products.values()][0].isActive = false;
+    const res = await checkout();
+    assert.equal(res.status, 400);
+    assert.equal(restored.length, 2);
+  });
+
+  test('gives back stock and cart items when the order cannot be saved', async () => {
+    mock.method(Order, 'create', async () => {
+      throw new Error('write failed');
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = await checkout();
+    assert.equal(res.status, 500);
+    assert.deepEqual([...products.values()].map(doc => doc.stock), [5, 3]);
+    assert.equal(restored.length, 2);
+  });
+});
+
+describe('order status changes', () => {
+  let order;
+
+  beforeEach(() => {
+    const laptop = [...products.values()][0];
+    order = new Order({
+      orderNumber: 'ORD-20260101-ABCDEF',
+      user: userId,
+      items: [{ product: laptop._id, name: 'Laptop', price: 500, quantity: 2, subtotal: 1000 }],
+      totalQuantity: 2,
+      totalPrice: 1000
+    });
+    mock.method(Order, 'findById', () => query(order));
+    mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+      if (filter.status !== order.status) return query(null);
+      return query({ ...order.toObject(), status: update.$set.status });
+    });
+  });
+
+  test('cancelling a pending order returns its stock', async () => {
+    const res = await request(app).post(`/api/orders/${order._id}/cancel`).set(auth);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.order.status, 'cancelled');
+    assert.equal([...products.values()][0].stock, 7);
+  });
+
+  test('a cancel that loses a race returns no stock', async () => {
+    mock.method(Order, 'findOneAndUpdate', () => query(null));
+    const res = await request(app).post(`/api/orders/${order._id}/cancel`).set(auth);
+    assert.equal(res.status, 409);
+    assert.equal([...products.values()][0].stock, 5);
+  });
+
+  test('only pending orders can be cancelled by their owner', async () => {
+    order.status = 'shipped';
+    const res = await request(app).post(`/api/orders/${order._id}/cancel`).set(auth);
+    assert.equal(res.status, 400);
+  });
+
+  test('other customers cannot see or cancel the order', async () => {
+    const other = authHeader();
+    assert.equal((await request(app).get(`/api/orders/${order._id}`).set(other)).status, 404);
+    assert.equal((await request(app).post(`/api/orders/${order._id}/cancel`).set(other)).status, 404);
+  });
+
+  test('staff move orders along the lifecycle only', async () => {
+    const staff = authHeader({ role: 'staff', mfa: true });
+    let res = await request(app).patch(`/api/orders/${order._id}/status`).set(staff).send({ status: 'shipped' });
+    assert.equal(res.status, 400);
+
+    order.status = 'paid';
+    res = await request(app).patch(`/api/orders/${order._id}/status`).set(staff).send({ status: 'cancelled' });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /refunded/);
+
+    res = await request(app).patch(`/api/orders/${order._id}/status`).set(staff).send({ status: 'shipped' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.order.status, 'shipped');
+  });
+
+  test('customers cannot change the status', async () => {
+    const res = await request(app).patch(`/api/orders/${order._id}/status`).set(auth).send({ status: 'shipped' });
+    assert.equal(res.status, 403);
+  });
+});
+
+test('restoring cart items keeps what was added meanwhile', async () => {
+  mock.restoreAll();
+  const [laptop, shirt] = products.values();
+  const current = new Cart({ user: userId, items: [{ product: laptop._id, quantity: 1, price: 500 }] });
+  mock.method(Cart, 'findOrCreate', async () => current);
+  mock.method(Cart.prototype, 'save', async function() { return this; });
+
+  await Cart.restoreItems(userId, [
+    { product: laptop._id, variant: null, quantity: 2, price: 500 },
+    { product: shirt._id, variant: shirt.variants[0]._id, quantity: 1, price: 25 }
+  ]);
+  assert.deepEqual(current.items.map(item => item.quantity), [3, 1]);
+  assert.equal(current.totalPrice, 1525);
+});
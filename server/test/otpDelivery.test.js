@@ -0,0 +1,101 @@
+const { query, lastOtp } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const request = require('supertest');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const otpStore = require('../src/utils/otp.store');
+const { getChannel } = require('../src/utils/messaging');
+const { createOutboxAdapter } = require('../src/utils/messaging/outbox.adapter');
+const { detectChannel, deliverOtp } = require('../src/utils/otp.delivery');
+
+beforeEach(() => {
+  otpStore.setBackend(otpStore.createMemoryBackend());
+  getChannel('sms').clear();
+  getChannel('email').clear();
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('deliverOtp', () => {
+  test('picks the channel from the destination', () => {
+    assert.equal(detectChannel('9876543210'), 'sms');
+    assert.equal(detectChannel('a@example.com'), 'email');
+    assert.equal(detectChannel('98765'), null);
+    assert.equal(detectChannel(undefined), null);
+  });
+
+  test('sends the code with the OTP lifetime', async () => {
+    const { channel } = await deliverOtp('a@example.com', '123456');
+    assert.equal(channel, 'email');
+
+    const [message] = getChannel('email').inbox('a@example.com');
+    assert.equal(message.subject, 'Your E-Shop verification code');
+    assert.match(message.text, new RegExp(`123456. It expires in ${otpStore.config.ttlMs / 60000} minutes`));
+  });
+
+  test('rejects destinations that are neither phone nor email', async () => {
+    await assert.rejects(deliverOtp('not-a-destination', '123456'), /10-digit phone number or an email/);
+  });
+});
+
+describe('outbox adapter', () => {
+  test('keeps only the latest messages', async () => {
+    const outbox = createOutboxAdapter({ channel: 'sms', limit: 2 });
+    for (const text of ['one', 'two', 'three']) {
+      await outbox.send({ to: '9876543210', text });
+    }
+    assert.deepEqual(outbox.inbox('9876543210').map(message => message.text), ['two', 'three']);
+  });
+
+  test('cannot be used in production', () => {
+    const result = spawnSync(process.execPath, ['-e', "require('./src/utils/messaging')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, NODE_ENV: 'production', SMS_ADAPTER: 'twilio', EMAIL_ADAPTER: 'outbox' },
+      encoding: 'utf8'
+    });
+    assert.notEqual(result.status, 0);
+    assert.match(result.stderr, /outbox messaging adapter is for development only/);
+  });
+});
+
+describe('POST /api/auth/send-otp', () => {
+  const sendOtp = (body) => request(app).post('/api/auth/send-otp').send(body);
+
+  test('sends a code to a phone', async () => {
+    const res = await sendOtp({ phone: '9876543210' });
+    assert.equal(res.status, 200);
+    assert.ok(lastOtp('9876543210'));
+  });
+
+  test('answers the same for known and unknown emails', async () => {
+    const known = new User({ name: 'Known', email: 'known@example.com', identities: [{ type: 'email' }] });
+    mock.method(User, 'findByIdentity', (type, value) => query(value === known.email ? known : null));
+
+    const first = await sendOtp({ email: 'known@example.com' });
+    const second = await sendOtp({ email: 'unknown@example.com' });
+    assert.equal(first.status, second.status);
+    assert.deepEqual(first.body, second.body);
+
+    assert.ok(lastOtp('known@example.com'));
+    assert.equal(lastOtp('unknown@example.com'), null);
+  });
+
+  test('applies the resend cooldown to unknown emails too', async () => {
+    mock.method(User, 'findByIdentity', () => query(null));
+
+    await sendOtp({ email: 'unknown@example.com' });
+    const res = await sendOtp({ email: 'unknown@example.com' });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'OTP_RESEND_COOLDOWN');
+  });
+
+  test('requires a phone or an email', async () => {
+    const res = await sendOtp({});
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+});
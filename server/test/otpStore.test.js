@@ -0,0 +1,149 @@
+const { memoryModel, lastOtp } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const otpStore = require('../src/utils/otp.store');
+const rateLimit = require('../src/middleware/rateLimit');
+
+const { saveOtp, verifyOtp, config } = otpStore;
+const PHONE = '9876543210';
+
+let backend;
+let now;
+
+beforeEach(() => {
+  backend = otpStore.createMemoryBackend();
+  otpStore.setBackend(backend);
+  now = Date.now();
+  mock.method(Date, 'now', () => now);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('saveOtp and verifyOtp', () => {
+  test('accepts the right code once', async () => {
+    assert.equal((await saveOtp(PHONE, '123456')).ok, true);
+
+    assert.deepEqual(await verifyOtp(PHONE, '123456'), { ok: true });
+    assert.equal((await verifyOtp(PHONE, '123456')).code, 'OTP_NOT_FOUND');
+  });
+
+  test('stores a hash bound to the destination, not the code', async () => {
+    await saveOtp(PHONE, '123456');
+
+    const record = await backend.get(PHONE);
+    assert.ok(!JSON.stringify(record).includes('123456'));
+    assert.equal((await verifyOtp('9876543211', '123456')).code, 'OTP_NOT_FOUND');
+  });
+
+  test('counts wrong guesses and clears the code when they run out', async () => {
+    await saveOtp(PHONE, '123456');
+
+    for (let remaining = config.maxAttempts - 1; remaining >= 0; remaining--) {
+      const result = await verifyOtp(PHONE, '000000');
+      assert.equal(result.code, 'OTP_INVALID');
+      assert.equal(result.attemptsRemaining, remaining);
+    }
+
+    assert.equal((await verifyOtp(PHONE, '123456')).code, 'OTP_NOT_FOUND');
+  });
+
+  test('stops parallel guesses at the attempt limit', async () => {
+    await saveOtp(PHONE, '123456');
+
+    const guesses = ['000000', '000001', '000002', '000003', '000004', '000005', '123456'];
+    const results = await Promise.all(guesses.map(code => verifyOtp(PHONE, code)));
+
+    assert.ok(results.every(result => !result.ok));
+  });
+
+  test('expires codes', async () => {
+    await saveOtp(PHONE, '123456');
+    now += config.ttlMs + 1000;
+
+    assert.equal((await verifyOtp(PHONE, '123456')).code, 'OTP_EXPIRED');
+    assert.equal((await verifyOtp(PHONE, '123456')).code, 'OTP_NOT_FOUND');
+  });
+
+  test('makes resends wait for the cooldown', async () => {
+    await saveOtp(PHONE, '123456');
+
+    const early = await saveOtp(PHONE, '654321');
+    assert.equal(early.code, 'OTP_RESEND_COOLDOWN');
+    assert.equal(early.retryAfter, config.resendCooldownMs / 1000);
+    // The first code still works
+    assert.equal((await verifyOtp(PHONE, '123456')).ok, true);
+
+    now += config.resendCooldownMs;
+    assert.equal((await saveOtp(PHONE, '654321')).ok, true);
+  });
+
+  test('lets only one of several parallel sends through', async () => {
+    const results = await Promise.all(['111111', '222222', '333333'].map(code => saveOtp(PHONE, code)));
+
+    assert.equal(results.filter(result => result.ok).length, 1);
+    assert.ok(results.filter(result => !result.ok).every(result => result.code === 'OTP_RESEND_COOLDOWN'));
+  });
+
+  test('caps sends per day, counted from the first send', async () => {
+    const first = now;
+    for (let sent = 0; sent < config.dailyCap; sent++) {
+      assert.equal((await saveOtp(PHONE, '123456')).ok, true);
+      now += config.resendCooldownMs;
+    }
+
+    const capped = await saveOtp(PHONE, '123456');
+    assert.equal(capped.code, 'OTP_DAILY_LIMIT');
+    assert.equal(capped.retryAfter, Math.ceil((first + 24 * 60 * 60 * 1000 - now) / 1000));
+
+    now = first + 24 * 60 * 60 * 1000;
+    assert.equal((await saveOtp(PHONE, '123456')).ok, true);
+  });
+});
+
+describe('POST /api/auth/verify-otp', () => {
+  beforeEach(() => {
+    rateLimit.setStore(rateLimit.createMemoryStore());
+  });
+
+  test('creates an account on the first phone login', async () => {
+    const users = memoryModel(User);
+    await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+
+    const res = await request(app).post('/api/auth/verify-otp').send({ phone: PHONE, otp: lastOtp(PHONE) });
+
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.accessToken);
+    assert.equal(users.all().length, 1);
+    assert.equal(users.all()[0].phone, PHONE);
+  });
+
+  test('reports wrong codes and used-up attempts', async () => {
+    memoryModel(User);
+    await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+
+    const wrong = await request(app).post('/api/auth/verify-otp').send({ phone: PHONE, otp: '000000' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'OTP_INVALID');
+    assert.equal(wrong.body.attemptsRemaining, config.maxAttempts - 1);
+
+    for (let attempt = 1; attempt < config.maxAttempts; attempt++) {
+      await request(app).post('/api/auth/verify-otp').send({ phone: PHONE, otp: '000000' });
+    }
+    const used = await request(app).post('/api/auth/verify-otp').send({ phone: PHONE, otp: '000000' });
+    assert.equal(used.body.code, 'OTP_NOT_FOUND');
+  });
+
+  test('answers a resend during the cooldown with 429 and Retry-After', async () => {
+    await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+
+    const res = await request(app).post('/api/auth/send-otp').send({ phone: PHONE });
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'OTP_RESEND_COOLDOWN');
+    assert.equal(res.headers['retry-after'], String(config.resendCooldownMs / 1000));
+  });
+});
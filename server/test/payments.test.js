@@ -0,0 +1,281 @@
+const { authHeader, query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const Product = require('../src/models/Product');
+const { getPaymentProvider } = require('../src/utils/payments');
+const { createMockProvider } = require('../src/utils/payments/mock.provider');
+
+const provider = getPaymentProvider();
+const userId = new mongoose.Types.ObjectId();
+const auth = authHeader({ userId: String(userId) });
+
+let order;
+let payments;
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+/**
+ * Create a payment for the order with a real intent at the mock provider
+ * @returns {Promise<object>} Payment document
+ */
+const createPayment = async () => {
+  const intent = await provider.createIntent({ amount: order.totalPrice, currency: 'INR' });
+  const payment = new Payment({ order: order._id, user: userId, provider: 'mock', intentId: intent.id, amount: intent.amount });
+  payments.set(String(payment._id), payment);
+  return payment;
+};
+
+beforeEach(() => {
+  order = new Order({
+    orderNumber: 'ORD-20260101-ABCDEF',
+    user: userId,
+    items: [{ product: new mongoose.Types.ObjectId(), name: 'Laptop', price: 500, quantity: 2, subtotal: 1000 }],
+    totalQuantity: 2,
+    totalPrice: 1000
+  });
+  payments = new Map();
+
+  mock.method(Order, 'findById', () => query(order));
+  // The conditional updates, applied to the one order in memory
+  mock.method(Order, 'findOneAndUpdate', (filter, update) => {
+    if (filter.status !== order.status) return query(null);
+    order.status = update.$set.status;
+    return query(order);
+  });
+  mock.method(Order, 'claimForPayment', async (orderId, paymentId) => {
+    if (order.status !== 'pending' || (order.payment && !order.payment.equals(paymentId))) return null;
+    order.payment = paymentId;
+    return order;
+  });
+  mock.method(Order, 'releasePayment', async (orderId, paymentId) => {
+    if (order.payment && order.payment.equals(paymentId)) order.payment = null;
+  });
+  mock.method(Product, 'incrementStock', () => query(null));
+
+  mock.method(Payment, 'findById', (id) => query(payments.get(String(id)) || null));
+  mock.method(Payment, 'findOne', (filter) => query([...payments.values()].find(payment => matches(payment, filter)) || null));
+  mock.method(Payment, 'exists', async (filter) => [...payments.values()].some(payment => matches(payment, filter)));
+  mock.method(Payment, 'claimEvent', async (id, eventId) => {
+    const payment = payments.get(String(id));
+    if (payment.processedEvents.includes(eventId)) return null;
+    payment.processedEvents.push(eventId);
+    return payment;
+  });
+  mock.method(Payment, 'create', async (doc) => {
+    const payment = new Payment(doc);
+    payments.set(String(payment._id), payment);
+    return payment;
+  });
+  mock.method(Payment.prototype, 'save', async function() { return this; });
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+const confirm = (payment, paymentMethod = 'mock_card_success') => request(app)
+  .post(`/api/payments/${payment._id}/confirm`)
+  .set(auth)
+  .send({ paymentMethod });
+
+describe('POST /api/orders/:id/pay', () => {
+  test('creates an intent for a pending order', async () => {
+    const res = await request(app).post(`/api/orders/${order._id}/pay`).set(auth);
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.payment.amount, 1000);
+    assert.equal(res.body.data.payment.status, 'requires_confirmation');
+    assert.ok(res.body.data.clientSecret);
+  });
+
+  test('hides orders of other users', async () => {
+    const res = await request(app).post(`/api/orders/${order._id}/pay`).set(authHeader());
+    assert.equal(res.status, 404);
+  });
+
+  test('refuses orders that are not pending or already paid', async () => {
+    order.status = 'cancelled';
+    let res = await request(app).post(`/api/orders/${order._id}/pay`).set(auth);
+    assert.equal(res.status, 400);
+
+    order.status = 'pending';
+    (await createPayment()).status = 'succeeded';
+    res = await request(app).post(`/api/orders/${order._id}/pay`).set(auth);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Order has already been paid');
+  });
+});
+
+describe('POST /api/payments/:id/confirm', () => {
+  test('charges the payment and marks the order paid', async () => {
+    const payment = await createPayment();
+    const res = await confirm(payment);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.payment.status, 'succeeded');
+    assert.equal(order.status, 'paid');
+    assert.ok(order.payment.equals(payment._id));
+  });
+
+  test('lets only one of two parallel confirmations charge the order', async () => {
+    const first = await createPayment();
+    const second = await createPayment();
+    const confirmIntent = mock.method(provider, 'confirmIntent');
+
+    // Hold the claims until both requests have passed the status checks
+    const claim = Order.claimForPayment;
+    let release;
+    let waiting = 0;
+    const bothChecked = new Promise(resolve => { release = resolve; });
+    mock.method(Order, 'claimForPayment', async (...args) => {
+      if (++waiting === 2) release();
+      await bothChecked;
+      return claim(...args);
+    });
+
+    const results = await Promise.all([confirm(first), confirm(second)]);
+    assert.deepEqual(results.map(res => res.status).sort(), [200, 409]);
+    assert.equal(confirmIntent.mock.callCount(), 1);
+    assert.equal(order.status, 'paid');
+  });
+
+  test('frees the order for another payment after a decline', async () => {
+    const declined = await createPayment();
+    const res = await confirm(declined, 'mock_card_declined');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.data.payment.status, 'failed');
+    assert.equal(order.payment, null);
+
+    const retry = await confirm(await createPayment());
+    assert.equal(retry.status, 200);
+    assert.equal(order.status, 'paid');
+  });
+
+  test('does not charge a cancelled order', async () => {
+    const payment = await createPayment();
+    order.status = 'cancelled';
+    const res = await confirm(payment);
+    assert.equal(res.status, 400);
+    assert.equal(payment.status, 'requires_confirmation');
+  });
+});
+
+describe('POST /api/payments/webhook/:provider', () => {
+  const sendEvent = (event, signer = provider) => {
+    const { body, headers } = signer.signEvent(event);
+    return request(app).post('/api/payments/webhook/mock').set(headers).send(body);
+  };
+
+  const succeededEvent = async (payment) => {
+    const { event } = await provider.confirmIntent(payment.intentId);
+    return event;
+  };
+
+  test('applies a signed event once', async () => {
+    const payment = await createPayment();
+    const event = await succeededEvent(payment);
+
+    const first = await sendEvent(event);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.message, 'Event processed');
+    assert.equal(order.status, 'paid');
+
+    const repeat = await sendEvent(event);
+    assert.equal(repeat.body.message, 'Event already processed');
+  });
+
+  test('rejects events signed with another secret', async () => {
+    const payment = await createPayment();
+    const forger = createMockProvider({ webhookSecret: 'not_the_configured_secret' });
+    const res = await sendEvent(await succeededEvent(payment), forger);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Invalid webhook signature');
+    assert.equal(order.status, 'pending');
+  });
+
+  test('rejects unsigned and expired events', async () => {
+    const payment = await createPayment();
+    const event = await succeededEvent(payment);
+
+    let res = await request(app).post('/api/payments/webhook/mock').set('content-type', 'application/json').send(JSON.stringify(event));
+    assert.equal(res.status, 400);
+
+    const { body, headers } = provider.signEvent(event, Math.floor(Date.now() / 1000) - 3600);
+    res = await request(app).post('/api/payments/webhook/mock').set(headers).send(body);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Webhook signature has expired');
+  });
+
+  test('refunds a second successful payment without touching the paid order', async () => {
+    const first = await createPayment();
+    const second = await createPayment();
+    await sendEvent(await succeededEvent(first));
+    const refund = mock.method(provider, 'refund');
+
+    await sendEvent(await succeededEvent(second));
+    assert.equal(refund.mock.callCount(), 1);
+    assert.equal(second.status, 'refunded');
+    assert.equal(order.status, 'paid');
+    assert.ok(order.payment.equals(first._id));
+
+    // The refund's own event must not cancel the order either
+    const refundEvent = await refund.mock.calls[0].result;
+    const res = await sendEvent(refundEvent.event);
+    assert.equal(res.body.message, 'Event already processed');
+    assert.equal(order.status, 'paid');
+  });
+
+  test('refunds a payment that succeeds after the order was cancelled', async () => {
+    const payment = await createPayment();
+    const event = await succeededEvent(payment);
+    order.status = 'cancelled';
+
+    await sendEvent(event);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(order.status, 'cancelled');
+  });
+
+  test('flags the payment when the automatic refund fails', async () => {
+    const first = await createPayment();
+    const second = await createPayment();
+    await sendEvent(await succeededEvent(first));
+    mock.method(provider, 'refund', async () => {
+      throw new Error('gateway unavailable');
+    });
+
+    await sendEvent(await succeededEvent(second));
+    assert.equal(second.status, 'succeeded');
+    assert.equal(second.refundDue, true);
+  });
+
+  test('answers 404 for unknown providers', async () => {
+    const res = await request(app).post('/api/payments/webhook/unknown').send({});
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('POST /api/orders/:id/refund', () => {
+  test('refunds the payment that paid the order and cancels it', async () => {
+    const payment = await createPayment();
+    await confirm(payment);
+
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set(authHeader({ role: 'staff', mfa: true }));
+    assert.equal(res.status, 200);
+    assert.equal(payment.status, 'refunded');
+    assert.equal(order.status, 'cancelled');
+    assert.equal(Product.incrementStock.mock.callCount(), 1);
+  });
+
+  test('needs a successful payment', async () => {
+    const res = await request(app)
+      .post(`/api/orders/${order._id}/refund`)
+      .set(authHeader({ role: 'staff', mfa: true }));
+    assert.equal(res.status, 400);
+  });
+});
@@ -0,0 +1,155 @@
+const { memoryModel, authHeader, query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const OtpCode = require('../src/models/OtpCode');
+const rateLimit = require('../src/middleware/rateLimit');
+const { purgeDueAccounts, config } = require('../src/utils/accountDeletion');
+const { getChannel } = require('../src/utils/messaging');
+
+const EMAIL = 'asha@example.com';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let users;
+let userId;
+let auth;
+
+const newUser = (fields = {}) => new User({
+  name: 'Asha',
+  email: EMAIL,
+  phone: '9876543210',
+  password: bcrypt.hashSync('secret123', 4),
+  identities: [{ type: 'password' }],
+  ...fields
+});
+
+beforeEach(() => {
+  rateLimit.setStore(rateLimit.createMemoryStore());
+  const user = newUser();
+  userId = user._id;
+  auth = authHeader({ userId: String(userId) });
+  users = memoryModel(User, [user]);
+});
+
+afterEach(() => mock.restoreAll());
+
+const login = () => request(app).post('/api/users/login').send({ email: EMAIL, password: 'secret123' });
+
+describe('GET /api/users/me/export', () => {
+  test('returns the profile, sessions, cart, orders and payments without secrets', async () => {
+    const { refreshToken } = (await login()).body.data;
+    mock.method(Cart, 'findOne', () => query({ items: [{ quantity: 2 }] }));
+    mock.method(Order, 'find', () => query([{ orderNumber: 'ORD-1' }]));
+    mock.method(Payment, 'find', () => query([{ amount: 10 }]));
+
+    const res = await request(app).get('/api/users/me/export').set(auth);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.headers['content-disposition'], `attachment; filename="eshop-data-${userId}.json"`);
+    const archive = res.body.data;
+    assert.equal(archive.profile.email, EMAIL);
+    assert.equal(archive.sessions.length, 1);
+    assert.deepEqual(archive.cart, { items: [{ quantity: 2 }] });
+    assert.equal(archive.orders[0].orderNumber, 'ORD-1');
+    assert.equal(archive.payments[0].amount, 10);
+    assert.ok(archive.omitted.some(item => item.category === 'credentials'));
+
+    const text = JSON.stringify(archive);
+    assert.ok(!text.includes(users.get(userId).password));
+    assert.ok(!text.includes('tokenHash'));
+    assert.ok(!text.includes(refreshToken));
+  });
+});
+
+describe('account deletion', () => {
+  test('schedules deletion after the grace period and logs out everywhere', async () => {
+    const { refreshToken } = (await login()).body.data;
+
+    const res = await request(app).delete('/api/users/me').set(auth).send({ password: 'secret123' });
+
+    assert.equal(res.status, 200);
+    const scheduledFor = new Date(res.body.data.scheduledFor).getTime();
+    assert.ok(Math.abs(scheduledFor - (Date.now() + config.graceMs)) < 5000);
+    assert.equal(users.get(userId).deletion.scheduledFor.getTime(), scheduledFor);
+    assert.equal((await request(app).post('/api/users/refresh-token').send({ refreshToken })).status, 401);
+
+    await new Promise(resolve => setImmediate(resolve));
+    assert.match(getChannel('email').inbox(EMAIL).at(-1).subject, /will be deleted/);
+  });
+
+  test('requires the password and a single request', async () => {
+    const wrong = await request(app).delete('/api/users/me').set(auth).send({ password: 'nope' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, 'INVALID_PASSWORD');
+    assert.equal(users.get(userId).deletion.scheduledFor, null);
+
+    await request(app).delete('/api/users/me').set(auth).send({ password: 'secret123' });
+    const again = await request(app).delete('/api/users/me').set(auth).send({ password: 'secret123' });
+    assert.equal(again.status, 409);
+  });
+
+  test('can be cancelled during the grace period', async () => {
+    await request(app).delete('/api/users/me').set(auth).send({ password: 'secret123' });
+    assert.equal((await login()).status, 200);
+
+    const res = await request(app).post('/api/users/me/deletion/cancel').set(auth);
+    assert.equal(res.status, 200);
+    assert.equal(users.get(userId).deletion.scheduledFor, null);
+
+    const nothing = await request(app).post('/api/users/me/deletion/cancel').set(auth);
+    assert.equal(nothing.status, 400);
+  });
+});
+
+describe('purgeDueAccounts', () => {
+  test('anonymizes accounts past their grace period and removes their data', async () => {
+    const due = newUser({ email: 'due@example.com', phone: '9876543211', deletion: { requestedAt: new Date(Date.now() - 20 * DAY_MS), scheduledFor: new Date(Date.now() - DAY_MS) } });
+    const waiting = newUser({ email: 'waiting@example.com', phone: '9876543212', deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + DAY_MS) } });
+    users = memoryModel(User, [due, waiting]);
+    const pendingOrder = { transitionTo: mock.fn(async () => true) };
+    const deleteCart = mock.method(Cart, 'deleteOne', () => query({ deletedCount: 1 }));
+    const findOrders = mock.method(Order, 'find', () => query([pendingOrder]));
+    const deleteOtps = mock.method(OtpCode, 'deleteMany', () => query({ deletedCount: 2 }));
+
+    assert.equal(await purgeDueAccounts(), 1);
+
+    const purged = users.get(due._id);
+    assert.equal(purged.email, '');
+    assert.equal(purged.name, '');
+    assert.equal(purged.phone, `deleted:${due._id}`);
+    assert.equal(purged.password, '');
+    assert.deepEqual(purged.identities, []);
+    assert.ok(purged.deletedAt);
+    assert.equal(users.get(waiting._id).email, 'waiting@example.com');
+
+    assert.deepEqual(deleteCart.mock.calls[0].arguments[0], { user: due._id });
+    assert.deepEqual(findOrders.mock.calls[0].arguments[0], { user: due._id, status: 'pending' });
+    assert.deepEqual(pendingOrder.transitionTo.mock.calls[0].arguments, ['cancelled']);
+    assert.deepEqual(deleteOtps.mock.calls[0].arguments[0].$or[0], { key: { $in: ['9876543211', 'due@example.com'] } });
+  });
+
+  test('keeps going when one account fails', async () => {
+    const past = { requestedAt: new Date(Date.now() - 20 * DAY_MS), scheduledFor: new Date(Date.now() - DAY_MS) };
+    const first = newUser({ email: 'first@example.com', phone: '9876543211', deletion: past });
+    const second = newUser({ email: 'second@example.com', phone: '9876543212', deletion: past });
+    users = memoryModel(User, [first, second]);
+    mock.method(console, 'error', () => {});
+    mock.method(Cart, 'deleteOne', (filter) => {
+      if (String(filter.user) === String(first._id)) throw new Error('database down');
+      return query({ deletedCount: 1 });
+    });
+    mock.method(Order, 'find', () => query([]));
+    mock.method(OtpCode, 'deleteMany', () => query({ deletedCount: 0 }));
+
+    assert.equal(await purgeDueAccounts(), 1);
+    assert.equal(users.get(first._id).email, 'first@example.com');
+    assert.equal(users.get(second._id).email, '');
+  });
+});
@@ -0,0 +1,212 @@
+const { memoryModel, authHeader } = require('./helpers');
+const { test, describe, beforeEach, afterEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const app = require('../src/app');
+const Product = require('../src/models/Product');
+const productImages = require('../src/utils/productImages');
+const { config: storageConfig } = require('../src/utils/storage');
+
+const uploadDir = storageConfig.local.directory;
+
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+afterEach(() => mock.restoreAll());
+
+/**
+ * Render a plain test image
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {string} format - jpeg, png, webp or gif
+ * @param {object} options - { alpha: transparent background, orientation: EXIF orientation }
+ * @returns {Promise<Buffer>} Encoded image
+ */
+const makeImage = (width, height, format = 'jpeg', { alpha = false, orientation } = {}) => {
+  const background = alpha ? { r: 0, g: 0, b: 255, alpha: 0.5 } : { r: 200, g: 30, b: 30 };
+  let image = sharp({ create: { width, height, channels: alpha ? 4 : 3, background } }).toFormat(format);
+  if (orientation) image = image.withMetadata({ orientation });
+  return image.toBuffer();
+};
+
+const storedFile = (url) => path.join(uploadDir, url.replace(/^\/uploads\//, ''));
+
+const storedFiles = (productId) => fs.readdirSync(path.join(uploadDir, 'products', String(productId)), { recursive: true, withFileTypes: true })
+  .filter(entry => entry.isFile());
+
+/**
+ * Wait for files to be removed after the response, for up to a second
+ * @param {function} check - Returns true once done
+ * @returns {Promise<boolean>} Last result of check
+ */
+const eventually = async (check) => {
+  for (let i = 0; i < 100 && !check(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  return check();
+};
+
+describe('storeImage', () => {
+  const productId = new mongoose.Types.ObjectId();
+
+  test('stores every size as JPEG and WebP without enlarging', async () => {
+    const image = await productImages.storeImage(productId, await makeImage(2000, 1000));
+
+    assert.equal(image.format, 'jpeg');
+    assert.equal(image.key, `products/${productId}/${image._id}`);
+    assert.deepEqual([image.width, image.height], [2000, 1000]);
+    assert.deepEqual(image.sizes.map(size => [size.name, size.width, size.height]), [
+      ['thumb', 200, 100],
+      ['medium', 600, 300],
+      ['large', 1600, 800]
+    ]);
+    for (const size of image.sizes) {
+      assert.equal((await sharp(storedFile(size.url)).metadata()).format, 'jpeg');
+      assert.equal((await sharp(storedFile(size.webp)).metadata()).format, 'webp');
+    }
+
+    const small = await productImages.storeImage(productId, await makeImage(300, 150));
+    assert.deepEqual(small.sizes.map(size => size.width), [200, 300, 300]);
+  });
+
+  test('keeps transparency as PNG', async () => {
+    const image = await productImages.storeImage(productId, await makeImage(100, 100, 'png', { alpha: true }));
+
+    assert.equal(image.format, 'png');
+    assert.match(image.sizes[0].url, /\/thumb\.png$/);
+    assert.ok((await sharp(storedFile(image.sizes[0].url)).metadata()).hasAlpha);
+  });
+
+  test('turns sideways photos upright and drops their metadata', async () => {
+    const image = await productImages.storeImage(productId, await makeImage(400, 200, 'jpeg', { orientation: 6 }));
+
+    assert.deepEqual([image.width, image.height], [200, 400]);
+    const stored = await sharp(storedFile(image.sizes[1].url)).metadata();
+    assert.deepEqual([stored.width, stored.height], [200, 400]);
+    assert.equal(stored.orientation, undefined);
+    assert.equal(stored.exif, undefined);
+  });
+
+  test('rejects files that are not accepted images', async () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"/>');
+    const jpeg = await makeImage(600, 600);
+
+    await assert.rejects(productImages.storeImage(productId, Buffer.from('not an image')), { code: 'INVALID_IMAGE', message: 'File is not a readable image' });
+    await assert.rejects(productImages.storeImage(productId, svg), { code: 'INVALID_IMAGE', message: 'Only JPEG, PNG, WebP and GIF images are accepted' });
+    await assert.rejects(productImages.storeImage(productId, jpeg.subarray(0, jpeg.length / 2)), { code: 'INVALID_IMAGE', message: 'Image data is damaged' });
+
+    const { maxPixels } = productImages.config;
+    productImages.config.maxPixels = 5000;
+    try {
+      await assert.rejects(productImages.storeImage(productId, jpeg), { code: 'INVALID_IMAGE', message: 'Image is larger than 0.005 megapixels' });
+    } finally {
+      productImages.config.maxPixels = maxPixels;
+    }
+  });
+});
+
+describe('product image endpoints', () => {
+  const staff = authHeader({ role: 'staff', mfa: true });
+  let products;
+  let productId;
+
+  beforeEach(() => {
+    const product = new Product({ name: 'Lamp', description: 'A desk lamp', price: 40, category: new mongoose.Types.ObjectId(), stock: 3 });
+    productId = product._id;
+    products = memoryModel(Product, [product]);
+  });
+
+  const upload = async (...files) => {
+    const req = request(app).post(`/api/products/${productId}/images`).set(staff);
+    for (const [buffer, filename, contentType] of files) {
+      req.attach('images', buffer, { filename, contentType });
+    }
+    return req;
+  };
+
+  test('upload images, serve them and make the first one the cover', async () => {
+    const res = await upload([await makeImage(800, 600), 'lamp.jpg', 'image/jpeg'], [await makeImage(50, 50, 'webp'), 'side.webp', 'image/webp']);
+
+    assert.equal(res.status, 201);
+    const product = products.get(productId);
+    assert.equal(product.images.length, 2);
+    assert.equal(product.image, product.images[0].sizes[1].url);
+
+    const served = await request(app).get(product.images[0].sizes[0].webp);
+    assert.equal(served.status, 200);
+    assert.equal(served.headers['content-type'], 'image/webp');
+    assert.equal(served.headers['x-content-type-options'], 'nosniff');
+    assert.match(served.headers['cache-control'], /immutable/);
+  });
+
+  test('reject uploads that are not images, too big or of the wrong type', async () => {
+    const notMultipart = await request(app).post(`/api/products/${productId}/images`).set(staff).send({ images: [] });
+    assert.equal(notMultipart.status, 400);
+    assert.equal(notMultipart.body.errors[0].message, 'Send files as multipart/form-data');
+
+    const wrongType = await upload([Buffer.from('%PDF-1.4'), 'spec.pdf', 'application/pdf']);
+    assert.equal(wrongType.status, 400);
+    assert.match(wrongType.body.errors[0].message, /spec\.pdf: type application\/pdf is not accepted/);
+
+    const tooBig = await upload([Buffer.alloc(productImages.config.maxFileSize + 1), 'huge.jpg', 'image/jpeg']);
+    assert.equal(tooBig.status, 400);
+    assert.equal(tooBig.body.errors[0].message, 'Each file must be at most 5 MB');
+
+    const disguised = await upload([await makeImage(100, 100), 'good.jpg', 'image/jpeg'], [Buffer.from('<?php'), 'shell.jpg', 'image/jpeg']);
+    assert.equal(disguised.status, 400);
+    assert.equal(disguised.body.errors[0].message, 'shell.jpg: File is not a readable image');
+
+    assert.equal(products.get(productId).images.length, 0);
+    // Files of the good image from the refused upload are removed
+    assert.ok(await eventually(() => storedFiles(productId).length === 0));
+  });
+
+  test('limit the number of images per product', async () => {
+    const { maxImages } = productImages.config;
+    productImages.config.maxImages = 1;
+    try {
+      assert.equal((await upload([await makeImage(20, 20), 'a.jpg', 'image/jpeg'])).status, 201);
+
+      const res = await upload([await makeImage(20, 20), 'b.jpg', 'image/jpeg']);
+      assert.equal(res.status, 400);
+      assert.match(res.body.errors[0].message, /at most 1 images/);
+    } finally {
+      productImages.config.maxImages = maxImages;
+    }
+  });
+
+  test('reorder images and delete one with its files', async () => {
+    await upload([await makeImage(20, 20), 'a.jpg', 'image/jpeg'], [await makeImage(30, 30), 'b.jpg', 'image/jpeg']);
+    const [first, second] = products.get(productId).images;
+
+    const reordered = await request(app).put(`/api/products/${productId}/images/order`).set(staff).send({ imageIds: [second._id, first._id] });
+    assert.equal(reordered.status, 200);
+    assert.equal(products.get(productId).image, second.sizes[1].url);
+
+    const incomplete = await request(app).put(`/api/products/${productId}/images/order`).set(staff).send({ imageIds: [second._id] });
+    assert.equal(incomplete.status, 400);
+
+    const deleted = await request(app).delete(`/api/products/${productId}/images/${second._id}`).set(staff);
+    assert.equal(deleted.status, 200);
+    assert.deepEqual(products.get(productId).images.map(image => String(image._id)), [String(first._id)]);
+    assert.equal(products.get(productId).image, first.sizes[1].url);
+
+    assert.ok(await eventually(() => !fs.existsSync(storedFile(second.sizes[0].url))));
+    assert.ok(fs.existsSync(storedFile(first.sizes[0].url)));
+
+    const missing = await request(app).delete(`/api/products/${productId}/images/${second._id}`).set(staff);
+    assert.equal(missing.status, 404);
+  });
+
+  test('are for staff and admins only', async () => {
+    const res = await request(app)
+      .post(`/api/products/${productId}/images`)
+      .set(authHeader())
+      .attach('images', await makeImage(20, 20), { filename: 'a.jpg', contentType: 'image/jpeg' });
+
+    assert.equal(res.status, 403);
+  });
+});
@@ -0,0 +1,201 @@
+const { authHeader, query } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Readable } = require('node:stream');
+const request = require('supertest');
+
+const app = require('../src/app');
+const mongoose = require('mongoose');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const { csvRows, csvLine, guardFormula, unguardFormula, config: csvConfig } = require('../src/utils/csv');
+const { jsonRecords } = require('../src/utils/jsonRecords');
+
+const admin = () => authHeader({ role: 'admin', mfa: true });
+
+const collect = async (records) => {
+  const items = [];
+  for await (const item of records) items.push(item);
+  return items;
+};
+
+/**
+ * Cursor over plain products, as returned by Product.exportCursor
+ * @param {array} products - Products to yield
+ * @returns {object} Async iterable with close()
+ */
+const fakeCursor = (products) => ({
+  closed: false,
+  async *[Symbol.asyncIterator]() {
+    yield* products;
+  },
+  async close() {
+    this.closed = true;
+  }
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('csvRows', () => {
+  test('reads quoted fields, doubled quotes and CRLF line ends across chunks', async () => {
+    const rows = await collect(csvRows(Readable.from(['﻿sku,name\r\nA-1,"Mug, ""large""', '"\r\n\r\nA-2,"two\nlines"\n'])));
+    assert.deepEqual(rows, [['sku', 'name'], ['A-1', 'Mug, "large"'], ['A-2', 'two\nlines']]);
+  });
+
+  test('rejects a missing closing quote', async () => {
+    await assert.rejects(collect(csvRows(Readable.from(['sku\n"A-1\n']))), { code: 'INVALID_FILE', message: /missing closing quote/ });
+  });
+
+  test('rejects fields over the length limit', async () => {
+    const { maxFieldLength } = csvConfig;
+    csvConfig.maxFieldLength = 5;
+    try {
+      await assert.rejects(collect(csvRows(Readable.from(['sku\n123456\n']))), { code: 'INVALID_FILE', message: /longer than 5/ });
+      await assert.rejects(collect(csvRows(Readable.from(['sku\n"123456"\n']))), { message: /missing closing quote\?/ });
+    } finally {
+      csvConfig.maxFieldLength = maxFieldLength;
+    }
+  });
+
+  test('writes lines that read back the same', async () => {
+    const line = csvLine(['a,b', 'say "hi"', null, 3]);
+    assert.equal(line, '"a,b","say ""hi""",,3\r\n');
+    assert.deepEqual(await collect(csvRows(Readable.from([line]))), [['a,b', 'say "hi"', '', '3']]);
+  });
+
+  test('guards cells that spreadsheets would run as formulas', () => {
+    assert.equal(guardFormula('=SUM(A1)'), "'=SUM(A1)");
+    assert.equal(guardFormula('Mug'), 'Mug');
+    assert.equal(guardFormula(5), 5);
+    assert.equal(unguardFormula("'=SUM(A1)"), '=SUM(A1)');
+    assert.equal(unguardFormula("'quoted"), "'quoted");
+  });
+});
+
+describe('jsonRecords', () => {
+  test('reads a JSON array split across chunks', async () => {
+    const records = await collect(jsonRecords(Readable.from(['[{"sku":"A-1","name":"a } ["', '},\n {"sku":"A-2"}]\n'])));
+    assert.deepEqual(records, [{ sku: 'A-1', name: 'a } [' }, { sku: 'A-2' }]);
+  });
+
+  test('reads newline-delimited JSON', async () => {
+    const records = await collect(jsonRecords(Readable.from(['{"sku":"A-1"}\n\n{"sku":', '"A-2"}'])));
+    assert.deepEqual(records, [{ sku: 'A-1' }, { sku: 'A-2' }]);
+  });
+
+  test('rejects records that are not objects', async () => {
+    await assert.rejects(collect(jsonRecords(Readable.from(['[1]']))), { code: 'INVALID_FILE', message: /must be an object/ });
+    await assert.rejects(collect(jsonRecords(Readable.from(['["a"]\n']))), { code: 'INVALID_FILE' });
+  });
+
+  test('rejects an unclosed array and content after it', async () => {
+    await assert.rejects(collect(jsonRecords(Readable.from(['[{"sku":"A-1"}']))), { message: /not closed/ });
+    await assert.rejects(collect(jsonRecords(Readable.from(['[] {}']))), { message: /after the end/ });
+  });
+
+  test('rejects invalid JSON in a record', async () => {
+    await assert.rejects(collect(jsonRecords(Readable.from(['{"sku":}\n']))), { code: 'INVALID_FILE', message: /^Record 1:/ });
+  });
+});
+
+describe('POST /api/admin/products/import', () => {
+  test('dry runs report rows without saving them', async () => {
+    mock.method(Product, 'find', () => query([]));
+    const findCategory = mock.method(Category, 'findByIdOrSlug', async () => ({ _id: new mongoose.Types.ObjectId() }));
+    const save = mock.method(Product.prototype, 'save', async function() { return this; });
+
+    const res = await request(app)
+      .post('/api/admin/products/import?dryRun=true')
+      .set(admin())
+      .set('Content-Type', 'text/csv')
+      .send('sku,name,description,price,category,stock\nA-1,Mug,A large mug,12.5,kitchen,3\nA-2,Plate,A plate,-1,kitchen,3\n');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.dryRun, true);
+    assert.equal(res.body.data.rows, 2);
+    assert.equal(res.body.data.created, 1);
+    assert.equal(res.body.data.failed, 1);
+    assert.equal(res.body.data.errors[0].row, 3);
+    assert.equal(res.body.data.errors[0].errors[0].field, 'price');
+    assert.equal(save.mock.callCount(), 0);
+    // Category lookups are cached for the whole import
+    assert.equal(findCategory.mock.callCount(), 1);
+  });
+
+  test('rejects a malformed file with the report so far', async () => {
+    const res = await request(app)
+      .post('/api/admin/products/import')
+      .set(admin())
+      .set('Content-Type', 'text/csv')
+      .send('sku,colour\nA-1,red\n');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_FILE');
+    assert.match(res.body.message, /Unknown columns: colour/);
+    assert.equal(res.body.data.rows, 0);
+  });
+
+  test('rejects files without a known content type', async () => {
+    const res = await request(app)
+      .post('/api/admin/products/import')
+      .set(admin())
+      .set('Content-Type', 'text/plain')
+      .send('sku\nA-1\n');
+
+    assert.equal(res.status, 415);
+  });
+});
+
+describe('GET /api/admin/products/export', () => {
+  const product = { sku: 'A-1', name: '=cmd', description: 'Mug', price: 12.5, category: 'kitchen', stock: 3, isActive: true };
+
+  test('streams products as CSV and closes the cursor', async () => {
+    const cursor = fakeCursor([product]);
+    mock.method(Product, 'exportCursor', async () => cursor);
+
+    const res = await request(app).get('/api/admin/products/export').set(admin());
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /^text\/csv/);
+    const [header, line] = res.text.split('\r\n');
+    assert.equal(header, 'sku,name,description,price,category,stock,image,isActive,attributes,options,variants');
+    assert.equal(line, "A-1,'=cmd,Mug,12.5,kitchen,3,,true,,,");
+    assert.equal(cursor.closed, true);
+  });
+
+  test('streams products as a JSON array', async () => {
+    mock.method(Product, 'exportCursor', async () => fakeCursor([product, { ...product, sku: 'A-2' }]));
+
+    const res = await request(app).get('/api/admin/products/export?format=json').set(admin());
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.text).map(record => record.sku), ['A-1', 'A-2']);
+  });
+
+  test('stops and closes the cursor when the client leaves before the first write', { timeout: 5000 }, async (t) => {
+    const server = http.createServer(app).listen(0);
+    t.after(() => server.close());
+    let leave;
+    const left = new Promise(resolve => { leave = resolve; });
+    const cursor = fakeCursor([product]);
+    let closed;
+    const cursorClosed = new Promise(resolve => { closed = resolve; });
+    cursor.close = async () => closed();
+
+    // The cursor is ready only after the client has disconnected
+    mock.method(Product, 'exportCursor', async () => {
+      await left;
+      return cursor;
+    });
+
+    const req = http.get({ port: server.address().port, path: '/api/admin/products/export', headers: admin() });
+    req.on('error', () => {});
+    await new Promise(resolve => setTimeout(resolve, 100));
+    req.destroy();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    leave();
+
+    await cursorClosed;
+  });
+});
@@ -0,0 +1,121 @@
+const { authHeader, query, lastOtp } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const otpStore = require('../src/utils/otp.store');
+
+let user;
+let auth;
+
+beforeEach(() => {
+  otpStore.setBackend(otpStore.createMemoryBackend());
+  user = new User({
+    name: 'Asha',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    password: bcrypt.hashSync('oldpass123', 4),
+    identities: [{ type: 'password' }]
+  });
+  auth = authHeader({ userId: String(user._id), sid: 'session-1' });
+  mock.method(User, 'findById', () => query(user));
+  mock.method(User, 'exists', async () => null);
+  mock.method(User, 'updateOne', async () => ({ modifiedCount: 1 }));
+  mock.method(User.prototype, 'save', async function() { return this; });
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('PATCH /api/users/me', () => {
+  test('updates the name at once', async () => {
+    const res = await request(app).patch('/api/users/me').set(auth).send({ name: 'Asha R' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.name, 'Asha R');
+    assert.deepEqual(res.body.data.pendingVerification, []);
+  });
+
+  test('changes to a mixed-case email once the OTP sent to it is confirmed', async () => {
+    const res = await request(app).patch('/api/users/me').set(auth).send({ email: 'New.Asha@Example.COM' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.pendingVerification, ['email']);
+    assert.equal(user.pendingEmail, 'new.asha@example.com');
+    assert.equal(user.email, 'asha@example.com');
+
+    const otp = lastOtp('new.asha@example.com');
+    const confirmed = await request(app).post('/api/users/me/verify-contact').set(auth).send({ field: 'email', otp });
+    assert.equal(confirmed.status, 200);
+    assert.equal(user.email, 'new.asha@example.com');
+    assert.equal(user.pendingEmail, null);
+    assert.equal(user.emailVerified, true);
+  });
+
+  test('treats an email differing only in case as unchanged', async () => {
+    const res = await request(app).patch('/api/users/me').set(auth).send({ email: 'ASHA@example.com' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.pendingVerification, []);
+    assert.ok(!user.pendingEmail);
+  });
+
+  test('checks that the lowercase email is not taken', async () => {
+    const exists = mock.method(User, 'exists', async () => ({ _id: 'other' }));
+    const res = await request(app).patch('/api/users/me').set(auth).send({ email: 'Taken@Example.com' });
+    assert.equal(res.status, 409);
+    assert.equal(exists.mock.calls[0].arguments[0].email, 'taken@example.com');
+    assert.ok(!user.pendingEmail);
+  });
+
+  test('rejects an invalid phone number', async () => {
+    const res = await request(app).patch('/api/users/me').set(auth).send({ phone: '12345' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/users/me/verify-contact', () => {
+  test('rejects a wrong code and keeps the change pending', async () => {
+    await request(app).patch('/api/users/me').set(auth).send({ phone: '9123456789' });
+    const otp = lastOtp('9123456789');
+    const wrong = otp === '000000' ? '111111' : '000000';
+
+    const res = await request(app).post('/api/users/me/verify-contact').set(auth).send({ field: 'phone', otp: wrong });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'OTP_INVALID');
+    assert.equal(user.phone, '9876543210');
+    assert.equal(user.pendingPhone, '9123456789');
+  });
+
+  test('reports when no change is pending', async () => {
+    const res = await request(app).post('/api/users/me/verify-contact').set(auth).send({ field: 'email', otp: '123456' });
+    assert.equal(res.status, 400);
+  });
+});
+
+describe('POST /api/users/me/password', () => {
+  test('changes the password and logs out other sessions', async () => {
+    const res = await request(app).post('/api/users/me/password').set(auth)
+      .send({ currentPassword: 'oldpass123', newPassword: 'newpass456' });
+    assert.equal(res.status, 200);
+    assert.equal(user.password, 'newpass456');
+
+    const [filter, update] = User.updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: user._id });
+    assert.deepEqual(update, { $pull: { refreshTokens: { family: { $ne: 'session-1' } } } });
+  });
+
+  test('requires the current password', async () => {
+    const res = await request(app).post('/api/users/me/password').set(auth)
+      .send({ currentPassword: 'wrongpass1', newPassword: 'newpass456' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'INVALID_PASSWORD');
+  });
+
+  test('enforces the password rules', async () => {
+    const res = await request(app).post('/api/users/me/password').set(auth)
+      .send({ currentPassword: 'oldpass123', newPassword: 'short' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+});
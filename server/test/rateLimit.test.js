@@ -0,0 +1,160 @@
+const { memoryModel, lastOtp } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const otpStore = require('../src/utils/otp.store');
+const { rateLimit, byAccount, createMemoryStore, setStore } = require('../src/middleware/rateLimit');
+
+afterEach(() => mock.restoreAll());
+
+describe('rateLimit', () => {
+  let now;
+
+  /**
+   * App with one limited route
+   * @param {object} options - Limiter options
+   * @returns {object} Express app
+   */
+  const limitedApp = (options) => {
+    const limited = express();
+    limited.use(express.json());
+    limited.post('/', rateLimit({ name: 'test', windowMs: 60000, max: 2, store: createMemoryStore(), ...options }), (req, res) => res.json({ ok: true }));
+    return limited;
+  };
+
+  beforeEach(() => {
+    // Start of a window, so the previous one has no weight yet
+    now = Math.floor(Date.now() / 60000) * 60000;
+    mock.method(Date, 'now', () => now);
+  });
+
+  test('allows requests up to the limit, then answers 429 with Retry-After', async () => {
+    const limited = limitedApp();
+
+    const first = await request(limited).post('/');
+    assert.equal(first.status, 200);
+    assert.equal(first.headers['ratelimit-limit'], '2');
+    assert.equal(first.headers['ratelimit-remaining'], '1');
+    assert.equal((await request(limited).post('/')).status, 200);
+
+    const limitedRes = await request(limited).post('/');
+    assert.equal(limitedRes.status, 429);
+    assert.equal(limitedRes.body.code, 'RATE_LIMITED');
+    assert.equal(limitedRes.headers['retry-after'], '60');
+  });
+
+  test('weights the previous window by how much of it still overlaps', async () => {
+    const limited = limitedApp();
+    await request(limited).post('/');
+    await request(limited).post('/');
+
+    // Half way into the next window, the two earlier requests count as one
+    now += 90000;
+    assert.equal((await request(limited).post('/')).status, 200);
+    assert.equal((await request(limited).post('/')).status, 429);
+  });
+
+  test('keeps separate counts per key and skips requests without one', async () => {
+    const limited = limitedApp({ max: 1, keyGenerator: byAccount });
+
+    assert.equal((await request(limited).post('/').send({ email: 'a@example.com' })).status, 200);
+    assert.equal((await request(limited).post('/').send({ email: 'A@example.com ' })).status, 429);
+    assert.equal((await request(limited).post('/').send({ email: 'b@example.com' })).status, 200);
+    assert.equal((await request(limited).post('/').send({})).status, 200);
+    assert.equal((await request(limited).post('/').send({})).status, 200);
+  });
+
+  test('lets requests through when the store fails', async () => {
+    mock.method(console, 'error', () => {});
+    const broken = { increment: async () => { throw new Error('store down'); }, get: async () => 0 };
+    const limited = limitedApp({ store: broken, max: 0 });
+
+    assert.equal((await request(limited).post('/')).status, 200);
+  });
+});
+
+describe('login lockout', () => {
+  let userId;
+
+  const login = (password) => request(app).post('/api/users/login').send({ email: 'asha@example.com', password });
+
+  beforeEach(() => {
+    setStore(createMemoryStore());
+    otpStore.setBackend(otpStore.createMemoryBackend());
+    const user = new User({
+      name: 'Asha',
+      email: 'asha@example.com',
+      phone: '9876543210',
+      password: bcrypt.hashSync('secret123', 4),
+      identities: [{ type: 'password' }, { type: 'phone' }]
+    });
+    userId = user._id;
+    memoryModel(User, [user]);
+  });
+
+  test('locks the account after repeated wrong passwords, even for the right one', async () => {
+    for (let attempt = 1; attempt < 5; attempt++) {
+      assert.equal((await login('wrong')).status, 401);
+    }
+
+    const locked = await login('wrong');
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+    assert.equal(locked.headers['retry-after'], '60');
+
+    assert.equal((await login('secret123')).status, 423);
+  });
+
+  test('doubles the lock for each failure past the threshold', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) await login('wrong');
+    await User.updateOne({ _id: userId }, { $set: { lockUntil: new Date(Date.now() - 1000) } });
+
+    const again = await login('wrong');
+    assert.equal(again.status, 423);
+    assert.equal(again.headers['retry-after'], '120');
+  });
+
+  test('clears failed attempts after a successful login', async () => {
+    for (let attempt = 0; attempt < 4; attempt++) await login('wrong');
+    assert.equal((await login('secret123')).status, 200);
+
+    for (let attempt = 0; attempt < 4; attempt++) {
+      assert.equal((await login('wrong')).status, 401);
+    }
+  });
+
+  test('unlocks with an OTP sent to the account', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) await login('wrong');
+    await request(app).post('/api/auth/send-otp').send({ phone: '9876543210' });
+
+    const res = await request(app).post('/api/auth/unlock').send({ phone: '9876543210', otp: lastOtp('9876543210') });
+
+    assert.equal(res.status, 200);
+    assert.equal((await login('secret123')).status, 200);
+  });
+
+  test('does not unlock with a wrong OTP', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) await login('wrong');
+    await request(app).post('/api/auth/send-otp').send({ phone: '9876543210' });
+
+    const res = await request(app).post('/api/auth/unlock').send({ phone: '9876543210', otp: '000000' });
+
+    assert.equal(res.status, 400);
+    assert.equal((await login('secret123')).status, 423);
+  });
+
+  test('limits login attempts per account', async () => {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      assert.equal((await login('secret123')).status, 200);
+    }
+
+    const res = await login('secret123');
+    assert.equal(res.status, 429);
+    assert.equal(res.body.code, 'RATE_LIMITED');
+  });
+});
@@ -0,0 +1,118 @@
+const { memoryModel } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const { signRefreshToken } = require('../src/config/jwt');
+
+let users;
+let userId;
+
+const login = async () => {
+  const res = await request(app).post('/api/users/login').send({ email: 'asha@example.com', password: 'secret123' });
+  assert.equal(res.status, 200);
+  return res.body.data;
+};
+
+const refresh = (refreshToken) => request(app).post('/api/users/refresh-token').send({ refreshToken });
+
+beforeEach(() => {
+  const user = new User({
+    name: 'Asha',
+    email: 'asha@example.com',
+    phone: '9876543210',
+    password: bcrypt.hashSync('secret123', 4),
+    identities: [{ type: 'password' }]
+  });
+  userId = user._id;
+  users = memoryModel(User, [user]);
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('refresh token rotation', () => {
+  test('stores only a hash of each refresh token', async () => {
+    const { refreshToken } = await login();
+    const [stored] = users.get(userId).refreshTokens;
+
+    assert.notEqual(stored.tokenHash, refreshToken);
+    assert.equal(stored.family, jwt.decode(refreshToken).family);
+    assert.ok(!JSON.stringify(users.get(userId).toObject()).includes(refreshToken));
+  });
+
+  test('exchanges a refresh token for a new pair in the same session', async () => {
+    const { refreshToken, accessToken } = await login();
+
+    const res = await refresh(refreshToken);
+
+    assert.equal(res.status, 200);
+    assert.notEqual(res.body.data.refreshToken, refreshToken);
+    assert.equal(jwt.decode(res.body.data.refreshToken).family, jwt.decode(refreshToken).family);
+    assert.equal(jwt.decode(res.body.data.accessToken).sid, jwt.decode(accessToken).sid);
+    assert.equal(users.get(userId).getSessions().length, 1);
+  });
+
+  test('revokes the whole session when a rotated token is used again', async () => {
+    const { refreshToken } = await login();
+    const rotated = (await refresh(refreshToken)).body.data.refreshToken;
+
+    const reused = await refresh(refreshToken);
+    assert.equal(reused.status, 401);
+    assert.match(reused.body.message, /reuse detected/);
+
+    // The thief's copy and the owner's newer token both stop working
+    const afterReuse = await refresh(rotated);
+    assert.equal(afterReuse.status, 401);
+    assert.equal(users.get(userId).refreshTokens.length, 0);
+  });
+
+  test('lets only one of two parallel refreshes with the same token through', async () => {
+    const { refreshToken } = await login();
+
+    const statuses = (await Promise.all([refresh(refreshToken), refresh(refreshToken)])).map(res => res.status);
+
+    assert.deepEqual(statuses.sort(), [200, 401]);
+  });
+
+  test('leaves other sessions alone when one is revoked', async () => {
+    const first = await login();
+    const second = await login();
+    await refresh(first.refreshToken);
+    await refresh(first.refreshToken);
+
+    const res = await refresh(second.refreshToken);
+    assert.equal(res.status, 200);
+  });
+
+  test('rejects missing, forged, expired and unknown tokens', async () => {
+    assert.equal((await refresh(undefined)).status, 400);
+    assert.equal((await refresh(jwt.sign({ userId, family: 'f', jti: 'j' }, 'wrong_secret'))).status, 401);
+    // Issued eight days ago, so past the seven day lifetime
+    const issuedAt = Math.floor(Date.now() / 1000) - 8 * 24 * 60 * 60;
+    assert.equal((await refresh(signRefreshToken({ userId, family: 'f', jti: 'j', iat: issuedAt }))).status, 401);
+
+    const unknown = await refresh(signRefreshToken({ userId, family: 'f', jti: 'j' }));
+    assert.equal(unknown.status, 401);
+    assert.equal(unknown.body.message, 'Refresh token has been revoked');
+  });
+});
+
+describe('POST /api/users/logout', () => {
+  test('ends only the session of the token given', async () => {
+    const first = await login();
+    const second = await login();
+
+    const res = await request(app)
+      .post('/api/users/logout')
+      .set('Authorization', `Bearer ${first.accessToken}`)
+      .send({ refreshToken: first.refreshToken });
+    assert.equal(res.status, 200);
+
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+    assert.equal((await refresh(second.refreshToken)).status, 200);
+  });
+});
@@ -0,0 +1,129 @@
+const { authHeader, query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const AdminBootstrap = require('../src/models/AdminBootstrap');
+
+afterEach(() => mock.restoreAll());
+
+describe('role checks on product admin routes', () => {
+  test('rejects requests without a token', async () => {
+    const res = await request(app).delete('/api/products/clear');
+    assert.equal(res.status, 401);
+  });
+
+  test('rejects customers and staff from admin-only routes', async () => {
+    for (const role of ['customer', 'staff']) {
+      const res = await request(app).delete('/api/products/clear').set(authHeader({ role, mfa: true }));
+      assert.equal(res.status, 403, role);
+    }
+  });
+
+  test('requires privileged sessions to have passed two-factor authentication', async () => {
+    const res = await request(app).delete('/api/products/clear').set(authHeader({ role: 'admin' }));
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'MFA_REQUIRED');
+  });
+
+  test('lets admins clear products', async () => {
+    const deleteAll = mock.method(Product, 'deleteAllWithImages', async () => 0);
+    const res = await request(app).delete('/api/products/clear').set(authHeader({ role: 'admin', mfa: true }));
+    assert.equal(res.status, 200);
+    assert.equal(deleteAll.mock.callCount(), 1);
+  });
+});
+
+describe('POST /api/admin/bootstrap', () => {
+  const TOKEN = 'bootstrap-token-for-tests';
+  let user;
+
+  beforeEach(() => {
+    process.env.ADMIN_BOOTSTRAP_TOKEN = TOKEN;
+    user = new User({ name: 'First', email: 'first@example.com', role: 'customer' });
+    mock.method(User, 'exists', async () => null);
+    mock.method(User, 'findById', () => query(user));
+    mock.method(User.prototype, 'save', async function() { return this; });
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+  });
+
+  const bootstrap = (bootstrapToken = TOKEN) => request(app)
+    .post('/api/admin/bootstrap')
+    .set(authHeader({ userId: String(user._id) }))
+    .send({ bootstrapToken });
+
+  test('promotes the caller and records the bootstrap', async () => {
+    const create = mock.method(AdminBootstrap, 'create', async (doc) => doc);
+    const res = await bootstrap();
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.user.role, 'admin');
+    assert.ok(res.body.data.accessToken);
+    assert.deepEqual(create.mock.calls[0].arguments[0], { user: user._id });
+  });
+
+  test('is disabled without a configured token', async () => {
+    delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+    const res = await bootstrap();
+    assert.equal(res.status, 404);
+  });
+
+  test('rejects a wrong token', async () => {
+    const res = await bootstrap('wrong-token');
+    assert.equal(res.status, 403);
+    assert.equal(user.role, 'customer');
+  });
+
+  test('refuses once an admin exists', async () => {
+    mock.method(User, 'exists', async () => ({ _id: 'admin' }));
+    const res = await bootstrap();
+    assert.equal(res.status, 409);
+  });
+
+  test('lets only one of two parallel requests promote', async () => {
+    mock.method(AdminBootstrap, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    });
+    const res = await bootstrap();
+    assert.equal(res.status, 409);
+    assert.equal(user.role, 'customer');
+  });
+
+  test('releases the marker when the promotion cannot be saved', async () => {
+    mock.method(AdminBootstrap, 'create', async (doc) => doc);
+    const release = mock.method(AdminBootstrap, 'deleteOne', () => Promise.resolve());
+    mock.method(User.prototype, 'save', async () => {
+      throw new Error('write failed');
+    });
+    mock.method(console, 'error', () => {});
+
+    const res = await bootstrap();
+    assert.equal(res.status, 500);
+    assert.deepEqual(release.mock.calls[0].arguments[0], { user: user._id });
+  });
+});
+
+describe('PATCH /api/admin/users/:id/role', () => {
+  test('does not let admins demote themselves', async () => {
+    const userId = '64b000000000000000000001';
+    const res = await request(app)
+      .patch(`/api/admin/users/${userId}/role`)
+      .set(authHeader({ userId, role: 'admin', mfa: true }))
+      .send({ role: 'customer' });
+    assert.equal(res.status, 400);
+  });
+
+  test('validates the role', async () => {
+    const res = await request(app)
+      .patch('/api/admin/users/64b000000000000000000002/role')
+      .set(authHeader({ role: 'admin', mfa: true }))
+      .send({ role: 'owner' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,109 @@
+const { memoryModel } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const rateLimit = require('../src/middleware/rateLimit');
+
+const login = async (email, userAgent) => {
+  const res = await request(app)
+    .post('/api/users/login')
+    .set('User-Agent', userAgent)
+    .send({ email, password: 'secret123' });
+  assert.equal(res.status, 200);
+  return res.body.data;
+};
+
+const bearer = (session) => ({ Authorization: `Bearer ${session.accessToken}` });
+
+const refresh = (session) => request(app).post('/api/users/refresh-token').send({ refreshToken: session.refreshToken });
+
+let laptop;
+let phone;
+
+beforeEach(async () => {
+  rateLimit.setStore(rateLimit.createMemoryStore());
+  const makeUser = (name, email, mobile) => new User({
+    name,
+    email,
+    phone: mobile,
+    password: bcrypt.hashSync('secret123', 4),
+    identities: [{ type: 'password' }]
+  });
+  memoryModel(User, [makeUser('Asha', 'asha@example.com', '9876543210'), makeUser('Ravi', 'ravi@example.com', '9876543211')]);
+
+  laptop = await login('asha@example.com', 'Laptop browser');
+  phone = await login('asha@example.com', 'Phone app');
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('GET /api/users/sessions', () => {
+  test('lists each device once and marks the current one', async () => {
+    await refresh(phone);
+
+    const res = await request(app).get('/api/users/sessions').set(bearer(laptop));
+
+    assert.equal(res.status, 200);
+    const { sessions } = res.body.data;
+    assert.equal(sessions.length, 2);
+    assert.deepEqual(sessions.map(session => session.userAgent).sort(), ['Laptop browser', 'Phone app']);
+    assert.deepEqual(sessions.filter(session => session.current).map(session => session.userAgent), ['Laptop browser']);
+    assert.ok(sessions.every(session => !('tokenHash' in session)));
+  });
+
+  test('requires a signed-in user', async () => {
+    const res = await request(app).get('/api/users/sessions');
+    assert.equal(res.status, 401);
+  });
+});
+
+describe('DELETE /api/users/sessions/:id', () => {
+  const sessionOf = async (session) => {
+    const res = await request(app).get('/api/users/sessions').set(bearer(session));
+    return res.body.data.sessions.find(item => item.current).id;
+  };
+
+  test('logs out one device', async () => {
+    const res = await request(app).delete(`/api/users/sessions/${await sessionOf(phone)}`).set(bearer(laptop));
+
+    assert.equal(res.status, 200);
+    assert.equal((await refresh(phone)).status, 401);
+    assert.equal((await refresh(laptop)).status, 200);
+  });
+
+  test("cannot revoke another user's session", async () => {
+    const ravi = await login('ravi@example.com', 'Other laptop');
+
+    const res = await request(app).delete(`/api/users/sessions/${await sessionOf(ravi)}`).set(bearer(laptop));
+
+    assert.equal(res.status, 404);
+    assert.equal((await refresh(ravi)).status, 200);
+  });
+
+  test('rejects unknown and malformed session IDs', async () => {
+    const unknown = await request(app).delete(`/api/users/sessions/${crypto.randomUUID()}`).set(bearer(laptop));
+    assert.equal(unknown.status, 404);
+
+    const malformed = await request(app).delete('/api/users/sessions/not-a-session').set(bearer(laptop));
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'VALIDATION_ERROR');
+  });
+});
+
+describe('POST /api/users/sessions/revoke-others', () => {
+  test('logs out every other device and keeps this one', async () => {
+    const tablet = await login('asha@example.com', 'Tablet');
+
+    const res = await request(app).post('/api/users/sessions/revoke-others').set(bearer(laptop));
+
+    assert.equal(res.status, 200);
+    assert.equal((await refresh(phone)).status, 401);
+    assert.equal((await refresh(tablet)).status, 401);
+    assert.equal((await refresh(laptop)).status, 200);
+  });
+});
@@ -0,0 +1,149 @@
+const { query, memoryModel, authHeader } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const suggestIndex = require('../src/utils/suggestIndex');
+
+const id = () => new mongoose.Types.ObjectId();
+const names = (docs) => docs.map(doc => doc.name);
+
+const laptopBag = { _id: id(), name: 'Laptop Bag' };
+const gamingLaptop = { _id: id(), name: 'Gaming Laptop' };
+const laptop = { _id: id(), name: 'Laptop' };
+const cafe = { _id: id(), name: 'Café Crème Mug' };
+const computers = { _id: id(), name: 'Laptops & Computers', slug: 'laptops-computers' };
+
+// The index is shared by the whole process, so every test starts from the same catalog
+beforeEach(async () => {
+  mock.method(Product, 'find', () => query([laptopBag, gamingLaptop, laptop, cafe]));
+  mock.method(Category, 'find', () => query([computers]));
+  assert.deepEqual(await suggestIndex.rebuild(), { products: 4, categories: 1 });
+  mock.restoreAll();
+});
+
+afterEach(() => mock.restoreAll());
+
+describe('suggestIndex', () => {
+  test('puts names starting with the prefix first, shortest first, then later words', () => {
+    const { products, categories } = suggestIndex.suggest('lap');
+
+    assert.deepEqual(names(products), ['Laptop', 'Laptop Bag', 'Gaming Laptop']);
+    assert.deepEqual(categories, [{ _id: String(computers._id), name: 'Laptops & Computers', slug: 'laptops-computers' }]);
+    assert.deepEqual(names(suggestIndex.suggest('laptop b').products), ['Laptop Bag']);
+    assert.deepEqual(names(suggestIndex.suggest('lap', 2).products), ['Laptop', 'Laptop Bag']);
+  });
+
+  test('ignores case, accents and punctuation', () => {
+    assert.deepEqual(names(suggestIndex.suggest('CAFE cre').products), ['Café Crème Mug']);
+    assert.deepEqual(names(suggestIndex.suggest('crème-mug').products), ['Café Crème Mug']);
+    assert.deepEqual(suggestIndex.suggest('  !! '), { products: [], categories: [], queries: [] });
+  });
+
+  test('follows renames, unlisting and removal', () => {
+    suggestIndex.indexProduct({ ...laptop, name: 'Notebook' });
+    assert.deepEqual(names(suggestIndex.suggest('lap').products), ['Laptop Bag', 'Gaming Laptop']);
+    assert.deepEqual(names(suggestIndex.suggest('note').products), ['Notebook']);
+
+    suggestIndex.indexProduct({ ...laptopBag, isActive: false });
+    suggestIndex.removeProduct(gamingLaptop._id);
+    assert.deepEqual(suggestIndex.suggest('lap').products, []);
+
+    suggestIndex.removeCategory(computers._id);
+    assert.deepEqual(suggestIndex.suggest('lap').categories, []);
+  });
+
+  test('clears products and keeps categories', () => {
+    suggestIndex.clearProducts();
+
+    const { products, categories } = suggestIndex.suggest('lap');
+    assert.deepEqual(products, []);
+    assert.equal(categories.length, 1);
+  });
+
+  test('reads a bounded number of keys for short prefixes', () => {
+    const { maxScan } = suggestIndex.config;
+    suggestIndex.config.maxScan = 2;
+    try {
+      // The first two keys are both "laptop"; "laptop bag" is not reached
+      assert.deepEqual(names(suggestIndex.suggest('l').products), ['Laptop', 'Gaming Laptop']);
+    } finally {
+      suggestIndex.config.maxScan = maxScan;
+    }
+  });
+
+  test('suggests past searches, most frequent first', () => {
+    suggestIndex.recordQuery('Wireless Mouse');
+    suggestIndex.recordQuery('wireless  mouse!');
+    suggestIndex.recordQuery('wireless keyboard');
+    suggestIndex.recordQuery('');
+    suggestIndex.recordQuery(`wireless ${'x'.repeat(100)}`);
+
+    assert.deepEqual(suggestIndex.suggest('wire').queries, [
+      { query: 'wireless mouse', count: 2 },
+      { query: 'wireless keyboard', count: 1 }
+    ]);
+  });
+
+  test('drops the least used searches when full', () => {
+    const { maxQueries } = suggestIndex.config;
+    suggestIndex.config.maxQueries = 10;
+    try {
+      suggestIndex.recordQuery('popular');
+      suggestIndex.recordQuery('popular');
+      for (let i = 0; i < 10; i++) suggestIndex.recordQuery(`rare ${i}`);
+
+      assert.deepEqual(suggestIndex.suggest('popular').queries, [{ query: 'popular', count: 2 }]);
+      assert.ok(suggestIndex.suggest('rare').queries.length < 10);
+    } finally {
+      suggestIndex.config.maxQueries = maxQueries;
+    }
+  });
+});
+
+describe('GET /api/products/suggest', () => {
+  test('answers from the index', async () => {
+    const res = await request(app).get('/api/products/suggest?q=Gam');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.query, 'Gam');
+    assert.deepEqual(res.body.data.products, [{ _id: String(gamingLaptop._id), name: 'Gaming Laptop' }]);
+  });
+
+  test('requires a short query and a small limit', async () => {
+    assert.equal((await request(app).get('/api/products/suggest')).status, 400);
+    assert.equal((await request(app).get(`/api/products/suggest?q=${'a'.repeat(101)}`)).status, 400);
+    assert.equal((await request(app).get('/api/products/suggest?q=lap&limit=11')).status, 400);
+  });
+
+  test('learns searches that found products', async () => {
+    const found = { products: [], total: [{ count: 1 }], categories: [], prices: [], attributes: [] };
+    mock.method(Product, 'aggregate', () => query([found]));
+    mock.method(Category, 'find', () => query([]));
+
+    await request(app).get('/api/products?search=Tablet%20Stand');
+    found.total = [];
+    await request(app).get('/api/products?search=Tablet%20Case');
+
+    const res = await request(app).get('/api/products/suggest?q=tab');
+    assert.deepEqual(res.body.data.queries, [{ query: 'tablet stand', count: 1 }]);
+  });
+
+  test('includes products as soon as they are created', async () => {
+    memoryModel(Product);
+    mock.method(Category, 'exists', async () => ({ _id: computers._id }));
+
+    const created = await request(app)
+      .post('/api/products')
+      .set(authHeader({ role: 'admin', mfa: true }))
+      .send({ name: 'Ultrabook Pro', description: 'Thin and light', price: 999, category: String(computers._id), stock: 3 });
+    assert.equal(created.status, 201);
+
+    const res = await request(app).get('/api/products/suggest?q=ultra');
+    assert.deepEqual(names(res.body.data.products), ['Ultrabook Pro']);
+  });
+});
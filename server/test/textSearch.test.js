@@ -0,0 +1,146 @@
+const { query } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+const { tokenize, escapeRegex, termPattern, buildMatcher, highlight } = require('../src/utils/textSearch');
+
+afterEach(() => mock.restoreAll());
+
+const finds = (term, text) => new RegExp(termPattern(term), 'iu').test(text);
+
+describe('tokenize', () => {
+  test('keeps distinct lowercase words and drops operators, punctuation and single letters', () => {
+    assert.deepEqual(tokenize('"Gaming" -LAPTOP a laptop, café!'), ['gaming', 'laptop', 'café']);
+    assert.deepEqual(tokenize('$where: {}'), ['where']);
+    assert.deepEqual(tokenize(undefined), []);
+  });
+
+  test('limits the number and length of words', () => {
+    assert.equal(tokenize('one two three four five six seven eight nine ten').length, 8);
+    assert.equal(tokenize('x'.repeat(100))[0].length, 30);
+  });
+});
+
+describe('termPattern', () => {
+  test('finds words that start with the term', () => {
+    assert.ok(finds('lapt', 'Gaming Laptop'));
+    assert.ok(finds('laptop', 'laptops'));
+    assert.ok(!finds('top', 'laptop'));
+  });
+
+  test('allows one typo in longer words, keeping the first letter', () => {
+    assert.ok(finds('labtop', 'laptop'));
+    assert.ok(finds('latpop', 'laptop'));
+    assert.ok(finds('lapop', 'laptop'));
+    assert.ok(finds('lapttop', 'laptop'));
+    assert.ok(!finds('lbatop', 'laptop'));
+    assert.ok(!finds('kaptop', 'laptop'));
+    assert.ok(!finds('tx', 'tv'));
+    assert.ok(!new RegExp(termPattern('labtop', { fuzzy: false }), 'iu').test('laptop'));
+  });
+
+  test('matches other endings of the same word', () => {
+    assert.ok(finds('running', 'Runs fast'));
+    assert.ok(finds('shoes', 'Shoe rack'));
+  });
+
+  test('treats input as literal text', () => {
+    assert.equal(escapeRegex('a.b*(c)'), 'a\\.b\\*\\(c\\)');
+    assert.ok(!finds('a.b', 'axb'));
+  });
+
+  test('takes linear time on long text', () => {
+    const text = `${'laptoq '.repeat(20000)}x`;
+    const started = Date.now();
+    buildMatcher(tokenize('laptop phone charger')).test(text);
+    assert.ok(Date.now() - started < 2000);
+  });
+});
+
+describe('highlight', () => {
+  const matcher = buildMatcher(['lapt', 'bag']);
+
+  test('marks whole matching words', () => {
+    assert.deepEqual(highlight('Laptop bags, and laptops', matcher), [
+      { text: 'Laptop', match: true },
+      { text: ' ', match: false },
+      { text: 'bags', match: true },
+      { text: ', and ', match: false },
+      { text: 'laptops', match: true }
+    ]);
+    assert.deepEqual(highlight(null, matcher), []);
+  });
+
+  test('cuts long text to a snippet around the first match without splitting words', () => {
+    const text = `${'intro words '.repeat(20)}the laptop is here ${'more words '.repeat(20)}`;
+
+    const segments = highlight(text, matcher, 60);
+
+    assert.equal(segments[0].text, '…');
+    assert.equal(segments.at(-1).text, '…');
+    assert.ok(segments.some(segment => segment.match && segment.text === 'laptop'));
+    const snippet = segments.slice(1, -1).map(segment => segment.text).join('');
+    assert.ok(snippet.length <= 60);
+    assert.ok(text.includes(` ${snippet} `));
+  });
+});
+
+describe('GET /api/products?search=', () => {
+  let pipelines;
+  let results;
+
+  const facetResult = (products) => ({ products, total: [{ count: products.length }], categories: [], prices: [], attributes: [] });
+
+  beforeEach(() => {
+    pipelines = [];
+    results = [];
+    mock.method(Product, 'aggregate', (pipeline) => {
+      pipelines.push(pipeline);
+      return query([results.shift() || facetResult([])]);
+    });
+    mock.method(Product, 'populate', async (items) => items);
+    mock.method(Category, 'find', () => query([]));
+  });
+
+  const laptop = () => ({ _id: new mongoose.Types.ObjectId(), name: 'Gaming Laptop', description: 'A fast laptop', createdAt: new Date(), _score: 2 });
+
+  test('ranks text index matches by relevance and highlights them', async () => {
+    results.push(facetResult([laptop()]));
+
+    const res = await request(app).get('/api/products').query({ search: '"laptop" -cheap' });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(pipelines[0][0].$match, { isActive: true, $text: { $search: 'laptop cheap' } });
+    const sort = pipelines[0].at(-1).$facet.products[0].$sort;
+    assert.deepEqual(Object.keys(sort), ['_score', '_id']);
+    assert.equal(sort._score, -1);
+
+    const [product] = res.body.data.products;
+    assert.equal(product._score, undefined);
+    assert.deepEqual(product.highlight.name, [{ text: 'Gaming ', match: false }, { text: 'Laptop', match: true }]);
+  });
+
+  test('falls back to typo-tolerant prefixes when the text index finds nothing', async () => {
+    results.push(facetResult([]), facetResult([laptop()]));
+
+    const res = await request(app).get('/api/products?search=labt');
+
+    assert.equal(pipelines.length, 2);
+    const [condition] = pipelines[1][0].$match.$and;
+    assert.ok(condition.$or[0].name.test('Laptop'));
+    assert.equal(res.body.data.products.length, 1);
+  });
+
+  test('lists newest first when the search has no usable words', async () => {
+    await request(app).get('/api/products?search=%2B%2B');
+
+    assert.equal(pipelines.length, 1);
+    assert.deepEqual(pipelines[0][0].$match, { isActive: true });
+    assert.deepEqual(Object.keys(pipelines[0].at(-1).$facet.products[0].$sort), ['createdAt', '_id']);
+  });
+});
@@ -0,0 +1,80 @@
+const { memoryModel, authHeader } = require('./helpers');
+const { test, describe, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const app = require('../src/app');
+const User = require('../src/models/User');
+const rateLimit = require('../src/middleware/rateLimit');
+
+afterEach(() => mock.restoreAll());
+
+describe('request validation', () => {
+  test('reports each invalid body field once, in one shape', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ email: 'not-an-email', phone: '12345', password: 'short' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.message, 'Validation error');
+    assert.deepEqual(res.body.errors, [
+      { field: 'email', location: 'body', message: 'A valid email is required' },
+      { field: 'phone', location: 'body', message: 'Phone must be a 10-digit number' },
+      { field: 'password', location: 'body', message: 'Password must be 8-128 characters' }
+    ]);
+  });
+
+  test('normalizes valid input before the controller sees it', async () => {
+    const users = memoryModel(User);
+
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ name: '  Asha ', email: ' Asha@Example.com ', phone: ' 9876543210 ', password: 'secret123' });
+
+    assert.equal(res.status, 201);
+    const [user] = users.all();
+    assert.equal(user.email, 'asha@example.com');
+    assert.equal(user.phone, '9876543210');
+  });
+
+  test('validates route parameters and query strings', async () => {
+    const param = await request(app).get('/api/products/not-an-id');
+    assert.equal(param.status, 400);
+    assert.deepEqual(param.body.errors.map(error => [error.field, error.location]), [['id', 'params']]);
+
+    const queryRes = await request(app).get('/api/products?limit=1000&page=0');
+    assert.equal(queryRes.status, 400);
+    assert.deepEqual(queryRes.body.errors.map(error => error.field).sort(), ['limit', 'page']);
+  });
+
+  test('validates bodies of signed-in routes', async () => {
+    const res = await request(app).post('/api/cart/items').set(authHeader()).send({ productId: 'x', quantity: 0 });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field), ['productId', 'quantity']);
+  });
+
+  test('answers malformed JSON in the same shape', async () => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email": "asha@example.com",');
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.message, 'Invalid request body');
+    assert.deepEqual(res.body.errors, [{ field: 'body', location: 'body', message: 'Malformed JSON' }]);
+  });
+
+  test('accepts one OTP destination, not both', async () => {
+    rateLimit.setStore(rateLimit.createMemoryStore());
+
+    const res = await request(app).post('/api/auth/send-otp').send({ phone: '9876543210', email: 'asha@example.com' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.errors[0].message, 'Send either a phone number or an email, not both');
+  });
+});
@@ -0,0 +1,230 @@
+const { memoryModel, authHeader } = require('./helpers');
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../src/app');
+const Cart = require('../src/models/Cart');
+const Category = require('../src/models/Category');
+const Product = require('../src/models/Product');
+
+const categoryId = new mongoose.Types.ObjectId();
+
+const SHIRT = {
+  name: 'Shirt',
+  description: 'A cotton shirt',
+  price: 20,
+  category: categoryId,
+  options: [{ name: 'size', values: ['S', 'M'] }, { name: 'color', values: ['Red', 'Blue'] }],
+  variants: [
+    { sku: 'shirt-s-red', attributes: { size: 'S', color: 'Red' }, stock: 2 },
+    { sku: 'SHIRT-M-BLUE', attributes: { size: 'M', color: 'Blue' }, price: 25, stock: 5 }
+  ]
+};
+
+afterEach(() => mock.restoreAll());
+
+/**
+ * Validation messages by path for a product
+ * @param {object} fields - Product fields
+ * @returns {Promise<object>} { path: message }, empty when valid
+ */
+const validationErrors = async (fields) => {
+  try {
+    await new Product(fields).validate();
+    return {};
+  } catch (error) {
+    return Object.fromEntries(Object.entries(error.errors).map(([path, err]) => [path, err.message]));
+  }
+};
+
+describe('Product variants', () => {
+  test('keep the product stock at the total of the variants', async () => {
+    const shirt = new Product({ ...SHIRT, stock: 100 });
+    await shirt.validate();
+
+    assert.equal(shirt.stock, 7);
+    assert.equal(shirt.variants[0].sku, 'SHIRT-S-RED');
+    assert.equal(shirt.priceFor(shirt.variants[0]), 20);
+    assert.equal(shirt.priceFor(shirt.variants[1]), 25);
+    assert.equal(shirt.stockFor(shirt.getVariant(shirt.variants[1]._id)), 5);
+    assert.equal(shirt.getVariant(new mongoose.Types.ObjectId()), null);
+  });
+
+  test('must have one allowed value for each option', async () => {
+    const missing = await validationErrors({ ...SHIRT, variants: [{ sku: 'A', attributes: { size: 'S' }, stock: 1 }] });
+    assert.match(missing['variants.0.attributes'], /must have one allowed value for each option: size, color/);
+
+    const unknown = await validationErrors({ ...SHIRT, variants: [{ sku: 'A', attributes: { size: 'XL', color: 'Red' }, stock: 1 }] });
+    assert.ok(unknown['variants.0.attributes']);
+
+    const extra = await validationErrors({ ...SHIRT, variants: [{ sku: 'A', attributes: { size: 'S', color: 'Red', fit: 'Slim' }, stock: 1 }] });
+    assert.ok(extra['variants.0.attributes']);
+  });
+
+  test('reject repeated SKUs, option combinations and option names', async () => {
+    const errors = await validationErrors({
+      ...SHIRT,
+      variants: [
+        { sku: 'A', attributes: { size: 'S', color: 'Red' }, stock: 1 },
+        { sku: 'a', attributes: { size: 'M', color: 'Red' }, stock: 1 },
+        { sku: 'B', attributes: { size: 'S', color: 'Red' }, stock: 1 }
+      ]
+    });
+    assert.equal(errors['variants.1.sku'], 'Duplicate SKU A');
+    assert.match(errors['variants.2.attributes'], /same options as another variant/);
+
+    const names = await validationErrors({
+      ...SHIRT,
+      options: [{ name: 'size', values: ['S'] }, { name: 'size', values: ['M'] }],
+      variants: [{ sku: 'A', attributes: { size: 'S' }, stock: 1 }]
+    });
+    assert.equal(names.options, 'Option names must be unique');
+  });
+
+  test('reserve and return stock of one variant and the product total together', async () => {
+    const shirt = new Product(SHIRT);
+    await shirt.validate();
+    const products = memoryModel(Product, [shirt]);
+    const [small, medium] = shirt.variants;
+
+    assert.equal(await Product.decrementStock(shirt._id, 3, small._id), null);
+
+    const reserved = await Product.decrementStock(shirt._id, 3, medium._id);
+    assert.equal(reserved.getVariant(medium._id).stock, 2);
+    assert.equal(reserved.stock, 4);
+
+    await Product.incrementStock(shirt._id, 1, medium._id);
+    const current = products.get(shirt._id);
+    assert.equal(current.getVariant(medium._id).stock, 3);
+    assert.equal(current.getVariant(small._id).stock, 2);
+    assert.equal(current.stock, 5);
+  });
+});
+
+describe('cart with variants', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const auth = authHeader({ userId: String(userId) });
+  let shirt;
+  let laptop;
+  let carts;
+
+  beforeEach(async () => {
+    shirt = new Product(SHIRT);
+    laptop = new Product({ name: 'Laptop', description: 'A laptop', price: 500, category: categoryId, stock: 1 });
+    await shirt.validate();
+    memoryModel(Product, [shirt, laptop]);
+    carts = memoryModel(Cart);
+  });
+
+  const addItem = (body) => request(app).post('/api/cart/items').set(auth).send(body);
+  // Indexes into SHIRT.variants
+  const small = 0;
+  const medium = 1;
+
+  test('adds a variant at its own price and keeps variants on separate lines', async () => {
+    const res = await addItem({ productId: shirt._id, variantId: shirt.variants[medium]._id, quantity: 2 });
+    assert.equal(res.status, 200);
+    await addItem({ productId: shirt._id, variantId: shirt.variants[small]._id });
+
+    const [cart] = carts.all();
+    assert.deepEqual(cart.items.map(item => [String(item.variant), item.price, item.quantity]), [
+      [String(shirt.variants[medium]._id), 25, 2],
+      [String(shirt.variants[small]._id), 20, 1]
+    ]);
+  });
+
+  test('checks the stock of the variant, counting what is already in the cart', async () => {
+    const variantId = shirt.variants[small]._id;
+    assert.equal((await addItem({ productId: shirt._id, variantId, quantity: 2 })).status, 200);
+
+    const res = await addItem({ productId: shirt._id, variantId });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Insufficient stock');
+    assert.equal(res.body.available, 2);
+  });
+
+  test('requires a variant exactly when the product has variants', async () => {
+    const without = await addItem({ productId: shirt._id });
+    assert.equal(without.status, 400);
+    assert.equal(without.body.message, 'Please choose a variant of this product');
+
+    const unknown = await addItem({ productId: shirt._id, variantId: new mongoose.Types.ObjectId() });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.message, 'Variant not found');
+
+    const notVariant = await addItem({ productId: laptop._id, variantId: shirt.variants[small]._id });
+    assert.equal(notVariant.status, 400);
+    assert.equal(notVariant.body.message, 'This product has no variants');
+
+    assert.equal(carts.all().length, 0);
+  });
+
+  test('updates and removes one variant line by its route segment', async () => {
+    await addItem({ productId: shirt._id, variantId: shirt.variants[small]._id });
+    await addItem({ productId: shirt._id, variantId: shirt.variants[medium]._id });
+    const itemPath = (index) => `/api/cart/items/${shirt._id}/${shirt.variants[index]._id}`;
+
+    const tooMany = await request(app).put(itemPath(medium)).set(auth).send({ quantity: 6 });
+    assert.equal(tooMany.status, 400);
+    assert.equal(tooMany.body.available, 5);
+
+    assert.equal((await request(app).put(itemPath(medium)).set(auth).send({ quantity: 4 })).status, 200);
+    assert.equal((await request(app).delete(itemPath(small)).set(auth)).status, 200);
+
+    const [cart] = carts.all();
+    assert.deepEqual(cart.items.map(item => [String(item.variant), item.quantity]), [[String(shirt.variants[medium]._id), 4]]);
+  });
+});
+
+describe('saving products with variants', () => {
+  const admin = authHeader({ role: 'admin', mfa: true });
+
+  beforeEach(() => {
+    mock.method(Category, 'exists', async () => ({ _id: categoryId }));
+  });
+
+  test('creates a product with variants', async () => {
+    const products = memoryModel(Product);
+
+    const res = await request(app).post('/api/products').set(admin).send(SHIRT);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.product.stock, 7);
+    assert.equal(products.all()[0].variants.length, 2);
+  });
+
+  test('answers variants that do not fit the options with a validation error', async () => {
+    memoryModel(Product);
+
+    const res = await request(app).post('/api/products').set(admin).send({
+      ...SHIRT,
+      variants: [{ sku: 'A', attributes: { size: 'XL', color: 'Red' }, stock: 1 }]
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.equal(res.body.errors[0].field, 'variants.0.attributes');
+  });
+
+  test('answers a SKU used by another product with 409', async () => {
+    mock.method(Product, 'create', async () => {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    });
+
+    const res = await request(app).post('/api/products').set(admin).send(SHIRT);
+
+    assert.equal(res.status, 409);
+  });
+
+  test('rejects malformed variant fields before saving', async () => {
+    const res = await request(app).post('/api/products').set(admin).send({
+      ...SHIRT,
+      variants: [{ sku: 'bad sku!', attributes: 'M', stock: -1 }]
+    });
+
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['variants[0].attributes', 'variants[0].sku', 'variants[0].stock']);
+  });
+});